@@ -0,0 +1,233 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn(async password => `hashed:${password}`),
+  compare: jest.fn()
+}));
+
+/**
+ * Admin User Management Tests
+ */
+describe('Admin User Routes', () => {
+  let mockDb;
+  let auth;
+  let adminRoutes;
+
+  // Build an app whose requests carry the given session
+  const appWithSession = session => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = session ? { id: 'sid-1', destroy: jest.fn(), ...session } : undefined;
+      req.sessionID = 'sid-1';
+      next();
+    });
+    app.use('/api/admin/users', adminRoutes);
+    return app;
+  };
+
+  const owner = { isAdmin: true, adminId: 1, role: 'owner' };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    global.MOCK_MODE = false;
+
+    mockDb = require('../backend/db');
+    auth = require('../backend/auth');
+    adminRoutes = require('../backend/adminRoutes');
+  });
+
+  afterEach(() => {
+    global.MOCK_MODE = true;
+  });
+
+  describe('requireRole', () => {
+    const appFor = (session, ...roles) => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.session = { id: 'sid-1', destroy: jest.fn(), ...session };
+        next();
+      });
+      app.get('/protected', auth.requireRole(...roles), (req, res) => res.json({ ok: true }));
+      return app;
+    };
+
+    test('should allow admins holding a permitted role', async () => {
+      await request(appFor({ isAdmin: true, role: 'recruiter' }, 'owner', 'recruiter'))
+        .get('/protected')
+        .expect(200);
+    });
+
+    test('should forbid admins without a permitted role', async () => {
+      const response = await request(appFor({ isAdmin: true, role: 'editor' }, 'owner', 'recruiter'))
+        .get('/protected')
+        .expect(403);
+
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    test('should reject unauthenticated and role-less sessions', async () => {
+      await request(appFor({}, 'owner'))
+        .get('/protected')
+        .expect(401);
+
+      await request(appFor({ isAdmin: true }, 'owner'))
+        .get('/protected')
+        .expect(401);
+    });
+  });
+
+  test('should only be available to owners', async () => {
+    await request(appWithSession({ isAdmin: true, adminId: 2, role: 'editor' }))
+      .get('/api/admin/users')
+      .expect(403);
+
+    expect(mockDb.all).not.toHaveBeenCalled();
+  });
+
+  test('should list admins without password hashes', async () => {
+    mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 1, username: 'boss', role: 'owner' }]));
+
+    const response = await request(appWithSession(owner))
+      .get('/api/admin/users')
+      .expect(200);
+
+    expect(response.body).toEqual([{ id: 1, username: 'boss', role: 'owner' }]);
+    expect(mockDb.all.mock.calls[0][0]).not.toContain('password');
+  });
+
+  describe('POST /api/admin/users', () => {
+    test('should create an admin with a hashed password', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: 5, changes: 1 }));
+
+      const response = await request(appWithSession(owner))
+        .post('/api/admin/users')
+        .send({ username: 'scout', password: 'Str0ng!Pass', role: 'recruiter' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({ id: 5, username: 'scout', role: 'recruiter' });
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['scout', 'hashed:Str0ng!Pass', 'recruiter']);
+    });
+
+    test('should reject weak passwords and unknown roles', async () => {
+      await request(appWithSession(owner))
+        .post('/api/admin/users')
+        .send({ username: 'scout', password: 'password', role: 'recruiter' })
+        .expect(400);
+
+      await request(appWithSession(owner))
+        .post('/api/admin/users')
+        .send({ username: 'scout', password: 'Str0ng!Pass', role: 'superuser' })
+        .expect(400);
+    });
+
+    test('should report duplicate usernames as a conflict', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        const error = new Error('duplicate key value violates unique constraint');
+        error.code = '23505';
+        callback(error);
+      });
+
+      const response = await request(appWithSession(owner))
+        .post('/api/admin/users')
+        .send({ username: 'scout', password: 'Str0ng!Pass', role: 'editor' })
+        .expect(409);
+
+      expect(response.body.code).toBe('USERNAME_TAKEN');
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id', () => {
+    test('should change the role and end the admin\'s sessions', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3, username: 'ed', role: 'editor' }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      await request(appWithSession(owner))
+        .patch('/api/admin/users/3')
+        .send({ role: 'recruiter' })
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0]).toEqual(['UPDATE admins SET role = $1 WHERE id = $2', ['recruiter', 3], expect.any(Function)]);
+      expect(mockDb.run.mock.calls[1][0]).toContain('DELETE FROM sessions');
+      expect(mockDb.run.mock.calls[1][1]).toEqual(['3', '']);
+    });
+
+    test('should refuse to demote the last owner', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => {
+        callback(null, sql.includes('COUNT(*)') ? { total: '1' } : { id: 1, username: 'boss', role: 'owner' });
+      });
+
+      const response = await request(appWithSession(owner))
+        .patch('/api/admin/users/1')
+        .send({ role: 'editor' })
+        .expect(409);
+
+      expect(response.body.code).toBe('LAST_OWNER');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/users/:id/reset-token', () => {
+    test('should store only a hash of the issued token', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 4, username: 'scout' }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      const response = await request(appWithSession(owner))
+        .post('/api/admin/users/4/reset-token')
+        .expect(201);
+
+      expect(response.body.token).toMatch(/^[0-9a-f]{64}$/);
+      expect(mockDb.run.mock.calls[0][0]).toContain('DELETE FROM admin_password_resets');
+      const [insertSql, insertParams] = mockDb.run.mock.calls[1];
+      expect(insertSql).toContain('INSERT INTO admin_password_resets');
+      expect(insertParams[0]).toBe(4);
+      expect(insertParams[1]).not.toBe(response.body.token);
+      expect(insertParams[2]).toBe(1);
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id/two-factor', () => {
+    test('should clear the secret and recovery codes', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 4 }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      await request(appWithSession(owner))
+        .delete('/api/admin/users/4/two-factor')
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][0]).toContain('totp_secret = NULL');
+      expect(mockDb.run.mock.calls[0][1]).toEqual([4]);
+      expect(mockDb.run.mock.calls[1][0]).toContain('DELETE FROM admin_recovery_codes');
+    });
+  });
+
+  describe('DELETE /api/admin/users/:id', () => {
+    test('should not let owners delete themselves', async () => {
+      const response = await request(appWithSession(owner))
+        .delete('/api/admin/users/1')
+        .expect(409);
+
+      expect(response.body.code).toBe('SELF_DELETE');
+    });
+
+    test('should delete other admins', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 4, role: 'recruiter' }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      await request(appWithSession(owner))
+        .delete('/api/admin/users/4')
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][0]).toBe('DELETE FROM admins WHERE id = $1');
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const request = require('supertest');
+const express = require('express');
+
+// Back the db module with a real in-memory database, so stored answers can be read back
+jest.mock('../backend/db', () => require('./helpers/memoryDb')());
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+const CONTACT = { name: 'Anna Berg', email: 'anna@example.com', whatsapp: '1234567890' };
+
+const ANSWERS = {
+  game_id: 'AnnaB_10',
+  platform: 'PC',
+  position: 'Midfielder',
+  highlight_url: 'https://example.com/clip'
+};
+
+/**
+ * Tryout application Tests
+ */
+describe('Tryout Application', () => {
+  let app;
+  let memory;
+  let audit;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    memory = require('../backend/db').memory;
+    memory.reset();
+    audit = require('../backend/audit');
+
+    memory.query(
+      `INSERT INTO application_fields (name, label, type, required, options, max_length, help_text, position)
+       VALUES ($1, $2, 'text', TRUE, NULL, 20, NULL, 1),
+              ($3, $4, 'select', TRUE, $5, NULL, NULL, 2),
+              ($6, $7, 'select', FALSE, $8, NULL, NULL, 3),
+              ($9, $10, 'url', FALSE, NULL, NULL, $11, 4)`,
+      [
+        'game_id', 'In-game ID / username',
+        'platform', 'Platform', JSON.stringify(['PlayStation', 'Xbox', 'PC']),
+        'position', 'Preferred position', JSON.stringify(['Defender', 'Midfielder']),
+        'highlight_url', 'Highlight clip', 'Link to a clip'
+      ]
+    );
+
+    const { contactRouter } = require('../backend/contactRoutes');
+    const applicationFieldRoutes = require('../backend/applicationFieldRoutes');
+    app = express();
+    app.use(express.json());
+    app.use('/api/contact', contactRouter);
+    app.use('/api/admin/application-fields', applicationFieldRoutes);
+  });
+
+  const storedApplication = () => memory.query('SELECT application FROM contact_submissions', []).rows[0].application;
+
+  describe('GET /api/contact/form', () => {
+    test('should list the questions in form order without admin columns', async () => {
+      const response = await request(app)
+        .get('/api/contact/form')
+        .expect(200);
+
+      expect(response.body.map(field => field.name)).toEqual(['game_id', 'platform', 'position', 'highlight_url']);
+      expect(response.body[1]).toEqual({
+        name: 'platform',
+        label: 'Platform',
+        type: 'select',
+        required: true,
+        options: ['PlayStation', 'Xbox', 'PC'],
+        max_length: null,
+        min_value: null,
+        max_value: null,
+        help_text: null
+      });
+      expect(response.body[0]).not.toHaveProperty('id');
+      expect(response.body[0]).not.toHaveProperty('updated_at');
+    });
+  });
+
+  describe('POST /api/contact', () => {
+    test('should store the answers with the label that was asked', async () => {
+      await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: { ...ANSWERS, game_id: ' <b>AnnaB_10</b> ', unknown: 'dropped' } })
+        .expect(201);
+
+      expect(storedApplication()).toEqual([
+        { name: 'game_id', label: 'In-game ID / username', value: 'AnnaB_10' },
+        { name: 'platform', label: 'Platform', value: 'PC' },
+        { name: 'position', label: 'Preferred position', value: 'Midfielder' },
+        { name: 'highlight_url', label: 'Highlight clip', value: 'https://example.com/clip' }
+      ]);
+    });
+
+    test('should reject missing required answers, unknown choices and bad links', async () => {
+      const response = await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: { platform: 'Amiga', highlight_url: 'javascript:alert(1)' } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details).toEqual([
+        { field: 'application.game_id', message: 'In-game ID / username is required' },
+        { field: 'application.platform', message: 'Platform must be one of: PlayStation, Xbox, PC' },
+        { field: 'application.highlight_url', message: 'Highlight clip must be a valid http(s) link' }
+      ]);
+      expect(memory.query('SELECT id FROM contact_submissions', []).rows).toHaveLength(0);
+    });
+
+    test('should enforce the maximum length of a field', async () => {
+      const response = await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: { ...ANSWERS, game_id: 'x'.repeat(21) } })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'application.game_id', message: 'In-game ID / username must be at most 20 characters' }
+      ]);
+    });
+
+    test('should reject an application that is not an object of answers', async () => {
+      await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: ['AnnaB_10'] })
+        .expect(400);
+    });
+
+    test('should require the answers to required questions from a plain contact request', async () => {
+      const response = await request(app)
+        .post('/api/contact')
+        .send(CONTACT)
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        { field: 'application.game_id', message: 'In-game ID / username is required' },
+        { field: 'application.platform', message: 'Platform is required' }
+      ]);
+      expect(memory.query('SELECT id FROM contact_submissions', []).rows).toHaveLength(0);
+    });
+
+    test('should still accept a plain contact request when no question is required', async () => {
+      memory.query('UPDATE application_fields SET required = FALSE', []);
+
+      await request(app)
+        .post('/api/contact')
+        .send(CONTACT)
+        .expect(201);
+
+      expect(storedApplication()).toBeNull();
+    });
+
+    test('should ask questions added by an admin', async () => {
+      await request(app)
+        .post('/api/admin/application-fields')
+        .send({ name: 'age', label: 'Age', type: 'number', required: true, minValue: 16, maxValue: 60 })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: { ...ANSWERS, age: '15' } })
+        .expect(400);
+      expect(response.body.details).toEqual([{ field: 'application.age', message: 'Age must be at least 16' }]);
+
+      await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: { ...ANSWERS, age: '21' } })
+        .expect(201);
+      expect(storedApplication()).toContainEqual({ name: 'age', label: 'Age', value: 21 });
+    });
+  });
+
+  describe('POST /api/admin/application-fields', () => {
+    test('should add a field and record it in the audit log', async () => {
+      const response = await request(app)
+        .post('/api/admin/application-fields')
+        .send({
+          name: 'discord',
+          label: 'Discord <i>handle</i>',
+          type: 'select',
+          options: ['Yes', 'No', 'Yes'],
+          position: 5
+        })
+        .expect(201);
+
+      const field = memory.query('SELECT * FROM application_fields WHERE id = $1', [response.body.id]).rows[0];
+      expect(field).toMatchObject({ name: 'discord', label: 'Discord handle', options: ['Yes', 'No'], position: 5 });
+      expect(audit.recordAudit).toHaveBeenCalledWith(expect.anything(), {
+        action: 'create',
+        entityType: 'application_field',
+        entityId: response.body.id
+      });
+    });
+
+    test('should refuse a name that is already in use', async () => {
+      const response = await request(app)
+        .post('/api/admin/application-fields')
+        .send({ name: 'platform', label: 'Console', type: 'text' })
+        .expect(409);
+
+      expect(response.body.code).toBe('FIELD_NAME_TAKEN');
+    });
+
+    test('should refuse select fields without options and options on other fields', async () => {
+      const withoutOptions = await request(app)
+        .post('/api/admin/application-fields')
+        .send({ name: 'team', label: 'Team', type: 'select' })
+        .expect(400);
+      expect(withoutOptions.body.error).toBe('Select fields need at least one option');
+
+      const stray = await request(app)
+        .post('/api/admin/application-fields')
+        .send({ name: 'team', label: 'Team', type: 'text', options: ['A'] })
+        .expect(400);
+      expect(stray.body.error).toBe('Only select fields take options');
+    });
+
+    test('should reject an invalid name and type', async () => {
+      const response = await request(app)
+        .post('/api/admin/application-fields')
+        .send({ name: 'Game ID', label: 'Game ID', type: 'date' })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['name', 'type']);
+    });
+  });
+
+  describe('PATCH /api/admin/application-fields/:id', () => {
+    test('should change a field and return it', async () => {
+      const response = await request(app)
+        .patch('/api/admin/application-fields/2')
+        .send({ options: ['PlayStation', 'PC'], required: false })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ id: 2, name: 'platform', required: false, options: ['PlayStation', 'PC'] });
+      expect(audit.recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'update',
+        entityType: 'application_field',
+        entityId: '2',
+        before: expect.objectContaining({ options: ['PlayStation', 'Xbox', 'PC'] })
+      }));
+    });
+
+    test('should check the changed definition as a whole', async () => {
+      const response = await request(app)
+        .patch('/api/admin/application-fields/2')
+        .send({ type: 'text' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Only select fields take options');
+    });
+
+    test('should return 404 for an unknown field', async () => {
+      await request(app)
+        .patch('/api/admin/application-fields/99')
+        .send({ label: 'Nothing' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/admin/application-fields/:id', () => {
+    test('should remove the question but keep earlier answers', async () => {
+      await request(app)
+        .post('/api/contact')
+        .send({ ...CONTACT, application: ANSWERS })
+        .expect(201);
+
+      await request(app)
+        .delete('/api/admin/application-fields/4')
+        .expect(200);
+
+      const form = await request(app).get('/api/contact/form').expect(200);
+      expect(form.body.map(field => field.name)).not.toContain('highlight_url');
+      expect(storedApplication()).toContainEqual(expect.objectContaining({ name: 'highlight_url' }));
+    });
+
+    test('should return 404 for an unknown field', async () => {
+      await request(app)
+        .delete('/api/admin/application-fields/99')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+/**
+ * Audit Log Tests
+ */
+describe('Audit Log', () => {
+  let mockDb;
+  let audit;
+
+  const adminRequest = {
+    session: { isAdmin: true, adminId: 2, username: 'coach' },
+    correlationId: 'req-123',
+    ip: '203.0.113.7'
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    audit = require('../backend/audit');
+    mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: 1, changes: 1 }));
+  });
+
+  describe('recordAudit', () => {
+    test('should store the actor, before/after snapshots and correlation ID of an update', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 7, name: 'New Name' }));
+
+      await audit.recordAudit(adminRequest, {
+        action: audit.AUDIT_ACTIONS.UPDATE,
+        entityType: 'player',
+        entityId: '7',
+        before: { id: 7, name: 'Old Name' }
+      });
+
+      expect(mockDb.get.mock.calls[0][0]).toContain('FROM players WHERE id = $1');
+      const [sql, params] = mockDb.run.mock.calls[0];
+      expect(sql).toContain('INSERT INTO audit_log');
+      expect(params).toEqual([
+        2,
+        'coach',
+        'update',
+        'player',
+        7,
+        JSON.stringify({ id: 7, name: 'Old Name' }),
+        JSON.stringify({ id: 7, name: 'New Name' }),
+        'req-123',
+        '203.0.113.7'
+      ]);
+    });
+
+    test('should not read an after snapshot for deletes', async () => {
+      await audit.recordAudit(adminRequest, {
+        action: audit.AUDIT_ACTIONS.DELETE,
+        entityType: 'manager',
+        entityId: 3,
+        before: { id: 3, name: 'Boss' }
+      });
+
+      expect(mockDb.get).not.toHaveBeenCalled();
+      const params = mockDb.run.mock.calls[0][1];
+      expect(params[5]).toBe(JSON.stringify({ id: 3, name: 'Boss' }));
+      expect(params[6]).toBeNull();
+    });
+
+    test('should record public submissions without an actor', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 9, name: 'Fan' }));
+
+      await audit.recordAudit({ session: {}, ip: '198.51.100.1' }, {
+        action: audit.AUDIT_ACTIONS.CREATE,
+        entityType: 'contact_submission',
+        entityId: 9
+      });
+
+      const params = mockDb.run.mock.calls[0][1];
+      expect(params.slice(0, 2)).toEqual([null, null]);
+      expect(params[5]).toBeNull();
+    });
+
+    test('should not throw when the entry cannot be written', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 1 }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(new Error('connection lost')));
+
+      await expect(audit.recordAudit(adminRequest, {
+        action: audit.AUDIT_ACTIONS.CREATE,
+        entityType: 'trophy',
+        entityId: 1
+      })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    let app;
+
+    beforeEach(() => {
+      const auditRoutes = require('../backend/auditRoutes');
+
+      app = express();
+      app.use((req, res, next) => {
+        req.session = { isAdmin: true, adminId: 1, role: 'owner' };
+        next();
+      });
+      app.use('/api/admin/audit', auditRoutes);
+    });
+
+    test('should list filtered entries with pagination headers', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4, action: 'delete' }]));
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { total: '61' }));
+
+      const response = await request(app)
+        .get('/api/admin/audit?entityType=player&entityId=7&from=2024-01-01T00:00:00Z&page=2&limit=30')
+        .expect(200);
+
+      expect(response.body).toEqual([{ id: 4, action: 'delete' }]);
+      expect(response.headers['x-total-count']).toBe('61');
+      expect(response.headers.link).toContain('rel="next"');
+
+      const [listSql, listParams] = mockDb.all.mock.calls[0];
+      expect(listSql).toContain('WHERE entity_type = $1 AND entity_id = $2 AND created_at >= $3');
+      expect(listSql).toContain('ORDER BY created_at DESC');
+      expect(listParams).toEqual(['player', '7', '2024-01-01T00:00:00Z', 30, 30]);
+
+      const [countSql, countParams] = mockDb.get.mock.calls[0];
+      expect(countSql).toContain('WHERE entity_type = $1 AND entity_id = $2 AND created_at >= $3');
+      expect(countParams).toEqual(['player', '7', '2024-01-01T00:00:00Z']);
+    });
+
+    test('should filter by actor and correlation ID', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, []));
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { total: '0' }));
+
+      await request(app)
+        .get('/api/admin/audit?actorId=2&correlationId=req-123')
+        .expect(200);
+
+      const [listSql, listParams] = mockDb.all.mock.calls[0];
+      expect(listSql).toContain('WHERE actor_id = $1 AND correlation_id = $2');
+      expect(listParams).toEqual(['2', 'req-123', 50, 0]);
+    });
+
+    test('should reject invalid filters', async () => {
+      await request(app)
+        .get('/api/admin/audit?entityType=admins')
+        .expect(400);
+      await request(app)
+        .get('/api/admin/audit?action=drop')
+        .expect(400);
+      await request(app)
+        .get('/api/admin/audit?from=yesterday')
+        .expect(400);
+
+      expect(mockDb.all).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,374 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn(async password => `hashed:${password}`),
+  compare: jest.fn(async (password, hash) => hash === `hashed:${password}`)
+}));
+
+/**
+ * Admin Password and Two-Factor Authentication Tests
+ */
+describe('Admin Auth Routes', () => {
+  let mockDb;
+
+  const appWithSession = session => {
+    const { router } = require('../backend/auth');
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { id: 'current-sid', destroy: jest.fn(), ...session };
+      req.sessionID = 'current-sid';
+      next();
+    });
+    app.use('/api', router);
+    return app;
+  };
+
+  // Unlike appWithSession, changes made by one request are visible to the next
+  const appWithSharedSession = session => {
+    const { router } = require('../backend/auth');
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = session;
+      req.sessionID = 'current-sid';
+      next();
+    });
+    app.use('/api', router);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    global.MOCK_MODE = false;
+
+    mockDb = require('../backend/db');
+    mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+  });
+
+  afterEach(() => {
+    global.MOCK_MODE = true;
+  });
+
+  describe('POST /api/admin/password', () => {
+    const admin = { isAdmin: true, adminId: 3, role: 'editor' };
+
+    test('should change the password and log out other sessions', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3, password: 'hashed:Old!Pass1' }));
+
+      await request(appWithSession(admin))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'Old!Pass1', newPassword: 'New!Pass22' })
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0]).toEqual([
+        'UPDATE admins SET password = $1 WHERE id = $2',
+        ['hashed:New!Pass22', 3],
+        expect.any(Function)
+      ]);
+      expect(mockDb.run.mock.calls[1][0]).toContain('DELETE FROM sessions');
+      expect(mockDb.run.mock.calls[1][1]).toEqual(['3', 'current-sid']);
+    });
+
+    test('should reject an incorrect current password', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3, password: 'hashed:Old!Pass1' }));
+
+      const response = await request(appWithSession(admin))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'wrong', newPassword: 'New!Pass22' })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_CURRENT_PASSWORD');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should enforce the password policy', async () => {
+      await request(appWithSession(admin))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'Old!Pass1', newPassword: 'weakpass' })
+        .expect(400);
+
+      await request(appWithSession(admin))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'Old!Pass1', newPassword: 'Old!Pass1' })
+        .expect(400);
+    });
+
+    test('should require a logged-in admin', async () => {
+      await request(appWithSession({}))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'Old!Pass1', newPassword: 'New!Pass22' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/admin/password/reset', () => {
+    const token = 'a'.repeat(64);
+
+    test('should claim the token once, set the password and end all sessions', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { admin_id: 7 }));
+
+      await request(appWithSession({}))
+        .post('/api/admin/password/reset')
+        .send({ token, newPassword: 'New!Pass22' })
+        .expect(200);
+
+      const [claimSql, claimParams] = mockDb.get.mock.calls[0];
+      expect(claimSql).toContain('used_at IS NULL AND expires_at > CURRENT_TIMESTAMP');
+      expect(claimParams).toEqual([crypto.createHash('sha256').update(token).digest('hex')]);
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['hashed:New!Pass22', 7]);
+      expect(mockDb.run.mock.calls[1][1]).toEqual(['7', '']);
+    });
+
+    test('should reject used, expired or unknown tokens', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      const response = await request(appWithSession({}))
+        .post('/api/admin/password/reset')
+        .send({ token, newPassword: 'New!Pass22' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_RESET_TOKEN');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/login lockout', () => {
+    const now = 1700000000000;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should refuse locked usernames without checking the password', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      mockDb.get.mockImplementation((sql, params, callback) => {
+        callback(null, { failures: '5', last_failed_at: new Date(now - 15000) });
+      });
+
+      const response = await request(appWithSession({}))
+        .post('/api/admin/login')
+        .send({ username: 'coach', password: 'Coach!Pass1' })
+        .expect(429);
+
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+      expect(response.headers['retry-after']).toBe('45');
+      expect(mockDb.get.mock.calls.some(([sql]) => sql.includes('FROM admins'))).toBe(false);
+      expect(mockDb.run.mock.calls[0][1]).toEqual(expect.arrayContaining(['coach', false, 'locked']));
+    });
+
+    test('should record failed and successful logins', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => {
+        callback(null, sql.includes('FROM admins') ? { id: 2, username: 'coach', password: 'hashed:Coach!Pass1' } : null);
+      });
+
+      await request(appWithSession({}))
+        .post('/api/admin/login')
+        .send({ username: 'coach', password: 'Wrong!Pass1' })
+        .expect(401);
+      expect(mockDb.run.mock.calls[0][1]).toEqual(expect.arrayContaining(['coach', false, 'invalid_password']));
+
+      mockDb.run.mockClear();
+      await request(appWithSession({}))
+        .post('/api/admin/login')
+        .send({ username: 'coach', password: 'Coach!Pass1' })
+        .expect(200);
+      const insert = mockDb.run.mock.calls.find(([sql]) => sql.includes('INSERT INTO login_attempts'));
+      expect(insert[1]).toEqual(expect.arrayContaining(['coach', true, 'success']));
+    });
+  });
+
+  describe('Mock mode', () => {
+    test('should log in with a password changed while in mock mode', async () => {
+      global.MOCK_MODE = true;
+      let stored = 'hashed:Old!Pass1';
+      mockDb.get.mockImplementation((sql, params, callback) => {
+        callback(null, sql.includes('FROM admins') ? { id: 2, username: 'coach', role: 'editor', password: stored } : null);
+      });
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        if (sql.startsWith('UPDATE admins SET password')) {
+          stored = params[0];
+        }
+        callback(null, { lastID: null, changes: 1 });
+      });
+
+      await request(appWithSession({ isAdmin: true, adminId: 2, role: 'editor' }))
+        .post('/api/admin/password')
+        .send({ currentPassword: 'Old!Pass1', newPassword: 'New!Pass22' })
+        .expect(200);
+
+      await request(appWithSession({}))
+        .post('/api/admin/login')
+        .send({ username: 'coach', password: 'New!Pass22' })
+        .expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    // Fixed clock: 2023-11-14T22:13:20Z
+    const now = 1700000000000;
+    const secret = 'JBSWY3DPEHPK3PXP';
+    const admin = {
+      id: 5,
+      username: 'coach',
+      role: 'editor',
+      password: 'hashed:Coach!Pass1',
+      totp_secret: secret,
+      totp_enabled: true
+    };
+    let totp;
+
+    beforeEach(() => {
+      totp = require('../backend/totp');
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should not grant admin access until the second factor is verified', async () => {
+      const session = { id: 'current-sid' };
+      const app = appWithSharedSession(session);
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, admin));
+
+      const login = await request(app)
+        .post('/api/admin/login')
+        .send({ username: 'coach', password: 'Coach!Pass1' })
+        .expect(200);
+
+      expect(login.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(session.isAdmin).toBeUndefined();
+      expect(session.pendingTwoFactor.adminId).toBe(5);
+
+      const status = await request(app).get('/api/admin/status').expect(200);
+      expect(status.body.loggedIn).toBe(false);
+      expect(status.body.twoFactorPending).toBe(true);
+
+      await request(app)
+        .post('/api/admin/login/2fa')
+        .send({ code: totp.generateCode(secret, now) })
+        .expect(200);
+
+      expect(session.isAdmin).toBe(true);
+      expect(session.role).toBe('editor');
+      expect(session.ip).toEqual(expect.any(String));
+      expect(session.lastActivity).toBe(session.loginTime);
+      expect(session.pendingTwoFactor).toBeUndefined();
+      expect(mockDb.run.mock.calls[0]).toEqual([
+        expect.stringContaining('SET totp_last_step = $1'),
+        [totp.timeStep(now), 5],
+        expect.any(Function)
+      ]);
+    });
+
+    test('should reject a code whose time step was already used', async () => {
+      const session = { id: 'current-sid', pendingTwoFactor: { adminId: 5, expiresAt: now + 60000, attempts: 0 } };
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, admin));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      const response = await request(appWithSharedSession(session))
+        .post('/api/admin/login/2fa')
+        .send({ code: totp.generateCode(secret, now) })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+      expect(response.body.attemptsRemaining).toBe(4);
+      expect(session.isAdmin).toBeUndefined();
+    });
+
+    test('should accept an unused recovery code', async () => {
+      const session = { id: 'current-sid', pendingTwoFactor: { adminId: 5, expiresAt: now + 60000, attempts: 0 } };
+      mockDb.get.mockImplementation((sql, params, callback) => {
+        callback(null, sql.includes('admin_recovery_codes') ? { id: 12 } : admin);
+      });
+
+      await request(appWithSharedSession(session))
+        .post('/api/admin/login/2fa')
+        .send({ recoveryCode: 'AB12C-D34EF' })
+        .expect(200);
+
+      const [claimSql, claimParams] = mockDb.get.mock.calls.find(([sql]) => sql.includes('admin_recovery_codes'));
+      expect(claimSql).toContain('used_at IS NULL');
+      expect(claimParams).toEqual([5, totp.hashRecoveryCode('ab12cd34ef')]);
+      expect(session.isAdmin).toBe(true);
+    });
+
+    test('should end the pending login after too many wrong codes', async () => {
+      const session = { id: 'current-sid', pendingTwoFactor: { adminId: 5, expiresAt: now + 60000, attempts: 4 } };
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, admin));
+
+      await request(appWithSharedSession(session))
+        .post('/api/admin/login/2fa')
+        .send({ code: '000000' })
+        .expect(401);
+
+      expect(session.pendingTwoFactor).toBeUndefined();
+    });
+
+    test('should require a recent password step', async () => {
+      const session = { id: 'current-sid', pendingTwoFactor: { adminId: 5, expiresAt: now - 1, attempts: 0 } };
+
+      const response = await request(appWithSharedSession(session))
+        .post('/api/admin/login/2fa')
+        .send({ code: totp.generateCode(secret, now) })
+        .expect(401);
+
+      expect(response.body.code).toBe('TWO_FACTOR_EXPIRED');
+      expect(mockDb.get).not.toHaveBeenCalled();
+    });
+
+    test('should enrol with a confirmed code and store only hashed recovery codes', async () => {
+      const session = { id: 'current-sid', isAdmin: true, adminId: 5, role: 'editor' };
+      const app = appWithSharedSession(session);
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { ...admin, totp_enabled: false }));
+
+      const setup = await request(app).post('/api/admin/2fa/setup').expect(200);
+      expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+
+      await request(app)
+        .post('/api/admin/2fa/enable')
+        .send({ code: '000000' })
+        .expect(400);
+
+      const enable = await request(app)
+        .post('/api/admin/2fa/enable')
+        .send({ code: totp.generateCode(setup.body.secret, now) })
+        .expect(200);
+
+      expect(enable.body.recoveryCodes).toHaveLength(10);
+      expect(mockDb.run.mock.calls[0][1]).toEqual([setup.body.secret, totp.timeStep(now), 5]);
+      const [insertSql, insertParams] = mockDb.run.mock.calls[2];
+      expect(insertSql).toContain('INSERT INTO admin_recovery_codes');
+      expect(insertParams).toEqual([5, ...enable.body.recoveryCodes.map(totp.hashRecoveryCode)]);
+      expect(session.pendingTotpSecret).toBeUndefined();
+    });
+
+    test('should require the password and a second factor to disable', async () => {
+      const session = { id: 'current-sid', isAdmin: true, adminId: 5, role: 'editor' };
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, admin));
+
+      await request(appWithSharedSession(session))
+        .post('/api/admin/2fa/disable')
+        .send({ password: 'wrong', code: totp.generateCode(secret, now) })
+        .expect(401);
+      expect(mockDb.run).not.toHaveBeenCalled();
+
+      await request(appWithSharedSession(session))
+        .post('/api/admin/2fa/disable')
+        .send({ password: 'Coach!Pass1', code: totp.generateCode(secret, now) })
+        .expect(200);
+      expect(mockDb.run.mock.calls[1][0]).toContain('totp_enabled = FALSE');
+    });
+  });
+});
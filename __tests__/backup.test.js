@@ -0,0 +1,246 @@
+const { objectKey } = require('../backend/storage/keys');
+
+// better-sqlite3 is an optional dependency
+const hasSqlite = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+const describeWithSqlite = hasSqlite ? describe : describe.skip;
+
+// Storage driver keeping images in a Map, with URLs under `baseUrl`
+function memoryStorage(name, baseUrl) {
+  const objects = new Map();
+  const owns = url => typeof url === 'string' && url.startsWith(`${baseUrl}/`);
+  return {
+    name,
+    objects,
+    owns,
+    keyOf: url => (owns(url) ? url.slice(baseUrl.length + 1) : null),
+    save: jest.fn((buffer, { folder, extension }) => {
+      const url = `${baseUrl}/${objectKey(folder, buffer, extension)}`;
+      objects.set(url, buffer);
+      return Promise.resolve(url);
+    }),
+    read: jest.fn(url => (objects.has(url)
+      ? Promise.resolve(objects.get(url))
+      : Promise.reject(new Error(`No such image ${url}`)))),
+    remove: jest.fn(url => Promise.resolve(objects.delete(url)))
+  };
+}
+
+/**
+ * Backup and restore Tests
+ */
+describe('Backups', () => {
+  describe('archives', () => {
+    const { ArchiveError, packArchive, unpackArchive } = require('../backend/backup/archive');
+
+    test('should unpack the files it packed', async () => {
+      const image = Buffer.alloc(1500, 7);
+      const archive = await packArchive([
+        { name: 'manifest.json', data: Buffer.from('{}') },
+        { name: 'images/players/1.webp', data: image }
+      ]);
+
+      const files = await unpackArchive(archive);
+
+      expect([...files.keys()]).toEqual(['manifest.json', 'images/players/1.webp']);
+      expect(files.get('images/players/1.webp')).toEqual(image);
+    });
+
+    test('should reject damaged archives', async () => {
+      const zlib = require('zlib');
+      const tar = zlib.gunzipSync(await packArchive([{ name: 'manifest.json', data: Buffer.from('{}') }]));
+      tar.write('x', 0);
+
+      await expect(unpackArchive(zlib.gzipSync(tar))).rejects.toThrow(ArchiveError);
+      await expect(unpackArchive(Buffer.from('not gzip'))).rejects.toThrow(ArchiveError);
+    });
+  });
+
+  describe('snapshot', () => {
+    const { createBackup } = require('../backend/backup');
+
+    test('should read every table on one client in a read-only repeatable read transaction', async () => {
+      const client = {
+        query: jest.fn(sql => Promise.resolve({ rows: sql.includes('schema_migrations') ? [{ version: 6 }] : [] })),
+        release: jest.fn()
+      };
+      const pool = { query: jest.fn(), connect: jest.fn(() => Promise.resolve(client)) };
+
+      const { manifest } = await createBackup(pool, { images: false });
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+      expect(statements.at(-1)).toBe('COMMIT');
+      expect(statements.filter(sql => sql.startsWith('SELECT * FROM'))).toHaveLength(manifest.tables.length);
+      expect(manifest.schemaVersion).toBe(6);
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describeWithSqlite('backup and restore', () => {
+    const migrator = require('../backend/migrator');
+    const { SqlitePool } = require('../backend/sqlite');
+    const { packArchive, unpackArchive } = require('../backend/backup/archive');
+    const { BackupError, createBackup, readBackup, restoreBackup } = require('../backend/backup');
+
+    const now = new Date('2024-06-01T12:00:00.000Z');
+    let source;
+    let target;
+    let oldStorage;
+    let newStorage;
+    let photoUrl;
+
+    const storageFor = url => (oldStorage.owns(url) ? oldStorage : null);
+
+    beforeEach(async () => {
+      source = new SqlitePool(':memory:');
+      target = new SqlitePool(':memory:');
+      await migrator.migrateUp(source);
+      oldStorage = memoryStorage('s3', 'https://old.example.com');
+      newStorage = memoryStorage('local', '/uploads');
+
+      photoUrl = await oldStorage.save(Buffer.from('photo'), { folder: 'players', extension: '.webp' });
+      const originalUrl = await oldStorage.save(Buffer.from('original'), { folder: 'players', extension: '.jpg' });
+      const variants = { sources: [{ format: 'webp', width: 300, url: photoUrl }], original: { url: originalUrl } };
+
+      await source.query(
+        'INSERT INTO matches (id, opponent, scheduled_at, status) VALUES (4, $1, $2, $3)',
+        ['Rivals FC', now, 'finished']
+      );
+      await source.query(
+        'INSERT INTO players (id, name, jerseyNumber, stars, imageUrl, image_variants) VALUES (5, $1, 7, 5, $2, $3)',
+        ['Anna Berg', photoUrl, variants]
+      );
+      await source.query(
+        'INSERT INTO players (id, name, jerseyNumber, stars, deleted_at) VALUES (6, $1, 9, 3, $2)',
+        ['Carl Dahl', now]
+      );
+      await source.query(
+        'INSERT INTO managers (name, role, imageUrl) VALUES ($1, $2, $3)',
+        ['Eva Falk', 'Head Coach', '/images/default-manager.png']
+      );
+      await source.query('INSERT INTO trophies (id, name, year, match_id) VALUES (3, $1, 2023, 4)', ['League Cup']);
+      await source.query('INSERT INTO trophy_winners (trophy_id, player_id) VALUES (3, 5)');
+      await source.query(
+        'INSERT INTO player_match_stats (player_id, match_date, goals, mvp) VALUES (5, $1, 2, $2)',
+        ['2024-05-01', true]
+      );
+    });
+
+    afterEach(async () => {
+      await source.end();
+      await target.end();
+    });
+
+    test('should rebuild the content and images in a fresh database', async () => {
+      const { archive, manifest } = await createBackup(source, { storageFor, now });
+
+      expect(manifest).toMatchObject({ dialect: 'sqlite', createdAt: now.toISOString(), missingImages: [] });
+      expect(manifest.images.map(image => image.folder)).toEqual(['players', 'players']);
+
+      const restored = await restoreBackup(target, archive, { storage: newStorage });
+
+      expect(restored.images).toBe(2);
+      expect(restored.tables).toEqual(expect.arrayContaining([{ name: 'players', rows: 2 }]));
+
+      const { rows: players } = await target.query(
+        'SELECT id, name, imageUrl AS "imageUrl", image_variants, deleted_at FROM players ORDER BY id'
+      );
+      expect(players.map(player => [player.id, player.name])).toEqual([[5, 'Anna Berg'], [6, 'Carl Dahl']]);
+      expect(players[1].deleted_at).toEqual(now);
+
+      const [anna] = players;
+      expect(newStorage.owns(anna.imageUrl)).toBe(true);
+      expect(newStorage.objects.get(anna.imageUrl)).toEqual(Buffer.from('photo'));
+      expect(anna.image_variants.sources[0].url).toBe(anna.imageUrl);
+      expect(newStorage.objects.get(anna.image_variants.original.url)).toEqual(Buffer.from('original'));
+
+      const { rows: managers } = await target.query('SELECT imageUrl AS "imageUrl" FROM managers');
+      expect(managers).toEqual([{ imageUrl: '/images/default-manager.png' }]);
+      const { rows: winners } = await target.query('SELECT trophy_id, player_id FROM trophy_winners');
+      expect(winners).toEqual([{ trophy_id: 3, player_id: 5 }]);
+      const { rows: stats } = await target.query('SELECT goals, mvp FROM player_match_stats');
+      expect(stats).toEqual([{ goals: 2, mvp: true }]);
+
+      // New rows continue after the restored ids
+      const { rows: [added] } = await target.query(
+        'INSERT INTO players (name, jerseyNumber, stars) VALUES ($1, 10, 3) RETURNING id',
+        ['New Player']
+      );
+      expect(added.id).toBe(7);
+    });
+
+    test('should keep image URLs when restoring without images', async () => {
+      const { archive } = await createBackup(source, { storageFor, images: false, now });
+
+      const restored = await restoreBackup(target, archive, { storage: newStorage, images: false });
+
+      expect(restored.images).toBe(0);
+      expect(newStorage.save).not.toHaveBeenCalled();
+      const { rows } = await target.query('SELECT imageUrl AS "imageUrl" FROM players WHERE id = 5');
+      expect(rows).toEqual([{ imageUrl: photoUrl }]);
+    });
+
+    test('should list images it cannot read and carry on', async () => {
+      oldStorage.objects.delete(photoUrl);
+
+      const { manifest } = await createBackup(source, { storageFor, now });
+
+      expect(manifest.images).toHaveLength(1);
+      expect(manifest.missingImages).toEqual([{ url: photoUrl, error: `No such image ${photoUrl}` }]);
+    });
+
+    test('should refuse a database that already has content', async () => {
+      const { archive } = await createBackup(source, { storageFor, now });
+
+      await expect(restoreBackup(source, archive, { storage: newStorage }))
+        .rejects.toThrow('Restoring needs a database without content, but matches has rows');
+      expect(newStorage.save).not.toHaveBeenCalled();
+    });
+
+    test('should refuse backups from a newer schema', async () => {
+      const { archive } = await createBackup(source, { storageFor, now });
+      const older = migrator.loadMigrations(migrator.MIGRATIONS_DIR, 'sqlite').slice(0, 1);
+
+      await expect(restoreBackup(target, archive, { storage: newStorage, migrations: older }))
+        .rejects.toThrow(BackupError);
+    });
+
+    test('should detect files that do not match the manifest', async () => {
+      const { archive } = await createBackup(source, { storageFor, now });
+      const files = await unpackArchive(archive);
+      files.set('tables/players.json', Buffer.from('[]'));
+      const tampered = await packArchive([...files].map(([name, data]) => ({ name, data })));
+
+      await expect(readBackup(tampered)).rejects.toThrow('Checksum mismatch for tables/players.json');
+    });
+
+    test('should leave nothing behind when the rows cannot be inserted', async () => {
+      const { archive } = await createBackup(source, { storageFor, now });
+      const files = await unpackArchive(archive);
+      const manifest = JSON.parse(files.get('manifest.json'));
+      const broken = Buffer.from(JSON.stringify([{ id: 1, player_id: 999, match_date: '2024-05-01' }]));
+      files.set('tables/player_match_stats.json', broken);
+      manifest.tables.find(table => table.name === 'player_match_stats').sha256 =
+        require('crypto').createHash('sha256').update(broken).digest('hex');
+      files.set('manifest.json', Buffer.from(JSON.stringify(manifest)));
+
+      // Matched by code: better-sqlite3 errors come from whichever test file loaded the addon first,
+      // so they are not always instances of this file's Error
+      await expect(restoreBackup(target, await packArchive([...files].map(([name, data]) => ({ name, data }))), {
+        storage: newStorage
+      })).rejects.toMatchObject({ code: '23503' });
+
+      expect(newStorage.objects.size).toBe(0);
+      const { rows } = await target.query('SELECT COUNT(*) AS count FROM players');
+      expect(Number(rows[0].count)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const request = require('supertest');
+const express = require('express');
+
+// Back the db module with a real in-memory database, so updates run in an actual transaction
+jest.mock('../backend/db', () => require('./helpers/memoryDb')());
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+/**
+ * Contact inbox Tests
+ */
+describe('Registered Users Routes', () => {
+  let app;
+  let memory;
+  let audit;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    memory = require('../backend/db').memory;
+    memory.reset();
+    audit = require('../backend/audit');
+
+    memory.query(
+      'INSERT INTO admins (id, username, password, role) VALUES (1, $1, $2, $3), (2, $4, $2, $5), (3, $6, $2, $7)',
+      ['alice', 'hash', 'owner', 'bob', 'recruiter', 'eve', 'editor']
+    );
+    [
+      ['Anna Berg', 'anna@example.com', '1234567890', '2024-05-01T10:00:00Z'],
+      ['Carl Dahl', 'carl@example.com', '2345678901', '2024-05-02T10:00:00Z'],
+      ['Eva Falk', 'eva@example.com', '3456789012', '2024-05-03T10:00:00Z']
+    ].forEach(([name, email, whatsapp, date]) => memory.query(
+      'INSERT INTO contact_submissions (name, email, whatsapp, submission_date) VALUES ($1, $2, $3, $4)',
+      [name, email, whatsapp, new Date(date)]
+    ));
+
+    const { registeredUsersRouter } = require('../backend/contactRoutes');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { adminId: 1 };
+      next();
+    });
+    app.use('/api/registered-users', registeredUsersRouter);
+  });
+
+  describe('GET /api/registered-users', () => {
+    test('should list submissions newest first with ids and triage state', async () => {
+      const response = await request(app)
+        .get('/api/registered-users')
+        .expect(200);
+
+      expect(response.body.map(submission => submission.name)).toEqual(['Eva Falk', 'Carl Dahl', 'Anna Berg']);
+      expect(response.body[0]).toMatchObject({
+        id: 3,
+        email: 'eva@example.com',
+        status: 'new',
+        assignee_id: null,
+        notes: null,
+        tags: []
+      });
+      expect(response.headers['x-total-count']).toBe('3');
+    });
+
+    test('should paginate with headers', async () => {
+      const response = await request(app)
+        .get('/api/registered-users?page=2&limit=2')
+        .expect(200);
+
+      expect(response.body.map(submission => submission.id)).toEqual([1]);
+      expect(response.headers['x-total-count']).toBe('3');
+      expect(response.headers['x-page']).toBe('2');
+      expect(response.headers['x-per-page']).toBe('2');
+      expect(response.headers.link).toContain('rel="first"');
+    });
+
+    test('should filter by status, assignee, tag and search', async () => {
+      await request(app)
+        .patch('/api/registered-users/1')
+        .send({ status: 'trialist', assigneeId: 2, tags: ['Goalkeeper'] });
+      await request(app).patch('/api/registered-users/2').send({ notes: 'Plays as striker' });
+
+      const byStatus = await request(app).get('/api/registered-users?status=trialist').expect(200);
+      expect(byStatus.body.map(submission => submission.id)).toEqual([1]);
+
+      const byAssignee = await request(app).get('/api/registered-users?assigneeId=2').expect(200);
+      expect(byAssignee.body[0]).toMatchObject({ id: 1, assignee_username: 'bob' });
+
+      const unassigned = await request(app).get('/api/registered-users?assigneeId=unassigned').expect(200);
+      expect(unassigned.body.map(submission => submission.id)).toEqual([3, 2]);
+
+      const byTag = await request(app).get('/api/registered-users?tag=goalkeeper').expect(200);
+      expect(byTag.body.map(submission => submission.id)).toEqual([1]);
+
+      const bySearch = await request(app).get('/api/registered-users?q=STRIKER').expect(200);
+      expect(bySearch.body.map(submission => submission.id)).toEqual([2]);
+      expect(bySearch.headers['x-total-count']).toBe('1');
+    });
+
+    test('should search for wildcard characters literally', async () => {
+      await request(app).patch('/api/registered-users/1').send({ notes: 'Gives 100% every match' });
+      await request(app).patch('/api/registered-users/2').send({ notes: 'Tag a_b, path C:\\games' });
+      await request(app).patch('/api/registered-users/3').send({ notes: 'Gives 1000 percent, tag axb' });
+
+      const percent = await request(app).get('/api/registered-users?q=100%25').expect(200);
+      expect(percent.body.map(submission => submission.id)).toEqual([1]);
+
+      const underscore = await request(app).get('/api/registered-users?q=a_b').expect(200);
+      expect(underscore.body.map(submission => submission.id)).toEqual([2]);
+
+      const backslash = await request(app).get('/api/registered-users?q=C%3A%5Cgames').expect(200);
+      expect(backslash.body.map(submission => submission.id)).toEqual([2]);
+    });
+
+    test('should reject unknown filter values', async () => {
+      const response = await request(app)
+        .get('/api/registered-users?status=hired&assigneeId=abc')
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['status', 'assigneeId']);
+    });
+  });
+
+  describe('GET /api/registered-users/assignees', () => {
+    test('should list owners and recruiters', async () => {
+      const response = await request(app)
+        .get('/api/registered-users/assignees')
+        .expect(200);
+
+      expect(response.body).toEqual([
+        { id: 1, username: 'alice', role: 'owner' },
+        { id: 2, username: 'bob', role: 'recruiter' }
+      ]);
+    });
+  });
+
+  describe('PATCH /api/registered-users/:id', () => {
+    test('should update the triage state and record the previous one', async () => {
+      const response = await request(app)
+        .patch('/api/registered-users/2')
+        .send({ status: 'contacted', assigneeId: 2, notes: '  Called on Monday  ', tags: ['u18', 'Striker', 'u18'] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        id: 2,
+        status: 'contacted',
+        assignee_id: 2,
+        assignee_username: 'bob',
+        notes: 'Called on Monday',
+        tags: ['striker', 'u18']
+      });
+      expect(response.body.updated_at).toBeTruthy();
+      expect(audit.recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'update',
+        entityType: 'contact_submission',
+        entityId: '2',
+        before: expect.objectContaining({ status: 'new', tags: [] })
+      }));
+    });
+
+    test('should leave fields that are not sent unchanged', async () => {
+      await request(app).patch('/api/registered-users/1').send({ assigneeId: 1, tags: ['keeper'] }).expect(200);
+
+      const response = await request(app)
+        .patch('/api/registered-users/1')
+        .send({ status: 'signed' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ status: 'signed', assignee_id: 1, tags: ['keeper'] });
+    });
+
+    test('should unassign and clear notes with null', async () => {
+      await request(app).patch('/api/registered-users/1').send({ assigneeId: 2, notes: 'Follow up' }).expect(200);
+
+      const response = await request(app)
+        .patch('/api/registered-users/1')
+        .send({ assigneeId: null, notes: null, tags: [] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ assignee_id: null, assignee_username: null, notes: null, tags: [] });
+    });
+
+    test('should only assign owners and recruiters', async () => {
+      await request(app)
+        .patch('/api/registered-users/1')
+        .send({ assigneeId: 3 })
+        .expect(400);
+      await request(app)
+        .patch('/api/registered-users/1')
+        .send({ assigneeId: 99 })
+        .expect(400);
+
+      expect(audit.recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid changes', async () => {
+      const response = await request(app)
+        .patch('/api/registered-users/1')
+        .send({ status: 'hired', tags: ['<script>'] })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['status', 'tags[0]']);
+
+      await request(app)
+        .patch('/api/registered-users/1')
+        .send({})
+        .expect(400);
+    });
+
+    test('should return 404 for unknown submissions', async () => {
+      await request(app)
+        .patch('/api/registered-users/999')
+        .send({ status: 'contacted' })
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { MemoryDatabase } = require('../../backend/memoryDatabase');
+
+/**
+ * Stand-in for backend/db backed by a real in-memory database instead of canned mock responses,
+ * with the callback all/get/run the repositories use and the database itself as `memory`:
+ *
+ *   jest.mock('../backend/db', () => require('./helpers/memoryDb')());
+ */
+function memoryDb() {
+  const memory = new MemoryDatabase();
+  const callbackQuery = (sql, params, callback, shape) => {
+    let result;
+    try {
+      result = memory.query(sql, params);
+    } catch (err) {
+      return callback(err);
+    }
+    return callback(null, shape(result));
+  };
+
+  return {
+    all: (sql, params, callback) => callbackQuery(sql, params, callback, res => res.rows),
+    get: (sql, params, callback) => callbackQuery(sql, params, callback, res => res.rows[0]),
+    run: (sql, params, callback) => callbackQuery(sql, params, callback, res => ({
+      lastID: res.rows.length > 0 && res.rows[0].id ? res.rows[0].id : null,
+      changes: res.rowCount
+    })),
+    memory
+  };
+}
+
+module.exports = memoryDb;
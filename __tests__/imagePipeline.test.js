@@ -0,0 +1,94 @@
+const sharp = require('sharp');
+const { ImageFramingError, defaultSource, processImage } = require('../backend/imagePipeline');
+
+const solidImage = (width, height, background = '#1e90ff') => sharp({
+  create: { width, height, channels: 3, background }
+}).png().toBuffer();
+
+// Red on the left half, blue on the right
+const splitImage = async (width, height) => sharp(await solidImage(width, height, '#ff0000'))
+  .composite([{ input: await solidImage(width / 2, height, '#0000ff'), left: width / 2, top: 0 }])
+  .png()
+  .toBuffer();
+
+/**
+ * Image pipeline Tests
+ */
+describe('Image pipeline', () => {
+  test('should encode every width in AVIF, WebP and JPEG at the folder aspect ratio', async () => {
+    const { width, height, variants } = await processImage(await solidImage(1200, 1200), 'players');
+
+    expect(variants.map(variant => `${variant.format}@${variant.width}x${variant.height}`)).toEqual([
+      'avif@150x200', 'webp@150x200', 'jpeg@150x200',
+      'avif@300x400', 'webp@300x400', 'jpeg@300x400',
+      'avif@600x800', 'webp@600x800', 'jpeg@600x800'
+    ]);
+    expect({ width, height }).toEqual({ width: 600, height: 800 });
+
+    const formats = await Promise.all(variants.map(async variant => (await sharp(variant.buffer).metadata()).format));
+    expect(formats).toEqual(['heif', 'webp', 'jpeg', 'heif', 'webp', 'jpeg', 'heif', 'webp', 'jpeg']);
+  });
+
+  test('should not upscale small sources beyond the smallest width', async () => {
+    const { variants } = await processImage(await solidImage(500, 300), 'trophies');
+
+    expect([...new Set(variants.map(variant => variant.width))]).toEqual([200, 400]);
+    expect((await processImage(await solidImage(80, 80), 'managers')).width).toBe(150);
+  });
+
+  test('should describe a blurred placeholder and the dominant colour', async () => {
+    const { placeholder, dominantColor } = await processImage(await solidImage(400, 400, '#ff0000'), 'trophies');
+    const tiny = await sharp(Buffer.from(placeholder.split(',')[1], 'base64')).metadata();
+
+    expect(placeholder).toMatch(/^data:image\/webp;base64,/);
+    expect(tiny).toMatchObject({ format: 'webp', width: 16, height: 12 });
+    expect(dominantColor).toMatch(/^#f[0-9a-f]0[0-9a-f]0[0-9a-f]$/);
+  });
+
+  test('should reject files that are not images and unknown folders', async () => {
+    await expect(processImage(Buffer.from('not an image'), 'players')).rejects.toThrow();
+    await expect(processImage(await solidImage(10, 10), 'admins')).rejects.toThrow('No image profile');
+  });
+
+  test('should crop to the requested rectangle, limited to the image', async () => {
+    const { crop, focalPoint, original, dominantColor, width, height } = await processImage(
+      await splitImage(800, 400),
+      'players',
+      { crop: { x: 500, y: 0, width: 400, height: 500 } }
+    );
+
+    expect(crop).toEqual({ x: 500, y: 0, width: 300, height: 400 });
+    expect(focalPoint).toBeNull();
+    expect(original).toEqual({ width: 800, height: 400, extension: '.png', type: 'image/png' });
+    expect({ width, height }).toEqual({ width: 300, height: 400 });
+    expect(dominantColor).toMatch(/^#0[0-9a-f]0[0-9a-f]f[0-9a-f]$/);
+  });
+
+  test('should centre the crop on the focal point', async () => {
+    const image = await splitImage(800, 400);
+
+    const right = await processImage(image, 'players', { focalPoint: { x: 0.9, y: 0.5 } });
+    const left = await processImage(image, 'players', { focalPoint: { x: 0.1, y: 0.5 } });
+
+    expect(right.focalPoint).toEqual({ x: 0.9, y: 0.5 });
+    expect(right.dominantColor).toMatch(/^#0[0-9a-f]0[0-9a-f]f[0-9a-f]$/);
+    expect(left.dominantColor).toMatch(/^#f[0-9a-f]0[0-9a-f]0[0-9a-f]$/);
+  });
+
+  test('should reject a crop outside the image', async () => {
+    await expect(processImage(await solidImage(100, 100), 'players', {
+      crop: { x: 200, y: 0, width: 50, height: 50 }
+    })).rejects.toThrow(ImageFramingError);
+  });
+
+  test('should pick the WebP closest to the default width as the single URL', () => {
+    const sources = [150, 300, 600].flatMap(width => ['avif', 'webp'].map(format => ({
+      format,
+      width,
+      url: `${format}-${width}`
+    })));
+
+    expect(defaultSource(sources, 'players').url).toBe('webp-300');
+    expect(defaultSource(sources.filter(source => source.width === 600), 'players').url).toBe('webp-600');
+  });
+});
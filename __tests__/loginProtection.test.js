@@ -0,0 +1,282 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('../backend/monitoring', () => ({
+  recordSecurityEvent: jest.fn(),
+  triggerAlert: jest.fn()
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+/**
+ * Login Lockout and Anomaly Detection Tests
+ */
+describe('Login Protection', () => {
+  const now = 1700000000000;
+  let mockDb;
+  let monitoring;
+  let loginProtection;
+
+  // Answer db.get by query shape: lockout state, per-account failures and per-IP spread. Claiming an
+  // alert that was already raised in this window hits the unique key on login_alerts.
+  const mockCounts = ({
+    lockoutFailures = 0, lastFailedAt = null, accountFailures = 0, usernames = 0, raised = []
+  }) => {
+    mockDb.run.mockImplementation((sql, params, callback) => {
+      if (sql.includes('INSERT INTO login_alerts') && raised.includes(params[0])) {
+        callback(Object.assign(new Error('duplicate key'), { code: '23505' }));
+      } else {
+        callback(null, { lastID: 1, changes: 1 });
+      }
+    });
+    mockDb.get.mockImplementation((sql, params, callback) => {
+      if (sql.includes('COUNT(DISTINCT username)')) {
+        callback(null, { usernames: String(usernames) });
+      } else if (sql.includes('MAX(attempted_at)')) {
+        callback(null, { failures: String(lockoutFailures), last_failed_at: lastFailedAt });
+      } else {
+        callback(null, { failures: String(accountFailures) });
+      }
+    });
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    monitoring = require('../backend/monitoring');
+    loginProtection = require('../backend/loginProtection');
+    mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: 1, changes: 3 }));
+  });
+
+  describe('lockoutDuration', () => {
+    const settings = { lockoutThreshold: 5, lockoutBaseMs: 60000, lockoutMaxMs: 3600000 };
+
+    test('should back off exponentially from the threshold up to the maximum', () => {
+      expect(loginProtection.lockoutDuration(4, settings)).toBe(0);
+      expect(loginProtection.lockoutDuration(5, settings)).toBe(60000);
+      expect(loginProtection.lockoutDuration(6, settings)).toBe(120000);
+      expect(loginProtection.lockoutDuration(8, settings)).toBe(480000);
+      expect(loginProtection.lockoutDuration(50, settings)).toBe(3600000);
+    });
+  });
+
+  describe('getLockout', () => {
+    test('should stay unlocked below the threshold', async () => {
+      mockCounts({ lockoutFailures: 4, lastFailedAt: new Date(now - 1000) });
+
+      const lockout = await loginProtection.getLockout('coach', now);
+      expect(lockout).toEqual({ locked: false, failures: 4, lockedUntil: null, retryAfterMs: 0 });
+    });
+
+    test('should lock until the backoff after the last failure has passed', async () => {
+      mockCounts({ lockoutFailures: 6, lastFailedAt: new Date(now - 30000) });
+
+      const lockout = await loginProtection.getLockout('coach', now);
+      expect(lockout.locked).toBe(true);
+      expect(lockout.retryAfterMs).toBe(90000);
+
+      const later = await loginProtection.getLockout('coach', now + 90000);
+      expect(later.locked).toBe(false);
+    });
+  });
+
+  describe('recordAttempt', () => {
+    const attempt = { username: 'coach', ip: '203.0.113.9', userAgent: 'jest' };
+
+    test('should store failures and alert when the account becomes locked', async () => {
+      mockCounts({ lockoutFailures: 5, lastFailedAt: new Date(now), accountFailures: 5, usernames: 1 });
+
+      const lockout = await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_password' }, now);
+
+      expect(lockout.locked).toBe(true);
+      const [insertSql, insertParams] = mockDb.run.mock.calls[0];
+      expect(insertSql).toContain('INSERT INTO login_attempts');
+      expect(insertParams).toEqual(['coach', '203.0.113.9', 'jest', false, 'invalid_password', new Date(now)]);
+      expect(monitoring.triggerAlert).toHaveBeenCalledWith('account_locked', expect.objectContaining({
+        username: 'coach',
+        failures: 5
+      }));
+      expect(monitoring.recordSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    test('should not re-alert for attempts rejected while locked', async () => {
+      mockCounts({ lockoutFailures: 5, lastFailedAt: new Date(now), accountFailures: 6 });
+
+      await loginProtection.recordAttempt({ ...attempt, reason: 'locked' }, now);
+
+      expect(monitoring.triggerAlert).not.toHaveBeenCalled();
+    });
+
+    test('should report many failures against one account', async () => {
+      mockCounts({ accountFailures: 10 });
+
+      await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_password' }, now);
+
+      expect(monitoring.recordSecurityEvent).toHaveBeenCalledWith('suspicious_activity', expect.objectContaining({
+        pattern: 'account_brute_force',
+        username: 'coach',
+        failures: 10
+      }));
+      expect(mockDb.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO login_alerts'),
+        ['account_brute_force', 'coach', new Date(now - now % (15 * 60 * 1000)), new Date(now)],
+        expect.any(Function)
+      );
+    });
+
+    test('should report an account whose failures went past the threshold at once', async () => {
+      mockCounts({ accountFailures: 12 });
+      await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_password' }, now);
+
+      expect(monitoring.recordSecurityEvent).toHaveBeenCalledWith('suspicious_activity', expect.objectContaining({
+        pattern: 'account_brute_force',
+        failures: 12
+      }));
+
+      // Once raised, the alert is not repeated within the window
+      monitoring.recordSecurityEvent.mockClear();
+      mockCounts({ accountFailures: 13, raised: ['account_brute_force'] });
+      await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_password' }, now);
+      expect(monitoring.recordSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    test('should report one IP trying many usernames once', async () => {
+      mockCounts({ usernames: 5 });
+      await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_username' }, now);
+
+      expect(monitoring.recordSecurityEvent).toHaveBeenCalledWith('suspicious_activity', expect.objectContaining({
+        pattern: 'username_spraying',
+        ip: '203.0.113.9',
+        usernames: 5
+      }));
+
+      // Further failures from this IP do not raise the alert again
+      monitoring.recordSecurityEvent.mockClear();
+      mockCounts({ usernames: 6, raised: ['username_spraying'] });
+      await loginProtection.recordAttempt({ ...attempt, reason: 'invalid_username' }, now);
+      expect(monitoring.recordSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    test('should clear earlier failures on success', async () => {
+      const lockout = await loginProtection.recordAttempt({ ...attempt, reason: 'success' }, now);
+
+      expect(lockout.locked).toBe(false);
+      expect(mockDb.run.mock.calls[0][1][3]).toBe(true);
+      expect(mockDb.run.mock.calls[1][0]).toContain('SET cleared = TRUE');
+      expect(mockDb.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pruneLoginAttempts', () => {
+    test('should delete attempts and alerts older than the lockout window', async () => {
+      const deleted = await loginProtection.pruneLoginAttempts(now);
+
+      const cutoff = new Date(now - 24 * 60 * 60 * 1000);
+      expect(deleted).toBe(3);
+      expect(mockDb.run.mock.calls.map(([sql, params]) => [sql, params])).toEqual([
+        ['DELETE FROM login_attempts WHERE attempted_at < $1', [cutoff]],
+        ['DELETE FROM login_alerts WHERE alerted_at < $1', [cutoff]]
+      ]);
+    });
+
+    test('should prune on its own schedule', async () => {
+      jest.useFakeTimers();
+      try {
+        loginProtection.startPruneSchedule();
+        expect(mockDb.run).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        expect(mockDb.run).toHaveBeenCalledWith(
+          'DELETE FROM login_attempts WHERE attempted_at < $1', expect.any(Array), expect.any(Function)
+        );
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Admin routes', () => {
+    let app;
+
+    beforeEach(() => {
+      const loginAttemptRoutes = require('../backend/loginAttemptRoutes');
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.session = { isAdmin: true, adminId: 1, role: 'owner' };
+        next();
+      });
+      app.use('/api/admin/login-attempts', loginAttemptRoutes);
+    });
+
+    test('should list filtered attempts with pagination headers', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 3, username: 'coach' }]));
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { total: '51' }));
+
+      const response = await request(app)
+        .get('/api/admin/login-attempts?username=coach&outcome=failed&limit=50')
+        .expect(200);
+
+      expect(response.body).toEqual([{ id: 3, username: 'coach' }]);
+      expect(response.headers['x-total-count']).toBe('51');
+      const [listSql, listParams] = mockDb.all.mock.calls[0];
+      expect(listSql).toContain('WHERE username = $1 AND succeeded = FALSE');
+      expect(listParams).toEqual(['coach', 50, 0]);
+    });
+
+    test('should reject invalid filters', async () => {
+      await request(app)
+        .get('/api/admin/login-attempts?ip=not-an-ip')
+        .expect(400);
+      await request(app)
+        .get('/api/admin/login-attempts?outcome=maybe')
+        .expect(400);
+    });
+
+    test('should only list accounts that are still locked', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [
+        { username: 'coach', failures: '6', last_failed_at: new Date(now - 60000).toISOString() },
+        { username: 'scout', failures: '5', last_failed_at: new Date(now - 120000).toISOString() }
+      ]));
+
+      const response = await request(app)
+        .get('/api/admin/login-attempts/locked')
+        .expect(200);
+
+      expect(response.body.map(account => account.username)).toEqual(['coach']);
+      expect(response.body[0].retryAfterMs).toBe(60000);
+      Date.now.mockRestore();
+    });
+
+    test('should unlock an account by clearing its failures', async () => {
+      const response = await request(app)
+        .delete('/api/admin/login-attempts/locked/coach')
+        .expect(200);
+
+      expect(response.body.clearedFailures).toBe(3);
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['coach']);
+    });
+
+    test('should return 404 when there is nothing to unlock', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(app)
+        .delete('/api/admin/login-attempts/locked/nobody')
+        .expect(404);
+    });
+  });
+});
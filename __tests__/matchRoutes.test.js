@@ -0,0 +1,242 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+/**
+ * Match Routes Tests
+ */
+describe('Match Routes', () => {
+  let app;
+  let mockDb;
+  let client;
+
+  // Writes run in a transaction on one pool client; `failOn` makes statements starting with it fail
+  const mockClient = failOn => {
+    client = {
+      query: jest.fn(async sql => {
+        if (failOn && sql.startsWith(failOn)) {
+          throw Object.assign(new Error('insert or update violates foreign key constraint'), { code: '23503' });
+        }
+        return { rows: sql.includes('RETURNING id') ? [{ id: 3 }] : [], rowCount: 1 };
+      }),
+      release: jest.fn()
+    };
+    mockDb.pool.connect.mockResolvedValue(client);
+  };
+
+  const statements = () => client.query.mock.calls.map(([sql]) => sql);
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    global.MOCK_MODE = false;
+
+    mockDb = require('../backend/db');
+    mockClient();
+    const matchRoutes = require('../backend/matchRoutes');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/matches', matchRoutes);
+  });
+
+  afterEach(() => {
+    global.MOCK_MODE = true;
+  });
+
+  describe('GET /api/matches', () => {
+    test('should list upcoming fixtures soonest first with their lineups', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => {
+        if (sql.includes('FROM match_lineups')) {
+          return callback(null, [
+            { match_id: 1, player_id: 4, position: 'ST', is_starter: true, name: 'John', jerseyNumber: 9 }
+          ]);
+        }
+        return callback(null, [{ id: 1, opponent: 'Rivals FC', status: 'scheduled' }, { id: 2, opponent: 'Other' }]);
+      });
+
+      const response = await request(app)
+        .get('/api/matches?status=upcoming')
+        .expect(200);
+
+      const [sql, params] = mockDb.all.mock.calls[0];
+      expect(sql).toContain('WHERE status IN (\'scheduled\', \'live\', \'postponed\')');
+      expect(sql).toContain('ORDER BY scheduled_at ASC');
+      expect(params).toEqual([20]);
+
+      expect(response.body[0].lineup).toEqual([
+        { playerId: 4, name: 'John', jerseyNumber: 9, position: 'ST', isStarter: true }
+      ]);
+      expect(response.body[1].lineup).toEqual([]);
+    });
+
+    test('should list past results most recent first', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, []));
+
+      await request(app)
+        .get('/api/matches?status=past&limit=5')
+        .expect(200);
+
+      const [sql, params] = mockDb.all.mock.calls[0];
+      expect(sql).toContain('WHERE status = \'finished\'');
+      expect(sql).toContain('ORDER BY scheduled_at DESC');
+      expect(params).toEqual([5]);
+    });
+
+    test('should reject unknown status filters', async () => {
+      await request(app)
+        .get('/api/matches?status=cancelled')
+        .expect(400);
+
+      expect(mockDb.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/matches/:id', () => {
+    test('should return 404 for unknown matches', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .get('/api/matches/42')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/matches', () => {
+    test('should create the match and its lineup in one transaction', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }, { id: 7 }]));
+
+      const response = await request(app)
+        .post('/api/matches')
+        .send({
+          opponent: 'Rivals FC',
+          scheduledAt: '2025-06-01T18:00:00Z',
+          platform: 'PS5',
+          lineup: [{ playerId: 4, position: 'ST' }, { playerId: 7, isStarter: false }]
+        })
+        .expect(201);
+
+      expect(response.body.id).toBe(3);
+      expect(statements()).toEqual([
+        'BEGIN',
+        'INSERT INTO matches (opponent, scheduled_at, platform) VALUES ($1, $2, $3) RETURNING id',
+        'DELETE FROM match_lineups WHERE match_id = $1',
+        'INSERT INTO match_lineups (match_id, player_id, position, is_starter) VALUES ($1, $2, $3, $4), ($5, $6, $7, $8)',
+        'COMMIT'
+      ]);
+      expect(client.query.mock.calls[3][1]).toEqual([3, 4, 'ST', true, 3, 7, null, false]);
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should not leave a match behind when its lineup cannot be stored', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }]));
+      mockClient('INSERT INTO match_lineups');
+
+      const response = await request(app)
+        .post('/api/matches')
+        .send({ opponent: 'Rivals FC', scheduledAt: '2025-06-01T18:00:00Z', lineup: [{ playerId: 4 }] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Lineup contains unknown players');
+      expect(statements()).toContain('ROLLBACK');
+      expect(statements()).not.toContain('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should reject lineups with unknown players before writing', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }]));
+
+      const response = await request(app)
+        .post('/api/matches')
+        .send({ opponent: 'Rivals FC', scheduledAt: '2025-06-01T18:00:00Z', lineup: [{ playerId: 4 }, { playerId: 99 }] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Lineup contains unknown players');
+      expect(mockDb.pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should reject duplicate players in the lineup', async () => {
+      await request(app)
+        .post('/api/matches')
+        .send({ opponent: 'Rivals FC', scheduledAt: '2025-06-01T18:00:00Z', lineup: [{ playerId: 4 }, { playerId: 4 }] })
+        .expect(400);
+    });
+
+    test('should validate required fields and status', async () => {
+      const response = await request(app)
+        .post('/api/matches')
+        .send({ opponent: 'Rivals FC', status: 'cancelled' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('PATCH /api/matches/:id', () => {
+    test('should record a result without touching the lineup', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3 }));
+
+      await request(app)
+        .patch('/api/matches/3')
+        .send({ teamScore: 2, opponentScore: 1, status: 'finished' })
+        .expect(200);
+
+      expect(statements()).toEqual([
+        'BEGIN',
+        'UPDATE matches SET team_score = $1, opponent_score = $2, status = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+        'COMMIT'
+      ]);
+      expect(client.query.mock.calls[1][1]).toEqual([2, 1, 'finished', '3']);
+    });
+
+    test('should keep the old lineup and result when the new lineup cannot be stored', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3 }));
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }]));
+      mockClient('INSERT INTO match_lineups');
+
+      await request(app)
+        .patch('/api/matches/3')
+        .send({ teamScore: 2, lineup: [{ playerId: 4 }] })
+        .expect(400);
+
+      expect(statements()).toEqual([
+        'BEGIN',
+        'UPDATE matches SET team_score = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        'DELETE FROM match_lineups WHERE match_id = $1',
+        'INSERT INTO match_lineups (match_id, player_id, position, is_starter) VALUES ($1, $2, $3, $4)',
+        'ROLLBACK'
+      ]);
+    });
+
+    test('should return 404 for unknown matches', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .patch('/api/matches/3')
+        .send({ status: 'postponed' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/matches/:id', () => {
+    test('should return 404 when nothing was deleted', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(app)
+        .delete('/api/matches/3')
+        .expect(404);
+    });
+  });
+});
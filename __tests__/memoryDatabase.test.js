@@ -0,0 +1,182 @@
+// Back the db module with a real in-memory database instead of canned mock responses
+jest.mock('../backend/db', () => require('./helpers/memoryDb')());
+
+const { MemoryDatabase, SQLSTATE } = require('../backend/memoryDatabase');
+
+/**
+ * In-memory database Tests
+ */
+describe('MemoryDatabase', () => {
+  let database;
+
+  const addPlayer = (name, jerseyNumber, stars = 3) => database.query(
+    'INSERT INTO players (name, jerseyNumber, stars) VALUES ($1, $2, $3) RETURNING id',
+    [name, jerseyNumber, stars]
+  ).rows[0].id;
+
+  beforeEach(() => {
+    database = new MemoryDatabase();
+  });
+
+  describe('queries', () => {
+    test('should filter, sort and paginate rows', () => {
+      addPlayer('Carl', 3, 4);
+      addPlayer('Anna', 1, 5);
+      addPlayer('Bert', 2, 4);
+
+      const { rows } = database.query(
+        'SELECT name, jerseyNumber AS "jerseyNumber" FROM players WHERE stars >= $1 ' +
+          'ORDER BY stars DESC, name ASC LIMIT $2 OFFSET $3',
+        [4, 2, 1]
+      );
+
+      expect(rows).toEqual([{ name: 'Bert', jerseyNumber: 2 }, { name: 'Carl', jerseyNumber: 3 }]);
+    });
+
+    test('should return counts and sums as strings like node-postgres', () => {
+      const id = addPlayer('Anna', 1);
+      database.query(
+        'INSERT INTO player_match_stats (player_id, match_date, goals) VALUES ($1, $2, 2), ($1, $2, 3)',
+        [id, '2024-05-01']
+      );
+
+      const { rows } = database.query(
+        'SELECT COUNT(*) AS appearances, SUM(goals) AS goals, MAX(goals) AS best FROM player_match_stats'
+      );
+
+      expect(rows).toEqual([{ appearances: '2', goals: '5', best: 3 }]);
+    });
+
+    test('should group rows and filter aggregates', () => {
+      database.query(
+        'INSERT INTO login_attempts (username, reason, succeeded) VALUES ' +
+          '(\'ana\', \'bad_password\', false), (\'ana\', \'bad_password\', false), (\'bob\', \'success\', true)'
+      );
+
+      const { rows } = database.query(
+        'SELECT username, COUNT(*) FILTER (WHERE NOT succeeded) AS failures FROM login_attempts ' +
+          'GROUP BY username HAVING COUNT(*) FILTER (WHERE NOT succeeded) >= $1',
+        [1]
+      );
+
+      expect(rows).toEqual([{ username: 'ana', failures: '2' }]);
+    });
+
+    test('should join tables and run correlated subqueries', () => {
+      const anna = addPlayer('Anna', 1);
+      const bert = addPlayer('Bert', 2);
+      database.query('INSERT INTO trophies (name, year) VALUES (\'League\', 2023)');
+      database.query('INSERT INTO trophy_winners (trophy_id, player_id) VALUES (1, $1), (1, $2)', [anna, bert]);
+
+      const joined = database.query(
+        'SELECT p.name FROM trophy_winners tw JOIN players p ON p.id = tw.player_id ' +
+          'WHERE tw.trophy_id = ANY($1::int[]) ORDER BY p.name',
+        [[1]]
+      );
+      const nested = database.query(
+        'SELECT t.name, ARRAY(SELECT player_id FROM trophy_winners tw WHERE tw.trophy_id = t.id ' +
+          'ORDER BY player_id) AS winners FROM trophies t'
+      );
+
+      expect(joined.rows).toEqual([{ name: 'Anna' }, { name: 'Bert' }]);
+      expect(nested.rows).toEqual([{ name: 'League', winners: [anna, bert] }]);
+    });
+
+    test('should reject unknown columns and unsupported syntax', () => {
+      expect(() => database.query('SELECT shirt FROM players')).toThrow(
+        expect.objectContaining({ code: SQLSTATE.UNDEFINED_COLUMN })
+      );
+      expect(() => database.query('SELECT name FROM players UNION SELECT name FROM managers')).toThrow(
+        expect.objectContaining({ code: SQLSTATE.FEATURE_NOT_SUPPORTED })
+      );
+    });
+  });
+
+  describe('constraints', () => {
+    test('should enforce the active jersey number index', () => {
+      const anna = addPlayer('Anna', 7);
+
+      expect(() => addPlayer('Bert', 7)).toThrow(expect.objectContaining({
+        code: SQLSTATE.UNIQUE_VIOLATION,
+        constraint: 'idx_players_jersey_active'
+      }));
+
+      // Players in the trash no longer hold their number
+      database.query('UPDATE players SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [anna]);
+      expect(() => addPlayer('Bert', 7)).not.toThrow();
+    });
+
+    test('should reject NOT NULL, CHECK and foreign key violations', () => {
+      expect(() => database.query('INSERT INTO managers (name) VALUES ($1)', ['Ana'])).toThrow(
+        expect.objectContaining({ code: SQLSTATE.NOT_NULL_VIOLATION })
+      );
+      expect(() => addPlayer('Anna', 1, 9)).toThrow(expect.objectContaining({ code: SQLSTATE.CHECK_VIOLATION }));
+      expect(() => database.query('INSERT INTO trophy_winners (trophy_id, player_id) VALUES (1, 1)')).toThrow(
+        expect.objectContaining({ code: SQLSTATE.FOREIGN_KEY_VIOLATION })
+      );
+    });
+
+    test('should cascade deletes and leave no changes behind a failed statement', () => {
+      const anna = addPlayer('Anna', 1);
+      database.query('INSERT INTO trophies (name, year) VALUES (\'Cup\', 2022)');
+      database.query('INSERT INTO trophy_winners (trophy_id, player_id) VALUES (1, $1)', [anna]);
+
+      expect(() => database.query(
+        'INSERT INTO players (name, jerseyNumber, stars) VALUES (\'Bert\', 2, 3), (\'Carl\', 1, 3)'
+      )).toThrow(expect.objectContaining({ code: SQLSTATE.UNIQUE_VIOLATION }));
+      expect(database.query('SELECT COUNT(*) AS total FROM players').rows[0].total).toBe('1');
+
+      database.query('DELETE FROM players WHERE id = $1', [anna]);
+      expect(database.query('SELECT COUNT(*) AS total FROM trophy_winners').rows[0].total).toBe('0');
+    });
+  });
+
+  describe('transactions', () => {
+    test('should discard changes on ROLLBACK', () => {
+      addPlayer('Anna', 1);
+      const client = database.connect();
+
+      client.query('BEGIN');
+      client.query('UPDATE players SET name = $1', ['Changed']);
+      client.query('ROLLBACK');
+      client.release();
+
+      expect(database.query('SELECT name FROM players').rows).toEqual([{ name: 'Anna' }]);
+    });
+  });
+
+  describe('repositories in mock mode', () => {
+    let repositories;
+
+    beforeEach(() => {
+      require('../backend/db').memory.reset();
+      repositories = require('../backend/repositories');
+    });
+
+    test('should create, list and trash players', async () => {
+      const anna = await repositories.players.create({ name: 'Anna', jerseyNumber: 10, stars: 5 });
+      await repositories.players.create({ name: 'Bert', jerseyNumber: 11, stars: 4 });
+
+      await expect(repositories.players.create({ name: 'Carl', jerseyNumber: 10, stars: 3 }))
+        .rejects.toMatchObject({ code: 'JERSEY_NUMBER_TAKEN' });
+
+      await repositories.players.moveToTrash(anna);
+      const { rows, total } = await repositories.players.list({ limit: 10, offset: 0 });
+
+      expect(total).toBe(1);
+      expect(rows.map(player => player.name)).toEqual(['Bert']);
+    });
+
+    test('should replace trophy winners inside a transaction', async () => {
+      const anna = await repositories.players.create({ name: 'Anna', jerseyNumber: 10, stars: 5 });
+      const bert = await repositories.players.create({ name: 'Bert', jerseyNumber: 11, stars: 4 });
+      const trophyId = await repositories.trophies.create({ name: 'Cup', year: 2024 }, [anna, bert]);
+
+      await repositories.trophies.update(trophyId, { name: 'Super Cup' }, [bert]);
+      const trophy = await repositories.trophies.getWithWinners(trophyId);
+
+      expect(trophy.name).toBe('Super Cup');
+      expect(trophy.winners.map(winner => winner.name)).toEqual(['Bert']);
+    });
+  });
+});
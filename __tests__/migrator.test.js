@@ -0,0 +1,280 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Schema Migration Tests
+ */
+describe('Migrator', () => {
+  let migrator;
+
+  beforeEach(() => {
+    jest.resetModules();
+    migrator = require('../backend/migrator');
+  });
+
+  // Pool whose single client keeps schema_migrations in memory and records every statement
+  function createFakePool(appliedVersions = []) {
+    const applied = new Map(appliedVersions.map(([version, name]) => [version, name]));
+    const queries = [];
+    const client = {
+      release: jest.fn(),
+      query: jest.fn((sql, params) => {
+        queries.push(sql);
+        if (sql.startsWith('FAIL')) {
+          return Promise.reject(new Error('syntax error at or near "FAIL"'));
+        }
+        if (sql.startsWith('SELECT version, name, applied_at FROM schema_migrations')) {
+          const rows = [...applied].sort(([a], [b]) => a - b)
+            .map(([version, name]) => ({ version, name, applied_at: new Date(0) }));
+          return Promise.resolve({ rows });
+        }
+        if (sql.startsWith('INSERT INTO schema_migrations')) {
+          applied.set(params[0], params[1]);
+        }
+        if (sql.startsWith('DELETE FROM schema_migrations')) {
+          applied.delete(params[0]);
+        }
+        return Promise.resolve({ rows: [] });
+      })
+    };
+    return { pool: { connect: jest.fn().mockResolvedValue(client) }, client, queries, applied };
+  }
+
+  const migrations = [
+    { version: 1, name: 'create_players', up: ['CREATE TABLE players'], down: ['DROP TABLE players'] },
+    { version: 2, name: 'add_stars', up: ['ALTER TABLE players ADD stars'], down: ['ALTER TABLE players DROP stars'] },
+    { version: 3, name: 'add_index', up: ['CREATE INDEX idx'], down: ['DROP INDEX idx'] }
+  ];
+
+  describe('loadMigrations', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should load numbered migration files in version order', () => {
+      fs.writeFileSync(path.join(dir, '010_second.js'), 'module.exports = { up: [\'B\'], down: [] };');
+      fs.writeFileSync(path.join(dir, '002_first.js'), 'module.exports = { up: [\'A\'], down: [] };');
+      fs.writeFileSync(path.join(dir, 'README.md'), 'not a migration');
+
+      const loaded = migrator.loadMigrations(dir);
+
+      expect(loaded.map(({ version, name }) => [version, name])).toEqual([[2, 'first'], [10, 'second']]);
+    });
+
+    test('should reject duplicate versions and migrations without a down step', () => {
+      fs.writeFileSync(path.join(dir, '001_a.js'), 'module.exports = { up: [], down: [] };');
+      fs.writeFileSync(path.join(dir, '01_b.js'), 'module.exports = { up: [], down: [] };');
+      expect(() => migrator.loadMigrations(dir)).toThrow('Duplicate migration version 1');
+
+      fs.rmSync(path.join(dir, '01_b.js'));
+      fs.writeFileSync(path.join(dir, '002_c.js'), 'module.exports = { up: [] };');
+      expect(() => migrator.loadMigrations(dir)).toThrow('must export both up and down');
+    });
+
+    test('should use the SQLite steps of a migration that has them', () => {
+      fs.writeFileSync(
+        path.join(dir, '001_schema.js'),
+        'module.exports = { up: [\'PG\'], down: [], sqlite: { up: [\'LITE\'], down: [] } };'
+      );
+      fs.writeFileSync(path.join(dir, '002_portable.js'), 'module.exports = { up: [\'BOTH\'], down: [] };');
+
+      expect(migrator.loadMigrations(dir).map(migration => migration.up)).toEqual([['PG'], ['BOTH']]);
+      expect(migrator.loadMigrations(dir, 'sqlite').map(migration => migration.up)).toEqual([['LITE'], ['BOTH']]);
+    });
+
+    test('should number the shipped migrations without gaps', () => {
+      const shipped = migrator.loadMigrations();
+
+      expect(shipped.length).toBeGreaterThan(0);
+      expect(shipped.map(migration => migration.version)).toEqual(shipped.map((migration, index) => index + 1));
+    });
+
+    test('should give upgraded databases the admin role check of a fresh install', () => {
+      const [initial] = migrator.loadMigrations();
+      const roleCheck = "CHECK (role IN ('owner', 'editor', 'recruiter'))";
+
+      expect(initial.up.find(sql => sql.includes('CREATE TABLE IF NOT EXISTS admins'))).toContain(roleCheck);
+      expect(initial.up).toContain(`ALTER TABLE IF EXISTS admins ADD CONSTRAINT admins_role_check ${roleCheck}`);
+    });
+  });
+
+  describe('migrateUp', () => {
+    test('should apply pending migrations in order, each in its own transaction', async () => {
+      const { pool, client, queries, applied } = createFakePool([[1, 'create_players']]);
+
+      const result = await migrator.migrateUp(pool, {}, migrations);
+
+      expect(result).toEqual([{ version: 2, name: 'add_stars' }, { version: 3, name: 'add_index' }]);
+      expect(queries.filter(sql => !sql.startsWith('SELECT') && !sql.startsWith('CREATE TABLE IF NOT EXISTS'))).toEqual([
+        'BEGIN', 'ALTER TABLE players ADD stars', expect.stringContaining('INSERT INTO schema_migrations'), 'COMMIT',
+        'BEGIN', 'CREATE INDEX idx', expect.stringContaining('INSERT INTO schema_migrations'), 'COMMIT'
+      ]);
+      expect([...applied.keys()]).toEqual([1, 2, 3]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should hold the advisory lock for the whole run', async () => {
+      const { pool, queries } = createFakePool();
+
+      await migrator.migrateUp(pool, {}, migrations);
+
+      expect(queries[0]).toBe('SELECT pg_advisory_lock($1)');
+      expect(queries[queries.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    test('should stop at the target version', async () => {
+      const { pool, applied } = createFakePool();
+
+      await migrator.migrateUp(pool, { to: 2 }, migrations);
+
+      expect([...applied.keys()]).toEqual([1, 2]);
+    });
+
+    test('should roll back a failing migration and report it', async () => {
+      const { pool, client, queries, applied } = createFakePool();
+      const failing = [migrations[0], { version: 2, name: 'broken', up: ['FAIL'], down: [] }, migrations[2]];
+
+      await expect(migrator.migrateUp(pool, {}, failing)).rejects.toThrow('Migration 2_broken (up) failed');
+
+      expect(queries).toContain('ROLLBACK');
+      expect(queries).not.toContain('CREATE INDEX idx');
+      expect([...applied.keys()]).toEqual([1]);
+      expect(queries[queries.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should run function steps with the transaction client', async () => {
+      const { pool, client } = createFakePool();
+      const up = jest.fn().mockResolvedValue();
+
+      await migrator.migrateUp(pool, {}, [{ version: 1, name: 'data_fix', up, down: [] }]);
+
+      expect(up).toHaveBeenCalledWith(client);
+    });
+  });
+
+  describe('migrateDown', () => {
+    test('should revert the latest migration by default', async () => {
+      const { pool, queries, applied } = createFakePool([[1, 'create_players'], [2, 'add_stars'], [3, 'add_index']]);
+
+      const result = await migrator.migrateDown(pool, {}, migrations);
+
+      expect(result).toEqual([{ version: 3, name: 'add_index' }]);
+      expect(queries).toContain('DROP INDEX idx');
+      expect([...applied.keys()]).toEqual([1, 2]);
+    });
+
+    test('should revert newest first down to the target version', async () => {
+      const { pool, applied } = createFakePool([[1, 'create_players'], [2, 'add_stars'], [3, 'add_index']]);
+
+      const result = await migrator.migrateDown(pool, { to: 1 }, migrations);
+
+      expect(result.map(migration => migration.version)).toEqual([3, 2]);
+      expect([...applied.keys()]).toEqual([1]);
+    });
+
+    test('should refuse to revert a migration whose file is missing', async () => {
+      const { pool } = createFakePool([[1, 'create_players'], [4, 'unknown']]);
+
+      await expect(migrator.migrateDown(pool, {}, migrations)).rejects.toThrow('its file is missing');
+    });
+  });
+
+  describe('status', () => {
+    test('should list applied, pending and unknown versions', async () => {
+      const { pool } = createFakePool([[1, 'create_players'], [4, 'unknown']]);
+
+      const result = await migrator.status(pool, migrations);
+
+      expect(result.map(({ version, appliedAt, missing }) => [version, appliedAt !== null, Boolean(missing)])).toEqual([
+        [1, true, false],
+        [2, false, false],
+        [3, false, false],
+        [4, true, true]
+      ]);
+    });
+  });
+
+  // Round trip of the real migrations; needs a disposable PostgreSQL database, e.g.
+  // TEST_DATABASE_URL=postgres://postgres@localhost/fc_test npx jest migrator
+  const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+  describeWithDatabase('against PostgreSQL', () => {
+    let pool;
+
+    beforeAll(() => {
+      const { Pool } = require('pg');
+      pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    });
+
+    afterAll(async () => {
+      await pool.end();
+    });
+
+    test('should apply every migration, revert them all and apply them again', async () => {
+      const shipped = migrator.loadMigrations();
+      const latest = shipped[shipped.length - 1].version;
+
+      await migrator.migrateUp(pool);
+      let result = await migrator.status(pool);
+      expect(result.every(migration => migration.appliedAt !== null)).toBe(true);
+      expect(await migrator.migrateUp(pool)).toEqual([]);
+
+      await migrator.migrateDown(pool, { to: 0 });
+      const tables = await pool.query('SELECT to_regclass(\'public.players\') AS players');
+      expect(tables.rows[0].players).toBeNull();
+
+      await migrator.migrateUp(pool);
+      result = await migrator.status(pool);
+      expect(result[result.length - 1]).toEqual(expect.objectContaining({ version: latest }));
+      expect(result.every(migration => migration.appliedAt !== null)).toBe(true);
+    });
+  });
+
+  // better-sqlite3 is an optional dependency
+  const hasSqlite = (() => {
+    try {
+      require.resolve('better-sqlite3');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  })();
+  const describeWithSqlite = hasSqlite ? describe : describe.skip;
+
+  describeWithSqlite('against SQLite', () => {
+    let pool;
+
+    beforeEach(() => {
+      const { SqlitePool } = require('../backend/sqlite');
+      pool = new SqlitePool(':memory:');
+    });
+
+    afterEach(async () => {
+      await pool.end();
+    });
+
+    test('should apply every migration, revert them all and apply them again', async () => {
+      const applied = await migrator.migrateUp(pool);
+      expect(applied.map(migration => migration.version))
+        .toEqual(migrator.loadMigrations().map(migration => migration.version));
+      const tables = await pool.query('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = \'players\'');
+      expect(tables.rows).toHaveLength(1);
+
+      await migrator.migrateDown(pool, { to: 0 });
+      const remaining = await pool.query('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = \'players\'');
+      expect(remaining.rows).toHaveLength(0);
+
+      await migrator.migrateUp(pool);
+      const result = await migrator.status(pool);
+      expect(result.every(migration => migration.appliedAt instanceof Date)).toBe(true);
+    });
+  });
+});
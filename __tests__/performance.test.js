@@ -243,32 +243,32 @@ describe('Performance Manager', () => {
   });
 
   describe('Database Optimization', () => {
+    // Statements other than SELECT go through db.run
     beforeEach(() => {
-      mockDb.pool.query.mockResolvedValue({ rows: [{ success: true }] });
+      mockDb.run.mockImplementation((query, params, callback) => callback(null, { lastID: null, changes: 0 }));
     });
 
-    test('should create database indexes', async () => {
+    test('should leave index creation to the migrations', async () => {
       const optimizations = await performance.optimizeDatabase();
 
-      expect(optimizations).toContain('✓ INDEX idx_players_jersey_unique');
-      expect(optimizations).toContain('✓ INDEX idx_players_joined_date');
-      expect(mockDb.pool.query).toHaveBeenCalledWith(
-        expect.stringContaining('CREATE INDEX'),
-        []
-      );
+      expect(optimizations).toEqual(['✓ Database statistics updated']);
+      expect(mockDb.run.mock.calls.map(([query]) => query)).toEqual([
+        'ANALYZE players, managers, trophies, contact_submissions'
+      ]);
     });
 
     test('should update database statistics', async () => {
       await performance.optimizeDatabase();
 
-      expect(mockDb.pool.query).toHaveBeenCalledWith(
+      expect(mockDb.run).toHaveBeenCalledWith(
         'ANALYZE players, managers, trophies, contact_submissions',
-        []
+        [],
+        expect.any(Function)
       );
     });
 
     test('should handle database optimization errors gracefully', async () => {
-      mockDb.pool.query.mockRejectedValue(new Error('Permission denied'));
+      mockDb.run.mockImplementation((query, params, callback) => callback(new Error('Permission denied')));
 
       await expect(performance.optimizeDatabase()).rejects.toThrow('Permission denied');
     });
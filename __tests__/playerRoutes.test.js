@@ -0,0 +1,303 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+jest.mock('../backend/utils', () => ({
+  ...jest.requireActual('../backend/utils'),
+  configureMulter: () => ({ single: () => (req, res, next) => next() }),
+  uploadImage: jest.fn(),
+  recropImage: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+/**
+ * Player Routes Tests
+ */
+describe('Player Routes', () => {
+  let app;
+  let mockDb;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    const playerRoutes = require('../backend/playerRoutes');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/players', playerRoutes);
+  });
+
+  describe('GET /api/players', () => {
+    const mockListing = (rows, total) => {
+      mockDb.all.mockImplementation((sql, params, callback) => {
+        callback(null, sql.includes('COUNT(*)') ? [{ total: String(total) }] : rows);
+      });
+    };
+
+    test('should return a page of players with pagination headers', async () => {
+      mockListing([{ id: 1, name: 'A' }], 45);
+
+      const response = await request(app)
+        .get('/api/players?page=2&limit=20')
+        .expect(200);
+
+      expect(response.body).toEqual([{ id: 1, name: 'A' }]);
+      expect(response.headers['x-total-count']).toBe('45');
+      expect(response.headers.link).toContain('page=1&limit=20>; rel="first"');
+      expect(response.headers.link).toContain('page=1&limit=20>; rel="prev"');
+      expect(response.headers.link).toContain('page=3&limit=20>; rel="next"');
+      expect(response.headers.link).toContain('page=3&limit=20>; rel="last"');
+
+      const listCall = mockDb.all.mock.calls.find(([sql]) => !sql.includes('COUNT(*)'));
+      expect(listCall[1]).toEqual([20, 20]);
+    });
+
+    test('should apply sorting and star filters', async () => {
+      mockListing([], 0);
+
+      await request(app)
+        .get('/api/players?sort=stars&order=asc&minStars=3')
+        .expect(200);
+
+      const [listSql, listParams] = mockDb.all.mock.calls.find(([sql]) => !sql.includes('COUNT(*)'));
+      expect(listSql).toContain('ORDER BY stars ASC');
+      expect(listSql).toContain('WHERE stars >= $3');
+      expect(listParams).toEqual([20, 0, 3]);
+
+      const [countSql, countParams] = mockDb.all.mock.calls.find(([sql]) => sql.includes('COUNT(*)'));
+      expect(countSql).toContain('WHERE stars >= $1');
+      expect(countParams).toEqual([3]);
+    });
+
+    test('should reject unknown sort columns', async () => {
+      const response = await request(app)
+        .get('/api/players?sort=password')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(mockDb.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/players/search', () => {
+    afterEach(() => {
+      global.MOCK_MODE = true;
+    });
+
+    test('should run a ranked full-text query against search_vector', async () => {
+      global.MOCK_MODE = false;
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4, name: 'John', rank: 0.6 }]));
+
+      const response = await request(app)
+        .get('/api/players/search?q=john')
+        .expect(200);
+
+      expect(response.body).toEqual([{ id: 4, name: 'John', rank: 0.6 }]);
+      const [sql, params] = mockDb.all.mock.calls[0];
+      expect(sql).toContain('search_vector @@ plainto_tsquery');
+      expect(sql).toContain('ORDER BY rank DESC');
+      expect(params).toEqual(['john']);
+    });
+
+    test('should fall back to substring matching in mock mode', async () => {
+      global.MOCK_MODE = true;
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [
+        { id: 1, name: 'Johnny Rivers', jerseyNumber: 7 },
+        { id: 2, name: 'Marco Silva', jerseyNumber: 10 },
+        { id: 3, name: 'Ana Costa', jerseyNumber: 21 }
+      ]));
+
+      const byName = await request(app)
+        .get('/api/players/search?q=JOHN')
+        .expect(200);
+      expect(byName.body.map(player => player.id)).toEqual([1]);
+
+      const byJersey = await request(app)
+        .get('/api/players/search?q=10')
+        .expect(200);
+      expect(byJersey.body.map(player => player.id)).toEqual([2]);
+    });
+
+    test('should require a search term', async () => {
+      await request(app)
+        .get('/api/players/search?q=')
+        .expect(400);
+    });
+  });
+
+  describe('PATCH /api/players/:id', () => {
+    test('should update only the provided fields', async () => {
+      mockDb.get.mockImplementationOnce((sql, params, callback) => callback(null, { id: 7 }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      const response = await request(app)
+        .patch('/api/players/7')
+        .send({ stars: 4 })
+        .expect(200);
+
+      expect(response.body.player).toEqual({ id: 7, stars: 4 });
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'UPDATE players SET stars = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [4, '7'],
+        expect.any(Function)
+      );
+      expect(require('../backend/audit').recordAudit).toHaveBeenCalledWith(
+        expect.anything(),
+        { action: 'update', entityType: 'player', entityId: '7', before: { id: 7 } }
+      );
+    });
+
+    test('should reject a jersey number used by another player', async () => {
+      mockDb.get
+        .mockImplementationOnce((sql, params, callback) => callback(null, { id: 7 }))
+        .mockImplementationOnce((sql, params, callback) => callback(null, { id: 3 }));
+
+      const response = await request(app)
+        .patch('/api/players/7')
+        .send({ jerseyNumber: 10 })
+        .expect(409);
+
+      expect(response.body.code).toBe('JERSEY_NUMBER_TAKEN');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should map unique index violations to a conflict', async () => {
+      mockDb.get
+        .mockImplementationOnce((sql, params, callback) => callback(null, { id: 7 }))
+        .mockImplementationOnce((sql, params, callback) => callback(null, null));
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        const error = new Error('duplicate key value violates unique constraint');
+        error.code = '23505';
+        callback(error);
+      });
+
+      await request(app)
+        .patch('/api/players/7')
+        .send({ jerseyNumber: 10 })
+        .expect(409);
+    });
+
+    test('should return 404 for unknown players', async () => {
+      mockDb.get.mockImplementationOnce((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .patch('/api/players/99')
+        .send({ name: 'Someone' })
+        .expect(404);
+    });
+
+    test('should require at least one field', async () => {
+      const response = await request(app)
+        .patch('/api/players/7')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toContain('At least one');
+    });
+
+    test('should validate field ranges', async () => {
+      const response = await request(app)
+        .patch('/api/players/7')
+        .send({ stars: 9 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('PUT /api/players/:id', () => {
+    test('should update all fields and maintain updated_at', async () => {
+      mockDb.get
+        .mockImplementationOnce((sql, params, callback) => callback(null, { id: 2 }))
+        .mockImplementationOnce((sql, params, callback) => callback(null, null));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      await request(app)
+        .put('/api/players/2')
+        .send({ name: 'New Name', jerseyNumber: 11, stars: 5 })
+        .expect(200);
+
+      const [sql, params] = mockDb.run.mock.calls[0];
+      expect(sql).toContain('updated_at = CURRENT_TIMESTAMP');
+      expect(params).toEqual(['New Name', 11, 5, '2']);
+    });
+  });
+
+  describe('PATCH /api/players/:id/image', () => {
+    const variants = {
+      original: { url: '/uploads/players/aaa-11.jpg', width: 1200, height: 1600 },
+      crop: null,
+      focalPoint: { x: 0.5, y: 0.2 },
+      sources: [{ format: 'webp', width: 300, url: '/uploads/players/bbb-22.webp' }]
+    };
+
+    test('should regenerate the variants and keep the original and untouched framing', async () => {
+      const utils = require('../backend/utils');
+      const player = { id: 7, imageUrl: '/uploads/players/bbb-22.webp', image_variants: variants };
+      const recropped = {
+        imageUrl: '/uploads/players/ccc-33.webp',
+        imageVariants: { ...variants, crop: { x: 0, y: 100, width: 900, height: 1200 } }
+      };
+      mockDb.get.mockImplementationOnce((sql, params, callback) => callback(null, player));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+      utils.recropImage.mockResolvedValue(recropped);
+
+      const response = await request(app)
+        .patch('/api/players/7/image')
+        .send({ crop: { x: 0, y: 100, width: 900, height: 1200 } })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ imageUrl: recropped.imageUrl, imageVariants: recropped.imageVariants });
+      expect(utils.recropImage).toHaveBeenCalledWith(variants, 'players', {
+        crop: { x: 0, y: 100, width: 900, height: 1200 },
+        focalPoint: { x: 0.5, y: 0.2 }
+      });
+      expect(mockDb.run.mock.calls[0][1]).toEqual([recropped.imageUrl, recropped.imageVariants, '7']);
+      expect(utils.deleteImage).toHaveBeenCalledWith(player.imageUrl, variants, [variants.original.url]);
+    });
+
+    test('should answer 409 for images uploaded without their original', async () => {
+      const utils = require('../backend/utils');
+      mockDb.get.mockImplementationOnce((sql, params, callback) => callback(null, { id: 7, imageUrl: 'x.webp' }));
+      utils.recropImage.mockRejectedValue(new utils.MissingOriginalError());
+
+      const response = await request(app)
+        .patch('/api/players/7/image')
+        .send({ focalPoint: { x: 0.3, y: 0.3 } })
+        .expect(409);
+
+      expect(response.body.code).toBe('NO_ORIGINAL_IMAGE');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should validate the crop and focal point', async () => {
+      await request(app).patch('/api/players/7/image').send({}).expect(400);
+      await request(app).patch('/api/players/7/image').send({ crop: { x: -5, y: 0, width: 10, height: 10 } }).expect(400);
+      const response = await request(app)
+        .patch('/api/players/7/image')
+        .send({ focalPoint: { x: 1.5, y: 0.5 } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(require('../backend/utils').recropImage).not.toHaveBeenCalled();
+    });
+  });
+});
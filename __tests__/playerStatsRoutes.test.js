@@ -0,0 +1,218 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+/**
+ * Player Stats Routes Tests
+ */
+describe('Player Stats Routes', () => {
+  let app;
+  let mockDb;
+  let playerStatsRoutes;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    playerStatsRoutes = require('../backend/playerStatsRoutes');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/players/:id/stats', playerStatsRoutes);
+  });
+
+  describe('aggregatePlayerStats', () => {
+    test('should total goals, assists and awards and average only rated matches', () => {
+      const totals = playerStatsRoutes.aggregatePlayerStats([
+        { goals: 2, assists: 1, clean_sheet: false, mvp: true, rating: '8.5' },
+        { goals: 0, assists: 2, clean_sheet: true, mvp: false, rating: null },
+        { goals: 1, assists: 0, clean_sheet: true, mvp: false, rating: '7.0' }
+      ]);
+
+      expect(totals).toEqual({
+        appearances: 3,
+        goals: 3,
+        assists: 3,
+        cleanSheets: 2,
+        mvpAwards: 1,
+        averageRating: 7.75
+      });
+    });
+
+    test('should return a null rating when no matches are recorded', () => {
+      expect(playerStatsRoutes.aggregatePlayerStats([]).averageRating).toBeNull();
+    });
+  });
+
+  describe('GET /api/players/:id/stats', () => {
+    test('should return totals and history for a player', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5 }));
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [
+        { id: 1, goals: 1, assists: 0, clean_sheet: false, mvp: false, rating: '6.5' }
+      ]));
+
+      const response = await request(app)
+        .get('/api/players/5/stats')
+        .expect(200);
+
+      expect(response.body.playerId).toBe(5);
+      expect(response.body.totals.goals).toBe(1);
+      expect(response.body.history).toHaveLength(1);
+    });
+
+    test('should return 404 for unknown players', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .get('/api/players/5/stats')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/players/:id/stats', () => {
+    test('should insert only the provided stats', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5, deleted_at: null }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: 12, changes: 1 }));
+
+      const response = await request(app)
+        .post('/api/players/5/stats')
+        .send({ matchDate: '2024-03-01', goals: 2, mvp: true, rating: 8.4 })
+        .expect(201);
+
+      expect(response.body.id).toBe(12);
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'INSERT INTO player_match_stats (player_id, match_date, goals, mvp, rating) ' +
+          'VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        ['5', '2024-03-01', 2, true, 8.4],
+        expect.any(Function)
+      );
+    });
+
+    test('should return 404 for unknown players without writing', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .post('/api/players/99/stats')
+        .send({ matchDate: '2024-03-01' })
+        .expect(404);
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for players in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5, deleted_at: '2024-03-02' }));
+
+      await request(app)
+        .post('/api/players/5/stats')
+        .send({ matchDate: '2024-03-01' })
+        .expect(404);
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should map foreign key violations to 404', async () => {
+      // The player is deleted between the check and the insert
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 99, deleted_at: null }));
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        const error = new Error('insert or update violates foreign key constraint');
+        error.code = '23503';
+        callback(error);
+      });
+
+      await request(app)
+        .post('/api/players/99/stats')
+        .send({ matchDate: '2024-03-01' })
+        .expect(404);
+    });
+
+    test('should link the entry to a match', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5, deleted_at: null }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: 13, changes: 1 }));
+
+      await request(app)
+        .post('/api/players/5/stats')
+        .send({ matchId: '4', matchDate: '2024-03-01', goals: 1 })
+        .expect(201);
+
+      expect(mockDb.run).toHaveBeenCalledWith(
+        'INSERT INTO player_match_stats (player_id, match_id, match_date, goals) VALUES ($1, $2, $3, $4) RETURNING id',
+        ['5', 4, '2024-03-01', 1],
+        expect.any(Function)
+      );
+    });
+
+    test('should reject unknown matches', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5, deleted_at: null }));
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        const error = new Error('insert or update violates foreign key constraint');
+        error.code = '23503';
+        callback(error);
+      });
+
+      const response = await request(app)
+        .post('/api/players/5/stats')
+        .send({ matchId: 404, matchDate: '2024-03-01' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Unknown match referenced');
+    });
+
+    test('should validate stat ranges', async () => {
+      const response = await request(app)
+        .post('/api/players/5/stats')
+        .send({ matchDate: '2024-03-01', rating: 11 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT and DELETE /api/players/:id/stats/:statId', () => {
+    test('should return 404 when the entry does not belong to the player', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(app)
+        .put('/api/players/5/stats/3')
+        .send({ goals: 1 })
+        .expect(404);
+
+      await request(app)
+        .delete('/api/players/5/stats/3')
+        .expect(404);
+    });
+
+    test('should unlink the entry from its match when matchId is cleared', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+
+      await request(app)
+        .put('/api/players/5/stats/3')
+        .send({ matchId: null })
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][0]).toBe(
+        'UPDATE player_match_stats SET match_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND player_id = $3'
+      );
+      expect(mockDb.run.mock.calls[0][1]).toEqual([null, '3', '5']);
+    });
+
+    test('should reject invalid match ids', async () => {
+      await request(app)
+        .put('/api/players/5/stats/3')
+        .send({ matchId: 'abc' })
+        .expect(400);
+
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+/**
+ * Repository layer Tests
+ */
+describe('Repositories', () => {
+  let mockDb;
+  let repositories;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    repositories = require('../backend/repositories');
+  });
+
+  describe('row mapping', () => {
+    test('should map lower-cased PostgreSQL columns to camelCase fields', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, {
+        id: '3', name: 'John', jerseynumber: '9', imageurl: 'https://img/3.png', stars: '4', deleted_at: null
+      }));
+
+      const player = await repositories.players.findById(3);
+
+      expect(player).toEqual({
+        id: 3, name: 'John', jerseyNumber: 9, imageUrl: 'https://img/3.png', stars: 4, deleted_at: null
+      });
+    });
+
+    test('should return null for unknown rows', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, undefined));
+
+      await expect(repositories.managers.findById(8)).resolves.toBeNull();
+    });
+  });
+
+  describe('errors', () => {
+    test('should throw NotFoundError for rows in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 3, deleted_at: '2024-01-01' }));
+
+      await expect(repositories.players.getActive(3)).rejects.toBeInstanceOf(repositories.NotFoundError);
+    });
+
+    test('should throw NotFoundError when an update changes no rows', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await expect(repositories.players.update(3, { name: 'Renamed' })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Player not found'
+      });
+    });
+
+    test('should turn unique violations into a jersey number conflict', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(Object.assign(new Error('duplicate'), {
+        code: '23505'
+      })));
+
+      const attempt = repositories.players.create({ name: 'John', jerseyNumber: 9, stars: 3 });
+
+      await expect(attempt).rejects.toBeInstanceOf(repositories.ConflictError);
+      await expect(attempt).rejects.toMatchObject({ code: 'JERSEY_NUMBER_TAKEN' });
+    });
+
+    test('should reject a jersey number used by another player before writing', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 5 }));
+
+      await expect(repositories.players.update(3, { jerseyNumber: 9 })).rejects.toMatchObject({
+        code: 'JERSEY_NUMBER_TAKEN'
+      });
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should turn unique violations into a username conflict', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(Object.assign(new Error('duplicate'), {
+        code: '23505'
+      })));
+
+      await expect(repositories.admins.create({ username: 'boss', password: 'hash', role: 'owner' }))
+        .rejects.toMatchObject({ name: 'ConflictError', code: 'USERNAME_TAKEN' });
+    });
+
+    test('should report stats for an unknown player as a missing player', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(Object.assign(new Error('foreign key'), {
+        code: '23503'
+      })));
+
+      await expect(repositories.playerStats.create(99, { goals: 1 })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'Player not found'
+      });
+    });
+
+    test('should throw NotFoundError when removing a session of another admin', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await expect(repositories.sessions.removeForAdmin(1, 'sid-2')).rejects.toBeInstanceOf(repositories.NotFoundError);
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['sid-2', '1']);
+    });
+  });
+
+  describe('withTransaction', () => {
+    let client;
+
+    beforeEach(() => {
+      global.MOCK_MODE = false;
+      client = {
+        query: jest.fn().mockResolvedValue({ rows: [{ id: 11 }], rowCount: 1 }),
+        release: jest.fn()
+      };
+      mockDb.pool.connect.mockResolvedValue(client);
+    });
+
+    afterEach(() => {
+      global.MOCK_MODE = true;
+    });
+
+    test('should run every statement on one client and commit', async () => {
+      const id = await repositories.withTransaction(({ contacts }) => contacts.create({
+        name: 'Jane', email: 'jane@example.com', whatsapp: '+15550100'
+      }));
+
+      expect(id).toBe(11);
+      expect(client.query.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN',
+        'INSERT INTO contact_submissions (name, email, whatsapp, application) VALUES ($1, $2, $3, $4) RETURNING id',
+        'COMMIT'
+      ]);
+      expect(mockDb.run).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('should roll back and release the client when the work throws', async () => {
+      client.query.mockImplementation(sql => Promise.resolve({ rows: [], rowCount: sql.startsWith('UPDATE') ? 0 : 1 }));
+
+      await expect(repositories.withTransaction(({ managers }) => managers.setImage(4, null)))
+        .rejects.toBeInstanceOf(repositories.NotFoundError);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements).toContain('ROLLBACK');
+      expect(statements).not.toContain('COMMIT');
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('should let a repository join a surrounding transaction', async () => {
+      await repositories.withTransaction(({ trophies }) => trophies.update(2, { name: 'Renamed' }, []));
+
+      expect(mockDb.pool.connect).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls.filter(([sql]) => sql === 'BEGIN')).toHaveLength(1);
+    });
+  });
+});
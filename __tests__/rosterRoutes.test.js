@@ -0,0 +1,234 @@
+const request = require('supertest');
+const express = require('express');
+
+// Back the db module with a real in-memory database, so imports run in an actual transaction
+jest.mock('../backend/db', () => require('./helpers/memoryDb')());
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+/**
+ * Roster import and export Tests
+ */
+describe('Roster Routes', () => {
+  let app;
+  let memory;
+  let audit;
+
+  const count = table => Number(memory.query(`SELECT COUNT(*) AS total FROM ${table}`).rows[0].total);
+
+  const roster = {
+    players: [
+      { name: 'Anna Berg', jerseyNumber: 7, stars: 5 },
+      { name: 'Carl Dahl', jerseyNumber: 9, stars: 4 }
+    ],
+    managers: [{ name: 'Eva Falk', role: 'Head Coach' }],
+    trophies: [{ name: 'League Cup', year: 2023, competition: 'National League', finalResult: '2-1', winners: [7, 9] }]
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    memory = require('../backend/db').memory;
+    memory.reset();
+    audit = require('../backend/audit');
+
+    const rosterRoutes = require('../backend/rosterRoutes');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { adminId: 1 };
+      next();
+    });
+    app.use('/api/admin', rosterRoutes);
+  });
+
+  describe('POST /api/admin/import', () => {
+    test('should import a JSON roster with trophy winners in one go', async () => {
+      const response = await request(app)
+        .post('/api/admin/import')
+        .send(roster)
+        .expect(201);
+
+      expect(response.body.imported).toEqual({ players: 2, managers: 1, trophies: 1 });
+      expect(count('players')).toBe(2);
+      expect(count('managers')).toBe(1);
+      expect(count('trophy_winners')).toBe(2);
+      expect(audit.recordAudit).toHaveBeenCalledTimes(4);
+      expect(audit.recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'create',
+        entityType: 'trophy',
+        entityId: response.body.ids.trophies[0]
+      }));
+    });
+
+    test('should import a CSV roster', async () => {
+      const csv = [
+        'type,name,jerseyNumber,stars,role,year,description,winners',
+        'player,Anna Berg,7,5,,,,',
+        'manager,Eva Falk,,,Head Coach,,,',
+        'trophy,League Cup,,,,2023,"Won 2-1, after ""extra"" time",7'
+      ].join('\r\n');
+
+      const response = await request(app)
+        .post('/api/admin/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body.imported).toEqual({ players: 1, managers: 1, trophies: 1 });
+      expect(memory.query('SELECT description FROM trophies').rows).toEqual([
+        { description: 'Won 2-1, after "extra" time' }
+      ]);
+      expect(count('trophy_winners')).toBe(1);
+    });
+
+    test('should strip HTML from imported text', async () => {
+      const csv = [
+        'type,name,jerseyNumber,stars,role,year,competition,finalResult,description',
+        'player,<b>Anna Berg</b>,7,5,,,,,',
+        'manager,Eva Falk,,,<i>Head Coach</i>,,,,',
+        'trophies,<em>Cup</em>,,,,2023,<u>League</u>,<s>2-1</s>,"<img src=x onerror=alert(1)>Final win"'
+      ].join('\n');
+
+      await request(app)
+        .post('/api/admin/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(memory.query('SELECT name FROM players').rows).toEqual([{ name: 'Anna Berg' }]);
+      expect(memory.query('SELECT role FROM managers').rows).toEqual([{ role: 'Head Coach' }]);
+      expect(memory.query('SELECT name, competition, final_result, description FROM trophies').rows).toEqual([
+        { name: 'Cup', competition: 'League', final_result: '2-1', description: 'Final win' }
+      ]);
+    });
+
+    test('should take the type of CSV rows from the query without a type column', async () => {
+      const response = await request(app)
+        .post('/api/admin/import?type=managers')
+        .set('Content-Type', 'text/csv')
+        .send('name,role\nEva Falk,Head Coach\n')
+        .expect(201);
+
+      expect(response.body.imported).toEqual({ players: 0, managers: 1, trophies: 0 });
+    });
+
+    test('should report every invalid row and import nothing', async () => {
+      const response = await request(app)
+        .post('/api/admin/import')
+        .send({
+          players: [
+            { name: 'Anna Berg', jerseyNumber: 7, stars: 5 },
+            { name: 'Carl Dahl', jerseyNumber: 7, stars: 4 },
+            { name: '', jerseyNumber: 120, stars: 3 }
+          ],
+          trophies: [{ name: 'League Cup', year: 2023, winners: [11] }]
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'players', row: 2, field: 'jerseyNumber' }),
+        expect.objectContaining({ type: 'players', row: 3, field: 'name' }),
+        expect.objectContaining({ type: 'players', row: 3, field: 'jerseyNumber' }),
+        expect.objectContaining({ type: 'trophies', row: 1, field: 'winners' })
+      ]));
+      expect(count('players')).toBe(0);
+      expect(audit.recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('should reject jersey numbers taken by existing players', async () => {
+      memory.query('INSERT INTO players (name, jerseyNumber, stars) VALUES ($1, $2, $3)', ['Old Timer', 9, 3]);
+
+      const response = await request(app)
+        .post('/api/admin/import')
+        .send(roster)
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        expect.objectContaining({ type: 'players', row: 2, field: 'jerseyNumber' })
+      ]);
+      expect(count('players')).toBe(1);
+    });
+
+    test('should validate without writing anything on a dry run', async () => {
+      const response = await request(app)
+        .post('/api/admin/import?dryRun=true')
+        .send(roster)
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(count('players')).toBe(0);
+      expect(count('trophies')).toBe(0);
+      expect(audit.recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('should reject a CSV with an unterminated quote', async () => {
+      const response = await request(app)
+        .post('/api/admin/import?type=players')
+        .set('Content-Type', 'text/csv')
+        .send('name,jerseyNumber,stars\n"Anna,7,5\n')
+        .expect(400);
+
+      expect(response.body.error).toMatch(/quoted field/);
+    });
+  });
+
+  describe('GET /api/admin/export', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/admin/import').send(roster).expect(201);
+    });
+
+    test('should export the roster as JSON that imports back', async () => {
+      const response = await request(app)
+        .get('/api/admin/export')
+        .expect('Content-Disposition', /attachment; filename="roster-\d{4}-\d{2}-\d{2}\.json"/)
+        .expect(200);
+
+      expect(response.body.players).toEqual(roster.players);
+      expect(response.body.managers).toEqual(roster.managers);
+      expect(response.body.trophies).toEqual([expect.objectContaining({ name: 'League Cup', winners: [7, 9] })]);
+    });
+
+    test('should export the roster as CSV that imports back', async () => {
+      const response = await request(app)
+        .get('/api/admin/export?format=csv')
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      expect(response.text.split('\r\n')).toEqual(expect.arrayContaining([
+        'type,name,jerseyNumber,stars,role,year,competition,finalResult,description,winners',
+        'trophies,League Cup,,,,2023,National League,2-1,,7;9'
+      ]));
+
+      memory.reset();
+      await request(app)
+        .post('/api/admin/import')
+        .set('Content-Type', 'text/csv')
+        .send(response.text)
+        .expect(201);
+      expect(count('trophy_winners')).toBe(2);
+    });
+
+    test('should neutralise cells that spreadsheets would run as formulas', async () => {
+      memory.query('INSERT INTO managers (name, role) VALUES ($1, $2)', ['=HYPERLINK("x")', 'Coach']);
+
+      const response = await request(app).get('/api/admin/export?format=csv').expect(200);
+
+      expect(response.text).toContain('managers,"\'=HYPERLINK(""x"")",,,Coach');
+    });
+
+    test('should reject unknown formats', async () => {
+      await request(app).get('/api/admin/export?format=xml').expect(400);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+/**
+ * Admin Session Management Tests
+ */
+describe('Admin Session Routes', () => {
+  let mockDb;
+  let session;
+
+  const handle = sid => crypto.createHash('sha256').update(sid).digest('hex');
+  const storedSession = sid => ({ sid, sess: { adminId: 3 }, expire: '2024-01-02T10:00:00.000Z' });
+
+  const buildApp = () => {
+    const sessionRoutes = require('../backend/sessionRoutes');
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = session;
+      req.sessionID = 'current-sid';
+      next();
+    });
+    app.use('/api/admin/sessions', sessionRoutes);
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    global.MOCK_MODE = false;
+
+    mockDb = require('../backend/db');
+    mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+    session = {
+      id: 'current-sid',
+      isAdmin: true,
+      adminId: 3,
+      role: 'editor',
+      destroy: jest.fn(callback => callback())
+    };
+  });
+
+  afterEach(() => {
+    global.MOCK_MODE = true;
+  });
+
+  describe('GET /api/admin/sessions', () => {
+    test('should list only the admin\'s sessions, most recently active first', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [
+        {
+          sid: 'old-sid',
+          sess: { adminId: 3, ip: '198.51.100.4', userAgent: 'Firefox', loginTime: '2024-01-01T10:00:00.000Z' },
+          expire: '2024-01-02T10:00:00.000Z'
+        },
+        {
+          sid: 'current-sid',
+          sess: JSON.stringify({
+            adminId: 3,
+            ip: '203.0.113.9',
+            userAgent: 'Chrome',
+            loginTime: '2024-01-01T09:00:00.000Z',
+            lastActivity: '2024-01-01T12:00:00.000Z'
+          }),
+          expire: '2024-01-02T12:00:00.000Z'
+        }
+      ]));
+
+      const response = await request(buildApp())
+        .get('/api/admin/sessions')
+        .expect(200);
+
+      expect(mockDb.all.mock.calls[0][1]).toEqual(['3']);
+      expect(response.body).toEqual([
+        {
+          id: handle('current-sid'),
+          current: true,
+          ip: '203.0.113.9',
+          userAgent: 'Chrome',
+          loginTime: '2024-01-01T09:00:00.000Z',
+          lastActivity: '2024-01-01T12:00:00.000Z',
+          expiresAt: '2024-01-02T12:00:00.000Z'
+        },
+        {
+          id: handle('old-sid'),
+          current: false,
+          ip: '198.51.100.4',
+          userAgent: 'Firefox',
+          loginTime: '2024-01-01T10:00:00.000Z',
+          lastActivity: '2024-01-01T10:00:00.000Z',
+          expiresAt: '2024-01-02T10:00:00.000Z'
+        }
+      ]);
+      expect(JSON.stringify(response.body)).not.toContain('old-sid');
+    });
+
+    test('should require a logged-in admin', async () => {
+      session = { destroy: jest.fn() };
+
+      await request(buildApp())
+        .get('/api/admin/sessions')
+        .expect(401);
+      expect(mockDb.all).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/sessions/:id', () => {
+    beforeEach(() => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [
+        storedSession('current-sid'),
+        storedSession('other-sid')
+      ]));
+    });
+
+    test('should only revoke sessions belonging to the admin', async () => {
+      await request(buildApp())
+        .delete(`/api/admin/sessions/${handle('other-sid')}`)
+        .expect(200);
+
+      expect(mockDb.all.mock.calls[0][1]).toEqual(['3']);
+      const [sql, params] = mockDb.run.mock.calls[0];
+      expect(sql).toContain('sess->>\'adminId\' = $2');
+      expect(params).toEqual(['other-sid', '3']);
+    });
+
+    test('should return 404 for unknown or foreign sessions', async () => {
+      await request(buildApp())
+        .delete(`/api/admin/sessions/${handle('someone-elses-sid')}`)
+        .expect(404);
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should not accept a raw session id', async () => {
+      await request(buildApp())
+        .delete('/api/admin/sessions/other-sid')
+        .expect(404);
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the session ended in the meantime', async () => {
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(buildApp())
+        .delete(`/api/admin/sessions/${handle('other-sid')}`)
+        .expect(404);
+    });
+
+    test('should log out when revoking the current session', async () => {
+      const response = await request(buildApp())
+        .delete(`/api/admin/sessions/${handle('current-sid')}`)
+        .expect(200);
+
+      expect(session.destroy).toHaveBeenCalled();
+      expect(response.headers['set-cookie'][0]).toContain('revengers.sid=;');
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/sessions', () => {
+    test('should log out everywhere including the current session', async () => {
+      await request(buildApp())
+        .delete('/api/admin/sessions')
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['3', 'current-sid']);
+      expect(session.destroy).toHaveBeenCalled();
+    });
+
+    test('should keep the current session when asked to', async () => {
+      await request(buildApp())
+        .delete('/api/admin/sessions?keepCurrent=true')
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][1]).toEqual(['3', 'current-sid']);
+      expect(session.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+// Back the db module with an in-memory SQLite database, as DB_DRIVER=sqlite does with a file
+jest.mock('../backend/db', () => {
+  const { SqlitePool } = require('../backend/sqlite');
+  const pool = new SqlitePool(':memory:');
+
+  return {
+    all: (sql, params, callback) => pool.query(sql, params, (err, res) => (err ? callback(err) : callback(null, res.rows))),
+    get: (sql, params, callback) => pool.query(sql, params, (err, res) => (err ? callback(err) : callback(null, res.rows[0]))),
+    run: (sql, params, callback) => pool.query(sql, params, (err, res) => (err ? callback(err) : callback(null, {
+      lastID: res.rows.length > 0 && res.rows[0].id ? res.rows[0].id : null,
+      changes: res.rowCount
+    }))),
+    pool,
+    dialect: 'sqlite'
+  };
+});
+
+const { translate } = require('../backend/sqlite/dialect');
+
+// better-sqlite3 is an optional dependency
+const hasSqlite = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+const describeWithSqlite = hasSqlite ? describe : describe.skip;
+
+/**
+ * SQLite driver Tests
+ */
+describe('SQLite driver', () => {
+  describe('dialect translation', () => {
+    test('should bind $n placeholders positionally, repeating reused ones', () => {
+      expect(translate('SELECT * FROM players WHERE id = $2 OR captain_id = $2 LIMIT $1')).toEqual({
+        sql: 'SELECT * FROM players WHERE id = ? OR captain_id = ? LIMIT ?',
+        order: [2, 2, 1]
+      });
+    });
+
+    test('should rewrite casts, ILIKE, NOW() and = ANY()', () => {
+      const { sql } = translate(
+        'SELECT COUNT(*)::int FROM players WHERE name ILIKE $1 AND id = ANY($2::int[]) AND created_at < NOW()'
+      );
+
+      expect(sql).toBe(
+        'SELECT COUNT(*) FROM players WHERE name LIKE ? AND id IN (SELECT value FROM json_each(?)) ' +
+          'AND created_at < (strftime(\'%Y-%m-%dT%H:%M:%fZ\', \'now\'))'
+      );
+    });
+
+    test('should leave quoted strings alone and read ->> as text', () => {
+      const { sql, order } = translate('SELECT \'$1::int NOW()\' AS "NOW()" FROM sessions WHERE sess->>\'adminId\' = $1');
+
+      expect(sql).toBe('SELECT \'$1::int NOW()\' AS "NOW()" FROM sessions WHERE CAST(sess ->> \'adminId\' AS TEXT) = ?');
+      expect(order).toEqual([1]);
+    });
+  });
+
+  describeWithSqlite('pool', () => {
+    let pool;
+
+    beforeEach(() => {
+      const { SqlitePool } = require('../backend/sqlite');
+      pool = new SqlitePool(':memory:');
+      pool.database.exec(
+        'CREATE TABLE teams (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE, ' +
+          'active BOOLEAN DEFAULT TRUE, settings JSONB, founded TIMESTAMP)'
+      );
+      pool.database.exec('CREATE TABLE members (team_id INTEGER NOT NULL REFERENCES teams(id))');
+    });
+
+    afterEach(async () => {
+      await pool.end();
+    });
+
+    test('should return booleans, dates and JSON the way node-postgres does', async () => {
+      const founded = new Date('2020-03-01T12:00:00.000Z');
+      await pool.query(
+        'INSERT INTO teams (name, active, settings, founded) VALUES ($1, $2, $3, $4)',
+        ['Revengers', false, { colours: ['red'] }, founded]
+      );
+
+      const { rows } = await pool.query('SELECT active, settings, founded FROM teams');
+
+      expect(rows).toEqual([{ active: false, settings: { colours: ['red'] }, founded }]);
+    });
+
+    test('should support the callback form and RETURNING', done => {
+      pool.query('INSERT INTO teams (name) VALUES ($1) RETURNING id', ['Revengers'], (err, res) => {
+        expect(err).toBeNull();
+        expect(res).toEqual({ rows: [{ id: 1 }], rowCount: 1 });
+        done();
+      });
+    });
+
+    test('should report constraint failures with PostgreSQL error codes', async () => {
+      await pool.query('INSERT INTO teams (name) VALUES ($1)', ['Revengers']);
+
+      await expect(pool.query('INSERT INTO teams (name) VALUES ($1)', ['Revengers']))
+        .rejects.toMatchObject({ code: '23505', sqliteCode: 'SQLITE_CONSTRAINT_UNIQUE' });
+      await expect(pool.query('INSERT INTO teams (name) VALUES (NULL)'))
+        .rejects.toMatchObject({ code: '23502' });
+      await expect(pool.query('INSERT INTO members (team_id) VALUES ($1)', [99]))
+        .rejects.toMatchObject({ code: '23503' });
+    });
+
+    test('should make pool queries wait for a client to be released', async () => {
+      const client = await pool.connect();
+      await client.query('BEGIN');
+      await client.query('INSERT INTO teams (name) VALUES ($1)', ['Revengers']);
+
+      const count = pool.query('SELECT COUNT(*) AS total FROM teams');
+      await client.query('ROLLBACK');
+      client.release();
+
+      expect((await count).rows).toEqual([{ total: 0 }]);
+    });
+
+    test('should roll back a transaction left open on release', async () => {
+      const client = await pool.connect();
+      await client.query('BEGIN');
+      await client.query('INSERT INTO teams (name) VALUES ($1)', ['Revengers']);
+      client.release();
+
+      expect(pool.database.inTransaction).toBe(false);
+      expect((await pool.query('SELECT COUNT(*) AS total FROM teams')).rows).toEqual([{ total: 0 }]);
+    });
+  });
+
+  describeWithSqlite('session store', () => {
+    let pool;
+    let store;
+
+    beforeEach(() => {
+      const { SqlitePool } = require('../backend/sqlite');
+      const { SqliteSessionStore } = require('../backend/sqlite/sessionStore');
+      pool = new SqlitePool(':memory:');
+      pool.database.exec('CREATE TABLE sessions (sid TEXT PRIMARY KEY, sess JSON NOT NULL, expire TIMESTAMP NOT NULL)');
+      store = new SqliteSessionStore({ pool, pruneSessionInterval: 0 });
+    });
+
+    afterEach(async () => {
+      store.close();
+      await pool.end();
+    });
+
+    const call = (method, ...args) => new Promise((resolve, reject) => {
+      store[method](...args, (err, value) => (err ? reject(err) : resolve(value)));
+    });
+
+    test('should save, load and destroy sessions', async () => {
+      const future = new Date(Date.now() + 60000).toISOString();
+      await call('set', 'abc', { cookie: { expires: future }, adminId: 1 });
+      await call('set', 'abc', { cookie: { expires: future }, adminId: 2 });
+
+      expect(await call('get', 'abc')).toEqual({ cookie: { expires: future }, adminId: 2 });
+
+      await call('destroy', 'abc');
+      expect(await call('get', 'abc')).toBeNull();
+    });
+
+    test('should ignore and prune expired sessions', async () => {
+      const past = new Date(Date.now() - 60000).toISOString();
+      await call('set', 'old', { cookie: { expires: past } });
+      await call('set', 'new', { cookie: {} });
+
+      expect(await call('get', 'old')).toBeNull();
+      expect(await store.pruneSessions()).toBe(1);
+      expect(await call('get', 'new')).toEqual({ cookie: {} });
+    });
+  });
+
+  describeWithSqlite('repositories', () => {
+    let repositories;
+    let previousMockMode;
+
+    beforeAll(async () => {
+      previousMockMode = global.MOCK_MODE;
+      global.MOCK_MODE = false;
+      await require('../backend/migrator').migrateUp(require('../backend/db').pool);
+      repositories = require('../backend/repositories');
+    });
+
+    afterAll(async () => {
+      global.MOCK_MODE = previousMockMode;
+      await require('../backend/db').pool.end();
+    });
+
+    beforeEach(async () => {
+      const { pool } = require('../backend/db');
+      await pool.query('DELETE FROM trophies');
+      await pool.query('DELETE FROM players');
+    });
+
+    test('should create, search and trash players', async () => {
+      const anna = await repositories.players.create({ name: 'Anna', jerseyNumber: 10, stars: 5 });
+      await repositories.players.create({ name: 'Bert', jerseyNumber: 11, stars: 4 });
+
+      await expect(repositories.players.create({ name: 'Carl', jerseyNumber: 10, stars: 3 }))
+        .rejects.toMatchObject({ code: 'JERSEY_NUMBER_TAKEN' });
+      expect((await repositories.players.search('ann')).map(player => player.name)).toEqual(['Anna']);
+
+      await repositories.players.moveToTrash(anna);
+      const { rows, total } = await repositories.players.list({ limit: 10, offset: 0 });
+
+      expect(total).toBe(1);
+      expect(rows.map(player => player.name)).toEqual(['Bert']);
+    });
+
+    test('should replace trophy winners inside a transaction', async () => {
+      const anna = await repositories.players.create({ name: 'Anna', jerseyNumber: 10, stars: 5 });
+      const bert = await repositories.players.create({ name: 'Bert', jerseyNumber: 11, stars: 4 });
+      const trophyId = await repositories.trophies.create({ name: 'Cup', year: 2024 }, [anna, bert]);
+
+      await repositories.trophies.update(trophyId, { name: 'Super Cup' }, [bert]);
+      const trophy = await repositories.trophies.getWithWinners(trophyId);
+
+      expect(trophy.name).toBe('Super Cup');
+      expect(trophy.winners.map(winner => winner.name)).toEqual(['Bert']);
+    });
+  });
+});
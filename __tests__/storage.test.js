@@ -0,0 +1,480 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('../backend/storage');
+const { objectKey } = require('../backend/storage/keys');
+const { LocalDiskStorage } = require('../backend/storage/localDiskStorage');
+const { CloudinaryStorage } = require('../backend/storage/cloudinaryStorage');
+const { migrateImages } = require('../backend/storage/migrate');
+const { collectGarbage } = require('../backend/storage/garbageCollector');
+const { PathOutsideRootError } = require('../backend/safePath');
+
+// @aws-sdk/client-s3 is an optional dependency
+const hasS3Sdk = (() => {
+  try {
+    require.resolve('@aws-sdk/client-s3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+const describeWithS3Sdk = hasS3Sdk ? describe : describe.skip;
+
+// Driver keeping images in a Map, under URLs starting with `baseUrl`; `created` holds upload times
+function memoryStorage(name, baseUrl) {
+  const objects = new Map();
+  const created = new Map();
+  const owns = url => typeof url === 'string' && url.startsWith(`${baseUrl}/`);
+  return {
+    name,
+    objects,
+    created,
+    owns,
+    keyOf: url => (owns(url) ? url.slice(baseUrl.length + 1) : null),
+    save: jest.fn((buffer, { folder, extension }) => {
+      const url = `${baseUrl}/${objectKey(folder, buffer, extension)}`;
+      objects.set(url, buffer);
+      created.set(url, new Date());
+      return Promise.resolve(url);
+    }),
+    list: jest.fn(folder => Promise.resolve([...objects.keys()]
+      .filter(url => url.startsWith(`${baseUrl}/${folder}/`))
+      .map(url => ({ key: url.slice(baseUrl.length + 1), url, createdAt: created.get(url) })))),
+    read: jest.fn(url => (objects.has(url)
+      ? Promise.resolve(objects.get(url))
+      : Promise.reject(new Error(`No such image ${url}`)))),
+    remove: jest.fn(url => Promise.resolve(objects.delete(url)))
+  };
+}
+
+/**
+ * Image storage Tests
+ */
+describe('Image storage', () => {
+  afterEach(() => {
+    storage.setDrivers();
+  });
+
+  describe('object keys', () => {
+    test('should name images by content hash with a random suffix', () => {
+      const first = objectKey('players', Buffer.from('image'), '.webp');
+      const second = objectKey('players', Buffer.from('image'), '.webp');
+
+      expect(first).toMatch(/^players\/[a-f0-9]{32}-[a-f0-9]{8}\.webp$/);
+      expect(first.slice(0, 41)).toBe(second.slice(0, 41));
+      expect(first).not.toBe(second);
+    });
+
+    test('should reject unknown folders', () => {
+      expect(() => objectKey('../admins', Buffer.from('image'), '.webp')).toThrow('Unknown image folder');
+    });
+  });
+
+  describe('local disk driver', () => {
+    let directory;
+    let local;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+      local = new LocalDiskStorage({ directory });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should save, read and remove files under /uploads', async () => {
+      const url = await local.save(Buffer.from('image'), { folder: 'trophies', extension: '.webp' });
+
+      expect(url).toMatch(/^\/uploads\/trophies\/[a-f0-9-]+\.webp$/);
+      expect(fs.existsSync(path.join(directory, url.slice('/uploads/'.length)))).toBe(true);
+      expect((await local.read(url)).toString()).toBe('image');
+
+      await local.remove(url);
+      await expect(local.remove(url)).resolves.toBeUndefined();
+      expect(fs.readdirSync(path.join(directory, 'trophies'))).toEqual([]);
+    });
+
+    test('should list the files of a folder', async () => {
+      const url = await local.save(Buffer.from('image'), { folder: 'players', extension: '.jpg' });
+      fs.writeFileSync(path.join(directory, 'players', 'notes.txt'), 'not an image');
+
+      const listed = await local.list('players');
+
+      expect(listed).toHaveLength(1);
+      expect(listed[0]).toMatchObject({ key: url.slice('/uploads/'.length), url });
+      expect(listed[0].createdAt.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(await local.list('managers')).toEqual([]);
+    });
+
+    test('should only claim files it wrote', async () => {
+      expect(local.owns('/uploads/default-player.jpg')).toBe(false);
+      expect(local.owns('/uploads/players/../../backend/config.js')).toBe(false);
+      expect(local.owns('https://res.cloudinary.com/demo/players/john.webp')).toBe(false);
+      await expect(local.read('/uploads/logo.webp')).rejects.toThrow('Not a locally stored image');
+    });
+
+    test('should not list folders outside its directory', async () => {
+      await expect(local.list('..')).rejects.toThrow(PathOutsideRootError);
+      await expect(local.list('players/../../etc')).rejects.toThrow(PathOutsideRootError);
+    });
+  });
+
+  describe('Cloudinary driver', () => {
+    let uploader;
+    let api;
+    let cloudinary;
+
+    beforeEach(() => {
+      uploader = {
+        upload_stream: jest.fn((options, callback) => ({
+          end: () => callback(null, { secure_url: `https://res.cloudinary.com/demo/image/upload/v1/${options.public_id}.webp` })
+        })),
+        destroy: jest.fn((publicId, callback) => callback(null, { result: 'ok' }))
+      };
+      api = { resources: jest.fn() };
+      cloudinary = new CloudinaryStorage({ uploader, api });
+    });
+
+    test('should upload under a hashed public ID and delete by it', async () => {
+      const url = await cloudinary.save(Buffer.from('image'), { folder: 'players', extension: '.webp' });
+      const publicId = uploader.upload_stream.mock.calls[0][0].public_id;
+
+      expect(publicId).toMatch(/^players\/[a-f0-9]{32}-[a-f0-9]{8}$/);
+      expect(cloudinary.owns(url)).toBe(true);
+
+      await cloudinary.remove(url);
+      expect(uploader.destroy).toHaveBeenCalledWith(publicId, expect.any(Function));
+    });
+
+    test('should read public IDs from delivery URLs', () => {
+      expect(cloudinary.publicIdOf('https://res.cloudinary.com/demo/image/upload/v17/players/abc.webp')).toBe('players/abc');
+      expect(cloudinary.publicIdOf('https://res.cloudinary.com/demo/players/john.webp')).toBe('players/john');
+    });
+
+    test('should list a folder page by page', async () => {
+      const resource = name => ({
+        public_id: `players/${name}`,
+        secure_url: `https://res.cloudinary.com/demo/image/upload/v1/players/${name}.webp`,
+        created_at: '2024-05-01T10:00:00Z'
+      });
+      api.resources
+        .mockResolvedValueOnce({ resources: [resource('a1-01')], next_cursor: 'page-2' })
+        .mockResolvedValueOnce({ resources: [resource('b2-02')] });
+
+      const listed = await cloudinary.list('players');
+
+      expect(listed.map(image => image.key)).toEqual(['players/a1-01', 'players/b2-02']);
+      expect(cloudinary.keyOf(listed[1].url)).toBe('players/b2-02');
+      expect(api.resources.mock.calls[0][0]).toMatchObject({ prefix: 'players/', type: 'upload' });
+      expect(api.resources.mock.calls[1][0].next_cursor).toBe('page-2');
+    });
+
+    test('should report failed deletions', async () => {
+      uploader.destroy.mockImplementation((publicId, callback) => callback(null, { result: 'error' }));
+
+      await expect(cloudinary.remove('https://res.cloudinary.com/demo/players/john.webp'))
+        .rejects.toThrow('could not delete players/john');
+    });
+  });
+
+  describeWithS3Sdk('S3 driver', () => {
+    const { S3Storage } = require('../backend/storage/s3Storage');
+
+    test('should put objects with a long cache lifetime under the public URL', async () => {
+      const client = { send: jest.fn().mockResolvedValue({}) };
+      const s3 = new S3Storage({ bucket: 'media', region: 'eu-west-1', client });
+
+      const url = await s3.save(Buffer.from('image'), { folder: 'managers', extension: '.webp' });
+      const [put] = client.send.mock.calls[0];
+
+      expect(url).toMatch(/^https:\/\/media\.s3\.eu-west-1\.amazonaws\.com\/managers\/[a-f0-9-]+\.webp$/);
+      expect(put.input).toMatchObject({
+        Bucket: 'media',
+        Key: url.split('amazonaws.com/')[1],
+        ContentType: 'image/webp',
+        CacheControl: 'public, max-age=31536000, immutable'
+      });
+
+      await s3.remove(url);
+      expect(client.send.mock.calls[1][0].input).toEqual({ Bucket: 'media', Key: put.input.Key });
+    });
+
+    test('should use the endpoint or public URL of S3-compatible services', () => {
+      const client = { send: jest.fn() };
+      const minio = new S3Storage({ bucket: 'media', endpoint: 'http://minio:9000/', client });
+      const cdn = new S3Storage({ bucket: 'media', publicUrl: 'https://cdn.example.com/', client });
+
+      expect(minio.owns('http://minio:9000/media/players/abc-12.webp')).toBe(true);
+      expect(cdn.owns('https://cdn.example.com/players/abc-12.webp')).toBe(true);
+      expect(cdn.owns('https://cdn.example.com/private/notes.txt')).toBe(false);
+    });
+  });
+
+  describe('uploadImage and deleteImage', () => {
+    const utils = require('../backend/utils');
+    let cloudinary;
+    let local;
+
+    beforeEach(() => {
+      cloudinary = memoryStorage('cloudinary', 'https://res.cloudinary.com/demo');
+      local = memoryStorage('local', '/uploads');
+      storage.setDrivers([['cloudinary', cloudinary], ['local', local]]);
+    });
+
+    test('should store every variant with the configured driver', async () => {
+      const png = await sharp({
+        create: { width: 600, height: 600, channels: 3, background: '#c00' }
+      }).png().toBuffer();
+
+      const { imageUrl, imageVariants } = await utils.uploadImage(png, 'photo.png', 'players');
+
+      const stored = [...imageVariants.sources.map(source => source.url), imageVariants.original.url];
+      expect(stored.sort()).toEqual([...cloudinary.objects.keys()].sort());
+      expect(cloudinary.objects.get(imageVariants.original.url)).toEqual(png);
+      expect(imageVariants.original).toMatchObject({ type: 'image/png', width: 600, height: 600 });
+      expect(imageUrl).toMatch(/\.webp$/);
+      expect(await sharp(cloudinary.objects.get(imageUrl)).metadata())
+        .toMatchObject({ format: 'webp', width: 300, height: 400 });
+    });
+
+    test('should remove the variants stored so far when an upload fails', async () => {
+      const png = await sharp({
+        create: { width: 200, height: 200, channels: 3, background: '#0c0' }
+      }).png().toBuffer();
+      const save = cloudinary.save.getMockImplementation();
+      cloudinary.save
+        .mockImplementationOnce(save)
+        .mockImplementationOnce(() => Promise.reject(new Error('quota exceeded')));
+
+      await expect(utils.uploadImage(png, 'photo.png', 'players')).rejects.toThrow('quota exceeded');
+      expect(cloudinary.remove).toHaveBeenCalledTimes(1);
+      expect(cloudinary.objects.size).toBe(0);
+    });
+
+    test('should re-crop from the stored original and leave the old variants to the caller', async () => {
+      const png = await sharp({
+        create: { width: 600, height: 600, channels: 3, background: '#00c' }
+      }).png().toBuffer();
+      const uploaded = await utils.uploadImage(png, 'photo.png', 'players');
+      const stored = cloudinary.objects.size;
+
+      const { imageUrl, imageVariants } = await utils.recropImage(uploaded.imageVariants, 'players', {
+        crop: { x: 0, y: 0, width: 300, height: 400 },
+        focalPoint: null
+      });
+
+      expect(imageVariants.original).toEqual(uploaded.imageVariants.original);
+      expect(imageVariants.crop).toEqual({ x: 0, y: 0, width: 300, height: 400 });
+      expect(await sharp(cloudinary.objects.get(imageUrl)).metadata()).toMatchObject({ width: 300, height: 400 });
+      expect(cloudinary.objects.size).toBe(stored + imageVariants.sources.length);
+
+      await utils.deleteImage(uploaded.imageUrl, uploaded.imageVariants, [imageVariants.original.url]);
+      expect(cloudinary.objects.has(imageVariants.original.url)).toBe(true);
+      expect(cloudinary.objects.size).toBe(stored);
+    });
+
+    test('should refuse to re-crop images without a stored original', async () => {
+      await expect(utils.recropImage({ sources: [] }, 'players', { crop: null, focalPoint: { x: 0.5, y: 0.5 } }))
+        .rejects.toThrow(utils.MissingOriginalError);
+    });
+
+    test('should delete an image and its variants through the driver that stored them', async () => {
+      await utils.deleteImage('/uploads/players/abc-12.webp', {
+        sources: [{ url: '/uploads/players/abc-12.webp' }, { url: '/uploads/players/def-34.avif' }]
+      });
+      await utils.deleteImage('https://example.com/elsewhere.webp');
+
+      expect(local.remove.mock.calls).toEqual([['/uploads/players/abc-12.webp'], ['/uploads/players/def-34.avif']]);
+      expect(cloudinary.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateImages', () => {
+    let cloudinary;
+    let local;
+    let rows;
+    let pool;
+
+    beforeEach(async () => {
+      cloudinary = memoryStorage('cloudinary', 'https://res.cloudinary.com/demo');
+      local = memoryStorage('local', '/uploads');
+      const anna = await cloudinary.save(Buffer.from('anna'), { folder: 'players', extension: '.webp' });
+      const cup = await cloudinary.save(Buffer.from('cup'), { folder: 'trophies', extension: '.webp' });
+      rows = new Map([
+        ['players', [{ id: 1, imageUrl: anna }, { id: 2, imageUrl: '/uploads/default-player.jpg' }]],
+        ['managers', []],
+        ['trophies', [{ id: 5, imageUrl: cup }]]
+      ]);
+
+      pool = {
+        query: jest.fn((sql, params) => {
+          const table = sql.match(/(?:FROM|UPDATE) (\w+)/)[1];
+          if (sql.startsWith('SELECT')) {
+            return Promise.resolve({ rows: rows.get(table) });
+          }
+          const [newUrl, id, oldUrl] = params;
+          const row = rows.get(table).find(candidate => candidate.id === id && candidate.imageUrl === oldUrl);
+          if (row) {
+            row.imageUrl = newUrl;
+          }
+          return Promise.resolve({ rows: [], rowCount: row ? 1 : 0 });
+        })
+      };
+    });
+
+    test('should copy images and repoint their rows', async () => {
+      const { moved, failed } = await migrateImages(pool, { from: cloudinary, to: local, deleteSource: true });
+
+      expect(failed).toEqual([]);
+      expect(moved.map(image => [image.table, image.id])).toEqual([['players', 1], ['trophies', 5]]);
+      const [anna] = rows.get('players');
+      expect(anna.imageUrl).toMatch(/^\/uploads\/players\//);
+      expect(local.objects.get(anna.imageUrl).toString()).toBe('anna');
+      expect(cloudinary.objects.size).toBe(0);
+    });
+
+    test('should only list the images in a dry run', async () => {
+      const { moved } = await migrateImages(pool, { from: cloudinary, to: local, dryRun: true });
+
+      expect(moved).toHaveLength(2);
+      expect(local.save).not.toHaveBeenCalled();
+      expect(pool.query.mock.calls.every(([sql]) => sql.startsWith('SELECT'))).toBe(true);
+    });
+
+    test('should carry on past failures and keep originals', async () => {
+      cloudinary.read.mockRejectedValueOnce(new Error('timeout'));
+
+      const { moved, failed } = await migrateImages(pool, { from: cloudinary, to: local });
+
+      expect(failed).toEqual([expect.objectContaining({ table: 'players', id: 1, error: 'timeout' })]);
+      expect(moved.map(image => image.id)).toEqual([5]);
+      expect(cloudinary.objects.size).toBe(2);
+    });
+
+    test('should discard the copy of an image replaced during the run', async () => {
+      local.save.mockImplementationOnce((buffer, options) => {
+        rows.get('players')[0].imageUrl = 'https://res.cloudinary.com/demo/players/replaced.webp';
+        return Promise.resolve(`/uploads/${objectKey(options.folder, buffer, options.extension)}`);
+      });
+
+      const { failed } = await migrateImages(pool, { from: cloudinary, to: local });
+
+      expect(failed).toEqual([expect.objectContaining({ id: 1, error: 'Image changed during the migration' })]);
+      expect(local.remove).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('collectGarbage', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let fake;
+    let rows;
+    let pool;
+
+    // Store an image in the fake driver as if it had been uploaded `ageMs` ago
+    const stored = async (folder, ageMs = 2 * DAY_MS) => {
+      const url = await fake.save(Buffer.from(`${folder}-${fake.objects.size}`), { folder, extension: '.webp' });
+      fake.created.set(url, new Date(Date.now() - ageMs));
+      return url;
+    };
+
+    beforeEach(() => {
+      fake = memoryStorage('local', '/uploads');
+      rows = new Map([['players', []], ['managers', []], ['trophies', []]]);
+      pool = {
+        query: jest.fn((sql, params) => {
+          const table = sql.match(/(?:FROM|UPDATE) (\w+)/)[1];
+          if (sql.startsWith('SELECT')) {
+            return Promise.resolve({ rows: rows.get(table).filter(row => row.imageUrl) });
+          }
+          const [id, oldUrl] = params;
+          const row = rows.get(table).find(candidate => candidate.id === id && candidate.imageUrl === oldUrl);
+          if (row) {
+            row.imageUrl = null;
+            row.image_variants = null;
+          }
+          return Promise.resolve({ rows: [], rowCount: row ? 1 : 0 });
+        })
+      };
+    });
+
+    test('should delete unreferenced images but keep referenced and recent ones', async () => {
+      const anna = await stored('players');
+      const annaOriginal = await stored('players');
+      const orphan = await stored('managers');
+      const fresh = await stored('trophies', 60 * 1000);
+      rows.get('players').push({ id: 1, imageUrl: anna, image_variants: { original: { url: annaOriginal } } });
+
+      const { orphans, broken, failed } = await collectGarbage(pool, { storage: fake });
+
+      expect(orphans.map(image => image.url)).toEqual([orphan]);
+      expect(broken).toEqual([]);
+      expect(failed).toEqual([]);
+      expect([...fake.objects.keys()].sort()).toEqual([anna, annaOriginal, fresh].sort());
+    });
+
+    test('should clear rows whose image is gone and delete what is left of it', async () => {
+      const source = await stored('trophies');
+      const missing = '/uploads/trophies/0123abcd-89ab.webp';
+      rows.get('trophies').push({
+        id: 5,
+        imageUrl: missing,
+        image_variants: { sources: [{ url: missing }, { url: source }] }
+      });
+      rows.get('players').push({ id: 2, imageUrl: '/uploads/default-player.jpg', image_variants: null });
+
+      const { orphans, broken } = await collectGarbage(pool, { storage: fake });
+
+      expect(orphans).toEqual([]);
+      expect(broken).toEqual([{ table: 'trophies', id: 5, imageUrl: missing, missing: ['trophies/0123abcd-89ab.webp'] }]);
+      expect(rows.get('trophies')[0]).toMatchObject({ imageUrl: null, image_variants: null });
+      expect(rows.get('players')[0].imageUrl).toBe('/uploads/default-player.jpg');
+      expect(fake.objects.size).toBe(0);
+    });
+
+    test('should not clear the image of an upload that finishes during the check', async () => {
+      let upload;
+      const list = fake.list.getMockImplementation();
+      fake.list.mockImplementation(async folder => {
+        const listed = await list(folder);
+        if (folder === 'players' && !upload) {
+          upload = await stored('players', 0);
+          rows.get('players').push({ id: 4, imageUrl: upload, image_variants: null });
+        }
+        return listed;
+      });
+
+      const { orphans, broken } = await collectGarbage(pool, { storage: fake });
+
+      expect(orphans).toEqual([]);
+      expect(broken).toEqual([]);
+      expect(rows.get('players')[0].imageUrl).toBe(upload);
+      expect(fake.objects.has(upload)).toBe(true);
+    });
+
+    test('should only report in a dry run', async () => {
+      const orphan = await stored('players');
+      rows.get('managers').push({ id: 3, imageUrl: '/uploads/managers/0a-0b.webp', image_variants: null });
+
+      const { orphans, broken } = await collectGarbage(pool, { storage: fake, dryRun: true });
+
+      expect(orphans.map(image => image.url)).toEqual([orphan]);
+      expect(broken.map(row => row.id)).toEqual([3]);
+      expect(fake.remove).not.toHaveBeenCalled();
+      expect(pool.query.mock.calls.every(([sql]) => sql.startsWith('SELECT'))).toBe(true);
+    });
+
+    test('should carry on past failed deletions', async () => {
+      const first = await stored('players');
+      const second = await stored('players');
+      fake.remove.mockRejectedValueOnce(new Error('rate limited'));
+
+      const { orphans, failed } = await collectGarbage(pool, { storage: fake });
+
+      expect(orphans).toHaveLength(2);
+      expect(failed).toEqual([{ url: first, error: 'rate limited' }]);
+      expect(fake.objects.has(second)).toBe(false);
+    });
+  });
+});
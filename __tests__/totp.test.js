@@ -0,0 +1,69 @@
+const totp = require('../backend/totp');
+
+/**
+ * TOTP Tests
+ */
+describe('TOTP', () => {
+  // RFC 6238 appendix B: the SHA-1 seed "12345678901234567890"
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should encode and decode base32 secrets', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+    expect(totp.base32Decode('gezd gnbv').toString()).toBe('12345');
+    expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('should match the RFC 6238 test vector at %i seconds', (seconds, expected) => {
+    expect(totp.generateCode(rfcSecret, seconds * 1000, 8)).toBe(expected);
+  });
+
+  describe('verifyCode', () => {
+    const now = 1700000000000;
+    const secret = 'JBSWY3DPEHPK3PXP';
+
+    test('should accept the current code and return its time step', () => {
+      const code = totp.generateCode(secret, now);
+      expect(totp.verifyCode(secret, code, { now })).toBe(totp.timeStep(now));
+    });
+
+    test('should tolerate one step of clock drift', () => {
+      const previous = totp.generateCode(secret, now - 30000);
+      expect(totp.verifyCode(secret, previous, { now })).toBe(totp.timeStep(now) - 1);
+
+      const stale = totp.generateCode(secret, now - 90000);
+      expect(totp.verifyCode(secret, stale, { now })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(totp.verifyCode(secret, '12345', { now })).toBeNull();
+      expect(totp.verifyCode(secret, 'abcdef', { now })).toBeNull();
+      expect(totp.verifyCode(secret, undefined, { now })).toBeNull();
+    });
+  });
+
+  test('should build an otpauth URI for authenticator apps', () => {
+    const uri = totp.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'coach', 'Revengers Esports');
+
+    expect(uri).toBe(
+      'otpauth://totp/Revengers%20Esports%3Acoach?secret=JBSWY3DPEHPK3PXP&issuer=Revengers+Esports' +
+        '&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  test('should generate recovery codes whose hashes ignore formatting', () => {
+    const codes = totp.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(totp.hashRecoveryCode(' AB12C-D34EF ')).toBe(totp.hashRecoveryCode('ab12cd34ef'));
+  });
+});
@@ -0,0 +1,278 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+jest.mock('../backend/utils', () => ({
+  ...jest.requireActual('../backend/utils'),
+  configureMulter: () => ({ single: () => (req, res, next) => next() }),
+  uploadImage: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+/**
+ * Trash (soft delete, restore and purge) Tests
+ */
+describe('Trash', () => {
+  const now = 1700000000000;
+  const day = 24 * 60 * 60 * 1000;
+  let mockDb;
+  let utils;
+  let audit;
+  let trash;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+
+    mockDb = require('../backend/db');
+    utils = require('../backend/utils');
+    audit = require('../backend/audit');
+    trash = require('../backend/trash');
+    mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 1 }));
+  });
+
+  describe('DELETE /api/players/:id', () => {
+    let app;
+
+    beforeEach(() => {
+      const playerRoutes = require('../backend/playerRoutes');
+      app = express();
+      app.use(express.json());
+      app.use('/api/players', playerRoutes);
+    });
+
+    test('should move the player to the trash and keep the image', async () => {
+      const player = { id: 7, name: 'John', imageUrl: 'https://res.cloudinary.com/demo/players/john.webp' };
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, player));
+
+      const response = await request(app)
+        .delete('/api/players/7')
+        .expect(200);
+
+      expect(response.body.message).toBe('Player moved to trash');
+      expect(mockDb.run).toHaveBeenCalledTimes(1);
+      expect(mockDb.run.mock.calls[0][0]).toBe(
+        'UPDATE players SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL'
+      );
+      expect(utils.deleteImage).not.toHaveBeenCalled();
+      expect(audit.recordAudit).toHaveBeenCalledWith(
+        expect.anything(),
+        { action: 'delete', entityType: 'player', entityId: '7', before: player }
+      );
+    });
+
+    test('should return 404 for players that are missing or already in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(app)
+        .delete('/api/players/7')
+        .expect(404);
+
+      expect(audit.recordAudit).not.toHaveBeenCalled();
+    });
+
+    test('should not edit players in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 7, deleted_at: new Date(now) }));
+
+      await request(app)
+        .patch('/api/players/7')
+        .send({ stars: 4 })
+        .expect(404);
+
+      expect(mockDb.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trash routes', () => {
+    let app;
+
+    beforeEach(() => {
+      const trashRoutes = require('../backend/trashRoutes');
+      app = express();
+      app.use((req, res, next) => {
+        req.session = { isAdmin: true, adminId: 1, role: 'editor' };
+        next();
+      });
+      app.use('/api/admin/trash', trashRoutes);
+    });
+
+    test('should list trashed items newest first with their purge dates', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      mockDb.all.mockImplementation((sql, params, callback) => {
+        if (sql.includes('FROM players')) {
+          return callback(null, [{ id: 7, name: 'John', imageUrl: null, deleted_at: new Date(now - 2 * day) }]);
+        }
+        if (sql.includes('FROM trophies')) {
+          return callback(null, [{ id: 3, name: 'League Cup', imageUrl: null, deleted_at: new Date(now - day) }]);
+        }
+        return callback(null, []);
+      });
+
+      const response = await request(app)
+        .get('/api/admin/trash')
+        .expect(200);
+
+      expect(response.body.map(item => [item.entityType, item.id])).toEqual([['trophy', 3], ['player', 7]]);
+      expect(response.body[1].purgeAt).toBe(new Date(now + 28 * day).toISOString());
+      Date.now.mockRestore();
+    });
+
+    test('should only query the requested type', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, []));
+
+      await request(app)
+        .get('/api/admin/trash?type=manager')
+        .expect(200);
+
+      expect(mockDb.all).toHaveBeenCalledTimes(1);
+      expect(mockDb.all.mock.calls[0][0]).toContain('FROM managers');
+    });
+
+    test('should restore an item and record the change', async () => {
+      const before = { id: 4, name: 'Coach', deleted_at: new Date(now) };
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, before));
+
+      await request(app)
+        .post('/api/admin/trash/manager/4/restore')
+        .expect(200);
+
+      expect(mockDb.run.mock.calls[0][0]).toBe(
+        'UPDATE managers SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NOT NULL'
+      );
+      expect(audit.recordAudit).toHaveBeenCalledWith(
+        expect.anything(),
+        { action: 'update', entityType: 'manager', entityId: '4', before }
+      );
+    });
+
+    test('should return 404 for items that are not in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 4, deleted_at: null }));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      await request(app)
+        .post('/api/admin/trash/trophy/4/restore')
+        .expect(404);
+    });
+
+    test('should report a jersey number taken while the player was in the trash', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 7 }));
+      mockDb.run.mockImplementation((sql, params, callback) => {
+        const error = new Error('duplicate key value violates unique constraint');
+        error.code = '23505';
+        callback(error);
+      });
+
+      const response = await request(app)
+        .post('/api/admin/trash/player/7/restore')
+        .expect(409);
+
+      expect(response.body.code).toBe('JERSEY_NUMBER_TAKEN');
+    });
+
+    test('should reject unknown types', async () => {
+      await request(app)
+        .post('/api/admin/trash/admin/1/restore')
+        .expect(400);
+      await request(app)
+        .get('/api/admin/trash?type=match')
+        .expect(400);
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should delete expired rows and their images', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => {
+        if (sql.includes('FROM players')) {
+          return callback(null, [{
+            id: 7,
+            imageUrl: 'https://res.cloudinary.com/demo/players/john.webp',
+            image_variants: { sources: [{ url: 'https://res.cloudinary.com/demo/players/john-600.webp' }] }
+          }]);
+        }
+        if (sql.includes('FROM managers')) {
+          return callback(null, [{ id: 2, imageUrl: null }]);
+        }
+        return callback(null, []);
+      });
+
+      const purged = await trash.purgeExpired(now);
+
+      expect(purged).toEqual([{ entityType: 'player', id: 7 }, { entityType: 'manager', id: 2 }]);
+      expect(mockDb.all.mock.calls[0][1]).toEqual([new Date(now - 30 * day)]);
+      expect(utils.deleteImage).toHaveBeenCalledTimes(1);
+      expect(utils.deleteImage).toHaveBeenCalledWith(
+        'https://res.cloudinary.com/demo/players/john.webp',
+        { sources: [{ url: 'https://res.cloudinary.com/demo/players/john-600.webp' }] }
+      );
+      expect(mockDb.run.mock.calls.map(([sql, params]) => [sql, params])).toEqual([
+        ['DELETE FROM players WHERE id = $1 AND deleted_at IS NOT NULL', [7]],
+        ['DELETE FROM managers WHERE id = $1 AND deleted_at IS NOT NULL', [2]]
+      ]);
+    });
+
+    test('should leave a row and its image in the trash when purging it fails', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(
+        null,
+        sql.includes('FROM trophies') ? [{ id: 3, imageUrl: 'https://res.cloudinary.com/demo/trophies/cup.webp' }] : []
+      ));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(new Error('Connection lost')));
+
+      const purged = await trash.purgeExpired(now);
+
+      expect(purged).toEqual([]);
+      expect(mockDb.run).toHaveBeenCalledTimes(1);
+      expect(utils.deleteImage).not.toHaveBeenCalled();
+    });
+
+    test('should keep the image of a row restored before it was purged', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(
+        null,
+        sql.includes('FROM trophies') ? [{ id: 3, imageUrl: 'https://res.cloudinary.com/demo/trophies/cup.webp' }] : []
+      ));
+      mockDb.run.mockImplementation((sql, params, callback) => callback(null, { lastID: null, changes: 0 }));
+
+      const purged = await trash.purgeExpired(now);
+
+      expect(purged).toEqual([]);
+      expect(utils.deleteImage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Player list', () => {
+    test('should not count trophies in the trash', () => {
+      const { MemoryDatabase } = require('../backend/memoryDatabase');
+      const performance = require('../backend/performance');
+      const memory = new MemoryDatabase();
+
+      const player = memory.query('INSERT INTO players (name, jerseyNumber, stars) VALUES ($1, $2, $3) RETURNING id',
+        ['John', 9, 4]).rows[0];
+      ['League', 'Cup'].forEach(name => {
+        const trophy = memory.query('INSERT INTO trophies (name, year) VALUES ($1, $2) RETURNING id',
+          [name, 2024]).rows[0];
+        memory.query('INSERT INTO trophy_winners (trophy_id, player_id) VALUES ($1, $2)', [trophy.id, player.id]);
+      });
+      memory.query('UPDATE trophies SET deleted_at = CURRENT_TIMESTAMP WHERE name = $1', ['Cup']);
+
+      const { query, params } = performance.getOptimizedQueries().getPlayers(10, 0);
+
+      expect(memory.query(query, params).rows[0].trophy_count).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock external dependencies
+jest.mock('../backend/db', () => ({
+  all: jest.fn(),
+  get: jest.fn(),
+  run: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+jest.mock('../backend/auth', () => ({
+  requireRole: () => (req, res, next) => next(),
+  ROLES: { OWNER: 'owner', EDITOR: 'editor', RECRUITER: 'recruiter' }
+}));
+
+jest.mock('../backend/audit', () => ({
+  ...jest.requireActual('../backend/audit'),
+  recordAudit: jest.fn()
+}));
+
+jest.mock('../backend/utils', () => ({
+  ...jest.requireActual('../backend/utils'),
+  configureMulter: () => ({ single: () => (req, res, next) => next() }),
+  uploadImage: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+/**
+ * Trophy Routes Tests
+ */
+describe('Trophy Routes', () => {
+  let app;
+  let mockDb;
+  let mockClient;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.clearAllMocks();
+    global.MOCK_MODE = false;
+
+    mockDb = require('../backend/db');
+    // Trophy writes run in a transaction on a dedicated client
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }),
+      release: jest.fn()
+    };
+    mockDb.pool.connect.mockResolvedValue(mockClient);
+    const trophyRoutes = require('../backend/trophyRoutes');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/trophies', trophyRoutes);
+  });
+
+  afterEach(() => {
+    global.MOCK_MODE = true;
+  });
+
+  describe('GET /api/trophies', () => {
+    test('should include competition details and the winning roster', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => {
+        if (sql.includes('FROM trophy_winners')) {
+          return callback(null, [{ trophy_id: 1, id: 4, name: 'John', jerseyNumber: 9 }]);
+        }
+        return callback(null, [{ id: 1, name: 'League Cup', year: 2024, competition: 'EA FC League', final_result: '3-1' }]);
+      });
+
+      const response = await request(app)
+        .get('/api/trophies')
+        .expect(200);
+
+      expect(response.body[0].competition).toBe('EA FC League');
+      expect(response.body[0].winners).toEqual([{ id: 4, name: 'John', jerseyNumber: 9 }]);
+      expect(mockDb.all.mock.calls[1][1]).toEqual([[1]]);
+    });
+  });
+
+  describe('POST /api/trophies', () => {
+    test('should store the details and winners', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }, { id: 7 }]));
+      mockClient.query.mockResolvedValue({ rows: [{ id: 5 }], rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/trophies')
+        .send({ name: 'League Cup', year: 2024, competition: 'EA FC League', finalResult: '3-1', playerIds: '4,7' })
+        .expect(201);
+
+      expect(response.body.id).toBe(5);
+      const statements = mockClient.query.mock.calls;
+      expect(statements[0][0]).toBe('BEGIN');
+      expect(statements[1][0]).toBe(
+        'INSERT INTO trophies (name, year, imageUrl, competition, final_result) VALUES ($1, $2, $3, $4, $5) RETURNING id'
+      );
+      expect(statements[1][1]).toEqual(['League Cup', 2024, null, 'EA FC League', '3-1']);
+      expect(statements[3]).toEqual([
+        'INSERT INTO trophy_winners (trophy_id, player_id) VALUES ($1, $2), ($1, $3)',
+        [5, 4, 7]
+      ]);
+      expect(statements[4][0]).toBe('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(require('../backend/audit').recordAudit).toHaveBeenCalledWith(
+        expect.anything(),
+        { action: 'create', entityType: 'trophy', entityId: 5 }
+      );
+    });
+
+    test('should reject rosters with unknown players', async () => {
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 4 }]));
+
+      const response = await request(app)
+        .post('/api/trophies')
+        .send({ name: 'League Cup', year: 2024, playerIds: [4, 99] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Winning roster contains unknown players');
+      expect(mockDb.pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should validate player IDs', async () => {
+      const response = await request(app)
+        .post('/api/trophies')
+        .send({ name: 'League Cup', year: 2024, playerIds: 'abc' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('PATCH /api/trophies/:id', () => {
+    test('should update details and replace the roster', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 2 }));
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 3 }]));
+
+      await request(app)
+        .patch('/api/trophies/2')
+        .send({ description: 'Won on penalties', playerIds: [3] })
+        .expect(200);
+
+      const statements = mockClient.query.mock.calls;
+      expect(statements[1][0]).toBe(
+        'UPDATE trophies SET description = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2'
+      );
+      expect(statements[2][0]).toBe('DELETE FROM trophy_winners WHERE trophy_id = $1');
+      expect(statements[3][1]).toEqual(['2', 3]);
+      expect(statements[4][0]).toBe('COMMIT');
+      expect(require('../backend/audit').recordAudit).toHaveBeenCalledWith(
+        expect.anything(),
+        { action: 'update', entityType: 'trophy', entityId: '2', before: { id: 2 } }
+      );
+    });
+
+    test('should return 404 for unknown trophies', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, null));
+
+      await request(app)
+        .patch('/api/trophies/2')
+        .send({ name: 'Renamed' })
+        .expect(404);
+    });
+
+    test('should roll back when the roster cannot be replaced', async () => {
+      mockDb.get.mockImplementation((sql, params, callback) => callback(null, { id: 2 }));
+      mockDb.all.mockImplementation((sql, params, callback) => callback(null, [{ id: 3 }]));
+      mockClient.query.mockImplementation(sql => (sql.startsWith('INSERT INTO trophy_winners')
+        ? Promise.reject(new Error('connection lost'))
+        : Promise.resolve({ rows: [], rowCount: 1 })));
+
+      await request(app)
+        .patch('/api/trophies/2')
+        .send({ description: 'Won on penalties', playerIds: [3] })
+        .expect(500);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toContain('ROLLBACK');
+      expect(statements).not.toContain('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should require at least one field', async () => {
+      await request(app)
+        .patch('/api/trophies/2')
+        .send({})
+        .expect(400);
+    });
+  });
+});
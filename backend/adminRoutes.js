@@ -0,0 +1,167 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const config = require('./config');
+const logger = require('./logger');
+const { requireRole, ROLES, endAdminSessions, createPasswordResetToken, disableTwoFactor } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { admins, NotFoundError, ConflictError } = require('./repositories');
+
+// Mounted at /api/admin/users; managing admins is reserved for owners
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER));
+
+const countOwners = () => admins.countByRole(ROLES.OWNER);
+
+// GET /api/admin/users - List admin accounts
+router.get('/', async (req, res) => {
+  try {
+    res.json(await admins.list());
+  } catch (error) {
+    console.error('Database error fetching admins:', error);
+    res.status(500).json({ error: 'Failed to fetch admins. Please try again later.' });
+  }
+});
+
+// POST /api/admin/users - Create an admin account
+router.post('/', validationRules.createAdmin, handleValidationErrors, async (req, res) => {
+  const { username, password, role } = req.body;
+
+  try {
+    const hash = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
+    const id = await admins.create({ username, password: hash, role });
+
+    logger.info('Admin account created', { adminId: id, username, role, by: req.session.adminId });
+    return res.status(201).json({ id, username, role, message: 'Admin created successfully' });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error creating admin:', error);
+    return res.status(500).json({ error: 'Error creating admin' });
+  }
+});
+
+// PATCH /api/admin/users/:id - Change an admin's role and/or password
+router.patch('/:id', validationRules.updateAdmin, handleValidationErrors, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { role, password } = req.body;
+
+  if (role === undefined && password === undefined) {
+    return res.status(400).json({ error: 'Provide a role or a password to change' });
+  }
+
+  try {
+    const admin = await admins.findById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (role !== undefined && admin.role === ROLES.OWNER && role !== ROLES.OWNER && await countOwners() <= 1) {
+      return res.status(409).json({ error: 'The last owner cannot be demoted', code: 'LAST_OWNER' });
+    }
+
+    await admins.update(id, {
+      role,
+      password: password === undefined ? undefined : await bcrypt.hash(password, config.BCRYPT_ROUNDS)
+    });
+
+    const isSelf = id === req.session.adminId;
+    await endAdminSessions(id, isSelf ? req.sessionID : '');
+    if (isSelf && role !== undefined) {
+      req.session.role = role;
+    }
+
+    logger.info('Admin account updated', {
+      adminId: id,
+      roleChanged: role !== undefined,
+      passwordChanged: password !== undefined,
+      by: req.session.adminId
+    });
+    return res.json({
+      message: 'Admin updated successfully',
+      admin: { id, username: admin.username, role: role || admin.role }
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    console.error('Error updating admin:', error);
+    return res.status(500).json({ error: 'Error updating admin' });
+  }
+});
+
+// POST /api/admin/users/:id/reset-token - Issue a one-time password reset token
+// The owner hands the token to the admin, who redeems it at POST /api/admin/password/reset
+router.post('/:id/reset-token', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const admin = await admins.findById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const { token, expiresAt } = await createPasswordResetToken(id, req.session.adminId);
+
+    logger.info('Password reset token issued', { adminId: id, by: req.session.adminId, expiresAt });
+    return res.status(201).json({ username: admin.username, token, expiresAt });
+  } catch (error) {
+    console.error('Error issuing password reset token:', error);
+    return res.status(500).json({ error: 'Error issuing password reset token' });
+  }
+});
+
+// DELETE /api/admin/users/:id/two-factor - Turn off 2FA for an admin who lost their authenticator
+router.delete('/:id/two-factor', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const admin = await admins.findById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    await disableTwoFactor(id);
+
+    logger.info('Two-factor authentication reset by owner', { adminId: id, by: req.session.adminId });
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    return res.status(500).json({ error: 'Error disabling two-factor authentication' });
+  }
+});
+
+// DELETE /api/admin/users/:id - Remove an admin account
+router.delete('/:id', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (id === req.session.adminId) {
+    return res.status(409).json({ error: 'You cannot delete your own account', code: 'SELF_DELETE' });
+  }
+
+  try {
+    const admin = await admins.findById(id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (admin.role === ROLES.OWNER && await countOwners() <= 1) {
+      return res.status(409).json({ error: 'The last owner cannot be deleted', code: 'LAST_OWNER' });
+    }
+
+    await admins.remove(id);
+    await endAdminSessions(id);
+
+    logger.info('Admin account deleted', { adminId: id, by: req.session.adminId });
+    return res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    console.error('Error deleting admin:', error);
+    return res.status(500).json({ error: 'Error deleting admin' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { applicationFields, NotFoundError, ConflictError } = require('./repositories');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { fieldDefinitionError } = require('./applicationForm');
+
+// Mounted at /api/admin/application-fields; recruiters shape the tryout application they triage
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER, ROLES.RECRUITER));
+
+// Request fields and the application_fields column each one sets
+const FIELD_COLUMNS = new Map([
+  ['label', 'label'],
+  ['type', 'type'],
+  ['required', 'required'],
+  ['options', 'options'],
+  ['maxLength', 'max_length'],
+  ['minValue', 'min_value'],
+  ['maxValue', 'max_value'],
+  ['helpText', 'help_text'],
+  ['position', 'position']
+]);
+
+const stripTags = value => value.replace(/<[^>]*>/g, '').trim();
+
+// Column changes in `body`; text shown on the public form loses any HTML tags
+function fieldChanges(body) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([field, value]) => FIELD_COLUMNS.has(field) && value !== undefined)
+    .map(([field, value]) => [FIELD_COLUMNS.get(field), cleanSetting(field, value)]));
+}
+
+function cleanSetting(field, value) {
+  if (field === 'label' || (field === 'helpText' && value !== null)) {
+    return stripTags(value) || null;
+  }
+  if (field === 'options' && value !== null) {
+    return [...new Set(value.map(stripTags).filter(Boolean))];
+  }
+  return value;
+}
+
+// GET /api/admin/application-fields - Questions of the tryout application in form order
+router.get('/', async (req, res) => {
+  try {
+    res.json(await applicationFields.list());
+  } catch (error) {
+    console.error('Database error fetching application fields:', error);
+    res.status(500).json({ error: 'Failed to fetch application fields. Please try again later.' });
+  }
+});
+
+// POST /api/admin/application-fields - Add a question to the application
+// JSON body: name, label, type (text|textarea|select|url|number), required, options (select only),
+// maxLength, minValue and maxValue (number only), helpText, position
+router.post('/', validationRules.createApplicationField, handleValidationErrors, async (req, res) => {
+  const changes = fieldChanges(req.body);
+  const definitionError = fieldDefinitionError(changes);
+  if (definitionError) {
+    return res.status(400).json({ error: definitionError });
+  }
+
+  try {
+    const id = await applicationFields.create({ name: req.body.name, ...changes });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'application_field', entityId: id });
+    return res.status(201).json({ id, message: 'Application field added successfully' });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error adding application field:', error);
+    return res.status(500).json({ error: 'Error adding application field' });
+  }
+});
+
+// PATCH /api/admin/application-fields/:id - Change a question; its name stays, since answers refer to it
+router.patch('/:id', validationRules.updateApplicationField, handleValidationErrors, async (req, res) => {
+  const { id } = req.params;
+  const changes = fieldChanges(req.body);
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No application field settings provided' });
+  }
+
+  try {
+    const existing = await applicationFields.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Application field not found' });
+    }
+    const definitionError = fieldDefinitionError({ ...existing, ...changes });
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    await applicationFields.update(id, changes);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: 'application_field',
+      entityId: id,
+      before: existing
+    });
+    return res.json(await applicationFields.findById(id));
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Application field not found' });
+    }
+    console.error('Error updating application field:', error);
+    return res.status(500).json({ error: 'Error updating application field' });
+  }
+});
+
+// DELETE /api/admin/application-fields/:id - Remove a question; earlier answers to it are kept
+router.delete('/:id', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const existing = await applicationFields.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Application field not found' });
+    }
+
+    await applicationFields.remove(id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: 'application_field',
+      entityId: id,
+      before: existing
+    });
+    return res.json({ message: 'Application field removed successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Application field not found' });
+    }
+    console.error('Error removing application field:', error);
+    return res.status(500).json({ error: 'Error removing application field' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Tryout applications sent with the contact form. The questions are rows of application_fields,
+ * which admins manage under /api/admin/application-fields, so adding a question or changing the
+ * platforms on offer needs no release. Answers are checked against those rows here and stored with
+ * the label that was asked, so submissions stay readable after a field is renamed or removed.
+ */
+
+const APPLICATION_FIELD_TYPES = ['text', 'textarea', 'select', 'url', 'number'];
+
+// Longest answer accepted by a field without max_length
+const DEFAULT_MAX_LENGTH = 200;
+const DEFAULT_TEXTAREA_MAX_LENGTH = 2000;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function isWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function numberError(field, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    return `${field.label} must be a whole number`;
+  }
+  if (field.min_value !== null && field.min_value !== undefined && number < field.min_value) {
+    return `${field.label} must be at least ${field.min_value}`;
+  }
+  if (field.max_value !== null && field.max_value !== undefined && number > field.max_value) {
+    return `${field.label} must be at most ${field.max_value}`;
+  }
+  return null;
+}
+
+// Why an answer is rejected, or null when it is acceptable; `value` is trimmed text
+function answerError(field, value) {
+  const maxLength = field.max_length ||
+    (field.type === 'textarea' ? DEFAULT_TEXTAREA_MAX_LENGTH : DEFAULT_MAX_LENGTH);
+  if (value.length > maxLength) {
+    return `${field.label} must be at most ${maxLength} characters`;
+  }
+
+  switch (field.type) {
+    case 'select':
+      return (field.options || []).includes(value)
+        ? null
+        : `${field.label} must be one of: ${(field.options || []).join(', ')}`;
+    case 'url':
+      return isWebUrl(value) ? null : `${field.label} must be a valid http(s) link`;
+    case 'number':
+      return numberError(field, value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check the answers of an application against the configured fields. Answers to unknown fields are
+ * dropped and HTML tags are stripped, as for the rest of the contact form.
+ *
+ * @param {Array<Object>} fields - application_fields rows in form order
+ * @param {Object} answers - field name to answer
+ * @returns {{application: Array<{name: string, label: string, value: (string|number)}>,
+ *   errors: Array<{field: string, message: string}>}} The answers to store and one error per rejected field
+ */
+function validateApplication(fields, answers) {
+  const provided = new Map(Object.entries(answers || {}));
+  const application = [];
+  const errors = [];
+
+  for (const field of fields) {
+    const raw = provided.get(field.name);
+    const key = `application.${field.name}`;
+    if (raw !== null && typeof raw === 'object') {
+      errors.push({ field: key, message: `${field.label} must be a single value` });
+      continue;
+    }
+
+    const value = isBlank(raw) ? '' : String(raw).replace(/<[^>]*>/g, '').trim();
+    if (value === '') {
+      if (field.required) {
+        errors.push({ field: key, message: `${field.label} is required` });
+      }
+      continue;
+    }
+
+    const message = answerError(field, value);
+    if (message) {
+      errors.push({ field: key, message });
+    } else {
+      const answer = field.type === 'number' ? Number(value) : value;
+      application.push({ name: field.name, label: field.label, value: answer });
+    }
+  }
+
+  return { application, errors };
+}
+
+/**
+ * Why a field definition cannot be used, or null. Checks what request validation cannot see on its
+ * own: select fields need options, only select fields take them, and min_value may not exceed max_value.
+ */
+function fieldDefinitionError(field) {
+  const hasOptions = Array.isArray(field.options) && field.options.length > 0;
+  if (field.type === 'select' && !hasOptions) {
+    return 'Select fields need at least one option';
+  }
+  if (field.type !== 'select' && hasOptions) {
+    return 'Only select fields take options';
+  }
+  const bounded = [field.min_value, field.max_value].every(value => value !== null && value !== undefined);
+  if (bounded && field.min_value > field.max_value) {
+    return 'min_value cannot be greater than max_value';
+  }
+  return null;
+}
+
+module.exports = {
+  APPLICATION_FIELD_TYPES,
+  fieldDefinitionError,
+  validateApplication
+};
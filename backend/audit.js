@@ -0,0 +1,115 @@
+const logger = require('./logger');
+const { players, managers, trophies, contacts, applicationFields, query } = require('./repositories');
+
+// Query filters of the audit view and the column each one matches
+const AUDIT_FILTERS = [
+  ['actorId', 'actor_id = $'],
+  ['action', 'action = $'],
+  ['entityType', 'entity_type = $'],
+  ['entityId', 'entity_id = $'],
+  ['correlationId', 'correlation_id = $'],
+  ['from', 'created_at >= $'],
+  ['to', 'created_at <= $']
+];
+
+// Values stored in audit_log.action
+const AUDIT_ACTIONS = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+});
+
+// Audited entity types and the repository that snapshots one row for before/after comparisons
+const ENTITY_REPOSITORIES = new Map([
+  ['player', players],
+  ['manager', managers],
+  ['trophy', trophies],
+  ['contact_submission', contacts],
+  ['application_field', applicationFields]
+]);
+
+const AUDIT_ENTITY_TYPES = Object.freeze([...ENTITY_REPOSITORIES.keys()]);
+
+/**
+ * Current state of an audited row, or null when it does not exist
+ */
+function snapshot(entityType, id) {
+  return ENTITY_REPOSITORIES.get(entityType).findById(id);
+}
+
+/**
+ * Append an entry to the audit log. `before` is the snapshot taken ahead of the change; for creates
+ * and updates the after state is read back here. The actor comes from the admin session (public
+ * contact submissions have none) and the correlation ID ties the entry to the request's log lines.
+ * Failures are logged rather than thrown so a completed change is never reported as failed.
+ */
+async function recordAudit(req, { action, entityType, entityId, before = null }) {
+  const session = req.session || {};
+
+  try {
+    const after = action === AUDIT_ACTIONS.DELETE ? null : await snapshot(entityType, entityId);
+
+    await query.run(
+      `INSERT INTO audit_log
+         (actor_id, actor_username, action, entity_type, entity_id, before_data, after_data, correlation_id, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        session.isAdmin ? session.adminId : null,
+        session.isAdmin ? session.username || null : null,
+        action,
+        entityType,
+        parseInt(entityId, 10) || null,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        req.correlationId || null,
+        req.ip || null
+      ]
+    );
+  } catch (error) {
+    logger.error('Failed to write audit log entry', {
+      error: error.message,
+      action,
+      entityType,
+      entityId,
+      correlationId: req.correlationId
+    });
+  }
+}
+
+// Filtered, newest-first page of audit entries with the total number of matches
+async function listAuditLog(filters, { limit, offset }) {
+  const provided = new Map(Object.entries(filters));
+  const conditions = [];
+  const params = [];
+
+  for (const [name, condition] of AUDIT_FILTERS) {
+    const value = provided.get(name);
+    if (value !== undefined && value !== '') {
+      params.push(value);
+      conditions.push(`${condition}${params.length}`);
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows, countRow] = await Promise.all([
+    query.all(
+      `SELECT id, actor_id, actor_username, action, entity_type, entity_id, before_data, after_data,
+              correlation_id, ip_address, created_at
+       FROM audit_log ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params)
+  ]);
+
+  return { rows, total: parseInt(countRow && countRow.total, 10) || 0 };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  snapshot,
+  recordAudit,
+  listAuditLog
+};
@@ -0,0 +1,36 @@
+const express = require('express');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { buildPaginationLinks } = require('./utils');
+const { listAuditLog } = require('./audit');
+
+// Mounted at /api/admin/audit; the audit log is reserved for owners
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER));
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// GET /api/admin/audit - Newest audit entries first, with before/after snapshots
+// Query: actorId, action, entityType, entityId, correlationId, from, to (ISO 8601), page, limit (default 50, max 100)
+router.get('/', validationRules.listAuditLog, handleValidationErrors, async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+  try {
+    const { rows, total } = await listAuditLog(req.query, { limit, offset: (page - 1) * limit });
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'Link': buildPaginationLinks(req, { page, limit, total })
+    });
+    res.json(rows);
+  } catch (error) {
+    console.error('Database error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log. Please try again later.' });
+  }
+});
+
+module.exports = router;
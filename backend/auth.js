@@ -1,12 +1,27 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const db = require('./db');
+const { admins, sessions } = require('./repositories');
 const config = require('./config');
 const logger = require('./logger');
+const security = require('./security');
+const totp = require('./totp');
+const loginProtection = require('./loginProtection');
 const { validationRules, handleValidationErrors } = require('./validators');
 
 const router = express.Router();
 
+// Admin roles: owners manage everything including other admins, editors manage site content,
+// recruiters can only read contact submissions
+const ROLES = Object.freeze({
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  RECRUITER: 'recruiter'
+});
+
+// How stale lastActivity may get before an authenticated request refreshes it
+const SESSION_ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
 // Enhanced authentication middleware with session validation
 function isAuthenticated(req, res, next) {
   // Check if session store is available
@@ -23,6 +38,12 @@ function isAuthenticated(req, res, next) {
   }
   
   if (req.session && req.session.isAdmin) {
+    // Record activity for the session list, at most once a minute to avoid rewriting the session on every request
+    const now = Date.now();
+    if (!req.session.lastActivity || now - new Date(req.session.lastActivity).getTime() > SESSION_ACTIVITY_RESOLUTION_MS) {
+      req.session.lastActivity = new Date(now).toISOString();
+    }
+
     // Set security headers for admin routes
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
@@ -66,6 +87,147 @@ function isAuthenticated(req, res, next) {
   }
 }
 
+/**
+ * Restrict a route to admins holding one of the given roles.
+ * Unauthenticated requests get the usual 401 from isAuthenticated; authenticated admins
+ * without a permitted role get a 403.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    isAuthenticated(req, res, () => {
+      const role = req.session.role;
+
+      // Sessions created before roles existed carry no role and must log in again
+      if (!role) {
+        return res.status(401).json({
+          error: 'Unauthorized: Please log in again',
+          code: 'SESSION_EXPIRED'
+        });
+      }
+
+      if (!roles.includes(role)) {
+        logger.securityLog('Forbidden admin action', {
+          adminId: req.session.adminId,
+          role,
+          requiredRoles: roles,
+          ip: req.ip,
+          path: req.path,
+          method: req.method
+        });
+        return res.status(403).json({
+          error: 'Forbidden: Your role does not allow this action',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      return next();
+    });
+  };
+}
+
+// Stored passwords are bcrypt hashes in every mode, the mock admin's included
+function verifyPassword(password, storedPassword) {
+  return bcrypt.compare(password, storedPassword);
+}
+
+/**
+ * Log an admin out of every session except `keepSid`, so a changed role or password
+ * takes effect immediately. Sessions only live in the database outside mock mode.
+ */
+function endAdminSessions(adminId, keepSid = '') {
+  if (global.MOCK_MODE) {
+    return Promise.resolve();
+  }
+  return sessions.removeAllForAdmin(adminId, keepSid);
+}
+
+// Reset tokens are stored as SHA-256 digests so a leaked table cannot be used to reset passwords
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a one-time password reset token for an admin, replacing any unused ones.
+ * Returns the plain token, which is only ever shown to the issuing owner.
+ */
+async function createPasswordResetToken(adminId, issuedBy) {
+  const token = security.generateSecureToken();
+  const expiresAt = new Date(Date.now() + config.PASSWORD_RESET_TTL_MS);
+
+  await admins.createPasswordReset(adminId, hashResetToken(token), issuedBy, expiresAt);
+
+  return { token, expiresAt };
+}
+
+async function updateAdminPassword(adminId, newPassword) {
+  const hash = await bcrypt.hash(newPassword, config.BCRYPT_ROUNDS);
+  await admins.update(adminId, { password: hash });
+}
+
+// A password-verified login must be completed with a second factor within this window
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+/**
+ * Check an authenticator code or a recovery code for an admin with 2FA enabled.
+ * Both are single use: a code's time step and a recovery code are claimed atomically,
+ * so the same value cannot be replayed in a second request.
+ */
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+  if (code) {
+    const step = totp.verifyCode(admin.totp_secret, code);
+    return step !== null && await admins.claimTotpStep(admin.id, step);
+  }
+
+  if (recoveryCode) {
+    return admins.claimRecoveryCode(admin.id, totp.hashRecoveryCode(recoveryCode));
+  }
+
+  return false;
+}
+
+// Replace an admin's recovery codes; the plain codes are returned once and only their hashes are stored
+async function replaceRecoveryCodes(adminId) {
+  const codes = totp.generateRecoveryCodes();
+  await admins.replaceRecoveryCodes(adminId, codes.map(totp.hashRecoveryCode));
+  return codes;
+}
+
+// Turn 2FA off for an admin and discard the secret and recovery codes
+function disableTwoFactor(adminId) {
+  return admins.disableTwoFactor(adminId);
+}
+
+// Per-username lockout response; Retry-After tells clients when the next attempt is allowed
+function respondLocked(res, lockout) {
+  const retryAfter = Math.ceil(lockout.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Please try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+}
+
+// Mark the session as a fully authenticated admin session
+function completeLogin(req, admin) {
+  delete req.session.pendingTwoFactor;
+  req.session.isAdmin = true;
+  req.session.adminId = admin.id;
+  req.session.username = admin.username;
+  req.session.role = admin.role || ROLES.OWNER;
+  req.session.loginTime = new Date().toISOString();
+  req.session.lastActivity = req.session.loginTime;
+  // Client details shown in the admin's session list
+  req.session.ip = req.ip;
+  req.session.userAgent = req.get('User-Agent') || null;
+
+  // Update last login time
+  admins.recordLogin(admin.id).catch(err => {
+    logger.error('Failed to update last login time', { error: err.message, adminId: admin.id });
+  });
+}
+
 // Enhanced admin login with comprehensive security
 router.post('/admin/login', validationRules.adminLogin, handleValidationErrors, async (req, res) => {
   const { username, password } = req.body;
@@ -78,15 +240,18 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
   logger.info('Admin login attempt', { username, ...clientInfo });
   
   try {
+    const attempt = { username, ip: req.ip, userAgent: clientInfo.userAgent };
+    const lockout = await loginProtection.getLockout(username);
+    if (lockout.locked) {
+      logger.securityLog('Login attempt on locked account', { username, ...clientInfo });
+      await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.LOCKED });
+      return respondLocked(res, lockout);
+    }
+
     // Add delay to prevent timing attacks
     const loginStart = Date.now();
     
-    const admin = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM admins WHERE username = $1', [username], (err, admin) => {
-        if (err) reject(err);
-        else resolve(admin);
-      });
-    });
+    const admin = await admins.findByUsername(username);
     
     // Ensure minimum response time to prevent timing attacks
     const minResponseTime = 100;
@@ -100,6 +265,7 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
         username,
         ...clientInfo
       });
+      await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.INVALID_USERNAME });
       return res.status(401).json({ 
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
@@ -107,18 +273,14 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
     }
     
     // Verify password
-    let passwordValid = false;
-    if (global.MOCK_MODE) {
-      passwordValid = password === admin.password;
-    } else {
-      passwordValid = await bcrypt.compare(password, admin.password);
-    }
+    const passwordValid = await verifyPassword(password, admin.password);
     
     if (!passwordValid) {
       logger.securityLog('Login attempt with invalid password', {
         username,
         ...clientInfo
       });
+      await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.INVALID_PASSWORD });
       return res.status(401).json({ 
         error: 'Invalid credentials',
         code: 'INVALID_CREDENTIALS'
@@ -134,18 +296,25 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
       });
     }
     
-    req.session.isAdmin = true;
-    req.session.adminId = admin.id;
-    req.session.loginTime = new Date().toISOString();
-    
-    // Update last login time (if not in mock mode)
-    if (!global.MOCK_MODE) {
-      db.run('UPDATE admins SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [admin.id], (err) => {
-        if (err) {
-          logger.error('Failed to update last login time', { error: err.message, adminId: admin.id });
-        }
+    // With 2FA enabled the password only unlocks the second step; isAdmin is set once the code is verified
+    if (admin.totp_enabled) {
+      delete req.session.isAdmin;
+      req.session.pendingTwoFactor = {
+        adminId: admin.id,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+        attempts: 0
+      };
+
+      logger.info('Admin password accepted, awaiting second factor', { username, adminId: admin.id, ...clientInfo });
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        code: 'TWO_FACTOR_REQUIRED',
+        twoFactorRequired: true
       });
     }
+
+    completeLogin(req, admin);
+    await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.SUCCESS });
     
     logger.info('Admin login successful', {
       username,
@@ -158,7 +327,8 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
       message: 'Logged in successfully',
       admin: {
         id: admin.id,
-        username: admin.username
+        username: admin.username,
+        role: req.session.role
       }
     });
     
@@ -175,6 +345,295 @@ router.post('/admin/login', validationRules.adminLogin, handleValidationErrors,
   }
 });
 
+// Second login step: verify an authenticator or recovery code for a password-verified session
+router.post('/admin/login/2fa', validationRules.verifyTwoFactor, handleValidationErrors, async (req, res) => {
+  const pending = req.session && req.session.pendingTwoFactor;
+  const clientInfo = { ip: req.ip, userAgent: req.get('User-Agent') };
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    if (pending) {
+      delete req.session.pendingTwoFactor;
+    }
+    return res.status(401).json({
+      error: 'Your login has expired. Please enter your password again.',
+      code: 'TWO_FACTOR_EXPIRED'
+    });
+  }
+
+  try {
+    const admin = await admins.findCredentials(pending.adminId);
+    if (!admin || !admin.totp_enabled) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        error: 'Your login has expired. Please enter your password again.',
+        code: 'TWO_FACTOR_EXPIRED'
+      });
+    }
+
+    const attempt = { username: admin.username, ip: req.ip, userAgent: clientInfo.userAgent };
+    const lockout = await loginProtection.getLockout(admin.username);
+    if (lockout.locked) {
+      delete req.session.pendingTwoFactor;
+      await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.LOCKED });
+      return respondLocked(res, lockout);
+    }
+
+    if (!(await verifySecondFactor(admin, req.body))) {
+      await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.INVALID_SECOND_FACTOR });
+      pending.attempts += 1;
+      const attemptsRemaining = TWO_FACTOR_MAX_ATTEMPTS - pending.attempts;
+      if (attemptsRemaining <= 0) {
+        delete req.session.pendingTwoFactor;
+      }
+
+      logger.securityLog('Login attempt with invalid second factor', {
+        adminId: admin.id,
+        usedRecoveryCode: Boolean(req.body.recoveryCode),
+        attemptsRemaining,
+        ...clientInfo
+      });
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE',
+        attemptsRemaining: Math.max(attemptsRemaining, 0)
+      });
+    }
+
+    completeLogin(req, admin);
+    await loginProtection.recordAttempt({ ...attempt, reason: loginProtection.ATTEMPT_REASONS.SUCCESS });
+
+    logger.info('Admin login successful', {
+      username: admin.username,
+      adminId: admin.id,
+      sessionId: req.session.id,
+      usedRecoveryCode: Boolean(req.body.recoveryCode),
+      ...clientInfo
+    });
+    return res.json({
+      message: 'Logged in successfully',
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        role: req.session.role
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor login error', { error: error.message, adminId: pending.adminId });
+    return res.status(500).json({
+      error: 'Authentication service error',
+      code: 'AUTH_SERVICE_ERROR'
+    });
+  }
+});
+
+// Two-factor status for the logged-in admin
+router.get('/admin/2fa', isAuthenticated, async (req, res) => {
+  try {
+    const admin = await admins.findCredentials(req.session.adminId);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const remaining = await admins.countUnusedRecoveryCodes(admin.id);
+
+    return res.json({
+      enabled: Boolean(admin.totp_enabled),
+      recoveryCodesRemaining: admin.totp_enabled ? remaining : 0
+    });
+  } catch (error) {
+    logger.error('Two-factor status error', { error: error.message, adminId: req.session.adminId });
+    return res.status(500).json({ error: 'Could not load two-factor status', code: 'AUTH_SERVICE_ERROR' });
+  }
+});
+
+// Start enrolment: the secret is kept in the session until a first code confirms it
+router.post('/admin/2fa/setup', isAuthenticated, async (req, res) => {
+  try {
+    const admin = await admins.findCredentials(req.session.adminId);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    if (admin.totp_enabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    req.session.pendingTotpSecret = secret;
+
+    return res.json({
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, admin.username, config.TOTP_ISSUER)
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error', { error: error.message, adminId: req.session.adminId });
+    return res.status(500).json({ error: 'Could not start two-factor setup', code: 'AUTH_SERVICE_ERROR' });
+  }
+});
+
+// Finish enrolment with a code from the app; other sessions were only password-protected and are logged out
+router.post('/admin/2fa/enable', isAuthenticated, validationRules.confirmTwoFactor, handleValidationErrors,
+  async (req, res) => {
+    const secret = req.session.pendingTotpSecret;
+    const adminId = req.session.adminId;
+
+    if (!secret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const step = totp.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    try {
+      await admins.enableTwoFactor(adminId, secret, step);
+      const recoveryCodes = await replaceRecoveryCodes(adminId);
+      delete req.session.pendingTotpSecret;
+      await endAdminSessions(adminId, req.sessionID);
+
+      logger.info('Two-factor authentication enabled', { adminId, ip: req.ip });
+      return res.json({
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recoveryCodes
+      });
+    } catch (error) {
+      logger.error('Two-factor enable error', { error: error.message, adminId });
+      return res.status(500).json({ error: 'Could not enable two-factor authentication', code: 'AUTH_SERVICE_ERROR' });
+    }
+  });
+
+// Issue a fresh set of recovery codes, invalidating the old ones
+router.post('/admin/2fa/recovery-codes', isAuthenticated, validationRules.confirmTwoFactor, handleValidationErrors,
+  async (req, res) => {
+    const adminId = req.session.adminId;
+
+    try {
+      const admin = await admins.findCredentials(adminId);
+      if (!admin || !admin.totp_enabled) {
+        return res.status(409).json({
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+      if (!(await verifySecondFactor(admin, { code: req.body.code }))) {
+        return res.status(401).json({
+          error: 'Invalid authentication code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      const recoveryCodes = await replaceRecoveryCodes(adminId);
+      logger.info('Recovery codes regenerated', { adminId, ip: req.ip });
+      return res.json({ message: 'New recovery codes generated', recoveryCodes });
+    } catch (error) {
+      logger.error('Recovery code generation error', { error: error.message, adminId });
+      return res.status(500).json({ error: 'Could not generate recovery codes', code: 'AUTH_SERVICE_ERROR' });
+    }
+  });
+
+// Turn 2FA off; requires the password and a second factor so a hijacked session cannot do it alone
+router.post('/admin/2fa/disable', isAuthenticated, validationRules.disableTwoFactor, validationRules.verifyTwoFactor,
+  handleValidationErrors, async (req, res) => {
+    const adminId = req.session.adminId;
+
+    try {
+      const admin = await admins.findCredentials(adminId);
+      if (!admin || !admin.totp_enabled) {
+        return res.status(409).json({
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      const verified = await verifyPassword(req.body.password, admin.password) &&
+        await verifySecondFactor(admin, req.body);
+      if (!verified) {
+        logger.securityLog('Failed attempt to disable two-factor authentication', { adminId, ip: req.ip });
+        return res.status(401).json({
+          error: 'Password or authentication code is incorrect',
+          code: 'INVALID_CREDENTIALS'
+        });
+      }
+
+      await disableTwoFactor(adminId);
+      logger.info('Two-factor authentication disabled', { adminId, ip: req.ip });
+      return res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      logger.error('Two-factor disable error', { error: error.message, adminId });
+      return res.status(500).json({ error: 'Could not disable two-factor authentication', code: 'AUTH_SERVICE_ERROR' });
+    }
+  });
+
+// Change the logged-in admin's password; every other session of that admin is logged out
+router.post('/admin/password', isAuthenticated, validationRules.changeAdminPassword, handleValidationErrors,
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const adminId = req.session.adminId;
+
+    try {
+      const admin = await admins.findCredentials(adminId);
+
+      if (!admin || !(await verifyPassword(currentPassword, admin.password))) {
+        logger.securityLog('Password change with invalid current password', { adminId, ip: req.ip });
+        return res.status(401).json({
+          error: 'Current password is incorrect',
+          code: 'INVALID_CURRENT_PASSWORD'
+        });
+      }
+
+      await updateAdminPassword(adminId, newPassword);
+      await endAdminSessions(adminId, req.sessionID);
+
+      logger.info('Admin password changed', { adminId, ip: req.ip });
+      return res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      logger.error('Admin password change error', { error: error.message, adminId });
+      return res.status(500).json({
+        error: 'Could not change password',
+        code: 'AUTH_SERVICE_ERROR'
+      });
+    }
+  });
+
+// Redeem a one-time reset token issued by an owner; all sessions of that admin are logged out
+router.post('/admin/password/reset', validationRules.resetAdminPassword, handleValidationErrors, async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    // Claiming the token in a single statement guarantees it can only be used once
+    const adminId = await admins.claimPasswordReset(hashResetToken(token));
+
+    if (!adminId) {
+      logger.securityLog('Invalid or expired password reset token', { ip: req.ip, userAgent: req.get('User-Agent') });
+      return res.status(400).json({
+        error: 'Reset token is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    await updateAdminPassword(adminId, newPassword);
+    await endAdminSessions(adminId);
+
+    logger.info('Admin password reset with token', { adminId, ip: req.ip });
+    return res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    logger.error('Admin password reset error', { error: error.message });
+    return res.status(500).json({
+      error: 'Could not reset password',
+      code: 'AUTH_SERVICE_ERROR'
+    });
+  }
+});
+
 // Enhanced admin logout
 router.post('/admin/logout', (req, res) => {
   const sessionInfo = {
@@ -219,7 +678,10 @@ router.get('/admin/status', (req, res) => {
     loggedIn: isLoggedIn,
     sessionId: req.session?.id,
     adminId: req.session?.adminId,
-    loginTime: req.session?.loginTime
+    username: req.session?.username,
+    role: req.session?.role,
+    loginTime: req.session?.loginTime,
+    twoFactorPending: !isLoggedIn && !!req.session?.pendingTwoFactor
   };
   
   if (isLoggedIn) {
@@ -233,4 +695,12 @@ router.get('/admin/status', (req, res) => {
   res.json(sessionInfo);
 });
 
-module.exports = { router, isAuthenticated };
+module.exports = {
+  router,
+  isAuthenticated,
+  requireRole,
+  ROLES,
+  endAdminSessions,
+  createPasswordResetToken,
+  disableTwoFactor
+};
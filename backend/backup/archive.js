@@ -0,0 +1,151 @@
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+/**
+ * Minimal gzip-compressed tar (ustar) archives holding regular files, enough for backups to be
+ * opened with any tar tool (`tar -xzf backup.tar.gz`) without adding a dependency.
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+
+// Header field offsets and lengths, see POSIX ustar
+const FIELDS = {
+  name: [0, 100],
+  mode: [100, 8],
+  uid: [108, 8],
+  gid: [116, 8],
+  size: [124, 12],
+  mtime: [136, 12],
+  checksum: [148, 8],
+  type: [156, 1],
+  magic: [257, 6],
+  version: [263, 2],
+  prefix: [345, 155]
+};
+
+const REGULAR_FILE_TYPES = ['0', '\0'];
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+function writeField(header, [offset, length], value) {
+  header.write(value, offset, length, 'utf8');
+}
+
+function writeOctal(header, field, value) {
+  const [, length] = field;
+  writeField(header, field, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+function readField(header, [offset, length]) {
+  const raw = header.toString('utf8', offset, offset + length);
+  const end = raw.indexOf('\0');
+  return end === -1 ? raw : raw.slice(0, end);
+}
+
+// Sum of the header bytes with the checksum field counted as spaces
+function checksumOf(header) {
+  const [offset, length] = FIELDS.checksum;
+  const copy = Buffer.from(header);
+  copy.fill(' ', offset, offset + length);
+  let sum = 0;
+  for (const byte of copy) {
+    sum += byte;
+  }
+  return sum;
+}
+
+function fileHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > NAME_LENGTH) {
+    throw new ArchiveError(`Archive entry name is too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeField(header, FIELDS.name, name);
+  writeOctal(header, FIELDS.mode, 0o644);
+  writeOctal(header, FIELDS.uid, 0);
+  writeOctal(header, FIELDS.gid, 0);
+  writeOctal(header, FIELDS.size, size);
+  writeOctal(header, FIELDS.mtime, Math.floor(mtime.getTime() / 1000));
+  writeField(header, FIELDS.type, '0');
+  writeField(header, FIELDS.magic, 'ustar\0');
+  writeField(header, FIELDS.version, '00');
+  writeField(header, FIELDS.checksum, `${checksumOf(header).toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+/**
+ * Pack files into a .tar.gz, in the given order.
+ *
+ * @param {Array<{name: string, data: Buffer}>} entries
+ * @param {Date} [mtime] - Modification time recorded for every file
+ * @returns {Promise<Buffer>}
+ */
+function packArchive(entries, mtime = new Date()) {
+  const blocks = entries.flatMap(({ name, data }) => [
+    fileHeader(name, data.length, mtime),
+    data,
+    padding(data.length)
+  ]);
+  // Two zero blocks end the archive
+  return gzip(Buffer.concat([...blocks, Buffer.alloc(BLOCK_SIZE * 2)]));
+}
+
+/**
+ * Unpack a .tar.gz into a Map of file name to contents. Directories and other special entries are
+ * skipped; a damaged archive throws ArchiveError.
+ *
+ * @param {Buffer} archive
+ * @returns {Promise<Map<string, Buffer>>}
+ */
+async function unpackArchive(archive) {
+  let tar;
+  try {
+    tar = await gunzip(archive);
+  } catch (error) {
+    throw new ArchiveError(`Not a gzip archive: ${error.message}`);
+  }
+
+  const files = new Map();
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+    if (parseInt(readField(header, FIELDS.checksum), 8) !== checksumOf(header)) {
+      throw new ArchiveError(`Damaged archive header at byte ${offset}`);
+    }
+
+    const size = parseInt(readField(header, FIELDS.size), 8);
+    const start = offset + BLOCK_SIZE;
+    if (!Number.isInteger(size) || start + size > tar.length) {
+      throw new ArchiveError(`Truncated archive entry at byte ${offset}`);
+    }
+
+    const prefix = readField(header, FIELDS.prefix);
+    const name = prefix ? `${prefix}/${readField(header, FIELDS.name)}` : readField(header, FIELDS.name);
+    if (REGULAR_FILE_TYPES.includes(header.toString('latin1', FIELDS.type[0], FIELDS.type[0] + 1))) {
+      files.set(name, tar.subarray(start, start + size));
+    }
+    offset = start + size + padding(size).length;
+  }
+  return files;
+}
+
+module.exports = {
+  ArchiveError,
+  packArchive,
+  unpackArchive
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const migrator = require('../migrator');
+const { imageUrlsOf } = require('../utils');
+const { getStorage, storageForUrl } = require('../storage');
+const { IMAGE_TABLES, extensionOf } = require('../storage/migrate');
+const { ArchiveError, packArchive, unpackArchive } = require('./archive');
+
+/**
+ * Site backups: one .tar.gz holding
+ *   manifest.json          - format version, schema version, and every file with its SHA-256
+ *   tables/<table>.json    - all rows of each content table, trashed ones included
+ *   images/<table>/<n>.ext - the bytes of every uploaded image those rows use
+ *
+ * A restore rebuilds a fresh database from it, in either dialect and with images going to any
+ * storage driver, so it also moves a site between environments. Admin accounts, sessions, login
+ * attempts and the audit log are not content and stay behind; create an admin after restoring.
+ * Contact submissions therefore come back unassigned.
+ */
+
+const BACKUP_FORMAT = 'revengers-backup';
+const BACKUP_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Content tables in restore order: rows are inserted after the rows they refer to
+const BACKUP_TABLES = [
+  'matches',
+  'players',
+  'managers',
+  'trophies',
+  'trophy_winners',
+  'match_lineups',
+  'player_match_stats',
+  'application_fields',
+  'contact_submissions',
+  'contact_submission_tags'
+];
+
+// Site settings that migrations fill with defaults; a restore replaces those rows with the backup's
+const SETTINGS_TABLES = ['application_fields'];
+
+// Columns left out of backups: search_vector is filled in by a trigger, and assignee_id refers to an
+// admin account, which is not backed up
+const EXCLUDED_COLUMNS = ['search_vector', 'assignee_id'];
+
+// Column names from an archive end up in SQL, so they must be plain identifiers
+const COLUMN_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/i;
+
+// The archive cannot be read or restored; nothing has been written when it is thrown
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// PostgreSQL folds unquoted column names to lower case, SQLite keeps them as declared
+function columnValue(row, column) {
+  const entry = Object.entries(row).find(([name]) => name.toLowerCase() === column.toLowerCase());
+  return entry ? entry[1] : undefined;
+}
+
+function withoutExcludedColumns(row) {
+  return Object.fromEntries(Object.entries(row).filter(([name]) => !EXCLUDED_COLUMNS.includes(name.toLowerCase())));
+}
+
+// Each uploaded image the rows use, once, with the driver that stored it; default images are skipped
+function storedImages(rowsByTable, storageFor) {
+  const seen = new Set();
+  return IMAGE_TABLES.flatMap(table => rowsByTable.get(table).flatMap(row => {
+    const urls = imageUrlsOf(columnValue(row, 'imageUrl'), columnValue(row, 'image_variants'))
+      .filter(url => !seen.has(url));
+    urls.forEach(url => seen.add(url));
+    return urls.map(url => ({ table, url, storage: storageFor(url) })).filter(image => image.storage);
+  }));
+}
+
+async function schemaVersionOf(client) {
+  const result = await client.query('SELECT MAX(version) AS version FROM schema_migrations');
+  return parseInt(result.rows[0].version, 10) || 0;
+}
+
+/**
+ * The schema version and the rows of every backup table, read in one transaction so that the
+ * archive is a single snapshot: a row written meanwhile is either in it with everything it refers
+ * to, or not at all. SQLite's one connection is held by the client for the whole read, which gives
+ * the same guarantee with a plain BEGIN.
+ */
+async function readSnapshot(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query(pool.dialect === 'sqlite' ? 'BEGIN' : 'BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const schemaVersion = await schemaVersionOf(client);
+    const rowsByTable = new Map();
+    for (const table of BACKUP_TABLES) {
+      const { rows } = await client.query(`SELECT * FROM ${table} ORDER BY 1`);
+      rowsByTable.set(table, rows);
+    }
+    await client.query('COMMIT');
+    return { schemaVersion, rowsByTable };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Build a backup archive of the content tables and, unless `images` is false, of the uploaded
+ * images they use. Images that cannot be read are listed in the manifest's missingImages and the
+ * backup carries on without them.
+ *
+ * @param {Object} pool - pg Pool or SqlitePool
+ * @param {Object} [options]
+ * @param {boolean} [options.images] - Include image binaries
+ * @param {Function} [options.storageFor] - Driver that stored a URL, or null for default images
+ * @param {Date} [options.now]
+ * @returns {Promise<{archive: Buffer, manifest: Object}>}
+ */
+async function createBackup(pool, { images = true, storageFor = storageForUrl, now = new Date() } = {}) {
+  const { schemaVersion, rowsByTable } = await readSnapshot(pool);
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: now.toISOString(),
+    dialect: pool.dialect || 'postgres',
+    schemaVersion,
+    tables: [],
+    images: [],
+    missingImages: []
+  };
+  const entries = [];
+
+  for (const [table, rows] of rowsByTable) {
+    const data = Buffer.from(JSON.stringify(rows.map(withoutExcludedColumns)));
+    const file = `tables/${table}.json`;
+    entries.push({ name: file, data });
+    manifest.tables.push({ name: table, file, rows: rows.length, size: data.length, sha256: sha256(data) });
+  }
+
+  if (images) {
+    for (const { table, url, storage } of storedImages(rowsByTable, storageFor)) {
+      try {
+        const data = await storage.read(url);
+        const file = `images/${table}/${manifest.images.length + 1}${extensionOf(url)}`;
+        entries.push({ name: file, data });
+        manifest.images.push({ url, folder: table, file, size: data.length, sha256: sha256(data) });
+      } catch (error) {
+        manifest.missingImages.push({ url, error: error.message });
+      }
+    }
+  }
+
+  const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+  const archive = await packArchive([{ name: MANIFEST_FILE, data: manifestData }, ...entries], now);
+  return { archive, manifest };
+}
+
+/**
+ * Unpack a backup and check it: a known format version and every listed file present with its
+ * checksum. Resolves to the manifest and the files by name; throws BackupError otherwise.
+ *
+ * @param {Buffer} archive
+ * @returns {Promise<{manifest: Object, files: Map<string, Buffer>}>}
+ */
+async function readBackup(archive) {
+  let files;
+  try {
+    files = await unpackArchive(archive);
+  } catch (error) {
+    if (error instanceof ArchiveError) {
+      throw new BackupError(error.message);
+    }
+    throw error;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get(MANIFEST_FILE).toString('utf8'));
+  } catch (error) {
+    throw new BackupError(`The archive has no readable ${MANIFEST_FILE}`);
+  }
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new BackupError('The archive is not a site backup');
+  }
+  if (manifest.version !== BACKUP_VERSION) {
+    throw new BackupError(`Backup format version ${manifest.version} is not supported, expected ${BACKUP_VERSION}`);
+  }
+
+  for (const { file, sha256: checksum } of [...manifest.tables, ...manifest.images]) {
+    if (!files.has(file)) {
+      throw new BackupError(`The archive is missing ${file}`);
+    }
+    if (sha256(files.get(file)) !== checksum) {
+      throw new BackupError(`Checksum mismatch for ${file}`);
+    }
+  }
+  return { manifest, files };
+}
+
+// The row with its image URLs replaced by the restored copies in `restoredUrls`
+function withRestoredImages(row, restoredUrls) {
+  const restored = url => (restoredUrls.has(url) ? restoredUrls.get(url) : url);
+
+  return Object.fromEntries(Object.entries(row).map(([name, value]) => {
+    if (name.toLowerCase() === 'imageurl' && value) {
+      return [name, restored(value)];
+    }
+    if (name.toLowerCase() === 'image_variants' && value) {
+      return [name, {
+        ...value,
+        sources: Array.isArray(value.sources)
+          ? value.sources.map(source => ({ ...source, url: restored(source.url) }))
+          : value.sources,
+        original: value.original ? { ...value.original, url: restored(value.original.url) } : value.original
+      }];
+    }
+    return [name, value];
+  }));
+}
+
+async function insertRows(client, table, rows) {
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    const invalid = columns.find(column => !COLUMN_NAME_PATTERN.test(column));
+    if (invalid) {
+      throw new BackupError(`Invalid column name in ${table}: ${invalid}`);
+    }
+    const placeholders = columns.map((column, index) => `$${index + 1}`);
+    // JSON columns holding lists go in as text, since pg would send an array as a PostgreSQL array
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+      Object.values(row).map(value => (Array.isArray(value) ? JSON.stringify(value) : value))
+    );
+  }
+}
+
+// PostgreSQL sequences do not see explicit ids; move them past the restored rows
+async function resetSequences(client, tables) {
+  for (const table of tables) {
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence('${table}', 'id'), MAX(id)) FROM ${table}`
+    );
+  }
+}
+
+/**
+ * Restore a backup into a database without content, e.g. a fresh one. The schema is migrated to the
+ * backup's version, the rows are inserted with their ids in one transaction, and then any newer
+ * migrations run over them. Images are saved to `storage` first and the rows pointed at the copies;
+ * with `images` false the rows keep their URLs, for restoring next to the same storage.
+ *
+ * @param {Object} pool - pg Pool or SqlitePool
+ * @param {Buffer} archive
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage driver images are restored to
+ * @param {boolean} [options.images] - Restore image binaries
+ * @param {Array} [options.migrations] - Migrations to run, the shipped ones by default
+ * @returns {Promise<{tables: Array<{name: string, rows: number}>, images: number}>}
+ */
+async function restoreBackup(pool, archive, { storage = getStorage(), images = true, migrations } = {}) {
+  const { manifest, files } = await readBackup(archive);
+  const dialect = pool.dialect || 'postgres';
+  const known = migrations || migrator.loadMigrations(migrator.MIGRATIONS_DIR, dialect);
+  const latest = known.reduce((version, migration) => Math.max(version, migration.version), 0);
+  if (manifest.schemaVersion > latest) {
+    throw new BackupError(`The backup needs schema version ${manifest.schemaVersion}, this release knows ${latest}`);
+  }
+
+  const tables = manifest.tables.filter(({ name }) => BACKUP_TABLES.includes(name))
+    .sort((a, b) => BACKUP_TABLES.indexOf(a.name) - BACKUP_TABLES.indexOf(b.name));
+
+  await migrator.migrateUp(pool, { to: manifest.schemaVersion }, known);
+  // Tables added by later migrations are not in older backups, and are empty when their parents are
+  for (const { name: table } of tables.filter(({ name }) => !SETTINGS_TABLES.includes(name))) {
+    const { rows } = await pool.query(`SELECT COUNT(*) AS count FROM ${table}`);
+    if (parseInt(rows[0].count, 10) > 0) {
+      throw new BackupError(`Restoring needs a database without content, but ${table} has rows`);
+    }
+  }
+
+  const restoredUrls = new Map();
+  try {
+    if (images) {
+      for (const image of manifest.images) {
+        const extension = extensionOf(image.url);
+        const url = await storage.save(files.get(image.file), { folder: image.folder, extension });
+        restoredUrls.set(image.url, url);
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const withIds = [];
+      for (const { name, file } of tables) {
+        const rows = JSON.parse(files.get(file).toString('utf8'));
+        if (SETTINGS_TABLES.includes(name)) {
+          await client.query(`DELETE FROM ${name}`);
+        }
+        await insertRows(client, name, IMAGE_TABLES.includes(name)
+          ? rows.map(row => withRestoredImages(row, restoredUrls))
+          : rows);
+        if (rows.some(row => row.id !== undefined)) {
+          withIds.push(name);
+        }
+      }
+      if (dialect === 'postgres') {
+        await resetSequences(client, withIds);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    // Nothing refers to the copies once the rows are rolled back
+    for (const url of restoredUrls.values()) {
+      await storage.remove(url).catch(() => undefined);
+    }
+    throw error;
+  }
+
+  await migrator.migrateUp(pool, {}, known);
+  return {
+    tables: tables.map(({ name, rows }) => ({ name, rows })),
+    images: restoredUrls.size
+  };
+}
+
+module.exports = {
+  BACKUP_TABLES,
+  BackupError,
+  createBackup,
+  readBackup,
+  restoreBackup
+};
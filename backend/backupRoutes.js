@@ -0,0 +1,33 @@
+const express = require('express');
+const db = require('./db');
+const logger = require('./logger');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { createBackup } = require('./backup');
+
+// Mounted at /api/admin/backup; a backup holds every contact submission, so only owners get one
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER));
+
+// GET /api/admin/backup - Download a backup archive of the content and images, see backend/backup
+// Query: images (true|false, default true)
+router.get('/', validationRules.createBackup, handleValidationErrors, async (req, res) => {
+  try {
+    const now = new Date();
+    const { archive, manifest } = await createBackup(db.pool, { images: req.query.images !== 'false', now });
+
+    logger.info('Backup downloaded', {
+      by: req.session.adminId,
+      images: manifest.images.length,
+      missingImages: manifest.missingImages.length
+    });
+    res.attachment(`backup-${now.toISOString().replace(/[:.]/g, '-')}.tar.gz`);
+    return res.type('application/gzip').send(archive);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return res.status(500).json({ error: 'Failed to create backup. Please try again later.' });
+  }
+});
+
+module.exports = router;
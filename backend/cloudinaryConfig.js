@@ -6,4 +6,4 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-module.exports = { uploader: cloudinary.uploader };
+module.exports = { uploader: cloudinary.uploader, api: cloudinary.api };
@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const path = require('path');
 
 // Load environment variables
 dotenv.config();
@@ -39,6 +40,19 @@ class Config {
   }
 
   // Database Configuration
+  // Storage backend: 'postgres' (default) or 'sqlite', an embedded database kept in SQLITE_PATH
+  get DB_DRIVER() {
+    return (process.env.DB_DRIVER || 'postgres').toLowerCase();
+  }
+
+  get usesSqlite() {
+    return this.DB_DRIVER === 'sqlite';
+  }
+
+  get SQLITE_PATH() {
+    return process.env.SQLITE_PATH || 'data/revengers.sqlite';
+  }
+
   get DATABASE_URL() {
     return process.env.DATABASE_URL;
   }
@@ -62,6 +76,15 @@ class Config {
     return parseInt(process.env.BCRYPT_ROUNDS) || 12;
   }
 
+  get PASSWORD_RESET_TTL_MS() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+  }
+
+  // Name shown next to the account in authenticator apps
+  get TOTP_ISSUER() {
+    return process.env.TOTP_ISSUER || 'Revengers Esports';
+  }
+
   get COOKIE_MAX_AGE() {
     return parseInt(process.env.COOKIE_MAX_AGE_MS) || 24 * 60 * 60 * 1000; // 24 hours
   }
@@ -76,6 +99,35 @@ class Config {
     };
   }
 
+  // Image storage: 'cloudinary' (default), 'local' (files in LOCAL_UPLOAD_DIR served from /uploads)
+  // or 's3' (any S3-compatible bucket)
+  get STORAGE_DRIVER() {
+    return (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+  }
+
+  get LOCAL_UPLOAD_DIR() {
+    return process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../public/uploads');
+  }
+
+  // Directory scripts/backup.js writes archives to and reads them from
+  get BACKUP_DIR() {
+    return process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+  }
+
+  get s3Config() {
+    return {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      // Set for S3-compatible services such as MinIO or Cloudflare R2
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Base URL objects are served from, e.g. a CDN in front of the bucket
+      publicUrl: process.env.S3_PUBLIC_URL
+    };
+  }
+
   // File Upload Configuration
   get MAX_FILE_SIZE() {
     return (parseInt(process.env.MAX_FILE_SIZE_MB) || 5) * 1024 * 1024; // Convert to bytes
@@ -111,10 +163,32 @@ class Config {
         ? process.env.PRODUCTION_URL || 'https://revengers-esports.onrender.com'
         : true, // Allow all origins in development
       credentials: true,
+      exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page', 'Link'],
       optionsSuccessStatus: 200
     };
   }
 
+  // Per-username login lockout and anomaly alerting (per-IP limits are handled by authLimiter)
+  get loginProtectionConfig() {
+    return {
+      lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5, // consecutive failures
+      lockoutBaseMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || 60 * 1000, // doubles per further failure
+      lockoutMaxMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000,
+      alertWindowMs: parseInt(process.env.LOGIN_ALERT_WINDOW_MS, 10) || 15 * 60 * 1000,
+      accountAlertThreshold: parseInt(process.env.LOGIN_ACCOUNT_ALERT_THRESHOLD, 10) || 10,
+      ipUsernameAlertThreshold: parseInt(process.env.LOGIN_IP_USERNAME_ALERT_THRESHOLD, 10) || 5,
+      pruneIntervalMs: parseInt(process.env.LOGIN_ATTEMPT_PRUNE_INTERVAL_MS, 10) || 60 * 60 * 1000
+    };
+  }
+
+  // Soft-deleted players, managers and trophies stay restorable for retentionDays, then get purged
+  get trashConfig() {
+    return {
+      retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+      purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000
+    };
+  }
+
   // Session Configuration
   get sessionConfig() {
     return {
@@ -173,15 +247,26 @@ class Config {
   validateRequired() {
     const required = ['SESSION_SECRET'];
     
-    // Only require database URL if not in test mode
-    if (!this.isTest) {
+    // Only require database URL if not in test mode; SQLite needs no server
+    if (!this.isTest && !this.usesSqlite) {
       required.push('DATABASE_URL');
     }
 
-    // Require Cloudinary config in production
-    if (this.isProduction) {
+    if (!['postgres', 'sqlite'].includes(this.DB_DRIVER)) {
+      throw new Error(`Unknown DB_DRIVER "${this.DB_DRIVER}", expected postgres or sqlite`);
+    }
+
+    if (!['cloudinary', 'local', 's3'].includes(this.STORAGE_DRIVER)) {
+      throw new Error(`Unknown STORAGE_DRIVER "${this.STORAGE_DRIVER}", expected cloudinary, local or s3`);
+    }
+
+    // Require the selected image storage's config in production
+    if (this.isProduction && this.STORAGE_DRIVER === 'cloudinary') {
       required.push('CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET');
     }
+    if (this.STORAGE_DRIVER === 's3') {
+      required.push('S3_BUCKET');
+    }
 
     const missing = required.filter(key => !process.env[key]);
     
@@ -209,8 +294,10 @@ class Config {
       isDevelopment: this.isDevelopment,
       isProduction: this.isProduction,
       isTest: this.isTest,
-      hasDatabase: !!this.DATABASE_URL,
+      dbDriver: this.DB_DRIVER,
+      hasDatabase: !!this.DATABASE_URL || this.usesSqlite,
       hasCloudinary: !!(this.cloudinaryConfig.cloud_name && this.cloudinaryConfig.api_key),
+      storageDriver: this.STORAGE_DRIVER,
       hasSessionSecret: !!this.SESSION_SECRET,
       maxFileSize: this.MAX_FILE_SIZE,
       allowedFileTypes: this.ALLOWED_FILE_TYPES,
@@ -1,10 +1,19 @@
 const express = require('express');
-const db = require('./db');
-const { isAuthenticated } = require('./auth');
+const { requireRole, ROLES } = require('./auth');
+const { contacts, applicationFields, NotFoundError } = require('./repositories');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { buildPaginationLinks } = require('./utils');
+const { validateApplication } = require('./applicationForm');
 
 const contactRouter = express.Router();
 const registeredUsersRouter = express.Router();
 
+// Submissions hold personal contact details; only owners and recruiters work the inbox
+const requireRecruiter = requireRole(ROLES.OWNER, ROLES.RECRUITER);
+
+const DEFAULT_PAGE_SIZE = 25;
+
 // Input validation middleware for contact form
 function validateContactData(req, res, next) {
   const { name, email, whatsapp } = req.body;
@@ -42,30 +51,159 @@ function validateContactData(req, res, next) {
   next();
 }
 
-// POST /api/contact - Submit contact form
-contactRouter.post('/', validateContactData, (req, res) => {
-  const { name, email, whatsapp } = req.body;
-  const sql = `INSERT INTO contact_submissions (name, email, whatsapp) VALUES ($1, $2, $3)`;
-  const params = [name, email, whatsapp];
+// Settings of an application field the public form needs to render and pre-check it
+const PUBLIC_FIELD_COLUMNS = [
+  'name', 'label', 'type', 'required', 'options', 'max_length', 'min_value', 'max_value', 'help_text'
+];
+
+// Check the tryout answers in req.body.application against the configured application fields.
+// Submissions without an application are plain contact requests, as long as no field is required;
+// otherwise they are checked like an application without answers.
+async function validateApplicationData(req, res, next) {
+  const { application } = req.body;
+  if (application !== undefined &&
+      (application === null || typeof application !== 'object' || Array.isArray(application))) {
+    return res.status(400).json({ error: 'Application must be an object of answers' });
+  }
 
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
+  try {
+    const fields = await applicationFields.list();
+    if (application === undefined && !fields.some(field => field.required)) {
+      return next();
     }
-    res.status(201).json({ id: this.lastID, message: 'Contact submission received successfully' });
-  });
+
+    const { application: answers, errors } = validateApplication(fields, application || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation Error', details: errors });
+    }
+    req.body.application = answers;
+    return next();
+  } catch (err) {
+    console.error('Database error fetching application fields:', err);
+    return res.status(500).json({ error: 'Failed to check the application. Please try again later.' });
+  }
+}
+
+// GET /api/contact/form - Questions of the tryout application, in form order
+contactRouter.get('/form', async (req, res) => {
+  try {
+    const fields = await applicationFields.list();
+    res.json(fields.map(field => Object.fromEntries(
+      Object.entries(field).filter(([column]) => PUBLIC_FIELD_COLUMNS.includes(column))
+    )));
+  } catch (err) {
+    console.error('Database error fetching application fields:', err);
+    res.status(500).json({ error: 'Failed to fetch the application form. Please try again later.' });
+  }
+});
+
+// POST /api/contact - Submit contact form, optionally with a tryout application
+// JSON body: name, email, whatsapp, application (field name to answer, see GET /api/contact/form)
+contactRouter.post('/', validateContactData, validateApplicationData, async (req, res) => {
+  const { name, email, whatsapp, application } = req.body;
+
+  try {
+    const id = await contacts.create({ name, email, whatsapp, application });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'contact_submission', entityId: id });
+    return res.status(201).json({ id, message: 'Contact submission received successfully' });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
 });
 
-// GET /api/registered-users - View registered users with better error handling
-registeredUsersRouter.get('/', isAuthenticated, (req, res) => {
-  db.all("SELECT name, email, whatsapp FROM contact_submissions ORDER BY submission_date DESC", [], (err, rows) => {
-    if (err) {
+// GET /api/registered-users - Contact submissions inbox, newest first, each with its triage state and tags
+// Query: status, assigneeId (or unassigned), tag, q, page, limit (default 25, max 100)
+registeredUsersRouter.get('/', requireRecruiter, validationRules.listContacts, handleValidationErrors,
+  async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+    try {
+      const { rows, total } = await contacts.list(req.query, { limit, offset: (page - 1) * limit });
+
+      res.set({
+        'X-Total-Count': String(total),
+        'X-Page': String(page),
+        'X-Per-Page': String(limit),
+        'Link': buildPaginationLinks(req, { page, limit, total })
+      });
+      res.json(rows);
+    } catch (err) {
       console.error('Database error fetching contact submissions:', err);
-      return res.status(500).json({ error: 'Failed to fetch registered users. Please try again later.' });
+      res.status(500).json({ error: 'Failed to fetch registered users. Please try again later.' });
     }
-    res.json(rows || []);
   });
+
+// GET /api/registered-users/assignees - Admins a submission can be assigned to
+registeredUsersRouter.get('/assignees', requireRecruiter, async (req, res) => {
+  try {
+    res.json(await contacts.listAssignees());
+  } catch (err) {
+    console.error('Database error fetching assignees:', err);
+    res.status(500).json({ error: 'Failed to fetch assignees. Please try again later.' });
+  }
 });
 
+// Triage changes in `body` as repository columns; fields left out stay unchanged
+function triageChanges(body) {
+  const changes = {};
+  if (body.status !== undefined) {
+    changes.status = body.status;
+  }
+  if (body.assigneeId !== undefined) {
+    changes.assignee_id = body.assigneeId === null ? null : parseInt(body.assigneeId, 10);
+  }
+  if (body.notes !== undefined) {
+    changes.notes = body.notes === null ? null : body.notes.trim() || null;
+  }
+  return changes;
+}
+
+// PATCH /api/registered-users/:id - Update the status, assignee, notes or tags of a submission
+// JSON body: status, assigneeId (null to unassign), notes (null to clear), tags (replaces the current tags)
+registeredUsersRouter.patch('/:id', requireRecruiter, validationRules.updateContact, handleValidationErrors,
+  async (req, res) => {
+    const { id } = req.params;
+    const { tags } = req.body;
+    const changes = triageChanges(req.body);
+
+    if (Object.keys(changes).length === 0 && tags === undefined) {
+      return res.status(400).json({ error: 'No contact fields provided' });
+    }
+
+    try {
+      const existing = await contacts.findById(id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Contact submission not found' });
+      }
+
+      if (changes.assignee_id) {
+        const assignees = await contacts.listAssignees();
+        if (!assignees.some(assignee => assignee.id === changes.assignee_id)) {
+          return res.status(400).json({ error: 'Submissions can only be assigned to owners and recruiters' });
+        }
+      }
+
+      await contacts.update(id, changes, tags);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: 'contact_submission',
+        entityId: id,
+        before: existing
+      });
+      return res.json(await contacts.findById(id));
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: 'Contact submission not found' });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Unknown assignee' });
+      }
+      console.error('Error updating contact submission:', error);
+      return res.status(500).json({ error: 'Error updating contact submission' });
+    }
+  });
+
 module.exports = { contactRouter, registeredUsersRouter };
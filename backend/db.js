@@ -3,6 +3,9 @@ const bcrypt = require('bcryptjs');
 const config = require('./config');
 const logger = require('./logger');
 const monitoring = require('./monitoring');
+const migrator = require('./migrator');
+const { MemoryDatabase } = require('./memoryDatabase');
+const { SqlitePool } = require('./sqlite');
 
 // Database configuration
 const dbConfig = {
@@ -10,24 +13,25 @@ const dbConfig = {
   ...config.dbPoolConfig
 };
 
-const pool = new Pool(dbConfig);
+// DB_DRIVER=sqlite swaps PostgreSQL for an embedded database file; both speak the PostgreSQL dialect here
+const pool = config.usesSqlite ? new SqlitePool(config.SQLITE_PATH) : new Pool(dbConfig);
 
-// Mock data storage for when database is not available
-let mockData = {
-  players: [],
-  managers: [],
-  trophies: [],
-  contact_submissions: [],
-  admins: []
-};
+// Statement that checks the connection and names the database
+const CONNECTION_CHECK = config.usesSqlite
+  ? 'SELECT CURRENT_TIMESTAMP AS now, \'SQLite\' AS version'
+  : 'SELECT NOW() as now, version() as version';
+
+// Mock mode (no PostgreSQL available) runs every statement against this in-memory database
+const memory = new MemoryDatabase();
 
 // Add default admin for mock mode
 if (config.isDevelopment && config.defaultAdmin) {
-  mockData.admins.push({
-    id: 1,
-    username: config.defaultAdmin.username,
-    password: config.defaultAdmin.password // In real implementation, this would be hashed
-  });
+  // Hashed like every other stored password, so the admin can log in, change it and add admins.
+  // Synchronous because requests may reach the in-memory database as soon as this module is loaded.
+  memory.query(
+    'INSERT INTO admins (username, password, role) VALUES ($1, $2, $3)',
+    [config.defaultAdmin.username, bcrypt.hashSync(config.defaultAdmin.password, config.BCRYPT_ROUNDS), 'owner']
+  );
   logger.debug('Mock admin created', { username: config.defaultAdmin.username });
 }
 
@@ -37,13 +41,12 @@ const maxRetries = 3;
 
 async function testConnection() {
   try {
-    const result = await pool.query('SELECT NOW() as now, version() as version');
-    logger.info('Connected to PostgreSQL database', {
+    const result = await pool.query(CONNECTION_CHECK);
+    logger.info(config.usesSqlite ? 'Opened SQLite database' : 'Connected to PostgreSQL database', {
       timestamp: result.rows[0].now,
       version: result.rows[0].version.split(' ')[0]
     });
     global.MOCK_MODE = false;
-    await initializeDatabase();
   } catch (err) {
     connectionRetries++;
     logger.error('Database connection failed', {
@@ -51,7 +54,7 @@ async function testConnection() {
       maxRetries,
       error: err.message
     });
-    
+
     if (connectionRetries < maxRetries) {
       logger.info('Retrying database connection', { delay: '2 seconds' });
       setTimeout(testConnection, 2000);
@@ -61,158 +64,26 @@ async function testConnection() {
       });
       global.MOCK_MODE = true;
     }
+    return;
   }
-}
 
-testConnection();
-
-async function initializeDatabase() {
-  logger.info('Initializing database schema...');
-  
-  const tables = [
-    {
-      name: 'admins',
-      sql: `CREATE TABLE IF NOT EXISTS admins (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_login TIMESTAMP
-      )`
-    },
-    {
-      name: 'players',
-      sql: `CREATE TABLE IF NOT EXISTS players (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        jerseyNumber INTEGER NOT NULL UNIQUE,
-        imageUrl TEXT,
-        stars INTEGER DEFAULT 0 CHECK (stars >= 1 AND stars <= 5),
-        joined_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    },
-    {
-      name: 'managers',
-      sql: `CREATE TABLE IF NOT EXISTS managers (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        role VARCHAR(255) NOT NULL,
-        imageUrl TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    },
-    {
-      name: 'trophies',
-      sql: `CREATE TABLE IF NOT EXISTS trophies (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        year INTEGER NOT NULL CHECK (year >= 1900 AND year <= EXTRACT(YEAR FROM NOW()) + 1),
-        imageUrl TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`
-    },
-    {
-      name: 'contact_submissions',
-      sql: `CREATE TABLE IF NOT EXISTS contact_submissions (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        whatsapp VARCHAR(255) NOT NULL,
-        submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        ip_address INET,
-        user_agent TEXT
-      )`
-    },
-    {
-      name: 'sessions',
-      sql: `CREATE TABLE IF NOT EXISTS sessions (
-        sid VARCHAR(255) PRIMARY KEY,
-        sess JSON NOT NULL,
-        expire TIMESTAMP NOT NULL
-      )`
-    }
-  ];
-
-  for (const table of tables) {
-    try {
-      await pool.query(table.sql);
-      logger.debug('Table created/verified', { table: table.name });
-    } catch (err) {
-      logger.error('Error creating table', { table: table.name, error: err.message });
-      throw err;
-    }
-  }
-
-  // Migrate existing data - remove imageData if it exists
+  // A failed migration leaves the schema in an unknown state, so the server must not keep serving
   try {
-    const migrations = [
-      'ALTER TABLE IF EXISTS players DROP COLUMN IF EXISTS imageData',
-      'ALTER TABLE IF EXISTS managers DROP COLUMN IF EXISTS imageData',
-      'ALTER TABLE IF EXISTS trophies DROP COLUMN IF EXISTS imageData',
-      'ALTER TABLE IF EXISTS players ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS managers ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS managers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
-      'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS last_login TIMESTAMP',
-      'ALTER TABLE IF EXISTS contact_submissions ADD COLUMN IF NOT EXISTS ip_address INET',
-      'ALTER TABLE IF EXISTS contact_submissions ADD COLUMN IF NOT EXISTS user_agent TEXT'
-    ];
-    
-    for (const migration of migrations) {
-      await pool.query(migration);
-    }
-    logger.info('Database schema migrated successfully');
+    await initializeDatabase();
   } catch (err) {
-    logger.debug('Schema migration completed with warnings', { message: err.message });
+    logger.error('Database initialization failed', { error: err.message });
+    process.exit(1);
   }
+}
 
-  // Add indexes for performance
-  const indexes = [
-    {
-      name: 'idx_players_jersey_unique',
-      sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_players_jersey_unique ON players (jerseyNumber)'
-    },
-    {
-      name: 'idx_players_joined_date',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_players_joined_date ON players (joined_date DESC)'
-    },
-    {
-      name: 'idx_trophies_year',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_trophies_year ON trophies (year DESC)'
-    },
-    {
-      name: 'idx_contact_submissions_date',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_contact_submissions_date ON contact_submissions (submission_date DESC)'
-    },
-    {
-      name: 'idx_admins_username',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_admins_username ON admins (username)'
-    },
-    {
-      name: 'idx_contact_email',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_contact_email ON contact_submissions (email)'
-    },
-    {
-      name: 'idx_sessions_expire',
-      sql: 'CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions (expire)'
-    }
-  ];
+testConnection();
 
-  for (const index of indexes) {
-    try {
-      await pool.query(index.sql);
-      logger.debug('Index created/verified', { index: index.name });
-    } catch (err) {
-      logger.warn('Index creation warning', { index: index.name, error: err.message });
-    }
-  }
+// Bring the schema up to date, then seed the development admin
+async function initializeDatabase() {
+  logger.info('Initializing database schema...');
 
-  logger.info('Database indexes created successfully');
+  const applied = await migrator.migrateUp(pool);
+  logger.info('Database schema migrated successfully', { applied: applied.map(m => `${m.version}_${m.name}`) });
 
   // Create default admin if not exists (only in development)
   if (config.isDevelopment && config.defaultAdmin) {
@@ -233,32 +104,37 @@ async function initializeDatabase() {
   logger.info('Database initialized successfully');
 }
 
+// Run a statement in mock mode; the callback receives the node-postgres style { rows, rowCount }
+function queryMemory(sql, params, callback) {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = memory.query(sql, params);
+  } catch (err) {
+    monitoring.recordDatabaseQuery(sql.substring(0, 100), Date.now() - startTime, err);
+    return callback(err);
+  }
+  monitoring.recordDatabaseQuery(sql.substring(0, 100), Date.now() - startTime);
+  return callback(null, result);
+}
+
+// lastID is the id returned by an INSERT ... RETURNING id; for updates and deletes, changes is more relevant
+function toRunResult(res) {
+  const lastID = (res.rows && res.rows.length > 0 && res.rows[0].id) ? res.rows[0].id : null;
+  return { lastID, changes: res.rowCount };
+}
+
 // Helper functions to match existing API (callback-based for compatibility)
 module.exports = {
   all: (sql, params = [], callback) => {
     const startTime = Date.now();
-    
+
     if (global.MOCK_MODE) {
-      // Mock implementation for SELECT queries
-      const table = sql.match(/FROM\s+(\w+)/i);
-      if (table) {
-        const tableName = table[1];
-        if (mockData[tableName]) {
-          callback(null, mockData[tableName]);
-        } else {
-          callback(null, []);
-        }
-      } else {
-        callback(null, []);
-      }
-      
-      // Record query for monitoring
-      const duration = Date.now() - startTime;
-      monitoring.recordDatabaseQuery(sql.substring(0, 100), duration);
+      queryMemory(sql, params, (err, res) => callback(err, err ? null : res.rows));
     } else {
       pool.query(sql, params, (err, res) => {
         const duration = Date.now() - startTime;
-        
+
         if (err) {
           monitoring.recordDatabaseQuery(sql.substring(0, 100), duration, err);
           callback(err, null);
@@ -271,37 +147,13 @@ module.exports = {
   },
   get: (sql, params = [], callback) => {
     const startTime = Date.now();
-    
+
     if (global.MOCK_MODE) {
-      // Mock implementation for single row SELECT queries
-      const table = sql.match(/FROM\s+(\w+)/i);
-      if (table) {
-        const tableName = table[1];
-        if (mockData[tableName]) {
-          // Find matching record by username parameter
-          if (params.length > 0 && tableName === 'admins') {
-            const username = params[0];
-            const admin = mockData[tableName].find(a => a.username === username);
-            callback(null, admin || null);
-          } else if (mockData[tableName].length > 0) {
-            callback(null, mockData[tableName][0]);
-          } else {
-            callback(null, null);
-          }
-        } else {
-          callback(null, null);
-        }
-      } else {
-        callback(null, null);
-      }
-      
-      // Record query for monitoring
-      const duration = Date.now() - startTime;
-      monitoring.recordDatabaseQuery(sql.substring(0, 100), duration);
+      queryMemory(sql, params, (err, res) => callback(err, err ? null : res.rows[0] || null));
     } else {
       pool.query(sql, params, (err, res) => {
         const duration = Date.now() - startTime;
-        
+
         if (err) {
           monitoring.recordDatabaseQuery(sql.substring(0, 100), duration, err);
           callback(err, null);
@@ -312,74 +164,25 @@ module.exports = {
       });
     }
   },
+  // Statements that need the new row's id must say RETURNING id themselves; tables such as
+  // trophy_winners have no id column to return
   run: (sql, params = [], callback) => {
     const startTime = Date.now();
-    
+
     if (global.MOCK_MODE) {
-      // Mock implementation for INSERT/UPDATE/DELETE queries
-      try {
-        if (sql.trim().toUpperCase().startsWith('INSERT')) {
-          const table = sql.match(/INTO\s+(\w+)/i);
-          if (table) {
-            const tableName = table[1];
-            if (mockData[tableName]) {
-              const newId = mockData[tableName].length + 1;
-              // For contact submissions, add the data
-              if (tableName === 'contact_submissions') {
-                const [name, email, whatsapp] = params;
-                mockData[tableName].push({
-                  id: newId,
-                  name: name,
-                  email: email,
-                  whatsapp: whatsapp,
-                  submission_date: new Date().toISOString()
-                });
-              }
-              callback(null, { lastID: newId, changes: 1 });
-            } else {
-              callback(null, { lastID: 1, changes: 1 });
-            }
-          } else {
-            callback(null, { lastID: 1, changes: 1 });
-          }
-        } else {
-          callback(null, { lastID: null, changes: 1 });
-        }
-        
-        // Record query for monitoring
-        const duration = Date.now() - startTime;
-        monitoring.recordDatabaseQuery(sql.substring(0, 100), duration);
-      } catch (err) {
-        const duration = Date.now() - startTime;
-        monitoring.recordDatabaseQuery(sql.substring(0, 100), duration, err);
-        callback(err);
-      }
+      queryMemory(sql, params, (err, res) => (err ? callback(err) : callback(null, toRunResult(res))));
     } else {
-      // Check if it's an INSERT statement and add RETURNING id if it's not there
-      if (sql.trim().toUpperCase().startsWith('INSERT') && !/RETURNING \*/i.test(sql) && !/RETURNING id/i.test(sql)) {
-        sql = sql.trim();
-        const semicolon = sql.endsWith(';') ? ';' : '';
-        if (semicolon) {
-          sql = sql.slice(0, -1);
-        }
-        sql = `${sql} RETURNING id${semicolon}`;
-      }
-
       pool.query(sql, params, (err, res) => {
         const duration = Date.now() - startTime;
-        
+
         if (err) {
           monitoring.recordDatabaseQuery(sql.substring(0, 100), duration, err);
           return callback(err);
         }
-        
+
         // Record successful query
         monitoring.recordDatabaseQuery(sql.substring(0, 100), duration);
-        
-        // lastID is specific to insert, for update/delete, changes is more relevant
-        const lastID = (res.rows && res.rows.length > 0 && res.rows[0].id) ? res.rows[0].id : null;
-        const changes = res.rowCount;
-        callback(null, { lastID, changes });
+        return callback(null, toRunResult(res));
       });
     }
   },
@@ -396,13 +199,13 @@ module.exports = {
       });
     }
   },
-  
+
   // Direct pool access for advanced operations
   query: async (sql, params = []) => {
     const startTime = Date.now();
-    
+
     try {
-      const result = await pool.query(sql, params);
+      const result = global.MOCK_MODE ? memory.query(sql, params) : await pool.query(sql, params);
       const duration = Date.now() - startTime;
       monitoring.recordDatabaseQuery(sql.substring(0, 100), duration);
       return result;
@@ -412,6 +215,12 @@ module.exports = {
       throw error;
     }
   },
-  
-  pool: pool
+
+  pool: pool,
+
+  // SQL dialect of the pool: 'postgres' or 'sqlite'
+  dialect: config.DB_DRIVER,
+
+  // In-memory database used in mock mode
+  memory
 };
@@ -0,0 +1,178 @@
+const sharp = require('sharp');
+
+/**
+ * Image Pipeline
+ * Turns an upload into the set of files the site serves: the image cropped to its folder's aspect
+ * ratio at several widths, each in AVIF, WebP and JPEG (for browsers without either), plus a tiny
+ * blurred placeholder and the dominant colour to paint the card with while the image loads.
+ *
+ * The framing can be chosen by hand: a crop rectangle (in pixels of the upright upload, as the admin
+ * cropper reports it) and/or a focal point (fractions of the upright upload's width and height) that
+ * the crop is centred on. Without either, sharp picks the most detailed region.
+ */
+
+const FORMATS = [
+  { format: 'avif', type: 'image/avif', extension: '.avif', options: { quality: 50, effort: 4 } },
+  { format: 'webp', type: 'image/webp', extension: '.webp', options: { quality: 80, effort: 5 } },
+  { format: 'jpeg', type: 'image/jpeg', extension: '.jpg', options: { quality: 80, mozjpeg: true } }
+];
+
+// Widths produced per folder, the aspect ratio (width / height) cards show them in and the width of
+// the WebP stored as imageUrl for clients that only know a single URL
+const PROFILES = new Map([
+  ['players', { aspectRatio: 3 / 4, widths: [150, 300, 600], defaultWidth: 300 }],
+  ['managers', { aspectRatio: 3 / 4, widths: [150, 300, 600], defaultWidth: 300 }],
+  ['trophies', { aspectRatio: 4 / 3, widths: [200, 400, 800], defaultWidth: 400 }]
+]);
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Extension the untouched upload is stored with, by the format sharp detects
+const ORIGINAL_EXTENSIONS = new Map([
+  ['jpeg', '.jpg'],
+  ['png', '.png'],
+  ['webp', '.webp'],
+  ['gif', '.gif']
+]);
+
+// The requested framing cannot be applied to the image; routers answer it with 400
+class ImageFramingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageFramingError';
+  }
+}
+
+function profileFor(folder) {
+  const profile = PROFILES.get(folder);
+  if (!profile) {
+    throw new Error(`No image profile for folder "${folder}"`);
+  }
+  return profile;
+}
+
+// Widths the source is large enough for once cropped, so nothing is upscaled; at least the smallest
+function targetWidths(profile, width, height) {
+  const maxWidth = Math.min(width, Math.floor(height * profile.aspectRatio));
+  const widths = profile.widths.filter(candidate => candidate <= maxWidth);
+  return widths.length > 0 ? widths : profile.widths.slice(0, 1);
+}
+
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// The crop rectangle limited to the image, in whole pixels
+function cropWithin(crop, width, height) {
+  const left = clamp(Math.round(crop.x), 0, width);
+  const top = clamp(Math.round(crop.y), 0, height);
+  const right = clamp(Math.round(crop.x + crop.width), 0, width);
+  const bottom = clamp(Math.round(crop.y + crop.height), 0, height);
+  if (right - left < 1 || bottom - top < 1) {
+    throw new ImageFramingError(`The crop lies outside the ${width}x${height} image`);
+  }
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Region of the upright image the variants show, for hand-picked framing: the largest rectangle of
+ * the profile's aspect ratio inside the crop (or the whole image), centred on the focal point (or the
+ * crop's centre) as far as the crop allows, as sharp's { left, top, width, height }.
+ */
+function framedRegion(profile, bounds, focalPoint, imageSize) {
+  const width = Math.max(1, Math.min(bounds.width, Math.round(bounds.height * profile.aspectRatio)));
+  const height = Math.max(1, Math.min(bounds.height, Math.round(width / profile.aspectRatio)));
+  const focusX = focalPoint ? focalPoint.x * imageSize.width : bounds.x + bounds.width / 2;
+  const focusY = focalPoint ? focalPoint.y * imageSize.height : bounds.y + bounds.height / 2;
+
+  return {
+    left: Math.round(clamp(focusX - width / 2, bounds.x, bounds.x + bounds.width - width)),
+    top: Math.round(clamp(focusY - height / 2, bounds.y, bounds.y + bounds.height - height)),
+    width,
+    height
+  };
+}
+
+function cropTo(image, width, profile, region) {
+  return image.resize(width, Math.round(width / profile.aspectRatio), {
+    fit: sharp.fit.cover,
+    position: region ? sharp.gravity.centre : sharp.strategy.entropy
+  });
+}
+
+/**
+ * Produce every variant of an upload. Resolves to the metadata stored with the image and the
+ * encoded variants, smallest first:
+ *   { width, height, placeholder, dominantColor, crop, focalPoint, original: { width, height, extension, type },
+ *     variants: [{ format, type, extension, width, height, buffer }] }
+ * width and height are those of the largest variant; placeholder is a data: URI. crop is the
+ * rectangle actually used once limited to the image; original describes the upright upload.
+ *
+ * @param {Object} [framing]
+ * @param {{x: number, y: number, width: number, height: number}} [framing.crop]
+ * @param {{x: number, y: number}} [framing.focalPoint]
+ */
+async function processImage(buffer, folder, { crop = null, focalPoint = null } = {}) {
+  const profile = profileFor(folder);
+
+  // Apply the EXIF orientation once so that every output is upright
+  const { data: upright, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+
+  const appliedCrop = crop ? cropWithin(crop, info.width, info.height) : null;
+  const region = appliedCrop || focalPoint
+    ? framedRegion(profile, appliedCrop || { x: 0, y: 0, width: info.width, height: info.height }, focalPoint, info)
+    : null;
+  // Cut the region out once; stats() would otherwise describe the whole image
+  const framed = region ? await sharp(upright).extract(region).toBuffer() : upright;
+  const size = region || info;
+
+  const variants = [];
+  for (const width of targetWidths(profile, size.width, size.height)) {
+    const cropped = cropTo(sharp(framed), width, profile, region);
+    for (const { format, type, extension, options } of FORMATS) {
+      const { data, info: output } = await cropped.clone()
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+      variants.push({ format, type, extension, width: output.width, height: output.height, buffer: data });
+    }
+  }
+
+  const placeholder = await cropTo(sharp(framed), PLACEHOLDER_WIDTH, profile, region)
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+  const { dominant } = await sharp(framed).stats();
+  const largest = variants.at(-1);
+  const extension = ORIGINAL_EXTENSIONS.get(info.format) || `.${info.format}`;
+
+  return {
+    width: largest.width,
+    height: largest.height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    dominantColor: toHexColor(dominant),
+    crop: appliedCrop,
+    focalPoint: focalPoint ? { x: focalPoint.x, y: focalPoint.y } : null,
+    original: { width: info.width, height: info.height, extension, type: `image/${info.format}` },
+    variants
+  };
+}
+
+// The WebP source closest to the folder's default width without exceeding it
+function defaultSource(sources, folder) {
+  const { defaultWidth } = profileFor(folder);
+  const webp = sources.filter(source => source.format === 'webp');
+  const fitting = webp.filter(source => source.width <= defaultWidth);
+  return fitting.length > 0 ? fitting.at(-1) : webp.at(0);
+}
+
+module.exports = {
+  FORMATS,
+  PROFILES,
+  ImageFramingError,
+  defaultSource,
+  processImage
+};
@@ -0,0 +1,71 @@
+const express = require('express');
+const logger = require('./logger');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { buildPaginationLinks } = require('./utils');
+const loginProtection = require('./loginProtection');
+
+// Mounted at /api/admin/login-attempts; reviewing attempts and unlocking accounts is reserved for owners
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER));
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// GET /api/admin/login-attempts - Newest login attempts first
+// Query: username, ip, outcome (failed|succeeded), page, limit (default 50, max 100)
+router.get('/', validationRules.listLoginAttempts, handleValidationErrors, async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+  try {
+    const { rows, total } = await loginProtection.listAttempts({
+      username: req.query.username,
+      ip: req.query.ip,
+      outcome: req.query.outcome,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'Link': buildPaginationLinks(req, { page, limit, total })
+    });
+    res.json(rows);
+  } catch (error) {
+    console.error('Database error fetching login attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch login attempts. Please try again later.' });
+  }
+});
+
+// GET /api/admin/login-attempts/locked - Usernames that are locked out right now
+router.get('/locked', async (req, res) => {
+  try {
+    res.json(await loginProtection.listLockedAccounts());
+  } catch (error) {
+    console.error('Database error fetching locked accounts:', error);
+    res.status(500).json({ error: 'Failed to fetch locked accounts. Please try again later.' });
+  }
+});
+
+// DELETE /api/admin/login-attempts/locked/:username - Lift a lockout by clearing the username's failures
+router.delete('/locked/:username', validationRules.unlockAccount, handleValidationErrors, async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const cleared = await loginProtection.unlockAccount(username);
+    if (cleared === 0) {
+      return res.status(404).json({ error: 'No failed logins recorded for this username' });
+    }
+
+    logger.info('Admin account unlocked', { username, clearedFailures: cleared, by: req.session.adminId });
+    return res.json({ message: 'Account unlocked successfully', clearedFailures: cleared });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    return res.status(500).json({ error: 'Error unlocking account' });
+  }
+});
+
+module.exports = router;
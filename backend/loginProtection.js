@@ -0,0 +1,258 @@
+const config = require('./config');
+const logger = require('./logger');
+const monitoring = require('./monitoring');
+const { query } = require('./repositories');
+const { UNIQUE_VIOLATION } = require('./repositories/errors');
+
+// Values stored in login_attempts.reason
+const ATTEMPT_REASONS = Object.freeze({
+  SUCCESS: 'success',
+  INVALID_USERNAME: 'invalid_username',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_SECOND_FACTOR: 'invalid_second_factor',
+  LOCKED: 'locked'
+});
+
+// Failures that count towards a lockout, newer than the `since` placeholder. Attempts rejected while
+// locked do not extend it, and a successful login or an owner unlock clears the failures before it.
+const lockoutFailures = since =>
+  `succeeded = FALSE AND cleared = FALSE AND reason <> 'locked' AND attempted_at > ${since}`;
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const PRUNE_FIRST_RUN_DELAY_MS = 60 * 1000;
+
+/**
+ * Lockout length after `failures` consecutive failures: nothing below the threshold, then the
+ * base duration doubling with every further failure, capped at the maximum.
+ */
+function lockoutDuration(failures, settings = config.loginProtectionConfig) {
+  if (failures < settings.lockoutThreshold) {
+    return 0;
+  }
+  return Math.min(settings.lockoutBaseMs * (2 ** (failures - settings.lockoutThreshold)), settings.lockoutMaxMs);
+}
+
+function toLockout(failures, lastFailedAt, now) {
+  const duration = lockoutDuration(failures);
+  if (!duration || !lastFailedAt) {
+    return { locked: false, failures, lockedUntil: null, retryAfterMs: 0 };
+  }
+
+  const lockedUntil = new Date(lastFailedAt).getTime() + duration;
+  return {
+    locked: lockedUntil > now,
+    failures,
+    lockedUntil: new Date(lockedUntil),
+    retryAfterMs: Math.max(lockedUntil - now, 0)
+  };
+}
+
+// Current lockout state of a username
+async function getLockout(username, now = Date.now()) {
+  const row = await query.get(
+    `SELECT COUNT(*) AS failures, MAX(attempted_at) AS last_failed_at
+     FROM login_attempts WHERE username = $1 AND ${lockoutFailures('$2')}`,
+    [username, new Date(now - FAILURE_MEMORY_MS)]
+  );
+  return toLockout(parseInt(row && row.failures, 10) || 0, row && row.last_failed_at, now);
+}
+
+/**
+ * Claim the alert for `pattern` about `subject` in the alert window `now` falls in. The unique key
+ * on login_alerts makes the claim atomic: of concurrent attempts only one inserts the row and gets true.
+ */
+async function claimAlert(pattern, subject, now) {
+  const { alertWindowMs } = config.loginProtectionConfig;
+  const windowStart = new Date(Math.floor(now / alertWindowMs) * alertWindowMs);
+  try {
+    await query.run(
+      'INSERT INTO login_alerts (pattern, subject, window_start, alerted_at) VALUES ($1, $2, $3, $4)',
+      [pattern, subject, windowStart, new Date(now)]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Raise alerts for many failures against one account, or one IP failing across many usernames.
+// Each fires once per alert window, from the first attempt at or past its threshold.
+async function detectAnomalies({ username, ip }, now) {
+  const settings = config.loginProtectionConfig;
+  const since = new Date(now - settings.alertWindowMs);
+  const windowMinutes = Math.round(settings.alertWindowMs / 60000);
+
+  const account = await query.get(
+    'SELECT COUNT(*) AS failures FROM login_attempts WHERE username = $1 AND succeeded = FALSE AND attempted_at > $2',
+    [username, since]
+  );
+  const accountFailures = parseInt(account && account.failures, 10) || 0;
+  const accountAlert = accountFailures >= settings.accountAlertThreshold;
+  if (accountAlert && await claimAlert('account_brute_force', username, now)) {
+    logger.securityLog('Repeated login failures for one account', { username, failures: accountFailures, ip });
+    monitoring.recordSecurityEvent('suspicious_activity', {
+      pattern: 'account_brute_force',
+      username,
+      failures: accountFailures,
+      windowMinutes
+    });
+  }
+
+  if (!ip) {
+    return;
+  }
+
+  const source = await query.get(
+    `SELECT COUNT(DISTINCT username) AS usernames
+     FROM login_attempts WHERE ip_address = $1 AND succeeded = FALSE AND attempted_at > $2`,
+    [ip, since]
+  );
+  const usernames = parseInt(source && source.usernames, 10) || 0;
+  if (usernames >= settings.ipUsernameAlertThreshold && await claimAlert('username_spraying', ip, now)) {
+    logger.securityLog('One IP failing logins across many usernames', { ip, usernames });
+    monitoring.recordSecurityEvent('suspicious_activity', {
+      pattern: 'username_spraying',
+      ip,
+      usernames,
+      windowMinutes
+    });
+  }
+}
+
+/**
+ * Store a login attempt and return the resulting lockout state of the username.
+ * A success clears earlier failures; a failure may lock the account and raise alerts.
+ */
+async function recordAttempt({ username, ip, userAgent, reason }, now = Date.now()) {
+  const succeeded = reason === ATTEMPT_REASONS.SUCCESS;
+
+  // The timestamp comes from the application clock, the same clock the lockout is computed with
+  await query.run(
+    `INSERT INTO login_attempts (username, ip_address, user_agent, succeeded, reason, attempted_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [username, ip || null, userAgent || null, succeeded, reason, new Date(now)]
+  );
+
+  if (succeeded) {
+    await unlockAccount(username);
+    return toLockout(0, null, now);
+  }
+
+  await detectAnomalies({ username, ip }, now);
+
+  const lockout = await getLockout(username, now);
+  if (lockout.locked && reason !== ATTEMPT_REASONS.LOCKED) {
+    logger.securityLog('Admin account locked after failed logins', {
+      username,
+      failures: lockout.failures,
+      lockedUntil: lockout.lockedUntil.toISOString(),
+      ip
+    });
+    monitoring.triggerAlert('account_locked', {
+      username,
+      failures: lockout.failures,
+      lockedUntil: lockout.lockedUntil.toISOString(),
+      ip
+    });
+  }
+  return lockout;
+}
+
+// Clear the failures of a username, lifting any lockout. Returns the number of failures cleared.
+async function unlockAccount(username) {
+  const result = await query.run(
+    'UPDATE login_attempts SET cleared = TRUE WHERE username = $1 AND succeeded = FALSE AND cleared = FALSE',
+    [username]
+  );
+  return (result && result.changes) || 0;
+}
+
+// Usernames that are locked right now, most recently failed first
+async function listLockedAccounts(now = Date.now()) {
+  const rows = await query.all(
+    `SELECT username, COUNT(*) AS failures, MAX(attempted_at) AS last_failed_at
+     FROM login_attempts WHERE ${lockoutFailures('$1')}
+     GROUP BY username HAVING COUNT(*) >= $2
+     ORDER BY MAX(attempted_at) DESC`,
+    [new Date(now - FAILURE_MEMORY_MS), config.loginProtectionConfig.lockoutThreshold]
+  );
+
+  return rows
+    .map(row => ({
+      username: row.username,
+      lastFailedAt: row.last_failed_at,
+      ...toLockout(parseInt(row.failures, 10) || 0, row.last_failed_at, now)
+    }))
+    .filter(account => account.locked);
+}
+
+// Delete login attempts and alerts that are too old to affect a lockout. Returns the number of attempts deleted.
+async function pruneLoginAttempts(now = Date.now()) {
+  const cutoff = new Date(now - FAILURE_MEMORY_MS);
+  const result = await query.run('DELETE FROM login_attempts WHERE attempted_at < $1', [cutoff]);
+  await query.run('DELETE FROM login_alerts WHERE alerted_at < $1', [cutoff]);
+  return (result && result.changes) || 0;
+}
+
+// Run pruneLoginAttempts periodically. Each run is scheduled when the previous one finishes, so runs
+// never overlap.
+function startPruneSchedule() {
+  const schedule = delay => {
+    setTimeout(async () => {
+      await pruneLoginAttempts().catch(error => logger.error('Login attempt pruning failed', { error: error.message }));
+      schedule(config.loginProtectionConfig.pruneIntervalMs);
+    }, delay).unref();
+  };
+
+  // The first run waits a minute so the database has finished initializing
+  schedule(PRUNE_FIRST_RUN_DELAY_MS);
+}
+
+// Filtered, newest-first page of login attempts with the total number of matches
+async function listAttempts({ username, ip, outcome, limit, offset }) {
+  const conditions = [];
+  const params = [];
+
+  if (username) {
+    params.push(username);
+    conditions.push(`username = $${params.length}`);
+  }
+  if (ip) {
+    params.push(ip);
+    conditions.push(`ip_address = $${params.length}`);
+  }
+  if (outcome) {
+    conditions.push(outcome === 'succeeded' ? 'succeeded = TRUE' : 'succeeded = FALSE');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows, countRow] = await Promise.all([
+    query.all(
+      `SELECT id, username, ip_address, user_agent, succeeded, reason, cleared, attempted_at
+       FROM login_attempts ${where}
+       ORDER BY attempted_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query.get(`SELECT COUNT(*) AS total FROM login_attempts ${where}`, params)
+  ]);
+
+  return { rows, total: parseInt(countRow && countRow.total, 10) || 0 };
+}
+
+module.exports = {
+  ATTEMPT_REASONS,
+  lockoutDuration,
+  getLockout,
+  recordAttempt,
+  unlockAccount,
+  listLockedAccounts,
+  listAttempts,
+  pruneLoginAttempts,
+  startPruneSchedule
+};
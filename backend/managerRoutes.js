@@ -1,24 +1,39 @@
 const express = require('express');
 const path = require('path');
-const sharp = require('sharp');
-const db = require('./db');
-const { isAuthenticated } = require('./auth');
-const { configureMulter, uploadImageToCloudinary, deleteImageFromCloudinary } = require('./utils');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { managers, NotFoundError } = require('./repositories');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { moveToTrash } = require('./trash');
+const {
+  configureMulter,
+  uploadImage,
+  recropImage,
+  imageFraming,
+  deleteImage,
+  ImageFramingError,
+  MissingOriginalError
+} = require('./utils');
 
 const router = express.Router();
 
+// Content changes are limited to owners and editors
+const requireEditor = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
 // Configure multer for memory storage
 const upload = configureMulter();
 
-// GET /api/managers - Fetch all managers with better error handling
-router.get('/', (req, res) => {
-  db.all("SELECT id, name, role, imageUrl AS \"imageUrl\" FROM managers", [], (err, rows) => {
-    if (err) {
-      console.error('Database error fetching managers:', err);
-      return res.status(500).json({ error: 'Failed to fetch managers. Please try again later.' });
-    }
-    res.json(rows || []);
-  });
+// The image file plus its optional crop and focal point; multer has to run before they can be validated
+const uploadImageFile = [upload.single('image'), validationRules.imageFraming, handleValidationErrors];
+
+// GET /api/managers - Fetch all managers with better error handling (managers in the trash are left out)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await managers.list());
+  } catch (err) {
+    console.error('Database error fetching managers:', err);
+    res.status(500).json({ error: 'Failed to fetch managers. Please try again later.' });
+  }
 });
 
 // Input validation middleware for manager data
@@ -45,9 +60,10 @@ function validateManagerData(req, res, next) {
 }
 
 // POST /api/managers - Add new manager
-router.post('/', isAuthenticated, validateManagerData, upload.single('image'), async (req, res) => {
+router.post('/', requireEditor, validateManagerData, uploadImageFile, async (req, res) => {
   const { name, role } = req.body;
   let imageUrl = null;
+  let imageVariants = null;
 
   if (req.file) {
     // Validate file type
@@ -61,62 +77,51 @@ router.post('/', isAuthenticated, validateManagerData, upload.single('image'), a
     }
     
     try {
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(300, 400, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
-
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'managers');
+      ({ imageUrl, imageVariants } = await uploadImage(
+        req.file.buffer, req.file.originalname, 'managers', imageFraming(req.body)
+      ));
     } catch (error) {
+      if (error instanceof ImageFramingError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error processing or uploading manager image:', error);
       return res.status(500).json({ error: 'Error processing or uploading image' });
     }
   }
 
-  const sql = `INSERT INTO managers (name, role, imageUrl) VALUES ($1, $2, $3)`;
-  const params = [name, role, imageUrl];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
-    }
-    res.status(201).json({ id: this.lastID, message: 'Manager added successfully' });
-  });
+  try {
+    const id = await managers.create({ name, role, imageUrl, imageVariants });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'manager', entityId: id });
+    return res.status(201).json({ id, message: 'Manager added successfully' });
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
 });
 
 // PUT /api/managers/:id/image - Update manager image
-router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, res) => {
+router.put('/:id/image', requireEditor, uploadImageFile, async (req, res) => {
   const { id } = req.params;
   let imageUrl = null;
+  let imageVariants = null;
+
+  let oldManager = null;
 
   if (req.file) {
     try {
-      // Get old image URL to delete from Cloudinary
-      const oldManager = await new Promise((resolve, reject) => {
-        db.get("SELECT imageUrl FROM managers WHERE id = $1", [id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
-
-      if (oldManager && oldManager.imageUrl) {
-        await deleteImageFromCloudinary(oldManager.imageUrl, 'managers');
-      }
-
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(300, 400, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
+      // The old image is deleted once the new one is in place
+      oldManager = await managers.getActive(id);
 
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'managers');
+      ({ imageUrl, imageVariants } = await uploadImage(
+        req.file.buffer, req.file.originalname, 'managers', imageFraming(req.body)
+      ));
     } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: 'Manager not found' });
+      }
+      if (error instanceof ImageFramingError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error processing or uploading manager image:', error);
       return res.status(500).json({ error: 'Error processing or uploading image' });
     }
@@ -124,51 +129,66 @@ router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, re
     return res.status(400).json({ error: 'No image file provided' });
   }
 
-  const sql = 'UPDATE managers SET imageUrl = $1 WHERE id = $2';
-  const params = [imageUrl, id];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
-    }
-    if (this.changes === 0) {
+  try {
+    await managers.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldManager.imageUrl, oldManager.image_variants);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'manager', entityId: id, before: oldManager });
+    return res.json({ message: 'Manager image updated successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
       return res.status(404).json({ error: 'Manager not found' });
     }
-    res.json({ message: 'Manager image updated successfully', imageUrl: imageUrl });
-  });
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
 });
 
-// DELETE /api/managers/:id - Delete manager
-router.delete('/:id', isAuthenticated, async (req, res) => {
+// PATCH /api/managers/:id/image - Re-crop the current image from the original kept at upload
+// JSON body: crop and/or focalPoint; a field left out keeps its current value, null removes it.
+router.patch('/:id/image', requireEditor, validationRules.recropImage, handleValidationErrors, async (req, res) => {
   const { id } = req.params;
 
   try {
-      // Get image URL to delete from Cloudinary
-    const manager = await new Promise((resolve, reject) => {
-      db.get("SELECT imageUrl FROM managers WHERE id = $1", [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (manager && manager.imageUrl) {
-      await deleteImageFromCloudinary(manager.imageUrl, 'managers');
+    const oldManager = await managers.getActive(id);
+    const { imageUrl, imageVariants } = await recropImage(
+      oldManager.image_variants, 'managers', imageFraming(req.body, oldManager.image_variants)
+    );
+
+    await managers.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldManager.imageUrl, oldManager.image_variants, [imageVariants.original.url]);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'manager', entityId: id, before: oldManager });
+    return res.json({ message: 'Manager image cropped successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
+    if (err instanceof MissingOriginalError) {
+      return res.status(409).json({ error: err.message, code: 'NO_ORIGINAL_IMAGE' });
     }
+    if (err instanceof ImageFramingError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error cropping manager image:', err);
+    return res.status(500).json({ error: 'Error cropping image' });
+  }
+});
 
-    db.run("DELETE FROM managers WHERE id = $1", [id], function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return console.error(err.message);
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Manager not found' });
-      }
-      res.json({ message: 'Manager deleted successfully' });
-    });
+// DELETE /api/managers/:id - Move a manager to the trash; the image is kept until the trash is purged
+router.delete('/:id', requireEditor, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const manager = await managers.getActive(id);
+    await moveToTrash('manager', id);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'manager', entityId: id, before: manager });
+    return res.json({ message: 'Manager moved to trash' });
   } catch (error) {
-    console.error('Error deleting manager or image:', error);
-    res.status(500).json({ error: 'Error deleting manager or image' });
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Manager not found' });
+    }
+    console.error('Error deleting manager:', error);
+    return res.status(500).json({ error: 'Error deleting manager' });
   }
 });
 
@@ -0,0 +1,176 @@
+const express = require('express');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { players, matches, NotFoundError } = require('./repositories');
+
+const router = express.Router();
+
+// Content changes are limited to owners and editors
+const requireEditor = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Request body fields and the matches columns they map to
+const MATCH_FIELDS = new Map([
+  ['opponent', 'opponent'],
+  ['competition', 'competition'],
+  ['scheduledAt', 'scheduled_at'],
+  ['venue', 'venue'],
+  ['platform', 'platform'],
+  ['teamScore', 'team_score'],
+  ['opponentScore', 'opponent_score'],
+  ['status', 'status']
+]);
+
+// Normalise request values to column values
+function toColumnValue(field, value) {
+  if (field === 'teamScore' || field === 'opponentScore') {
+    return value === null || value === '' ? null : parseInt(value, 10);
+  }
+  if (typeof value === 'string' && field !== 'scheduledAt' && field !== 'status') {
+    return value.replace(/<[^>]*>/g, '').trim() || null;
+  }
+  return value;
+}
+
+// Returns an error message when the lineup is unusable, otherwise null
+async function checkLineup(lineup) {
+  const playerIds = lineup.map(entry => parseInt(entry.playerId, 10));
+  if (new Set(playerIds).size !== playerIds.length) {
+    return 'Each player can only appear once in the lineup';
+  }
+  if (playerIds.length === 0) {
+    return null;
+  }
+
+  const activeIds = await players.findActiveIds(playerIds);
+  return activeIds.length === playerIds.length ? null : 'Lineup contains unknown players';
+}
+
+// Column values of the match fields in the request body
+function matchChanges(body) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([field, value]) => MATCH_FIELDS.has(field) && value !== undefined)
+    .map(([field, value]) => [MATCH_FIELDS.get(field), toColumnValue(field, value)]));
+}
+
+// Lineup entries as the repository stores them
+function toLineup(entries) {
+  return entries.map(entry => ({
+    playerId: parseInt(entry.playerId, 10),
+    position: entry.position || null,
+    isStarter: entry.isStarter !== false && entry.isStarter !== 'false'
+  }));
+}
+
+// GET /api/matches - Public fixtures and results
+// Query: status (upcoming|past or an exact match status), limit (default 20, max 100)
+router.get('/', validationRules.listMatches, handleValidationErrors, async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+  try {
+    const rows = await matches.list({ status: req.query.status, limit });
+    res.json(await matches.attachLineups(rows));
+  } catch (err) {
+    console.error('Database error fetching matches:', err);
+    res.status(500).json({ error: 'Failed to fetch matches. Please try again later.' });
+  }
+});
+
+// GET /api/matches/:id - Single match with its lineup
+router.get('/:id', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  try {
+    const match = await matches.findById(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const [withLineup] = await matches.attachLineups([match]);
+    return res.json(withLineup);
+  } catch (err) {
+    console.error('Database error fetching match:', err);
+    return res.status(500).json({ error: 'Failed to fetch match. Please try again later.' });
+  }
+});
+
+// POST /api/matches - Schedule a new match
+router.post('/', requireEditor, validationRules.createMatch, handleValidationErrors, async (req, res) => {
+  const lineup = req.body.lineup || [];
+
+  try {
+    const lineupError = await checkLineup(lineup);
+    if (lineupError) {
+      return res.status(400).json({ error: lineupError });
+    }
+
+    const id = await matches.create(matchChanges(req.body), toLineup(lineup));
+
+    return res.status(201).json({ id, message: 'Match added successfully' });
+  } catch (error) {
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Lineup contains unknown players' });
+    }
+    console.error('Error adding match:', error);
+    return res.status(500).json({ error: 'Error adding match' });
+  }
+});
+
+// Shared by PUT and PATCH: only the supplied fields change; a supplied lineup replaces the old one
+async function updateMatch(req, res) {
+  const { id } = req.params;
+  const { lineup } = req.body;
+  const changes = matchChanges(req.body);
+
+  if (Object.keys(changes).length === 0 && lineup === undefined) {
+    return res.status(400).json({ error: 'No match fields provided' });
+  }
+
+  try {
+    const existing = await matches.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    if (lineup !== undefined) {
+      const lineupError = await checkLineup(lineup);
+      if (lineupError) {
+        return res.status(400).json({ error: lineupError });
+      }
+    }
+
+    await matches.update(id, changes, lineup === undefined ? undefined : toLineup(lineup));
+
+    return res.json({ message: 'Match updated successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Lineup contains unknown players' });
+    }
+    console.error('Error updating match:', error);
+    return res.status(500).json({ error: 'Error updating match' });
+  }
+}
+
+// PUT /api/matches/:id - Update a match
+router.put('/:id', requireEditor, validationRules.updateMatch, handleValidationErrors, updateMatch);
+
+// PATCH /api/matches/:id - Record a result or change individual fields
+router.patch('/:id', requireEditor, validationRules.updateMatch, handleValidationErrors, updateMatch);
+
+// DELETE /api/matches/:id - Delete a match (its lineup is removed by cascade)
+router.delete('/:id', requireEditor, validationRules.validateId, handleValidationErrors, async (req, res) => {
+  try {
+    await matches.remove(req.params.id);
+    return res.json({ message: 'Match deleted successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    console.error('Error deleting match:', error);
+    return res.status(500).json({ error: 'Error deleting match' });
+  }
+});
+
+module.exports = router;
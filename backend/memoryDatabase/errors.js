@@ -0,0 +1,37 @@
+/**
+ * Errors raised by the in-memory database. They carry the same SQLSTATE codes PostgreSQL uses, so
+ * code that checks `error.code` (e.g. 23505 for unique violations) behaves the same in mock mode.
+ */
+
+const SQLSTATE = Object.freeze({
+  SYNTAX_ERROR: '42601',
+  UNDEFINED_TABLE: '42P01',
+  UNDEFINED_COLUMN: '42703',
+  AMBIGUOUS_COLUMN: '42702',
+  UNDEFINED_FUNCTION: '42883',
+  UNDEFINED_PARAMETER: '42P02',
+  GROUPING_ERROR: '42803',
+  FEATURE_NOT_SUPPORTED: '0A000',
+  INVALID_TEXT_REPRESENTATION: '22P02',
+  INVALID_DATETIME_FORMAT: '22007',
+  CARDINALITY_VIOLATION: '21000',
+  DIVISION_BY_ZERO: '22012',
+  NOT_NULL_VIOLATION: '23502',
+  FOREIGN_KEY_VIOLATION: '23503',
+  UNIQUE_VIOLATION: '23505',
+  CHECK_VIOLATION: '23514'
+});
+
+class DatabaseError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  SQLSTATE
+};
@@ -0,0 +1,418 @@
+const { DatabaseError, SQLSTATE } = require('./errors');
+const {
+  coerce,
+  compareValues,
+  isNullish,
+  likeMatch,
+  toBoolean,
+  toNumber,
+  toText,
+  valueKey
+} = require('./values');
+
+/**
+ * Expression evaluation for the in-memory database.
+ *
+ * A scope holds the rows visible to an expression: one binding per table or subquery in the FROM
+ * clause ({ alias, columns, row }) plus the scope of the enclosing query, which correlated
+ * subqueries read from. The context passed to evaluate() carries the statement parameters, the
+ * statement time, the current scope, the rows of the current group when aggregating and
+ * `select(query, scope)` to run subqueries.
+ */
+
+function undefinedColumn(node) {
+  const name = node.table ? `${node.table}.${node.name}` : node.name;
+  return new DatabaseError(`column "${name}" does not exist`, SQLSTATE.UNDEFINED_COLUMN);
+}
+
+function columnValue(binding, name) {
+  if (!binding.row) {
+    return null;
+  }
+  const value = binding.row.get(name);
+  return value === undefined ? null : value;
+}
+
+function resolveColumn(scope, node) {
+  for (let current = scope; current; current = current.outer) {
+    if (node.table) {
+      const binding = current.bindings.find(candidate => candidate.alias === node.table);
+      if (binding) {
+        if (!binding.columns.includes(node.name)) {
+          throw undefinedColumn(node);
+        }
+        return columnValue(binding, node.name);
+      }
+    } else {
+      const matches = current.bindings.filter(binding => binding.columns.includes(node.name));
+      if (matches.length > 1) {
+        throw new DatabaseError(`column reference "${node.name}" is ambiguous`, SQLSTATE.AMBIGUOUS_COLUMN);
+      }
+      if (matches.length === 1) {
+        return columnValue(matches[0], node.name);
+      }
+    }
+  }
+
+  if (node.table) {
+    throw new DatabaseError(`missing FROM-clause entry for table "${node.table}"`, SQLSTATE.UNDEFINED_TABLE);
+  }
+  throw undefinedColumn(node);
+}
+
+function parameterValue(context, index) {
+  if (index < 1 || index > context.params.length) {
+    throw new DatabaseError(`there is no parameter $${index}`, SQLSTATE.UNDEFINED_PARAMETER);
+  }
+  const value = context.params[index - 1];
+  return value === undefined ? null : value;
+}
+
+// SQL's three-valued logic: NULL is "unknown", neither true nor false
+function truth(value) {
+  return isNullish(value) ? null : toBoolean(value);
+}
+
+function compare(operator, left, right) {
+  if (isNullish(left) || isNullish(right)) {
+    return null;
+  }
+  const order = compareValues(left, right);
+  switch (operator) {
+    case '=':
+      return order === 0;
+    case '<>':
+      return order !== 0;
+    case '<':
+      return order < 0;
+    case '<=':
+      return order <= 0;
+    case '>':
+      return order > 0;
+    default:
+      return order >= 0;
+  }
+}
+
+// Result of `value = ANY(list)`-style tests: true on any match, else NULL when a comparison was unknown
+function anyMatch(results) {
+  if (results.includes(true)) {
+    return true;
+  }
+  return results.includes(null) ? null : false;
+}
+
+function negateIf(negated, value) {
+  return negated && value !== null ? !value : value;
+}
+
+function arithmetic(operator, left, right) {
+  if (isNullish(left) || isNullish(right)) {
+    return null;
+  }
+  if (operator === '||') {
+    return toText(left) + toText(right);
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  switch (operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    default:
+      if (b === 0) {
+        throw new DatabaseError('division by zero', SQLSTATE.DIVISION_BY_ZERO);
+      }
+      // Integer division truncates, as it does for PostgreSQL integer types
+      return operator === '%' ? a % b : (Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b);
+  }
+}
+
+function jsonField(document, key, asText) {
+  if (isNullish(document) || isNullish(key)) {
+    return null;
+  }
+  const object = typeof document === 'string' ? JSON.parse(document) : document;
+  let value;
+  if (Array.isArray(object)) {
+    value = object.at(toNumber(key));
+  } else if (typeof object === 'object') {
+    const entry = Object.entries(object).find(([name]) => name === String(key));
+    value = entry ? entry[1] : undefined;
+  }
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!asText) {
+    return value;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  const rounded = Math.round(toNumber(value) * factor) / factor;
+  // numeric values (e.g. the result of AVG) come back as strings, just as node-postgres returns them
+  return typeof value === 'string' ? rounded.toFixed(Math.max(digits, 0)) : rounded;
+}
+
+function extreme(values, direction) {
+  return values.reduce(
+    (best, value) => (best === null || compareValues(value, best) * direction > 0 ? value : best),
+    null
+  );
+}
+
+// Aggregates return what node-postgres does: COUNT and SUM are bigint, AVG numeric, both as strings
+function aggregate(node, values) {
+  const total = () => values.reduce((sum, value) => sum + toNumber(value), 0);
+  switch (node.name) {
+    case 'count':
+      return String(values.length);
+    case 'sum':
+      return values.length === 0 ? null : String(total());
+    case 'avg':
+      return values.length === 0 ? null : String(total() / values.length);
+    case 'min':
+      return extreme(values, -1);
+    case 'max':
+      return extreme(values, 1);
+    case 'array_agg':
+      return values.length === 0 ? null : values;
+    case 'bool_and':
+      return values.length === 0 ? null : values.every(toBoolean);
+    default:
+      return values.length === 0 ? null : values.some(toBoolean);
+  }
+}
+
+function evaluateAggregate(node, context) {
+  if (!context.group) {
+    throw new DatabaseError(`aggregate function ${node.name} is not allowed here`, SQLSTATE.GROUPING_ERROR);
+  }
+
+  let values = [];
+  for (const scope of context.group) {
+    const rowContext = { ...context, scope, group: null };
+    if (node.filter && truth(evaluate(node.filter, rowContext)) !== true) {
+      continue;
+    }
+    if (node.star) {
+      values.push(1);
+    } else {
+      const value = evaluate(node.args[0], rowContext);
+      // Aggregates skip NULLs, except array_agg which keeps them
+      if (!isNullish(value) || node.name === 'array_agg') {
+        values.push(value);
+      }
+    }
+  }
+
+  if (node.distinct) {
+    const distinct = new Map(values.map(value => [valueKey([value]), value]));
+    values = [...distinct.values()];
+  }
+  return aggregate(node, values);
+}
+
+function callFunction(node, context) {
+  if (node.aggregate) {
+    return evaluateAggregate(node, context);
+  }
+
+  const args = node.args.map(arg => evaluate(arg, context));
+  const [first, second] = args;
+
+  switch (node.name) {
+    case 'coalesce':
+      return args.find(value => !isNullish(value)) ?? null;
+    case 'nullif':
+      return compare('=', first, second) ? null : first;
+    case 'greatest':
+      return extreme(args.filter(value => !isNullish(value)), 1);
+    case 'least':
+      return extreme(args.filter(value => !isNullish(value)), -1);
+    case 'lower':
+      return isNullish(first) ? null : toText(first).toLowerCase();
+    case 'upper':
+      return isNullish(first) ? null : toText(first).toUpperCase();
+    case 'trim':
+      return isNullish(first) ? null : toText(first).trim();
+    case 'length':
+      return isNullish(first) ? null : toText(first).length;
+    case 'abs':
+      return isNullish(first) ? null : Math.abs(toNumber(first));
+    case 'round':
+      return isNullish(first) ? null : round(first, isNullish(second) ? 0 : toNumber(second));
+    case 'now':
+      return new Date(context.now.getTime());
+    default:
+      throw new DatabaseError(`function ${node.name}() does not exist`, SQLSTATE.UNDEFINED_FUNCTION);
+  }
+}
+
+function firstColumn(row) {
+  const [value] = row.values();
+  return value === undefined ? null : value;
+}
+
+function evaluateSubquery(node, context) {
+  const rows = context.select(node.query, context.scope);
+  if (node.type === 'exists') {
+    return rows.length > 0;
+  }
+  if (node.type === 'arraySubquery') {
+    return rows.map(firstColumn);
+  }
+  if (rows.length > 1) {
+    throw new DatabaseError(
+      'more than one row returned by a subquery used as an expression',
+      SQLSTATE.CARDINALITY_VIOLATION
+    );
+  }
+  return rows.length === 0 ? null : firstColumn(rows[0]);
+}
+
+function evaluateLogical(node, context) {
+  const left = truth(evaluate(node.left, context));
+  const decisive = node.type === 'or';
+  if (left === decisive) {
+    return decisive;
+  }
+  const right = truth(evaluate(node.right, context));
+  if (right === decisive) {
+    return decisive;
+  }
+  return left === null || right === null ? null : !decisive;
+}
+
+function evaluate(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'param':
+      return parameterValue(context, node.index);
+    case 'now':
+      return new Date(context.now.getTime());
+    case 'today':
+      return new Date(context.now.getFullYear(), context.now.getMonth(), context.now.getDate());
+    case 'column':
+      return resolveColumn(context.scope, node);
+    case 'array':
+      return node.elements.map(element => evaluate(element, context));
+    case 'and':
+    case 'or':
+      return evaluateLogical(node, context);
+    case 'not': {
+      const value = truth(evaluate(node.expression, context));
+      return value === null ? null : !value;
+    }
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, context), evaluate(node.right, context));
+    case 'any': {
+      const left = evaluate(node.left, context);
+      const list = evaluate(node.right, context);
+      if (isNullish(list)) {
+        return null;
+      }
+      if (!Array.isArray(list)) {
+        throw new DatabaseError('op ANY/ALL (array) requires array on right side', SQLSTATE.SYNTAX_ERROR);
+      }
+      return anyMatch(list.map(value => compare(node.operator, left, value)));
+    }
+    case 'in': {
+      const value = evaluate(node.expression, context);
+      return negateIf(node.negated, anyMatch(node.list.map(item => compare('=', value, evaluate(item, context)))));
+    }
+    case 'inSubquery': {
+      const value = evaluate(node.expression, context);
+      const rows = context.select(node.query, context.scope);
+      return negateIf(node.negated, anyMatch(rows.map(row => compare('=', value, firstColumn(row)))));
+    }
+    case 'isNull':
+      return isNullish(evaluate(node.expression, context)) !== node.negated;
+    case 'isBoolean':
+      return (truth(evaluate(node.expression, context)) === node.value) !== node.negated;
+    case 'like': {
+      const value = evaluate(node.expression, context);
+      const pattern = evaluate(node.pattern, context);
+      const escape = node.escape ? evaluate(node.escape, context) : '\\';
+      if (isNullish(value) || isNullish(pattern) || isNullish(escape)) {
+        return null;
+      }
+      return negateIf(node.negated, likeMatch(toText(value), toText(pattern), node.caseInsensitive, toText(escape)));
+    }
+    case 'binary':
+      return arithmetic(node.operator, evaluate(node.left, context), evaluate(node.right, context));
+    case 'negate': {
+      const value = evaluate(node.expression, context);
+      return isNullish(value) ? null : -toNumber(value);
+    }
+    case 'cast':
+      return coerce(evaluate(node.expression, context), node.to);
+    case 'jsonField':
+      return jsonField(evaluate(node.expression, context), evaluate(node.key, context), node.asText);
+    case 'function':
+      return callFunction(node, context);
+    case 'subquery':
+    case 'arraySubquery':
+    case 'exists':
+      return evaluateSubquery(node, context);
+    case 'case': {
+      const branch = node.branches.find(candidate => truth(evaluate(candidate.condition, context)) === true);
+      if (branch) {
+        return evaluate(branch.result, context);
+      }
+      return node.otherwise ? evaluate(node.otherwise, context) : null;
+    }
+    default:
+      throw new DatabaseError(`unsupported expression ${node.type}`, SQLSTATE.FEATURE_NOT_SUPPORTED);
+  }
+}
+
+// Column references of an expression, leaving out those inside subqueries
+function columnReferences(node) {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  if (Array.isArray(node)) {
+    return node.flatMap(columnReferences);
+  }
+  if (node.type === 'column') {
+    return [node];
+  }
+  if (['subquery', 'arraySubquery', 'exists', 'inSubquery'].includes(node.type)) {
+    return node.type === 'inSubquery' ? columnReferences(node.expression) : [];
+  }
+  return Object.values(node).flatMap(columnReferences);
+}
+
+// Whether an expression aggregates over rows; subqueries aggregate on their own
+function containsAggregate(node) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (Array.isArray(node)) {
+    return node.some(containsAggregate);
+  }
+  if (node.type === 'function' && node.aggregate) {
+    return true;
+  }
+  if (['subquery', 'arraySubquery', 'exists', 'inSubquery'].includes(node.type)) {
+    return node.type === 'inSubquery' && containsAggregate(node.expression);
+  }
+  return Object.values(node).some(containsAggregate);
+}
+
+module.exports = {
+  columnReferences,
+  containsAggregate,
+  evaluate,
+  resolveColumn,
+  truth
+};
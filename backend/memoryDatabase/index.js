@@ -0,0 +1,582 @@
+const { parse } = require('./parser');
+const { TABLES, NOW } = require('./schema');
+const { DatabaseError, SQLSTATE } = require('./errors');
+const { columnReferences, containsAggregate, evaluate, resolveColumn, truth } = require('./evaluator');
+const { cloneValue, coerce, compareValues, isNullish, toNumber, valueKey, valuesEqual } = require('./values');
+
+/**
+ * In-memory stand-in for PostgreSQL, used in mock mode (no DATABASE_URL). It runs the SQL the
+ * application issues against tables kept in memory and returns results shaped like node-postgres
+ * ({ rows, rowCount }), enforcing NOT NULL, CHECK, unique and foreign key constraints with
+ * PostgreSQL's error codes. Data lives for the lifetime of the process.
+ *
+ *   const database = new MemoryDatabase();
+ *   database.query('INSERT INTO managers (name, role) VALUES ($1, $2) RETURNING id', ['Ana', 'Coach']);
+ *
+ * Statements are executed synchronously and atomically: a statement that fails leaves no changes.
+ */
+
+// Parsed statements by SQL text; the application builds a bounded set of distinct statements
+const STATEMENT_CACHE_SIZE = 500;
+
+class MemoryDatabase {
+  constructor(tables = TABLES) {
+    this.definitions = new Map(tables.map(table => [table.name, table]));
+    this.statements = new Map();
+    this.reset();
+  }
+
+  // Drop every row and restart the id sequences
+  reset() {
+    this.tables = new Map([...this.definitions.keys()].map(name => [name, { rows: [], sequence: 0 }]));
+  }
+
+  /**
+   * Copy of the current data, e.g. to roll a transaction back with restore(). Rows are copied, stored
+   * values never change in place, so they can be shared.
+   */
+  snapshot() {
+    return new Map([...this.tables].map(([name, table]) => [
+      name,
+      { rows: table.rows.map(row => new Map(row)), sequence: table.sequence }
+    ]));
+  }
+
+  restore(snapshot) {
+    this.tables = new Map([...snapshot].map(([name, table]) => [
+      name,
+      { rows: table.rows.map(row => new Map(row)), sequence: table.sequence }
+    ]));
+  }
+
+  /**
+   * A client with node-postgres' query()/release() interface. BEGIN, COMMIT and ROLLBACK are handled
+   * by the client: a rollback restores the data as it was at BEGIN. Transactions are not isolated, so
+   * rolling back also discards writes other clients made in the meantime.
+   */
+  connect() {
+    let savepoint = null;
+    return {
+      query: (sql, params = []) => {
+        const command = sql.trim().replace(/;$/, '').toUpperCase();
+        if (command === 'BEGIN') {
+          savepoint = this.snapshot();
+        } else if (command === 'COMMIT') {
+          savepoint = null;
+        } else if (command === 'ROLLBACK') {
+          if (savepoint) {
+            this.restore(savepoint);
+          }
+          savepoint = null;
+        } else {
+          return Promise.resolve().then(() => this.query(sql, params));
+        }
+        return Promise.resolve({ rows: [], rowCount: null });
+      },
+      // An unfinished transaction is abandoned, its changes are kept
+      release: () => {
+        savepoint = null;
+      }
+    };
+  }
+
+  /**
+   * Run one statement and return { rows, rowCount }. Errors carry PostgreSQL's SQLSTATE in `code`.
+   */
+  query(sql, params = []) {
+    const statement = this.parseCached(sql);
+    const context = { params, now: new Date(), select: null, group: null, scope: null };
+    context.select = (query, outer) => this.select(query, context, outer).rows;
+
+    if (statement.type === 'select') {
+      const { rows } = this.select(statement, context, null);
+      return { rows: rows.map(toPlainRow), rowCount: rows.length };
+    }
+
+    const snapshot = this.snapshot();
+    try {
+      return this.modify(statement, context);
+    } catch (error) {
+      this.restore(snapshot);
+      throw error;
+    }
+  }
+
+  parseCached(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = parse(sql);
+      if (this.statements.size >= STATEMENT_CACHE_SIZE) {
+        this.statements.clear();
+      }
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  definition(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new DatabaseError(`relation "${name}" does not exist`, SQLSTATE.UNDEFINED_TABLE);
+    }
+    return definition;
+  }
+
+  table(name) {
+    this.definition(name);
+    return this.tables.get(name);
+  }
+
+  /**
+   * Run a SELECT. Returns the column names and the rows as Maps; `outer` is the scope of the
+   * enclosing query for correlated subqueries.
+   */
+  select(statement, context, outer) {
+    const sources = this.describeSources(statement);
+    const names = outputColumns(statement.columns, sources);
+    const emptyScope = { bindings: sources.map(source => ({ ...source, row: null })), outer };
+
+    // Like PostgreSQL, unknown columns are an error even when there are no rows to read them from
+    const references = columnReferences([
+      statement.columns.map(column => column.expression),
+      statement.joins.map(join => join.on),
+      statement.where,
+      statement.groupBy,
+      statement.having
+    ]);
+    references.forEach(reference => resolveColumn(emptyScope, reference));
+
+    let scopes = this.joinSources(statement, context, outer);
+    if (statement.where) {
+      scopes = scopes.filter(scope => truth(evaluate(statement.where, { ...context, scope })) === true);
+    }
+
+    let contexts;
+    const aggregated = statement.groupBy.length > 0 ||
+      containsAggregate(statement.columns.map(column => column.expression)) ||
+      containsAggregate(statement.having) ||
+      containsAggregate(statement.orderBy.map(item => item.expression));
+
+    if (aggregated) {
+      contexts = groupScopes(statement.groupBy, scopes, context)
+        .map(group => ({ ...context, scope: group[0] || emptyScope, group }));
+      if (statement.having) {
+        contexts = contexts.filter(groupContext => truth(evaluate(statement.having, groupContext)) === true);
+      }
+    } else {
+      contexts = scopes.map(scope => ({ ...context, scope }));
+    }
+
+    let results = contexts.map(rowContext => ({ context: rowContext, row: project(statement.columns, rowContext) }));
+    if (statement.distinct) {
+      const seen = new Set();
+      results = results.filter(({ row }) => {
+        const key = valueKey([...row.values()]);
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+    }
+    if (statement.orderBy.length > 0) {
+      results = sortResults(results, statement.orderBy);
+    }
+
+    const offset = statement.offset ? toNumber(evaluate(statement.offset, context)) : 0;
+    const limit = statement.limit ? evaluate(statement.limit, context) : null;
+    const end = isNullish(limit) ? undefined : offset + toNumber(limit);
+
+    return { columns: names, rows: results.slice(offset, end).map(result => result.row) };
+  }
+
+  // Aliases and column names of the FROM clause, known before any row is read
+  describeSources(statement) {
+    if (!statement.from) {
+      return [];
+    }
+    return [statement.from, ...statement.joins.map(join => join.source)].map(source => {
+      if (source.kind === 'table') {
+        return { alias: source.alias, columns: this.definition(source.table).columns.map(column => column.name) };
+      }
+      return { alias: source.alias, columns: outputColumns(source.query.columns, this.describeSources(source.query)) };
+    });
+  }
+
+  // Rows of one FROM item; LATERAL subqueries are evaluated against the row they are joined to
+  sourceRows(source, context, scope) {
+    if (source.kind === 'table') {
+      return this.table(source.table).rows;
+    }
+    return this.select(source.query, context, source.lateral ? scope : scope && scope.outer).rows;
+  }
+
+  // Every combination of FROM and JOIN rows that satisfies the join conditions
+  joinSources(statement, context, outer) {
+    if (!statement.from) {
+      return [{ bindings: [], outer }];
+    }
+
+    const [first, ...rest] = this.describeSources(statement);
+    let scopes = this.sourceRows(statement.from, context, { bindings: [], outer })
+      .map(row => ({ bindings: [{ ...first, row }], outer }));
+
+    statement.joins.forEach((join, index) => {
+      const source = rest.at(index);
+      const sharedRows = join.source.lateral ? null : this.sourceRows(join.source, context, { bindings: [], outer });
+
+      scopes = scopes.flatMap(scope => {
+        const rows = sharedRows || this.sourceRows(join.source, context, scope);
+        const matches = rows
+          .map(row => ({ bindings: [...scope.bindings, { ...source, row }], outer }))
+          .filter(candidate => truth(evaluate(join.on, { ...context, scope: candidate })) === true);
+
+        if (matches.length === 0 && join.type === 'left') {
+          return [{ bindings: [...scope.bindings, { ...source, row: null }], outer }];
+        }
+        return matches;
+      });
+    });
+
+    return scopes;
+  }
+
+  modify(statement, context) {
+    switch (statement.type) {
+      case 'insert':
+        return this.insert(statement, context);
+      case 'update':
+        return this.update(statement, context);
+      default:
+        return this.delete(statement, context);
+    }
+  }
+
+  insert(statement, context) {
+    const definition = this.definition(statement.table);
+    const table = this.table(statement.table);
+    const columns = statement.columns.map(name => findColumn(definition, name));
+    const emptyContext = { ...context, scope: { bindings: [], outer: null } };
+
+    const inserted = statement.rows.map(values => {
+      if (values.length !== columns.length) {
+        throw new DatabaseError(
+          `INSERT has ${values.length > columns.length ? 'more' : 'fewer'} expressions than target columns`,
+          SQLSTATE.SYNTAX_ERROR
+        );
+      }
+
+      const provided = new Map(columns.map((column, index) => [column.name, values.at(index)]));
+      const row = new Map();
+      for (const column of definition.columns) {
+        if (provided.has(column.name)) {
+          row.set(column.name, coerce(evaluate(provided.get(column.name), emptyContext), column.type));
+        } else {
+          row.set(column.name, defaultValue(column, table, context.now));
+        }
+      }
+      table.rows.push(row);
+      return row;
+    });
+
+    inserted.forEach(row => this.checkRow(definition, row));
+    return this.result(statement, inserted, context);
+  }
+
+  update(statement, context) {
+    const definition = this.definition(statement.table);
+    const table = this.table(statement.table);
+    const assignments = statement.assignments.map(assignment => ({
+      column: findColumn(definition, assignment.column),
+      expression: assignment.expression
+    }));
+
+    const targets = this.matchingRows(statement, definition, context);
+    // Every assignment reads the row as it was before the update
+    const changes = targets.map(row => {
+      const scope = { bindings: [{ alias: statement.alias, columns: columnNames(definition), row }], outer: null };
+      return assignments.map(({ column, expression }) =>
+        [column.name, coerce(evaluate(expression, { ...context, scope }), column.type)]);
+    });
+
+    targets.forEach((row, index) => changes.at(index).forEach(([name, value]) => row.set(name, value)));
+    targets.forEach(row => this.checkRow(definition, row));
+    this.checkReferencesTo(definition.name, table.rows);
+    return this.result(statement, targets, context);
+  }
+
+  delete(statement, context) {
+    const definition = this.definition(statement.table);
+    const targets = this.matchingRows(statement, definition, context);
+    const result = this.result(statement, targets, context);
+    this.deleteRows(definition.name, new Set(targets));
+    return result;
+  }
+
+  matchingRows(statement, definition, context) {
+    const columns = columnNames(definition);
+    return this.table(definition.name).rows.filter(row => !statement.where || truth(evaluate(statement.where, {
+      ...context,
+      scope: { bindings: [{ alias: statement.alias, columns, row }], outer: null }
+    })) === true);
+  }
+
+  // Remove rows and apply the ON DELETE action of every foreign key pointing at them
+  deleteRows(tableName, rows) {
+    if (rows.size === 0) {
+      return;
+    }
+    const table = this.table(tableName);
+    table.rows = table.rows.filter(row => !rows.has(row));
+
+    for (const [referencingName, definition] of this.definitions) {
+      for (const foreignKey of definition.foreignKeys || []) {
+        if (foreignKey.references !== tableName) {
+          continue;
+        }
+        const referencedColumn = foreignKey.referencedColumn || 'id';
+        const removedKeys = [...rows].map(row => row.get(referencedColumn));
+        const referencing = this.table(referencingName).rows.filter(row =>
+          removedKeys.some(key => valuesEqual(row.get(foreignKey.column), key)));
+        if (referencing.length === 0) {
+          continue;
+        }
+
+        if (foreignKey.onDelete === 'cascade') {
+          this.deleteRows(referencingName, new Set(referencing));
+        } else if (foreignKey.onDelete === 'set null') {
+          referencing.forEach(row => row.set(foreignKey.column, null));
+        } else {
+          throw foreignKeyViolation(
+            `update or delete on table "${tableName}" violates foreign key constraint ` +
+              `"${foreignKeyName(referencingName, foreignKey)}" on table "${referencingName}"`,
+            referencingName,
+            foreignKey
+          );
+        }
+      }
+    }
+  }
+
+  // NOT NULL, CHECK, primary key, unique and foreign key constraints of one written row
+  checkRow(definition, row) {
+    for (const column of definition.columns) {
+      if (isNullish(row.get(column.name)) && (column.notNull || definition.primaryKey.includes(column.name))) {
+        throw new DatabaseError(
+          `null value in column "${column.name}" of relation "${definition.name}" violates not-null constraint`,
+          SQLSTATE.NOT_NULL_VIOLATION,
+          { table: definition.name, column: column.name }
+        );
+      }
+    }
+
+    for (const check of definition.checks || []) {
+      const value = row.get(check.column);
+      if (!isNullish(value) && !check.test(value)) {
+        throw new DatabaseError(
+          `new row for relation "${definition.name}" violates check constraint "${check.name}"`,
+          SQLSTATE.CHECK_VIOLATION,
+          { table: definition.name, constraint: check.name }
+        );
+      }
+    }
+
+    const rows = this.table(definition.name).rows;
+    const keys = [{ name: `${definition.name}_pkey`, columns: definition.primaryKey }, ...(definition.unique || [])];
+    for (const key of keys) {
+      if (key.where && !key.where(row)) {
+        continue;
+      }
+      const values = key.columns.map(column => row.get(column));
+      if (values.some(isNullish)) {
+        continue;
+      }
+      const duplicate = rows.some(other => other !== row && (!key.where || key.where(other)) &&
+        key.columns.every((column, index) => valuesEqual(other.get(column), values.at(index))));
+      if (duplicate) {
+        throw new DatabaseError(
+          `duplicate key value violates unique constraint "${key.name}"`,
+          SQLSTATE.UNIQUE_VIOLATION,
+          {
+            table: definition.name,
+            constraint: key.name,
+            detail: `Key (${key.columns.join(', ')})=(${values.join(', ')}) already exists.`
+          }
+        );
+      }
+    }
+
+    for (const foreignKey of definition.foreignKeys || []) {
+      const value = row.get(foreignKey.column);
+      const referencedColumn = foreignKey.referencedColumn || 'id';
+      if (!isNullish(value) &&
+        !this.table(foreignKey.references).rows.some(other => valuesEqual(other.get(referencedColumn), value))) {
+        throw foreignKeyViolation(
+          `insert or update on table "${definition.name}" violates foreign key constraint ` +
+            `"${foreignKeyName(definition.name, foreignKey)}"`,
+          definition.name,
+          foreignKey
+        );
+      }
+    }
+  }
+
+  // An update must not change a key that other rows still reference
+  checkReferencesTo(tableName, rows) {
+    for (const [referencingName, definition] of this.definitions) {
+      for (const foreignKey of definition.foreignKeys || []) {
+        if (foreignKey.references !== tableName) {
+          continue;
+        }
+        const referencedColumn = foreignKey.referencedColumn || 'id';
+        const dangling = this.table(referencingName).rows.find(row => !isNullish(row.get(foreignKey.column)) &&
+          !rows.some(other => valuesEqual(other.get(referencedColumn), row.get(foreignKey.column))));
+        if (dangling) {
+          throw foreignKeyViolation(
+            `update or delete on table "${tableName}" violates foreign key constraint ` +
+              `"${foreignKeyName(referencingName, foreignKey)}" on table "${referencingName}"`,
+            referencingName,
+            foreignKey
+          );
+        }
+      }
+    }
+  }
+
+  // { rows, rowCount } of a write; rows holds the RETURNING list for each affected row
+  result(statement, rows, context) {
+    if (!statement.returning) {
+      return { rows: [], rowCount: rows.length };
+    }
+    const definition = this.definition(statement.table);
+    const source = { alias: statement.alias || statement.table, columns: columnNames(definition) };
+    const returned = rows.map(row =>
+      toPlainRow(project(statement.returning, { ...context, scope: { bindings: [{ ...source, row }], outer: null } })));
+    return { rows: returned, rowCount: rows.length };
+  }
+}
+
+function columnNames(definition) {
+  return definition.columns.map(column => column.name);
+}
+
+function findColumn(definition, name) {
+  const column = definition.columns.find(candidate => candidate.name === name);
+  if (!column) {
+    throw new DatabaseError(
+      `column "${name}" of relation "${definition.name}" does not exist`,
+      SQLSTATE.UNDEFINED_COLUMN
+    );
+  }
+  return column;
+}
+
+function defaultValue(column, table, now) {
+  if (column.type === 'serial') {
+    table.sequence += 1;
+    return table.sequence;
+  }
+  if (column.default === NOW) {
+    return new Date(now.getTime());
+  }
+  return column.default === undefined ? null : column.default;
+}
+
+function foreignKeyName(tableName, foreignKey) {
+  return `${tableName}_${foreignKey.column}_fkey`;
+}
+
+function foreignKeyViolation(message, tableName, foreignKey) {
+  return new DatabaseError(message, SQLSTATE.FOREIGN_KEY_VIOLATION, {
+    table: tableName,
+    constraint: foreignKeyName(tableName, foreignKey)
+  });
+}
+
+// Output column names of a select list; * expands to the columns of every FROM item
+function outputColumns(columns, sources) {
+  return columns.flatMap(column => {
+    if (!column.star) {
+      return [column.name];
+    }
+    return sources
+      .filter(source => !column.table || source.alias === column.table)
+      .flatMap(source => source.columns);
+  });
+}
+
+function project(columns, context) {
+  const row = new Map();
+  for (const column of columns) {
+    if (column.star) {
+      context.scope.bindings
+        .filter(binding => !column.table || binding.alias === column.table)
+        .forEach(binding => binding.columns.forEach(name => row.set(name, binding.row ? binding.row.get(name) : null)));
+    } else {
+      row.set(column.name, evaluate(column.expression, context));
+    }
+  }
+  return row;
+}
+
+// Rows grouped by the GROUP BY values; without GROUP BY all rows form one group, even when empty
+function groupScopes(groupBy, scopes, context) {
+  if (groupBy.length === 0) {
+    return [scopes];
+  }
+  const groups = new Map();
+  for (const scope of scopes) {
+    const key = valueKey(groupBy.map(expression => evaluate(expression, { ...context, scope })));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(scope);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * ORDER BY: a bare name refers to an output column when there is one (e.g. an alias), otherwise the
+ * expression is evaluated against the row; integer literals refer to output columns by position
+ */
+function orderValue(expression, result) {
+  if (expression.type === 'column' && !expression.table && result.row.has(expression.name)) {
+    return result.row.get(expression.name);
+  }
+  if (expression.type === 'literal' && typeof expression.value === 'number') {
+    return [...result.row.values()].at(expression.value - 1);
+  }
+  return evaluate(expression, result.context);
+}
+
+function sortResults(results, orderBy) {
+  const keyed = results.map(result => ({ result, keys: orderBy.map(item => orderValue(item.expression, result)) }));
+  keyed.sort((a, b) => {
+    for (const [index, item] of orderBy.entries()) {
+      const left = a.keys.at(index);
+      const right = b.keys.at(index);
+      let order;
+      if (isNullish(left) || isNullish(right)) {
+        order = Number(isNullish(left)) - Number(isNullish(right));
+        order = item.nullsFirst ? -order : order;
+      } else {
+        order = compareValues(left, right) * (item.descending ? -1 : 1);
+      }
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return 0;
+  });
+  return keyed.map(entry => entry.result);
+}
+
+function toPlainRow(row) {
+  return Object.fromEntries([...row].map(([name, value]) => [name, cloneValue(value)]));
+}
+
+module.exports = {
+  MemoryDatabase,
+  DatabaseError,
+  SQLSTATE
+};
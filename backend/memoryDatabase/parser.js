@@ -0,0 +1,712 @@
+const { DatabaseError, SQLSTATE } = require('./errors');
+
+/**
+ * Parser for the part of PostgreSQL's SQL the application issues: SELECT with joins (including
+ * LATERAL), subqueries, aggregates, GROUP BY/HAVING, ORDER BY and LIMIT/OFFSET, plus INSERT, UPDATE
+ * and DELETE with RETURNING. Statements outside that subset fail with FEATURE_NOT_SUPPORTED rather
+ * than being half-executed.
+ */
+
+const OPERATORS = ['->>', '->', '::', '<>', '!=', '<=', '>=', '||', '@@', '=', '<', '>', '+', '-', '*', '/', '%',
+  '(', ')', '[', ']', ',', '.', ';'];
+
+const COMPARISON_OPERATORS = new Set(['=', '<>', '!=', '<', '<=', '>', '>=']);
+
+// Words that end an expression or a table reference, so they can never be read as an alias
+const RESERVED = new Set([
+  'all', 'and', 'any', 'array', 'as', 'asc', 'by', 'case', 'cross', 'default', 'delete', 'desc', 'distinct',
+  'else', 'end', 'exists', 'false', 'filter', 'for', 'from', 'full', 'group', 'having', 'ilike', 'in', 'inner',
+  'insert', 'into', 'is', 'join', 'lateral', 'left', 'like', 'limit', 'not', 'null', 'nulls', 'offset', 'on', 'or',
+  'order', 'outer', 'returning', 'right', 'select', 'set', 'then', 'true', 'union', 'update', 'using', 'values',
+  'when', 'where'
+]);
+
+// Keywords that are expressions on their own
+const VALUE_KEYWORDS = new Set(['current_timestamp', 'current_date', 'localtimestamp']);
+
+const AGGREGATE_FUNCTIONS = new Set(['count', 'sum', 'avg', 'min', 'max', 'array_agg', 'bool_and', 'bool_or']);
+
+function syntaxError(message) {
+  return new DatabaseError(message, SQLSTATE.SYNTAX_ERROR);
+}
+
+function unsupported(feature) {
+  return new DatabaseError(`${feature} is not supported by the in-memory database`, SQLSTATE.FEATURE_NOT_SUPPORTED);
+}
+
+function readQuoted(sql, start, quote) {
+  let value = '';
+  let index = start + 1;
+  while (index < sql.length) {
+    const char = sql.charAt(index);
+    if (char === quote) {
+      if (sql.charAt(index + 1) !== quote) {
+        return { value, end: index + 1 };
+      }
+      index += 1;
+    }
+    value += char;
+    index += 1;
+  }
+  throw syntaxError(quote === '\'' ? 'unterminated quoted string' : 'unterminated quoted identifier');
+}
+
+function tokenize(sql) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < sql.length) {
+    const char = sql.charAt(index);
+    const rest = sql.slice(index);
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (rest.startsWith('--')) {
+      const lineEnd = sql.indexOf('\n', index);
+      index = lineEnd === -1 ? sql.length : lineEnd;
+    } else if (char === '\'' || char === '"') {
+      const { value, end } = readQuoted(sql, index, char);
+      tokens.push(char === '\'' ? { type: 'string', value } : { type: 'identifier', value });
+      index = end;
+    } else if (/^\$\d/.test(rest)) {
+      const [match, number] = /^\$(\d+)/.exec(rest);
+      tokens.push({ type: 'param', value: parseInt(number, 10) });
+      index += match.length;
+    } else if (/\d/.test(char)) {
+      const [match] = /^[\d.]+/.exec(rest);
+      if (!Number.isFinite(Number(match))) {
+        throw syntaxError(`syntax error at or near "${match}"`);
+      }
+      tokens.push({ type: 'number', value: Number(match) });
+      index += match.length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [match] = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(rest);
+      // Unquoted identifiers and keywords are case-insensitive, as in PostgreSQL
+      tokens.push({ type: 'word', value: match.toLowerCase() });
+      index += match.length;
+    } else {
+      const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+      if (!operator) {
+        throw syntaxError(`syntax error at or near "${char}"`);
+      }
+      tokens.push({ type: 'operator', value: operator });
+      index += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', value: null });
+  return tokens;
+}
+
+// Column name PostgreSQL gives a select-list expression without an alias
+function defaultColumnName(expression) {
+  switch (expression.type) {
+    case 'column':
+    case 'function':
+      return expression.name;
+    case 'cast':
+      return defaultColumnName(expression.expression);
+    case 'arraySubquery':
+      return 'array';
+    case 'exists':
+      return 'exists';
+    case 'case':
+      return 'case';
+    case 'now':
+      return 'current_timestamp';
+    default:
+      return '?column?';
+  }
+}
+
+class Parser {
+  constructor(sql) {
+    this.tokens = tokenize(sql);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    this.position = Math.min(this.position + 1, this.tokens.length - 1);
+    return token;
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.value === word;
+  }
+
+  acceptWord(word) {
+    if (this.isWord(word)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expectWord(word) {
+    if (!this.acceptWord(word)) {
+      throw this.unexpected(word.toUpperCase());
+    }
+  }
+
+  isOperator(operator, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'operator' && token.value === operator;
+  }
+
+  acceptOperator(operator) {
+    if (this.isOperator(operator)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expectOperator(operator) {
+    if (!this.acceptOperator(operator)) {
+      throw this.unexpected(`"${operator}"`);
+    }
+  }
+
+  unexpected(expected) {
+    const token = this.peek();
+    const near = token.type === 'end' ? 'end of input' : `"${token.value}"`;
+    return syntaxError(`syntax error at or near ${near}${expected ? `, expected ${expected}` : ''}`);
+  }
+
+  // Identifier usable as a table, column or alias name
+  isIdentifier(offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'identifier' || (token.type === 'word' && !RESERVED.has(token.value));
+  }
+
+  parseIdentifier() {
+    if (!this.isIdentifier()) {
+      throw this.unexpected('an identifier');
+    }
+    return this.next().value;
+  }
+
+  parseOptionalAlias() {
+    if (this.acceptWord('as')) {
+      return this.parseIdentifier();
+    }
+    return this.isIdentifier() ? this.parseIdentifier() : null;
+  }
+
+  parseStatement() {
+    let statement;
+    if (this.isWord('select')) {
+      statement = this.parseSelect();
+    } else if (this.isWord('insert')) {
+      statement = this.parseInsert();
+    } else if (this.isWord('update')) {
+      statement = this.parseUpdate();
+    } else if (this.isWord('delete')) {
+      statement = this.parseDelete();
+    } else {
+      const token = this.peek();
+      throw unsupported(`Statement "${String(token.value).toUpperCase()}"`);
+    }
+
+    this.acceptOperator(';');
+    if (this.peek().type !== 'end') {
+      throw this.unexpected(null);
+    }
+    return statement;
+  }
+
+  parseSelect() {
+    this.expectWord('select');
+    const distinct = this.acceptWord('distinct');
+    const columns = this.parseSelectList();
+
+    let from = null;
+    const joins = [];
+    if (this.acceptWord('from')) {
+      from = this.parseSource();
+      for (let join = this.parseJoin(); join; join = this.parseJoin()) {
+        joins.push(join);
+      }
+    }
+
+    const where = this.acceptWord('where') ? this.parseExpression() : null;
+
+    const groupBy = [];
+    if (this.acceptWord('group')) {
+      this.expectWord('by');
+      groupBy.push(...this.parseExpressionList());
+    }
+    const having = this.acceptWord('having') ? this.parseExpression() : null;
+    const orderBy = this.parseOrderBy();
+
+    let limit = null;
+    let offset = null;
+    for (;;) {
+      if (this.acceptWord('limit')) {
+        limit = this.acceptWord('all') ? null : this.parseExpression();
+      } else if (this.acceptWord('offset')) {
+        offset = this.parseExpression();
+      } else {
+        break;
+      }
+    }
+
+    if (this.isWord('union') || this.isWord('for')) {
+      throw unsupported(this.next().value.toUpperCase());
+    }
+
+    return { type: 'select', distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset };
+  }
+
+  parseSelectList() {
+    const columns = [];
+    do {
+      if (this.acceptOperator('*')) {
+        columns.push({ star: true, table: null });
+      } else if (this.isIdentifier() && this.isOperator('.', 1) && this.isOperator('*', 2)) {
+        const table = this.parseIdentifier();
+        this.next();
+        this.next();
+        columns.push({ star: true, table });
+      } else {
+        const expression = this.parseExpression();
+        const alias = this.parseOptionalAlias();
+        columns.push({ expression, name: alias || defaultColumnName(expression) });
+      }
+    } while (this.acceptOperator(','));
+    return columns;
+  }
+
+  parseSource() {
+    const lateral = this.acceptWord('lateral');
+    if (this.acceptOperator('(')) {
+      const query = this.parseSelect();
+      this.expectOperator(')');
+      const alias = this.parseOptionalAlias();
+      if (!alias) {
+        throw syntaxError('subquery in FROM must have an alias');
+      }
+      return { kind: 'subquery', query, alias, lateral };
+    }
+    if (lateral) {
+      throw this.unexpected('a subquery');
+    }
+
+    const table = this.parseIdentifier();
+    return { kind: 'table', table, alias: this.parseOptionalAlias() || table };
+  }
+
+  parseJoin() {
+    let type;
+    if (this.acceptWord('join')) {
+      type = 'inner';
+    } else if (this.isWord('inner') && this.isWord('join', 1)) {
+      this.next();
+      this.next();
+      type = 'inner';
+    } else if (this.acceptWord('left')) {
+      this.acceptWord('outer');
+      this.expectWord('join');
+      type = 'left';
+    } else if (this.isWord('right') || this.isWord('full') || this.isWord('cross') || this.isOperator(',')) {
+      throw unsupported(`${String(this.peek().value).toUpperCase()} JOIN`);
+    } else {
+      return null;
+    }
+
+    const source = this.parseSource();
+    this.expectWord('on');
+    return { type, source, on: this.parseExpression() };
+  }
+
+  parseOrderBy() {
+    const orderBy = [];
+    if (!this.acceptWord('order')) {
+      return orderBy;
+    }
+    this.expectWord('by');
+
+    do {
+      const expression = this.parseExpression();
+      let descending = false;
+      if (this.acceptWord('desc')) {
+        descending = true;
+      } else {
+        this.acceptWord('asc');
+      }
+
+      // PostgreSQL sorts NULLs as if they were larger than every value unless told otherwise
+      let nullsFirst = descending;
+      if (this.acceptWord('nulls')) {
+        if (this.acceptWord('first')) {
+          nullsFirst = true;
+        } else {
+          this.expectWord('last');
+          nullsFirst = false;
+        }
+      }
+      orderBy.push({ expression, descending, nullsFirst });
+    } while (this.acceptOperator(','));
+
+    return orderBy;
+  }
+
+  parseInsert() {
+    this.expectWord('insert');
+    this.expectWord('into');
+    const table = this.parseIdentifier();
+
+    this.expectOperator('(');
+    const columns = [];
+    do {
+      columns.push(this.parseIdentifier());
+    } while (this.acceptOperator(','));
+    this.expectOperator(')');
+
+    this.expectWord('values');
+    const rows = [];
+    do {
+      this.expectOperator('(');
+      rows.push(this.parseExpressionList());
+      this.expectOperator(')');
+    } while (this.acceptOperator(','));
+
+    if (this.isWord('on')) {
+      throw unsupported('ON CONFLICT');
+    }
+    return { type: 'insert', table, columns, rows, returning: this.parseReturning() };
+  }
+
+  parseUpdate() {
+    this.expectWord('update');
+    const table = this.parseIdentifier();
+    const alias = this.parseOptionalAlias() || table;
+    this.expectWord('set');
+
+    const assignments = [];
+    do {
+      const column = this.parseIdentifier();
+      this.expectOperator('=');
+      assignments.push({ column, expression: this.parseExpression() });
+    } while (this.acceptOperator(','));
+
+    if (this.isWord('from')) {
+      throw unsupported('UPDATE ... FROM');
+    }
+    const where = this.acceptWord('where') ? this.parseExpression() : null;
+    return { type: 'update', table, alias, assignments, where, returning: this.parseReturning() };
+  }
+
+  parseDelete() {
+    this.expectWord('delete');
+    this.expectWord('from');
+    const table = this.parseIdentifier();
+    const alias = this.parseOptionalAlias() || table;
+
+    if (this.isWord('using')) {
+      throw unsupported('DELETE ... USING');
+    }
+    const where = this.acceptWord('where') ? this.parseExpression() : null;
+    return { type: 'delete', table, alias, where, returning: this.parseReturning() };
+  }
+
+  parseReturning() {
+    return this.acceptWord('returning') ? this.parseSelectList() : null;
+  }
+
+  parseExpressionList() {
+    const expressions = [];
+    do {
+      expressions.push(this.parseExpression());
+    } while (this.acceptOperator(','));
+    return expressions;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord('or')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptWord('and')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptWord('not')) {
+      return { type: 'not', expression: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+      this.next();
+      const operator = token.value === '!=' ? '<>' : token.value;
+      if (this.acceptWord('any')) {
+        this.expectOperator('(');
+        const right = this.parseExpression();
+        this.expectOperator(')');
+        return { type: 'any', operator, left, right };
+      }
+      return { type: 'compare', operator, left, right: this.parseAdditive() };
+    }
+
+    if (this.acceptWord('is')) {
+      const negated = this.acceptWord('not');
+      if (this.acceptWord('null')) {
+        return { type: 'isNull', expression: left, negated };
+      }
+      if (this.isWord('true') || this.isWord('false')) {
+        return { type: 'isBoolean', expression: left, value: this.next().value === 'true', negated };
+      }
+      throw this.unexpected('NULL, TRUE or FALSE');
+    }
+
+    const negated = this.isWord('not') && (this.isWord('in', 1) || this.isWord('like', 1) || this.isWord('ilike', 1));
+    if (negated) {
+      this.next();
+    }
+
+    if (this.acceptWord('in')) {
+      this.expectOperator('(');
+      const node = this.isWord('select')
+        ? { type: 'inSubquery', expression: left, query: this.parseSelect(), negated }
+        : { type: 'in', expression: left, list: this.parseExpressionList(), negated };
+      this.expectOperator(')');
+      return node;
+    }
+
+    if (this.isWord('like') || this.isWord('ilike')) {
+      const caseInsensitive = this.next().value === 'ilike';
+      const pattern = this.parseAdditive();
+      const escape = this.acceptWord('escape') ? this.parseAdditive() : null;
+      return { type: 'like', expression: left, pattern, escape, caseInsensitive, negated };
+    }
+
+    if (negated) {
+      throw this.unexpected('IN, LIKE or ILIKE');
+    }
+    if (this.isOperator('@@') || this.isWord('between') || this.isWord('similar')) {
+      throw unsupported(`Operator ${String(token.value).toUpperCase()}`);
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-') || this.isOperator('||')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.acceptOperator('-')) {
+      return { type: 'negate', expression: this.parseUnary() };
+    }
+    this.acceptOperator('+');
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expression = this.parsePrimary();
+    for (;;) {
+      if (this.acceptOperator('::')) {
+        expression = { type: 'cast', expression, to: this.parseTypeName() };
+      } else if (this.isOperator('->>') || this.isOperator('->')) {
+        const asText = this.next().value === '->>';
+        expression = { type: 'jsonField', expression, key: this.parsePrimary(), asText };
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parseTypeName() {
+    let name = this.parseIdentifier();
+    if (name === 'double') {
+      this.expectWord('precision');
+      name = 'float';
+    }
+    if (this.acceptOperator('(')) {
+      this.parseExpressionList();
+      this.expectOperator(')');
+    }
+    if (this.acceptOperator('[')) {
+      this.expectOperator(']');
+      return `${name}[]`;
+    }
+    return name;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.next();
+        return { type: 'literal', value: token.value };
+      case 'param':
+        this.next();
+        return { type: 'param', index: token.value };
+      case 'operator':
+        return this.parseParenthesized();
+      case 'word':
+        if (RESERVED.has(token.value) || VALUE_KEYWORDS.has(token.value)) {
+          return this.parseKeywordExpression();
+        }
+        return this.parseNameExpression();
+      case 'identifier':
+        return this.parseNameExpression();
+      default:
+        throw this.unexpected('an expression');
+    }
+  }
+
+  parseParenthesized() {
+    this.expectOperator('(');
+    if (this.isWord('select')) {
+      const query = this.parseSelect();
+      this.expectOperator(')');
+      return { type: 'subquery', query };
+    }
+    const expression = this.parseExpression();
+    if (this.isOperator(',')) {
+      throw unsupported('Row constructors');
+    }
+    this.expectOperator(')');
+    return expression;
+  }
+
+  parseKeywordExpression() {
+    const word = this.next().value;
+
+    switch (word) {
+      case 'null':
+        return { type: 'literal', value: null };
+      case 'true':
+      case 'false':
+        return { type: 'literal', value: word === 'true' };
+      case 'current_timestamp':
+      case 'localtimestamp':
+        return { type: 'now' };
+      case 'current_date':
+        return { type: 'today' };
+      case 'array':
+        if (this.acceptOperator('[')) {
+          const elements = this.isOperator(']') ? [] : this.parseExpressionList();
+          this.expectOperator(']');
+          return { type: 'array', elements };
+        }
+        this.expectOperator('(');
+        return this.finishSubquery('arraySubquery');
+      case 'exists':
+        this.expectOperator('(');
+        return this.finishSubquery('exists');
+      case 'case':
+        return this.parseCase();
+      default:
+        this.position -= 1;
+        throw this.unexpected('an expression');
+    }
+  }
+
+  finishSubquery(type) {
+    const query = this.parseSelect();
+    this.expectOperator(')');
+    return { type, query };
+  }
+
+  parseCase() {
+    if (!this.isWord('when')) {
+      throw unsupported('Simple CASE expressions');
+    }
+    const branches = [];
+    while (this.acceptWord('when')) {
+      const condition = this.parseExpression();
+      this.expectWord('then');
+      branches.push({ condition, result: this.parseExpression() });
+    }
+    const otherwise = this.acceptWord('else') ? this.parseExpression() : null;
+    this.expectWord('end');
+    return { type: 'case', branches, otherwise };
+  }
+
+  parseNameExpression() {
+    const name = this.parseIdentifier();
+
+    if (this.acceptOperator('(')) {
+      return this.parseFunctionCall(name);
+    }
+    if (this.acceptOperator('.')) {
+      return { type: 'column', table: name, name: this.parseIdentifier() };
+    }
+    return { type: 'column', table: null, name };
+  }
+
+  parseFunctionCall(name) {
+    const distinct = this.acceptWord('distinct');
+    let star = false;
+    let args = [];
+    if (this.acceptOperator('*')) {
+      star = true;
+    } else if (!this.isOperator(')')) {
+      args = this.parseExpressionList();
+    }
+    this.expectOperator(')');
+
+    let filter = null;
+    if (this.acceptWord('filter')) {
+      this.expectOperator('(');
+      this.expectWord('where');
+      filter = this.parseExpression();
+      this.expectOperator(')');
+    }
+
+    const aggregate = AGGREGATE_FUNCTIONS.has(name);
+    if ((distinct || filter || star) && !aggregate) {
+      throw syntaxError(`${name}() is not an aggregate function`);
+    }
+    return { type: 'function', name, args, star, distinct, filter, aggregate };
+  }
+}
+
+function parse(sql) {
+  return new Parser(sql).parseStatement();
+}
+
+module.exports = {
+  parse,
+  tokenize
+};
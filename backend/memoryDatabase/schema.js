@@ -0,0 +1,332 @@
+/**
+ * Tables of the in-memory database. This mirrors the schema built by backend/migrations: the same
+ * columns, defaults, unique constraints and foreign keys, so mock mode rejects the same writes
+ * PostgreSQL would. Column names are lower case because PostgreSQL folds unquoted identifiers.
+ *
+ * Column types: serial, integer, numeric, text, boolean, timestamp, date and json.
+ */
+
+// Marks a column whose default is the time of the statement, like DEFAULT CURRENT_TIMESTAMP
+const NOW = Symbol('now');
+
+const isNull = value => value === null;
+
+const TABLES = [
+  {
+    name: 'admins',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'username', type: 'text', notNull: true },
+      { name: 'password', type: 'text', notNull: true },
+      { name: 'role', type: 'text', notNull: true, default: 'owner' },
+      { name: 'totp_secret', type: 'text' },
+      { name: 'totp_enabled', type: 'boolean', notNull: true, default: false },
+      { name: 'totp_last_step', type: 'integer' },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'last_login', type: 'timestamp' }
+    ],
+    primaryKey: ['id'],
+    unique: [{ name: 'admins_username_key', columns: ['username'] }],
+    checks: [{
+      name: 'admins_role_check',
+      column: 'role',
+      test: role => ['owner', 'editor', 'recruiter'].includes(role)
+    }]
+  },
+  {
+    name: 'admin_recovery_codes',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'admin_id', type: 'integer', notNull: true },
+      { name: 'code_hash', type: 'text', notNull: true },
+      { name: 'used_at', type: 'timestamp' },
+      { name: 'created_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    unique: [{ name: 'admin_recovery_codes_admin_id_code_hash_key', columns: ['admin_id', 'code_hash'] }],
+    foreignKeys: [{ column: 'admin_id', references: 'admins', onDelete: 'cascade' }]
+  },
+  {
+    name: 'admin_password_resets',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'admin_id', type: 'integer', notNull: true },
+      { name: 'token_hash', type: 'text', notNull: true },
+      { name: 'created_by', type: 'integer' },
+      { name: 'expires_at', type: 'timestamp', notNull: true },
+      { name: 'used_at', type: 'timestamp' },
+      { name: 'created_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    unique: [{ name: 'admin_password_resets_token_hash_key', columns: ['token_hash'] }],
+    foreignKeys: [
+      { column: 'admin_id', references: 'admins', onDelete: 'cascade' },
+      { column: 'created_by', references: 'admins', onDelete: 'set null' }
+    ]
+  },
+  {
+    name: 'login_attempts',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'username', type: 'text', notNull: true },
+      { name: 'ip_address', type: 'text' },
+      { name: 'user_agent', type: 'text' },
+      { name: 'succeeded', type: 'boolean', notNull: true, default: false },
+      { name: 'reason', type: 'text', notNull: true },
+      { name: 'cleared', type: 'boolean', notNull: true, default: false },
+      { name: 'attempted_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id']
+  },
+  {
+    name: 'login_alerts',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'pattern', type: 'text', notNull: true },
+      { name: 'subject', type: 'text', notNull: true },
+      { name: 'window_start', type: 'timestamp', notNull: true },
+      { name: 'alerted_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    unique: [{ name: 'login_alerts_pattern_subject_window_start_key', columns: ['pattern', 'subject', 'window_start'] }]
+  },
+  {
+    name: 'players',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'name', type: 'text', notNull: true },
+      { name: 'jerseynumber', type: 'integer', notNull: true },
+      { name: 'imageurl', type: 'text' },
+      { name: 'image_variants', type: 'json' },
+      { name: 'stars', type: 'integer', default: 0 },
+      { name: 'joined_date', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW },
+      { name: 'deleted_at', type: 'timestamp' }
+    ],
+    primaryKey: ['id'],
+    // Jersey numbers only need to be unique among players that are not in the trash
+    unique: [{
+      name: 'idx_players_jersey_active',
+      columns: ['jerseynumber'],
+      where: row => isNull(row.get('deleted_at'))
+    }],
+    checks: [{ name: 'players_stars_check', column: 'stars', test: stars => stars >= 1 && stars <= 5 }]
+  },
+  {
+    name: 'player_match_stats',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'player_id', type: 'integer', notNull: true },
+      { name: 'match_date', type: 'date', notNull: true },
+      { name: 'opponent', type: 'text' },
+      { name: 'minutes_played', type: 'integer', default: 0 },
+      { name: 'goals', type: 'integer', default: 0 },
+      { name: 'assists', type: 'integer', default: 0 },
+      { name: 'clean_sheet', type: 'boolean', default: false },
+      { name: 'mvp', type: 'boolean', default: false },
+      { name: 'rating', type: 'numeric' },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW },
+      { name: 'match_id', type: 'integer' }
+    ],
+    primaryKey: ['id'],
+    foreignKeys: [
+      { column: 'player_id', references: 'players', onDelete: 'cascade' },
+      { column: 'match_id', references: 'matches', onDelete: 'set null' }
+    ],
+    checks: [
+      {
+        name: 'player_match_stats_minutes_played_check',
+        column: 'minutes_played',
+        test: value => value >= 0 && value <= 130
+      },
+      { name: 'player_match_stats_goals_check', column: 'goals', test: value => value >= 0 },
+      { name: 'player_match_stats_assists_check', column: 'assists', test: value => value >= 0 },
+      { name: 'player_match_stats_rating_check', column: 'rating', test: value => value >= 0 && value <= 10 }
+    ]
+  },
+  {
+    name: 'matches',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'opponent', type: 'text', notNull: true },
+      { name: 'competition', type: 'text' },
+      { name: 'scheduled_at', type: 'timestamp', notNull: true },
+      { name: 'venue', type: 'text' },
+      { name: 'platform', type: 'text' },
+      { name: 'team_score', type: 'integer' },
+      { name: 'opponent_score', type: 'integer' },
+      { name: 'status', type: 'text', notNull: true, default: 'scheduled' },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    checks: [{
+      name: 'matches_status_check',
+      column: 'status',
+      test: status => ['scheduled', 'live', 'finished', 'postponed'].includes(status)
+    }]
+  },
+  {
+    name: 'match_lineups',
+    columns: [
+      { name: 'match_id', type: 'integer', notNull: true },
+      { name: 'player_id', type: 'integer', notNull: true },
+      { name: 'position', type: 'text' },
+      { name: 'is_starter', type: 'boolean', default: true }
+    ],
+    primaryKey: ['match_id', 'player_id'],
+    foreignKeys: [
+      { column: 'match_id', references: 'matches', onDelete: 'cascade' },
+      { column: 'player_id', references: 'players', onDelete: 'cascade' }
+    ]
+  },
+  {
+    name: 'managers',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'name', type: 'text', notNull: true },
+      { name: 'role', type: 'text', notNull: true },
+      { name: 'imageurl', type: 'text' },
+      { name: 'image_variants', type: 'json' },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW },
+      { name: 'deleted_at', type: 'timestamp' }
+    ],
+    primaryKey: ['id']
+  },
+  {
+    name: 'trophies',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'name', type: 'text', notNull: true },
+      { name: 'year', type: 'integer', notNull: true },
+      { name: 'imageurl', type: 'text' },
+      { name: 'image_variants', type: 'json' },
+      { name: 'competition', type: 'text' },
+      { name: 'final_result', type: 'text' },
+      { name: 'description', type: 'text' },
+      { name: 'match_id', type: 'integer' },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW },
+      { name: 'deleted_at', type: 'timestamp' }
+    ],
+    primaryKey: ['id'],
+    foreignKeys: [{ column: 'match_id', references: 'matches', onDelete: 'set null' }],
+    checks: [{
+      name: 'trophies_year_check',
+      column: 'year',
+      test: year => year >= 1900 && year <= new Date().getFullYear() + 1
+    }]
+  },
+  {
+    name: 'trophy_winners',
+    columns: [
+      { name: 'trophy_id', type: 'integer', notNull: true },
+      { name: 'player_id', type: 'integer', notNull: true }
+    ],
+    primaryKey: ['trophy_id', 'player_id'],
+    foreignKeys: [
+      { column: 'trophy_id', references: 'trophies', onDelete: 'cascade' },
+      { column: 'player_id', references: 'players', onDelete: 'cascade' }
+    ]
+  },
+  {
+    name: 'application_fields',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'name', type: 'text', notNull: true },
+      { name: 'label', type: 'text', notNull: true },
+      { name: 'type', type: 'text', notNull: true },
+      { name: 'required', type: 'boolean', notNull: true, default: false },
+      { name: 'options', type: 'json' },
+      { name: 'max_length', type: 'integer' },
+      { name: 'min_value', type: 'integer' },
+      { name: 'max_value', type: 'integer' },
+      { name: 'help_text', type: 'text' },
+      { name: 'position', type: 'integer', notNull: true, default: 0 },
+      { name: 'created_at', type: 'timestamp', default: NOW },
+      { name: 'updated_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    unique: [{ name: 'application_fields_name_key', columns: ['name'] }],
+    checks: [
+      {
+        name: 'application_fields_type_check',
+        column: 'type',
+        test: type => ['text', 'textarea', 'select', 'url', 'number'].includes(type)
+      },
+      { name: 'application_fields_max_length_check', column: 'max_length', test: value => value > 0 }
+    ]
+  },
+  {
+    name: 'contact_submissions',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'name', type: 'text', notNull: true },
+      { name: 'email', type: 'text', notNull: true },
+      { name: 'whatsapp', type: 'text', notNull: true },
+      { name: 'submission_date', type: 'timestamp', default: NOW },
+      { name: 'ip_address', type: 'text' },
+      { name: 'user_agent', type: 'text' },
+      { name: 'status', type: 'text', notNull: true, default: 'new' },
+      { name: 'assignee_id', type: 'integer' },
+      { name: 'notes', type: 'text' },
+      { name: 'updated_at', type: 'timestamp' },
+      { name: 'application', type: 'json' }
+    ],
+    primaryKey: ['id'],
+    foreignKeys: [{ column: 'assignee_id', references: 'admins', onDelete: 'set null' }],
+    checks: [{
+      name: 'contact_submissions_status_check',
+      column: 'status',
+      test: status => ['new', 'contacted', 'trialist', 'signed', 'rejected'].includes(status)
+    }]
+  },
+  {
+    name: 'contact_submission_tags',
+    columns: [
+      { name: 'submission_id', type: 'integer', notNull: true },
+      { name: 'tag', type: 'text', notNull: true }
+    ],
+    primaryKey: ['submission_id', 'tag'],
+    foreignKeys: [{ column: 'submission_id', references: 'contact_submissions', onDelete: 'cascade' }]
+  },
+  {
+    name: 'audit_log',
+    columns: [
+      { name: 'id', type: 'serial' },
+      { name: 'actor_id', type: 'integer' },
+      { name: 'actor_username', type: 'text' },
+      { name: 'action', type: 'text', notNull: true },
+      { name: 'entity_type', type: 'text', notNull: true },
+      { name: 'entity_id', type: 'integer' },
+      { name: 'before_data', type: 'json' },
+      { name: 'after_data', type: 'json' },
+      { name: 'correlation_id', type: 'text' },
+      { name: 'ip_address', type: 'text' },
+      { name: 'created_at', type: 'timestamp', default: NOW }
+    ],
+    primaryKey: ['id'],
+    foreignKeys: [{ column: 'actor_id', references: 'admins', onDelete: 'set null' }],
+    checks: [{
+      name: 'audit_log_action_check',
+      column: 'action',
+      test: action => ['create', 'update', 'delete'].includes(action)
+    }]
+  },
+  {
+    name: 'sessions',
+    columns: [
+      { name: 'sid', type: 'text', notNull: true },
+      { name: 'sess', type: 'json', notNull: true },
+      { name: 'expire', type: 'timestamp', notNull: true }
+    ],
+    primaryKey: ['sid']
+  }
+];
+
+module.exports = {
+  NOW,
+  TABLES
+};
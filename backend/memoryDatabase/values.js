@@ -0,0 +1,258 @@
+const { DatabaseError, SQLSTATE } = require('./errors');
+
+/**
+ * Value handling for the in-memory database: converting parameters to column types, comparing
+ * values the way PostgreSQL does for the types in use, casts and LIKE patterns.
+ */
+
+function invalidInput(type, value) {
+  return new DatabaseError(
+    `invalid input syntax for type ${type}: "${value}"`,
+    type === 'timestamp' || type === 'date' ? SQLSTATE.INVALID_DATETIME_FORMAT : SQLSTATE.INVALID_TEXT_REPRESENTATION
+  );
+}
+
+function isNullish(value) {
+  return value === null || value === undefined;
+}
+
+function toInteger(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  const text = String(value).trim();
+  if (/^[+-]?[\d.]+$/.test(text) && Number.isFinite(Number(text))) {
+    return Math.round(Number(text));
+  }
+  throw invalidInput('integer', value);
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number) || (typeof value === 'string' && value.trim() === '')) {
+    throw invalidInput('numeric', value);
+  }
+  return number;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['t', 'true', 'y', 'yes', 'on', '1'].includes(text)) {
+    return true;
+  }
+  if (['f', 'false', 'n', 'no', 'off', '0'].includes(text)) {
+    return false;
+  }
+  throw invalidInput('boolean', value);
+}
+
+function toTimestamp(value, type = 'timestamp') {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidInput(type, value);
+  }
+  return date;
+}
+
+function toText(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function toJson(value) {
+  if (typeof value !== 'string') {
+    return JSON.parse(JSON.stringify(value));
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw invalidInput('json', value);
+  }
+}
+
+// Convert a value to a column or cast type. NULL stays NULL for every type.
+function coerce(value, type) {
+  if (isNullish(value)) {
+    return null;
+  }
+
+  switch (type) {
+    case 'serial':
+    case 'int':
+    case 'int4':
+    case 'int8':
+    case 'integer':
+    case 'bigint':
+    case 'smallint':
+      return toInteger(value);
+    case 'numeric':
+    case 'decimal':
+    case 'float':
+    case 'float8':
+    case 'real':
+      return toNumber(value);
+    case 'bool':
+    case 'boolean':
+      return toBoolean(value);
+    case 'timestamp':
+    case 'timestamptz':
+    case 'date':
+      return toTimestamp(value, type);
+    case 'json':
+    case 'jsonb':
+      return toJson(value);
+    case 'text':
+    case 'varchar':
+    case 'char':
+    case 'inet':
+      return toText(value);
+    default:
+      if (type.endsWith('[]')) {
+        if (!Array.isArray(value)) {
+          throw invalidInput(type, value);
+        }
+        return value.map(element => coerce(element, type.slice(0, -2)));
+      }
+      throw new DatabaseError(`type "${type}" does not exist`, SQLSTATE.UNDEFINED_FUNCTION);
+  }
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : toTimestamp(value).getTime();
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') {
+    return true;
+  }
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * Compare two non-NULL values: negative, zero or positive. Like PostgreSQL comparing a typed column
+ * with an untyped parameter, the parameter is read as the column's type, so 2 = '2'.
+ */
+function compareValues(left, right) {
+  if (left instanceof Date || right instanceof Date) {
+    return Math.sign(toTime(left) - toTime(right));
+  }
+  if ((typeof left === 'number' || typeof right === 'number') && isNumeric(left) && isNumeric(right)) {
+    return Math.sign(Number(left) - Number(right));
+  }
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return Number(toBoolean(left)) - Number(toBoolean(right));
+  }
+
+  const leftText = toText(left);
+  const rightText = toText(right);
+  if (leftText === rightText) {
+    return 0;
+  }
+  return leftText < rightText ? -1 : 1;
+}
+
+function valuesEqual(left, right) {
+  return !isNullish(left) && !isNullish(right) && compareValues(left, right) === 0;
+}
+
+// Key identifying a list of values, used for GROUP BY, DISTINCT and unique constraints
+function valueKey(values) {
+  return JSON.stringify(values.map(value => {
+    if (isNullish(value)) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return ['date', value.getTime()];
+    }
+    if (isNumeric(value)) {
+      return ['number', Number(value)];
+    }
+    return ['value', value];
+  }));
+}
+
+// Copy a stored value so callers cannot change the stored row through it
+function cloneValue(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value === undefined ? null : value;
+}
+
+// Split a LIKE pattern into literal characters and the % and _ wildcards; the escape character, \ unless
+// an ESCAPE clause names another one, makes the next character literal
+function likeTokens(pattern, escape) {
+  const tokens = [];
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern.charAt(index);
+    if (escape !== '' && char === escape && index + 1 < pattern.length) {
+      index += 1;
+      tokens.push({ literal: pattern.charAt(index) });
+    } else if (char === '%') {
+      tokens.push({ any: true });
+    } else if (char === '_') {
+      tokens.push({ one: true });
+    } else {
+      tokens.push({ literal: char });
+    }
+  }
+  return tokens;
+}
+
+// Wildcard matching with backtracking to the most recent %
+function likeMatch(value, pattern, caseInsensitive, escape = '\\') {
+  const text = caseInsensitive ? value.toLowerCase() : value;
+  const tokens = likeTokens(caseInsensitive ? pattern.toLowerCase() : pattern, escape);
+
+  let textIndex = 0;
+  let tokenIndex = 0;
+  let starToken = -1;
+  let starText = 0;
+
+  while (textIndex < text.length) {
+    const token = tokens.at(tokenIndex);
+    if (token && (token.one || (token.literal !== undefined && token.literal === text.charAt(textIndex)))) {
+      textIndex += 1;
+      tokenIndex += 1;
+    } else if (token && token.any) {
+      starToken = tokenIndex;
+      starText = textIndex;
+      tokenIndex += 1;
+    } else if (starToken !== -1) {
+      tokenIndex = starToken + 1;
+      starText += 1;
+      textIndex = starText;
+    } else {
+      return false;
+    }
+  }
+
+  return tokens.slice(tokenIndex).every(token => token.any);
+}
+
+module.exports = {
+  cloneValue,
+  coerce,
+  compareValues,
+  isNullish,
+  likeMatch,
+  toBoolean,
+  toNumber,
+  toText,
+  valueKey,
+  valuesEqual
+};
@@ -0,0 +1,215 @@
+/**
+ * Baseline schema: every table as it stood when versioned migrations were introduced.
+ * Databases created by the old initializeDatabase() already have most of these tables, so the
+ * statements are idempotent and the upgrades below bring older installs to the same baseline.
+ */
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS admins (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'owner' CHECK (role IN ('owner', 'editor', 'recruiter')),
+    totp_secret TEXT,
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_last_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (admin_id, code_hash)
+  )`,
+  `CREATE TABLE IF NOT EXISTS admin_password_resets (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Every admin login attempt; uncleared failures drive the per-username lockout
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    succeeded BOOLEAN NOT NULL DEFAULT FALSE,
+    reason VARCHAR(40) NOT NULL,
+    cleared BOOLEAN NOT NULL DEFAULT FALSE,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS players (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    jerseyNumber INTEGER NOT NULL,
+    imageUrl TEXT,
+    stars INTEGER DEFAULT 0 CHECK (stars >= 1 AND stars <= 5),
+    joined_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS player_match_stats (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    match_date DATE NOT NULL,
+    opponent VARCHAR(255),
+    minutes_played INTEGER DEFAULT 0 CHECK (minutes_played >= 0 AND minutes_played <= 130),
+    goals INTEGER DEFAULT 0 CHECK (goals >= 0),
+    assists INTEGER DEFAULT 0 CHECK (assists >= 0),
+    clean_sheet BOOLEAN DEFAULT FALSE,
+    mvp BOOLEAN DEFAULT FALSE,
+    rating NUMERIC(3,1) CHECK (rating >= 0 AND rating <= 10),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS matches (
+    id SERIAL PRIMARY KEY,
+    opponent VARCHAR(255) NOT NULL,
+    competition VARCHAR(255),
+    scheduled_at TIMESTAMP NOT NULL,
+    venue VARCHAR(255),
+    platform VARCHAR(100),
+    team_score INTEGER CHECK (team_score >= 0),
+    opponent_score INTEGER CHECK (opponent_score >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+      CHECK (status IN ('scheduled', 'live', 'finished', 'postponed')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS match_lineups (
+    match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    position VARCHAR(50),
+    is_starter BOOLEAN DEFAULT TRUE,
+    PRIMARY KEY (match_id, player_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS managers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(255) NOT NULL,
+    imageUrl TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS trophies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    year INTEGER NOT NULL CHECK (year >= 1900 AND year <= EXTRACT(YEAR FROM NOW()) + 1),
+    imageUrl TEXT,
+    competition VARCHAR(255),
+    final_result VARCHAR(100),
+    description TEXT,
+    match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS trophy_winners (
+    trophy_id INTEGER NOT NULL REFERENCES trophies(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    PRIMARY KEY (trophy_id, player_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS contact_submissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    whatsapp VARCHAR(255) NOT NULL,
+    submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ip_address INET,
+    user_agent TEXT
+  )`,
+  // Append-only record of admin content changes; actor_username survives the admin being deleted
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    actor_username VARCHAR(255),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id INTEGER,
+    before_data JSONB,
+    after_data JSONB,
+    correlation_id VARCHAR(100),
+    ip_address INET,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS sessions (
+    sid VARCHAR(255) PRIMARY KEY,
+    sess JSON NOT NULL,
+    expire TIMESTAMP NOT NULL
+  )`
+];
+
+// Columns and constraints that older installs picked up one by one
+const LEGACY_UPGRADES = [
+  'ALTER TABLE IF EXISTS players DROP COLUMN IF EXISTS imageData',
+  'ALTER TABLE IF EXISTS managers DROP COLUMN IF EXISTS imageData',
+  'ALTER TABLE IF EXISTS trophies DROP COLUMN IF EXISTS imageData',
+  'ALTER TABLE IF EXISTS players ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS managers ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS managers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS competition VARCHAR(255)',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS final_result VARCHAR(100)',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS description TEXT',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL',
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS last_login TIMESTAMP',
+  // Admins created before roles existed had full access, so they become owners
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT \'owner\'',
+  // The same roles as a fresh install, also where the column predates the check
+  'ALTER TABLE IF EXISTS admins DROP CONSTRAINT IF EXISTS admins_role_check',
+  'ALTER TABLE IF EXISTS admins ADD CONSTRAINT admins_role_check CHECK (role IN (\'owner\', \'editor\', \'recruiter\'))',
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS totp_secret TEXT',
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE',
+  'ALTER TABLE IF EXISTS admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT',
+  'ALTER TABLE IF EXISTS contact_submissions ADD COLUMN IF NOT EXISTS ip_address INET',
+  'ALTER TABLE IF EXISTS contact_submissions ADD COLUMN IF NOT EXISTS user_agent TEXT',
+  'ALTER TABLE IF EXISTS players ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP',
+  'ALTER TABLE IF EXISTS managers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP',
+  'ALTER TABLE IF EXISTS trophies ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP',
+  // Jersey numbers only need to be unique among players that are not in the trash
+  'ALTER TABLE IF EXISTS players DROP CONSTRAINT IF EXISTS players_jerseynumber_key',
+  'DROP INDEX IF EXISTS idx_players_jersey_unique'
+];
+
+// SQLite has no SERIAL or INET and its CHECK constraints cannot call NOW(), so the upper bound on a
+// trophy's year is left to request validation. SQLite installs never had the legacy schema.
+const SQLITE_TABLES = TABLES.map(sql => sql
+  .replace(/SERIAL PRIMARY KEY/g, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+  .replace(/\bINET\b/g, 'TEXT')
+  .replace(' AND year <= EXTRACT(YEAR FROM NOW()) + 1', ''));
+
+const DROP_TABLES = [
+  'DROP TABLE IF EXISTS sessions',
+  'DROP TABLE IF EXISTS audit_log',
+  'DROP TABLE IF EXISTS contact_submissions',
+  'DROP TABLE IF EXISTS trophy_winners',
+  'DROP TABLE IF EXISTS trophies',
+  'DROP TABLE IF EXISTS managers',
+  'DROP TABLE IF EXISTS match_lineups',
+  'DROP TABLE IF EXISTS matches',
+  'DROP TABLE IF EXISTS player_match_stats',
+  'DROP TABLE IF EXISTS players',
+  'DROP TABLE IF EXISTS login_attempts',
+  'DROP TABLE IF EXISTS admin_password_resets',
+  'DROP TABLE IF EXISTS admin_recovery_codes',
+  'DROP TABLE IF EXISTS admins'
+];
+
+module.exports = {
+  up: [...TABLES, ...LEGACY_UPGRADES],
+  down: DROP_TABLES,
+
+  sqlite: {
+    up: SQLITE_TABLES,
+    down: DROP_TABLES
+  }
+};
@@ -0,0 +1,61 @@
+// Indexes that used to be created at boot by initializeDatabase() and performance.optimizeDatabase()
+const INDEXES = [
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_players_jersey_active ON players (jerseyNumber) WHERE deleted_at IS NULL',
+  // The trash view and the purge only ever look at deleted rows
+  'CREATE INDEX IF NOT EXISTS idx_players_deleted ON players (deleted_at) WHERE deleted_at IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_managers_deleted ON managers (deleted_at) WHERE deleted_at IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_trophies_deleted ON trophies (deleted_at) WHERE deleted_at IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS idx_players_joined_date ON players (joined_date DESC)',
+  // Player listings sort and filter by star rating
+  'CREATE INDEX IF NOT EXISTS idx_players_stars ON players (stars DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_managers_created_at ON managers (created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_managers_role ON managers (role)',
+  'CREATE INDEX IF NOT EXISTS idx_trophies_created_at ON trophies (created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_player_match_stats_player ON player_match_stats (player_id, match_date DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_matches_status_scheduled ON matches (status, scheduled_at)',
+  'CREATE INDEX IF NOT EXISTS idx_match_lineups_player ON match_lineups (player_id)',
+  'CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, attempted_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip_address, attempted_at DESC)',
+  // Listing and ending an admin's sessions filters on the adminId stored in the session JSON
+  'CREATE INDEX IF NOT EXISTS idx_sessions_admin ON sessions ((sess->>\'adminId\'))',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, created_at DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_trophies_year ON trophies (year DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_trophy_winners_player ON trophy_winners (player_id)',
+  'CREATE INDEX IF NOT EXISTS idx_contact_submissions_date ON contact_submissions (submission_date DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_admins_username ON admins (username)',
+  'CREATE INDEX IF NOT EXISTS idx_contact_email ON contact_submissions (email)',
+  'CREATE INDEX IF NOT EXISTS idx_sessions_expire ON sessions (expire)'
+];
+
+module.exports = {
+  up: INDEXES,
+
+  down: [
+    'DROP INDEX IF EXISTS idx_players_jersey_active',
+    'DROP INDEX IF EXISTS idx_players_deleted',
+    'DROP INDEX IF EXISTS idx_managers_deleted',
+    'DROP INDEX IF EXISTS idx_trophies_deleted',
+    'DROP INDEX IF EXISTS idx_players_joined_date',
+    'DROP INDEX IF EXISTS idx_players_stars',
+    'DROP INDEX IF EXISTS idx_managers_created_at',
+    'DROP INDEX IF EXISTS idx_managers_role',
+    'DROP INDEX IF EXISTS idx_trophies_created_at',
+    'DROP INDEX IF EXISTS idx_player_match_stats_player',
+    'DROP INDEX IF EXISTS idx_matches_status_scheduled',
+    'DROP INDEX IF EXISTS idx_match_lineups_player',
+    'DROP INDEX IF EXISTS idx_login_attempts_username',
+    'DROP INDEX IF EXISTS idx_login_attempts_ip',
+    'DROP INDEX IF EXISTS idx_sessions_admin',
+    'DROP INDEX IF EXISTS idx_audit_log_created',
+    'DROP INDEX IF EXISTS idx_audit_log_entity',
+    'DROP INDEX IF EXISTS idx_audit_log_actor',
+    'DROP INDEX IF EXISTS idx_trophies_year',
+    'DROP INDEX IF EXISTS idx_trophy_winners_player',
+    'DROP INDEX IF EXISTS idx_contact_submissions_date',
+    'DROP INDEX IF EXISTS idx_admins_username',
+    'DROP INDEX IF EXISTS idx_contact_email',
+    'DROP INDEX IF EXISTS idx_sessions_expire'
+  ]
+};
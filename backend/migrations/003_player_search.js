@@ -0,0 +1,34 @@
+// Full-text player search: players.search_vector is kept in sync by a trigger on every insert/update
+module.exports = {
+  up: [
+    'ALTER TABLE players ADD COLUMN IF NOT EXISTS search_vector tsvector',
+    `CREATE OR REPLACE FUNCTION players_search_vector_refresh() RETURNS trigger AS $$
+      BEGIN
+        NEW.search_vector := to_tsvector('english',
+          COALESCE(NEW.name, '') || ' ' || COALESCE(CAST(NEW.jerseyNumber AS text), ''));
+        RETURN NEW;
+      END
+    $$ LANGUAGE plpgsql`,
+    'DROP TRIGGER IF EXISTS trg_players_search_vector ON players',
+    `CREATE TRIGGER trg_players_search_vector
+      BEFORE INSERT OR UPDATE OF name, jerseyNumber ON players
+      FOR EACH ROW EXECUTE FUNCTION players_search_vector_refresh()`,
+    `UPDATE players SET search_vector = to_tsvector('english',
+      COALESCE(name, '') || ' ' || COALESCE(CAST(jerseyNumber AS text), ''))
+      WHERE search_vector IS NULL`,
+    'CREATE INDEX IF NOT EXISTS idx_players_search ON players USING gin(search_vector)'
+  ],
+
+  down: [
+    'DROP INDEX IF EXISTS idx_players_search',
+    'DROP TRIGGER IF EXISTS trg_players_search_vector ON players',
+    'DROP FUNCTION IF EXISTS players_search_vector_refresh()',
+    'ALTER TABLE players DROP COLUMN IF EXISTS search_vector'
+  ],
+
+  // SQLite has no text search types; PlayerRepository.search matches substrings there instead
+  sqlite: {
+    up: [],
+    down: []
+  }
+};
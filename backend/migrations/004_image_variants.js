@@ -0,0 +1,15 @@
+// Responsive image metadata next to imageUrl: sizes, formats, placeholder and dominant colour of each
+// upload, see backend/imagePipeline.js
+const IMAGE_TABLES = ['players', 'managers', 'trophies'];
+
+module.exports = {
+  up: IMAGE_TABLES.map(table => `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS image_variants JSONB`),
+
+  down: IMAGE_TABLES.map(table => `ALTER TABLE ${table} DROP COLUMN IF EXISTS image_variants`),
+
+  // SQLite has no IF [NOT] EXISTS on columns; the migration runs once anyway
+  sqlite: {
+    up: IMAGE_TABLES.map(table => `ALTER TABLE ${table} ADD COLUMN image_variants JSONB`),
+    down: IMAGE_TABLES.map(table => `ALTER TABLE ${table} DROP COLUMN image_variants`)
+  }
+};
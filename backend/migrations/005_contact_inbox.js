@@ -0,0 +1,59 @@
+// Contact submissions become a recruiting inbox: a triage status, the admin handling the submission,
+// internal notes and free-form tags, see ContactRepository
+const CONTACT_STATUSES = ['new', 'contacted', 'trialist', 'signed', 'rejected'];
+
+const COLUMNS = [
+  `status VARCHAR(20) NOT NULL DEFAULT 'new'
+    CHECK (status IN (${CONTACT_STATUSES.map(status => `'${status}'`).join(', ')}))`,
+  'assignee_id INTEGER REFERENCES admins(id) ON DELETE SET NULL',
+  'notes TEXT',
+  'updated_at TIMESTAMP'
+];
+
+const TAGS_TABLE = `CREATE TABLE IF NOT EXISTS contact_submission_tags (
+    submission_id INTEGER NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+    tag VARCHAR(30) NOT NULL,
+    PRIMARY KEY (submission_id, tag)
+  )`;
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_contact_submissions_status ON contact_submissions (status, submission_date DESC)',
+  'CREATE INDEX IF NOT EXISTS idx_contact_submissions_assignee ON contact_submissions (assignee_id)',
+  'CREATE INDEX IF NOT EXISTS idx_contact_submission_tags_tag ON contact_submission_tags (tag)'
+];
+
+const DROP_INDEXES = [
+  'DROP INDEX IF EXISTS idx_contact_submission_tags_tag',
+  'DROP INDEX IF EXISTS idx_contact_submissions_assignee',
+  'DROP INDEX IF EXISTS idx_contact_submissions_status'
+];
+
+const COLUMN_NAMES = ['updated_at', 'notes', 'assignee_id', 'status'];
+
+module.exports = {
+  up: [
+    ...COLUMNS.map(column => `ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS ${column}`),
+    TAGS_TABLE,
+    ...INDEXES
+  ],
+
+  down: [
+    ...DROP_INDEXES,
+    'DROP TABLE IF EXISTS contact_submission_tags',
+    ...COLUMN_NAMES.map(column => `ALTER TABLE contact_submissions DROP COLUMN IF EXISTS ${column}`)
+  ],
+
+  // SQLite has no IF [NOT] EXISTS on columns; the migration runs once anyway
+  sqlite: {
+    up: [
+      ...COLUMNS.map(column => `ALTER TABLE contact_submissions ADD COLUMN ${column}`),
+      TAGS_TABLE,
+      ...INDEXES
+    ],
+    down: [
+      ...DROP_INDEXES,
+      'DROP TABLE IF EXISTS contact_submission_tags',
+      ...COLUMN_NAMES.map(column => `ALTER TABLE contact_submissions DROP COLUMN ${column}`)
+    ]
+  }
+};
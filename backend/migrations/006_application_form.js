@@ -0,0 +1,58 @@
+// The contact form becomes a tryout application: admins define its fields in application_fields and
+// each submission keeps the answers it was sent with, see backend/applicationForm.js
+const FIELD_TYPES = ['text', 'textarea', 'select', 'url', 'number'];
+
+const FIELDS_TABLE = `CREATE TABLE IF NOT EXISTS application_fields (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(40) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN (${FIELD_TYPES.map(type => `'${type}'`).join(', ')})),
+    required BOOLEAN NOT NULL DEFAULT FALSE,
+    options JSONB,
+    max_length INTEGER CHECK (max_length > 0),
+    min_value INTEGER,
+    max_value INTEGER,
+    help_text VARCHAR(200),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`;
+
+// The fields every tryout used to ask for over WhatsApp; admins can change or remove them
+const DEFAULT_FIELDS = `INSERT INTO application_fields
+    (name, label, type, required, options, max_length, help_text, position) VALUES
+    ('game_id', 'In-game ID / username', 'text', TRUE, NULL, 50, NULL, 1),
+    ('platform', 'Platform', 'select', TRUE,
+      '["PlayStation", "Xbox", "PC", "Nintendo Switch", "Mobile"]', NULL, NULL, 2),
+    ('position', 'Preferred position', 'select', TRUE,
+      '["Goalkeeper", "Defender", "Midfielder", "Forward"]', NULL, NULL, 3),
+    ('rank', 'Rank / division', 'text', TRUE, NULL, 50, 'e.g. Division 3 or Elite', 4),
+    ('availability', 'Availability', 'textarea', TRUE, NULL, 500,
+      'Days and times you can play, with your time zone', 5),
+    ('highlight_url', 'Highlight clip', 'url', FALSE, NULL, 300, 'Link to a YouTube, Twitch or similar clip', 6)`;
+
+module.exports = {
+  up: [
+    FIELDS_TABLE,
+    DEFAULT_FIELDS,
+    'ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS application JSONB'
+  ],
+
+  down: [
+    'ALTER TABLE contact_submissions DROP COLUMN IF EXISTS application',
+    'DROP TABLE IF EXISTS application_fields'
+  ],
+
+  // SQLite has no SERIAL and no IF [NOT] EXISTS on columns; the migration runs once anyway
+  sqlite: {
+    up: [
+      FIELDS_TABLE.replace('SERIAL PRIMARY KEY', 'INTEGER PRIMARY KEY AUTOINCREMENT'),
+      DEFAULT_FIELDS,
+      'ALTER TABLE contact_submissions ADD COLUMN application JSONB'
+    ],
+    down: [
+      'ALTER TABLE contact_submissions DROP COLUMN application',
+      'DROP TABLE IF EXISTS application_fields'
+    ]
+  }
+};
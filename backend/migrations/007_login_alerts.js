@@ -0,0 +1,32 @@
+// Login anomaly alerts that were raised. The unique key allows one alert per pattern, subject and alert
+// window, so concurrent failed logins cannot raise the same alert twice, see backend/loginProtection.js.
+// Old login attempts and alerts are pruned by time, hence the index on attempted_at.
+const ALERTS_TABLE = `CREATE TABLE IF NOT EXISTS login_alerts (
+    id SERIAL PRIMARY KEY,
+    pattern VARCHAR(40) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    window_start TIMESTAMP NOT NULL,
+    alerted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (pattern, subject, window_start)
+  )`;
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_login_attempts_attempted ON login_attempts (attempted_at)'
+];
+
+const DOWN = [
+  'DROP INDEX IF EXISTS idx_login_attempts_attempted',
+  'DROP TABLE IF EXISTS login_alerts'
+];
+
+module.exports = {
+  up: [ALERTS_TABLE, ...INDEXES],
+
+  down: DOWN,
+
+  // SQLite has no SERIAL
+  sqlite: {
+    up: [ALERTS_TABLE.replace('SERIAL PRIMARY KEY', 'INTEGER PRIMARY KEY AUTOINCREMENT'), ...INDEXES],
+    down: DOWN
+  }
+};
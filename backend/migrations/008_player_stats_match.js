@@ -0,0 +1,23 @@
+// A stats entry can name the match it was recorded in. Deleting the match keeps the entry, which still
+// has its own date and opponent.
+const MATCH_COLUMN = 'match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL';
+
+const INDEX = 'CREATE INDEX IF NOT EXISTS idx_player_match_stats_match ON player_match_stats (match_id)';
+
+module.exports = {
+  up: [`ALTER TABLE player_match_stats ADD COLUMN IF NOT EXISTS ${MATCH_COLUMN}`, INDEX],
+
+  down: [
+    'DROP INDEX IF EXISTS idx_player_match_stats_match',
+    'ALTER TABLE player_match_stats DROP COLUMN IF EXISTS match_id'
+  ],
+
+  // SQLite has no IF [NOT] EXISTS on columns; the migration runs once anyway
+  sqlite: {
+    up: [`ALTER TABLE player_match_stats ADD COLUMN ${MATCH_COLUMN}`, INDEX],
+    down: [
+      'DROP INDEX IF EXISTS idx_player_match_stats_match',
+      'ALTER TABLE player_match_stats DROP COLUMN match_id'
+    ]
+  }
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Versioned schema migrations.
+ * Each file in backend/migrations is named <version>_<name>.js and exports `up` and `down`, either as
+ * a list of SQL statements or as an async function receiving a client. Applied versions are recorded
+ * in schema_migrations; every migration runs in its own transaction.
+ *
+ * Statements are written for PostgreSQL. A migration that SQLite cannot run as written also exports
+ * `sqlite: { up, down }`, which replaces them when the pool is a SqlitePool (DB_DRIVER=sqlite).
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Key of the PostgreSQL advisory lock held while migrating, so concurrent boots apply each migration once
+const MIGRATION_LOCK_KEY = 83410271;
+
+// SQL dialect spoken by `pool`: 'postgres' for pg's Pool, 'sqlite' for SqlitePool
+function dialectOf(pool) {
+  return pool.dialect || 'postgres';
+}
+
+// Migrations found in `dir` with their steps for `dialect`, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR, dialect = 'postgres') {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(dir, file));
+      const { up, down } = dialect === 'sqlite' && definition.sqlite ? definition.sqlite : definition;
+      if (!up || !down) {
+        throw new Error(`Migration ${file} must export both up and down`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function runSteps(client, steps) {
+  if (typeof steps === 'function') {
+    await steps(client);
+    return;
+  }
+  for (const sql of steps) {
+    await client.query(sql);
+  }
+}
+
+// Run `task` with a dedicated client while holding the migration lock. A SqlitePool has a single
+// connection, so holding its client is lock enough.
+async function withMigrationLock(pool, task) {
+  const client = await pool.connect();
+  const advisoryLock = dialectOf(pool) === 'postgres';
+  try {
+    if (advisoryLock) {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    }
+    try {
+      await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`);
+      return await task(client);
+    } finally {
+      if (advisoryLock) {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// The shipped migrations, in the dialect of `pool`
+function migrationsFor(pool) {
+  return loadMigrations(MIGRATIONS_DIR, dialectOf(pool));
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => ({ version: parseInt(row.version, 10), name: row.name, appliedAt: row.applied_at }));
+}
+
+// Apply or revert one migration and record it, all in a single transaction
+async function runMigration(client, migration, direction) {
+  const label = `${migration.version}_${migration.name}`;
+  try {
+    await client.query('BEGIN');
+    await runSteps(client, direction === 'up' ? migration.up : migration.down);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+    logger.info(direction === 'up' ? 'Migration applied' : 'Migration reverted', { migration: label });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    const failure = new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+    failure.cause = error;
+    throw failure;
+  }
+}
+
+/**
+ * Every known migration with the time it was applied (null when pending). Versions recorded in
+ * schema_migrations without a matching file are included with `missing: true`.
+ */
+function status(pool, migrations = migrationsFor(pool)) {
+  return withMigrationLock(pool, async client => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+    const known = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null
+    }));
+    const missing = [...applied.values()]
+      .filter(row => !migrations.some(migration => migration.version === row.version))
+      .map(row => ({ ...row, missing: true }));
+
+    return [...known, ...missing].sort((a, b) => a.version - b.version);
+  });
+}
+
+/**
+ * Apply pending migrations in order, up to and including version `to` when given.
+ * Stops at the first failure, leaving earlier migrations applied. Returns the applied migrations.
+ */
+function migrateUp(pool, { to } = {}, migrations = migrationsFor(pool)) {
+  return withMigrationLock(pool, async client => {
+    const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (to === undefined || migration.version <= to));
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Revert the latest `steps` applied migrations (default 1), or every migration above version `to`.
+ * Returns the reverted migrations, newest first.
+ */
+function migrateDown(pool, { steps = 1, to } = {}, migrations = migrationsFor(pool)) {
+  return withMigrationLock(pool, async client => {
+    const applied = (await appliedMigrations(client)).reverse();
+    const targets = to !== undefined ? applied.filter(row => row.version > to) : applied.slice(0, steps);
+
+    const reverted = [];
+    for (const row of targets) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${row.version}_${row.name}: its file is missing`);
+      }
+      await runMigration(client, migration, 'down');
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+    return reverted;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  status,
+  migrateUp,
+  migrateDown
+};
@@ -174,6 +174,8 @@ class AdvancedMonitoring {
                 return data.duration > this.thresholds.slow_query_threshold * 2 ? 'critical' : 'warning';
             case 'security_event':
                 return data.type === 'blocked_request' ? 'warning' : 'critical';
+            case 'account_locked':
+                return 'warning';
             case 'high_memory_usage':
                 return data.percentage > 90 ? 'critical' : 'warning';
             case 'high_cpu_usage':
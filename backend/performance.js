@@ -1,6 +1,40 @@
 const logger = require('./logger');
 const config = require('./config');
 
+// Sortable player columns exposed through the public API
+const PLAYER_SORT_COLUMNS = new Map([
+  ['name', 'name'],
+  ['jerseyNumber', 'jerseyNumber'],
+  ['stars', 'stars'],
+  ['joined_date', 'joined_date']
+]);
+
+/**
+ * Build the WHERE clause for player listing filters; players in the trash are always left out.
+ * Placeholders are numbered from `firstParam` so they can follow LIMIT/OFFSET.
+ */
+function buildPlayerFilters(options, firstParam) {
+  const conditions = [];
+  const params = [];
+
+  if (options.minStars !== undefined) {
+    params.push(options.minStars);
+    conditions.push(`stars >= $${firstParam + params.length - 1}`);
+  }
+
+  if (options.maxStars !== undefined) {
+    params.push(options.maxStars);
+    conditions.push(`stars <= $${firstParam + params.length - 1}`);
+  }
+
+  conditions.push('deleted_at IS NULL');
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+}
+
 /**
  * Performance Monitoring and Optimization Utilities
  * Comprehensive performance tracking, database optimization, and caching strategies
@@ -73,10 +107,10 @@ class PerformanceManager {
   }
 
   /**
-   * Execute database query (to be implemented based on your DB driver)
+   * Execute a query on the shared pool. SELECTs resolve to their rows, other statements to
+   * { id, changes } where id is the one returned by an INSERT ... RETURNING id.
    */
   async executeDbQuery(query, params) {
-    // This should be replaced with your actual database execution logic
     const db = require('./db');
     
     return new Promise((resolve, reject) => {
@@ -86,14 +120,21 @@ class PerformanceManager {
           else resolve(rows);
         });
       } else {
-        db.run(query, params, function(err) {
+        db.run(query, params, (err, result) => {
           if (err) reject(err);
-          else resolve({ id: this.lastID, changes: this.changes });
+          else resolve({ id: result ? result.lastID : null, changes: result ? result.changes : 0 });
         });
       }
     });
   }
 
+  /**
+   * Drop cached query results, e.g. after the underlying rows changed
+   */
+  clearQueryCache() {
+    this.queryCache.clear();
+  }
+
   /**
    * Generate cache key for query
    */
@@ -127,49 +168,84 @@ class PerformanceManager {
    */
   getOptimizedQueries() {
     return {
-      // Paginated players query with proper indexing
-      getPlayers: (limit = 20, offset = 0) => ({
-        query: `
-          SELECT 
-            id, 
-            name, 
-            jerseyNumber, 
-            imageUrl, 
-            stars, 
-            joined_date,
-            created_at
-          FROM players 
-          ORDER BY joined_date DESC 
-          LIMIT $1 OFFSET $2
-        `,
-        params: [limit, offset],
-        cache: true,
-        cacheTtl: 180000 // 3 minutes
-      }),
+      // Paginated players query with proper indexing, including aggregated match stats and trophy count.
+      // `options` may carry a whitelisted sort column, sort order and star-rating filters.
+      getPlayers: (limit = 20, offset = 0, options = {}) => {
+        const filters = buildPlayerFilters(options, 3);
+        const sortColumn = PLAYER_SORT_COLUMNS.get(options.sort) || 'joined_date';
+        const sortOrder = options.order === 'asc' ? 'ASC' : 'DESC';
+
+        return {
+          query: `
+            SELECT 
+              id, 
+              name, 
+              jerseyNumber AS "jerseyNumber", 
+              imageUrl AS "imageUrl",
+              image_variants,
+              stars, 
+              joined_date,
+              updated_at,
+              COALESCE(stats.appearances, 0) AS appearances,
+              COALESCE(stats.goals, 0) AS goals,
+              COALESCE(stats.assists, 0) AS assists,
+              COALESCE(stats.clean_sheets, 0) AS clean_sheets,
+              COALESCE(stats.mvp_awards, 0) AS mvp_awards,
+              stats.average_rating,
+              (SELECT COUNT(tw.trophy_id)::int FROM trophy_winners tw
+                JOIN trophies t ON t.id = tw.trophy_id AND t.deleted_at IS NULL
+                WHERE tw.player_id = players.id) AS trophy_count
+            FROM players 
+            LEFT JOIN (
+              SELECT 
+                player_id,
+                COUNT(id)::int AS appearances,
+                SUM(goals)::int AS goals,
+                SUM(assists)::int AS assists,
+                COUNT(id) FILTER (WHERE clean_sheet)::int AS clean_sheets,
+                COUNT(id) FILTER (WHERE mvp)::int AS mvp_awards,
+                ROUND(AVG(rating), 2)::float AS average_rating
+              FROM player_match_stats 
+              GROUP BY player_id
+            ) stats ON stats.player_id = players.id
+            ${filters.where}
+            ORDER BY ${sortColumn} ${sortOrder}, id ${sortOrder}
+            LIMIT $1 OFFSET $2
+          `,
+          params: [limit, offset, ...filters.params],
+          cache: true,
+          cacheTtl: 180000 // 3 minutes
+        };
+      },
 
-      // Players count for pagination
-      getPlayersCount: () => ({
-        query: 'SELECT COUNT(*) as total FROM players',
-        params: [],
-        cache: true,
-        cacheTtl: 300000 // 5 minutes
-      }),
+      // Players count for pagination (same filters as getPlayers)
+      getPlayersCount: (options = {}) => {
+        const filters = buildPlayerFilters(options, 1);
+
+        return {
+          query: `SELECT COUNT(*) as total FROM players ${filters.where}`.trim(),
+          params: filters.params,
+          cache: true,
+          cacheTtl: 300000 // 5 minutes
+        };
+      },
 
-      // Search players with full-text search
-      searchPlayers: (searchTerm) => ({
+      // Search players with full-text search (search_vector is kept fresh by a trigger, see migrations/003_player_search.js)
+      searchPlayers: (searchTerm, limit = 50) => ({
         query: `
           SELECT 
             id, 
             name, 
-            jerseyNumber, 
-            imageUrl, 
+            jerseyNumber AS "jerseyNumber", 
+            imageUrl AS "imageUrl",
+            image_variants,
             stars, 
             joined_date,
-            ts_rank(search_vector, plainto_tsquery($1)) as rank
+            ts_rank(search_vector, plainto_tsquery('english', $1)) as rank
           FROM players 
-          WHERE search_vector @@ plainto_tsquery($1)
+          WHERE search_vector @@ plainto_tsquery('english', $1) AND deleted_at IS NULL
           ORDER BY rank DESC, joined_date DESC
-          LIMIT 50
+          LIMIT ${parseInt(limit, 10) || 50}
         `,
         params: [searchTerm],
         cache: true,
@@ -183,10 +259,12 @@ class PerformanceManager {
             id, 
             name, 
             role, 
-            imageUrl, 
-            joined_date
+            imageUrl AS "imageUrl",
+            image_variants,
+            created_at
           FROM managers 
-          ORDER BY joined_date DESC 
+          WHERE deleted_at IS NULL
+          ORDER BY created_at DESC 
           LIMIT $1
         `,
         params: [limit],
@@ -201,9 +279,11 @@ class PerformanceManager {
             id, 
             name, 
             year, 
-            imageUrl,
+            imageUrl AS "imageUrl",
+            image_variants,
             created_at
           FROM trophies 
+          WHERE deleted_at IS NULL
           ORDER BY year DESC, created_at DESC
         `,
         params: [],
@@ -232,52 +312,12 @@ class PerformanceManager {
   }
 
   /**
-   * Database index recommendations
+   * Refresh planner statistics. Indexes are created by the schema migrations (backend/migrations).
    */
   async optimizeDatabase() {
     const optimizations = [];
 
     try {
-      // Check if recommended indexes exist
-      const indexQueries = [
-        // Players indexes
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_players_jersey_unique ON players (jerseyNumber)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_players_joined_date ON players (joined_date DESC)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_players_stars ON players (stars DESC)',
-        
-        // Full-text search for players
-        'ALTER TABLE players ADD COLUMN IF NOT EXISTS search_vector tsvector',
-        `UPDATE players SET search_vector = to_tsvector('english', 
-          COALESCE(name, '') || ' ' || COALESCE(CAST(jerseyNumber AS text), ''))`,
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_players_search ON players USING gin(search_vector)',
-        
-        // Managers indexes
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_managers_joined_date ON managers (joined_date DESC)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_managers_role ON managers (role)',
-        
-        // Trophies indexes
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_trophies_year ON trophies (year DESC)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_trophies_created_at ON trophies (created_at DESC)',
-        
-        // Contact submissions indexes
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_contact_submissions_date ON contact_submissions (submission_date DESC)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_contact_submissions_email ON contact_submissions (email)',
-        
-        // Sessions table optimization
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_sessions_expire ON sessions (expire)',
-        'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_sessions_sid ON sessions (sid)'
-      ];
-
-      for (const query of indexQueries) {
-        try {
-          await this.executeDbQuery(query, []);
-          optimizations.push(`✓ ${query.split(' ')[2]} ${query.split(' ')[7]}`);
-        } catch (error) {
-          logger.warn('Index creation warning', { query, error: error.message });
-        }
-      }
-
-      // Set up automatic statistics updates
       await this.executeDbQuery('ANALYZE players, managers, trophies, contact_submissions', []);
       optimizations.push('✓ Database statistics updated');
 
@@ -1,24 +1,75 @@
 const express = require('express');
 const path = require('path');
-const sharp = require('sharp');
-const db = require('./db');
-const { isAuthenticated } = require('./auth');
-const { configureMulter, uploadImageToCloudinary, deleteImageFromCloudinary } = require('./utils');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { players, NotFoundError, ConflictError } = require('./repositories');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { moveToTrash } = require('./trash');
+const {
+  configureMulter,
+  uploadImage,
+  recropImage,
+  imageFraming,
+  deleteImage,
+  ImageFramingError,
+  MissingOriginalError,
+  buildPaginationLinks
+} = require('./utils');
 
 const router = express.Router();
 
+// Content changes are limited to owners and editors
+const requireEditor = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_SEARCH_RESULTS = 50;
+
 // Configure multer for memory storage
 const upload = configureMulter();
 
-// GET /api/players - Fetch all players with better error handling
-router.get('/', (req, res) => {
-  db.all("SELECT id, name, jerseyNumber, imageUrl AS \"imageUrl\", stars, joined_date FROM players ORDER BY joined_date DESC LIMIT 20", [], (err, rows) => {
-    if (err) {
-      console.error('Database error fetching players:', err);
-      return res.status(500).json({ error: 'Failed to fetch players. Please try again later.' });
-    }
-    res.json(rows || []);
-  });
+// The image file plus its optional crop and focal point; multer has to run before they can be validated
+const uploadImageFile = [upload.single('image'), validationRules.imageFraming, handleValidationErrors];
+
+// GET /api/players - Paginated, sortable and filterable player listing
+// Query: page, limit (default 20, max 100), sort (name|jerseyNumber|stars|joined_date), order (asc|desc),
+// minStars, maxStars. The body stays a plain array; totals travel in X-Total-Count and Link headers.
+router.get('/', validationRules.listPlayers, handleValidationErrors, async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+  const options = {
+    sort: req.query.sort,
+    order: req.query.order,
+    minStars: req.query.minStars !== undefined ? parseInt(req.query.minStars, 10) : undefined,
+    maxStars: req.query.maxStars !== undefined ? parseInt(req.query.maxStars, 10) : undefined
+  };
+
+  try {
+    const { rows, total } = await players.list({ limit, offset: (page - 1) * limit, ...options });
+
+    res.set({
+      'X-Total-Count': String(total),
+      'X-Page': String(page),
+      'X-Per-Page': String(limit),
+      'Link': buildPaginationLinks(req, { page, limit, total })
+    });
+    res.json(rows);
+  } catch (err) {
+    console.error('Database error fetching players:', err);
+    res.status(500).json({ error: 'Failed to fetch players. Please try again later.' });
+  }
+});
+
+// GET /api/players/search?q= - Ranked full-text player search
+router.get('/search', validationRules.searchPlayers, handleValidationErrors, async (req, res) => {
+  const term = req.query.q;
+  const limit = parseInt(req.query.limit, 10) || MAX_SEARCH_RESULTS;
+
+  try {
+    return res.json(await players.search(term, limit));
+  } catch (err) {
+    console.error('Database error searching players:', err);
+    return res.status(500).json({ error: 'Failed to search players. Please try again later.' });
+  }
 });
 
 // Input validation middleware for player data
@@ -59,9 +110,10 @@ function validatePlayerData(req, res, next) {
 }
 
 // POST /api/players - Add new player
-router.post('/', isAuthenticated, validatePlayerData, upload.single('image'), async (req, res) => {
+router.post('/', requireEditor, validatePlayerData, uploadImageFile, async (req, res) => {
   const { name, jerseyNumber, stars } = req.body;
   let imageUrl = null;
+  let imageVariants = null;
 
   if (req.file) {
     // Validate file type
@@ -75,62 +127,54 @@ router.post('/', isAuthenticated, validatePlayerData, upload.single('image'), as
     }
     
     try {
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(300, 400, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
-
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'players');
+      ({ imageUrl, imageVariants } = await uploadImage(
+        req.file.buffer, req.file.originalname, 'players', imageFraming(req.body)
+      ));
     } catch (error) {
+      if (error instanceof ImageFramingError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error processing or uploading player image:', error);
       return res.status(500).json({ error: 'Error processing or uploading image' });
     }
   }
 
-  const sql = `INSERT INTO players (name, jerseyNumber, imageUrl, stars) VALUES ($1, $2, $3, $4)`;
-  const params = [name, jerseyNumber, imageUrl, stars];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
+  try {
+    const id = await players.create({ name, jerseyNumber, imageUrl, imageVariants, stars });
+    await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'player', entityId: id });
+    return res.status(201).json({ id, message: 'Player added successfully' });
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      return res.status(409).json({ error: err.message, code: err.code });
     }
-    res.status(201).json({ id: this.lastID, message: 'Player added successfully' });
-  });
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
 });
 
 // PUT /api/players/:id/image - Update player image
-router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, res) => {
+router.put('/:id/image', requireEditor, uploadImageFile, async (req, res) => {
   const { id } = req.params;
   let imageUrl = null;
+  let imageVariants = null;
+
+  let oldPlayer = null;
 
   if (req.file) {
     try {
-      // Get old image URL to delete from Cloudinary
-      const oldPlayer = await new Promise((resolve, reject) => {
-        db.get("SELECT imageUrl FROM players WHERE id = $1", [id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
-
-      if (oldPlayer && oldPlayer.imageUrl) {
-        await deleteImageFromCloudinary(oldPlayer.imageUrl, 'players');
-      }
+      // The old image is deleted once the new one is in place
+      oldPlayer = await players.getActive(id);
 
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(300, 400, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
-
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'players');
+      ({ imageUrl, imageVariants } = await uploadImage(
+        req.file.buffer, req.file.originalname, 'players', imageFraming(req.body)
+      ));
     } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+      if (error instanceof ImageFramingError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error processing or uploading player image:', error);
       return res.status(500).json({ error: 'Error processing or uploading image' });
     }
@@ -138,51 +182,111 @@ router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, re
     return res.status(400).json({ error: 'No image file provided' });
   }
 
-  const sql = 'UPDATE players SET imageUrl = $1 WHERE id = $2';
-  const params = [imageUrl, id];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
+  try {
+    await players.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldPlayer.imageUrl, oldPlayer.image_variants);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'player', entityId: id, before: oldPlayer });
+    return res.json({ message: 'Player image updated successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Player not found' });
     }
-    if (this.changes === 0) {
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/players/:id/image - Re-crop the current image from the original kept at upload
+// JSON body: crop and/or focalPoint; a field left out keeps its current value, null removes it.
+router.patch('/:id/image', requireEditor, validationRules.recropImage, handleValidationErrors, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const oldPlayer = await players.getActive(id);
+    const { imageUrl, imageVariants } = await recropImage(
+      oldPlayer.image_variants, 'players', imageFraming(req.body, oldPlayer.image_variants)
+    );
+
+    await players.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldPlayer.imageUrl, oldPlayer.image_variants, [imageVariants.original.url]);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'player', entityId: id, before: oldPlayer });
+    return res.json({ message: 'Player image cropped successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
       return res.status(404).json({ error: 'Player not found' });
     }
-    res.json({ message: 'Player image updated successfully', imageUrl: imageUrl });
-  });
+    if (err instanceof MissingOriginalError) {
+      return res.status(409).json({ error: err.message, code: 'NO_ORIGINAL_IMAGE' });
+    }
+    if (err instanceof ImageFramingError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error cropping player image:', err);
+    return res.status(500).json({ error: 'Error cropping image' });
+  }
 });
 
-// DELETE /api/players/:id - Delete any player
-router.delete('/:id', isAuthenticated, async (req, res) => {
+// Shared handler for PUT/PATCH /api/players/:id - Update player details
+// Only the fields present in the body are changed, so both verbs accept partial updates.
+async function updatePlayer(req, res) {
   const { id } = req.params;
+  const updates = {};
+
+  if (req.body.name !== undefined) {
+    updates.name = req.body.name.replace(/<[^>]*>/g, '').trim();
+  }
+  if (req.body.jerseyNumber !== undefined) {
+    updates.jerseyNumber = parseInt(req.body.jerseyNumber, 10);
+  }
+  if (req.body.stars !== undefined) {
+    updates.stars = parseInt(req.body.stars, 10);
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'At least one of name, jersey number or stars must be provided' });
+  }
 
   try {
-      // Get image URL to delete from Cloudinary
-    const player = await new Promise((resolve, reject) => {
-      db.get("SELECT imageUrl FROM players WHERE id = $1", [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    // Players in the trash have to be restored before they can be edited
+    const existing = await players.getActive(id);
+    await players.update(id, updates);
 
-    if (player && player.imageUrl) {
-      await deleteImageFromCloudinary(player.imageUrl, 'players');
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'player', entityId: id, before: existing });
+    return res.json({ message: 'Player updated successfully', player: { id: parseInt(id, 10), ...updates } });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Player not found' });
     }
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error updating player:', error);
+    return res.status(500).json({ error: 'Error updating player' });
+  }
+}
 
-    db.run("DELETE FROM players WHERE id = $1", [id], function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return console.error(err.message);
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Player not found' });
-      }
-      res.json({ message: 'Player deleted successfully' });
-    });
+// PUT /api/players/:id - Update player details
+router.put('/:id', requireEditor, validationRules.updatePlayer, handleValidationErrors, updatePlayer);
+
+// PATCH /api/players/:id - Partially update player details
+router.patch('/:id', requireEditor, validationRules.updatePlayer, handleValidationErrors, updatePlayer);
+
+// DELETE /api/players/:id - Move a player to the trash; the image is kept until the trash is purged
+router.delete('/:id', requireEditor, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const player = await players.getActive(id);
+    await moveToTrash('player', id);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'player', entityId: id, before: player });
+    return res.json({ message: 'Player moved to trash' });
   } catch (error) {
-    console.error('Error deleting player or image:', error);
-    res.status(500).json({ error: 'Error deleting player or image' });
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    console.error('Error deleting player:', error);
+    return res.status(500).json({ error: 'Error deleting player' });
   }
 });
 
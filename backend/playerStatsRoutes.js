@@ -0,0 +1,158 @@
+const express = require('express');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const performance = require('./performance');
+const { players, playerStats, NotFoundError } = require('./repositories');
+
+// Mounted at /api/players/:id/stats, so :id comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Content changes are limited to owners and editors
+const requireEditor = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
+// Request body fields and the player_match_stats columns they map to
+const STAT_FIELDS = new Map([
+  ['matchId', 'match_id'],
+  ['matchDate', 'match_date'],
+  ['opponent', 'opponent'],
+  ['minutesPlayed', 'minutes_played'],
+  ['goals', 'goals'],
+  ['assists', 'assists'],
+  ['cleanSheet', 'clean_sheet'],
+  ['mvp', 'mvp'],
+  ['rating', 'rating']
+]);
+
+// Normalise request values to column values; booleans may arrive as strings from forms
+function toColumnValue(field, value) {
+  if (field === 'matchId') {
+    return value ? parseInt(value, 10) : null;
+  }
+  if (field === 'cleanSheet' || field === 'mvp') {
+    return value === true || value === 'true';
+  }
+  if (field === 'rating') {
+    return value === null || value === '' ? null : parseFloat(value);
+  }
+  if (field === 'minutesPlayed' || field === 'goals' || field === 'assists') {
+    return parseInt(value, 10);
+  }
+  if (field === 'opponent') {
+    return value.replace(/<[^>]*>/g, '').trim() || null;
+  }
+  return value;
+}
+
+// Column values of the stats fields in the request body
+function statChanges(body) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([field, value]) => STAT_FIELDS.has(field) && value !== undefined)
+    .map(([field, value]) => [STAT_FIELDS.get(field), toColumnValue(field, value)]));
+}
+
+/**
+ * Aggregate per-match rows into career totals for a player
+ */
+function aggregatePlayerStats(history) {
+  const rated = history.filter(match => match.rating !== null && match.rating !== undefined);
+  const ratingSum = rated.reduce((sum, match) => sum + parseFloat(match.rating), 0);
+
+  return {
+    appearances: history.length,
+    goals: history.reduce((sum, match) => sum + (match.goals || 0), 0),
+    assists: history.reduce((sum, match) => sum + (match.assists || 0), 0),
+    cleanSheets: history.filter(match => match.clean_sheet).length,
+    mvpAwards: history.filter(match => match.mvp).length,
+    averageRating: rated.length > 0 ? Math.round((ratingSum / rated.length) * 100) / 100 : null
+  };
+}
+
+// GET /api/players/:id/stats - Career totals plus per-match history (newest first)
+router.get('/', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await players.getActive(id);
+
+    const history = await playerStats.listForPlayer(id);
+
+    return res.json({
+      playerId: parseInt(id, 10),
+      totals: aggregatePlayerStats(history),
+      history
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    console.error('Database error fetching player stats:', error);
+    return res.status(500).json({ error: 'Failed to fetch player stats. Please try again later.' });
+  }
+});
+
+// POST /api/players/:id/stats - Record a player's performance in one match
+router.post('/', requireEditor, validationRules.recordPlayerStats, handleValidationErrors, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await players.getActive(id);
+
+    const statId = await playerStats.create(id, statChanges(req.body));
+    performance.clearQueryCache();
+    return res.status(201).json({ id: statId, message: 'Player stats recorded successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown match referenced' });
+    }
+    console.error('Error recording player stats:', error);
+    return res.status(500).json({ error: 'Error recording player stats' });
+  }
+});
+
+// PUT /api/players/:id/stats/:statId - Correct a recorded match performance
+router.put('/:statId', requireEditor, validationRules.updatePlayerStats, handleValidationErrors, async (req, res) => {
+  const { id, statId } = req.params;
+  const changes = statChanges(req.body);
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No stats fields provided' });
+  }
+
+  try {
+    await playerStats.update(id, statId, changes);
+    performance.clearQueryCache();
+    return res.json({ message: 'Player stats updated successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Stats entry not found' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown match referenced' });
+    }
+    console.error('Error updating player stats:', error);
+    return res.status(500).json({ error: 'Error updating player stats' });
+  }
+});
+
+// DELETE /api/players/:id/stats/:statId - Remove a recorded match performance
+router.delete('/:statId', requireEditor, async (req, res) => {
+  const { id, statId } = req.params;
+
+  try {
+    await playerStats.remove(id, statId);
+    performance.clearQueryCache();
+    return res.json({ message: 'Player stats deleted successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Stats entry not found' });
+    }
+    console.error('Error deleting player stats:', error);
+    return res.status(500).json({ error: 'Error deleting player stats' });
+  }
+});
+
+module.exports = router;
+module.exports.aggregatePlayerStats = aggregatePlayerStats;
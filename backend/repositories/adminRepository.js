@@ -0,0 +1,172 @@
+const { toInt } = require('./baseRepository');
+const { NotFoundError, ConflictError, UNIQUE_VIOLATION } = require('./errors');
+
+// Columns listed to owners; password hashes and TOTP secrets never leave the repository this way
+const ADMIN_COLUMNS = 'id, username, role, totp_enabled, created_at, last_login';
+
+// Columns update() may write; the password is expected as a bcrypt hash
+const WRITABLE_COLUMNS = new Set(['role', 'password']);
+
+function toAdmin(row) {
+  return row ? { ...row, id: toInt(row.id) } : null;
+}
+
+/**
+ * Admin accounts with their credentials: password hashes, the TOTP second factor, recovery codes and
+ * one-time password reset tokens. Codes and tokens are stored and looked up as hashes only.
+ */
+class AdminRepository {
+  constructor(executor) {
+    this.executor = executor;
+    this.entity = 'Admin';
+  }
+
+  // Every admin by username
+  async list() {
+    const rows = await this.executor.all(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY username ASC`, []);
+    return rows.map(toAdmin);
+  }
+
+  async findById(id) {
+    return toAdmin(await this.executor.get('SELECT id, username, role FROM admins WHERE id = $1', [id]));
+  }
+
+  // Full row including the password hash and TOTP state, as the login needs it
+  async findByUsername(username) {
+    return toAdmin(await this.executor.get('SELECT * FROM admins WHERE username = $1', [username]));
+  }
+
+  // Row with the password hash and TOTP state, for checking credentials of a known admin
+  async findCredentials(id) {
+    return toAdmin(await this.executor.get(
+      'SELECT id, username, role, password, totp_secret, totp_enabled FROM admins WHERE id = $1',
+      [id]
+    ));
+  }
+
+  async countByRole(role) {
+    const row = await this.executor.get('SELECT COUNT(*) AS total FROM admins WHERE role = $1', [role]);
+    return parseInt(row && row.total, 10) || 0;
+  }
+
+  // Insert an admin; a username in use throws ConflictError with code USERNAME_TAKEN
+  async create({ username, password, role }) {
+    try {
+      const result = await this.executor.run(
+        'INSERT INTO admins (username, password, role) VALUES ($1, $2, $3) RETURNING id',
+        [username, password, role]
+      );
+      return toInt(result.lastID);
+    } catch (error) {
+      throw error.code === UNIQUE_VIOLATION ? new ConflictError('Username is already taken', 'USERNAME_TAKEN') : error;
+    }
+  }
+
+  // Change the role and/or password hash
+  async update(id, changes) {
+    const entries = Object.entries(changes)
+      .filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    const result = await this.executor.run(
+      `UPDATE admins SET ${assignments.join(', ')} WHERE id = $${entries.length + 1}`,
+      [...entries.map(([, value]) => value), id]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  async remove(id) {
+    const result = await this.executor.run('DELETE FROM admins WHERE id = $1', [id]);
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  recordLogin(id) {
+    return this.executor.run('UPDATE admins SET last_login = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  }
+
+  async enableTwoFactor(id, secret, step) {
+    await this.executor.run(
+      'UPDATE admins SET totp_secret = $1, totp_enabled = TRUE, totp_last_step = $2 WHERE id = $3',
+      [secret, step, id]
+    );
+  }
+
+  // Turn 2FA off and discard the secret and recovery codes
+  async disableTwoFactor(id) {
+    await this.executor.run(
+      'UPDATE admins SET totp_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL WHERE id = $1',
+      [id]
+    );
+    await this.executor.run('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [id]);
+  }
+
+  /**
+   * Claim the TOTP time step of an accepted code in a single statement, so the same code cannot be
+   * replayed. Returns false when this or a later step was already used.
+   */
+  async claimTotpStep(id, step) {
+    const result = await this.executor.run(
+      'UPDATE admins SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)',
+      [step, id]
+    );
+    return Boolean(result && result.changes > 0);
+  }
+
+  // Mark an unused recovery code as used; returns false when there was none with this hash
+  async claimRecoveryCode(id, codeHash) {
+    const claimed = await this.executor.get(
+      `UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [id, codeHash]
+    );
+    return Boolean(claimed);
+  }
+
+  async countUnusedRecoveryCodes(id) {
+    const row = await this.executor.get(
+      'SELECT COUNT(*) AS total FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL',
+      [id]
+    );
+    return parseInt(row && row.total, 10) || 0;
+  }
+
+  async replaceRecoveryCodes(id, codeHashes) {
+    const values = codeHashes.map((_, index) => `($1, $${index + 2})`);
+
+    await this.executor.run('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [id]);
+    await this.executor.run(
+      `INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ${values.join(', ')}`,
+      [id, ...codeHashes]
+    );
+  }
+
+  // Store a reset token issued by `createdBy`, replacing any unused ones of the admin
+  async createPasswordReset(id, tokenHash, createdBy, expiresAt) {
+    await this.executor.run('DELETE FROM admin_password_resets WHERE admin_id = $1 AND used_at IS NULL', [id]);
+    await this.executor.run(
+      'INSERT INTO admin_password_resets (admin_id, token_hash, created_by, expires_at) VALUES ($1, $2, $3, $4)',
+      [id, tokenHash, createdBy, expiresAt]
+    );
+  }
+
+  /**
+   * Use up an unexpired reset token in a single statement, so it can only be redeemed once.
+   * Returns the id of the admin it was issued for, or null.
+   */
+  async claimPasswordReset(tokenHash) {
+    const reset = await this.executor.get(
+      `UPDATE admin_password_resets SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING admin_id`,
+      [tokenHash]
+    );
+    return reset ? toInt(reset.admin_id) : null;
+  }
+}
+
+module.exports = AdminRepository;
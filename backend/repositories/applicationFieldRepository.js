@@ -0,0 +1,99 @@
+const { toInt } = require('./baseRepository');
+const { NotFoundError, ConflictError, UNIQUE_VIOLATION } = require('./errors');
+
+const FIELD_COLUMNS = 'id, name, label, type, required, options, max_length, min_value, max_value, help_text, ' +
+  'position, updated_at';
+
+// Columns create() and update() may write; the name is fixed once answers refer to it
+const WRITABLE_COLUMNS = new Set([
+  'label', 'type', 'required', 'options', 'max_length', 'min_value', 'max_value', 'help_text', 'position'
+]);
+
+function toField(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    id: toInt(row.id),
+    max_length: toInt(row.max_length),
+    min_value: toInt(row.min_value),
+    max_value: toInt(row.max_value),
+    position: toInt(row.position)
+  };
+}
+
+// Known columns of `fields` as bound values; option lists go in as JSON text, since pg would send an
+// array as a PostgreSQL array
+function writableEntries(fields) {
+  return Object.entries(fields)
+    .filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined)
+    .map(([column, value]) => [column, column === 'options' && value !== null ? JSON.stringify(value) : value]);
+}
+
+function nameTaken(name) {
+  return new ConflictError(`An application field named ${name} already exists`, 'FIELD_NAME_TAKEN');
+}
+
+/**
+ * Questions of the tryout application, see backend/applicationForm.js
+ */
+class ApplicationFieldRepository {
+  constructor(executor) {
+    this.executor = executor;
+    this.entity = 'Application field';
+  }
+
+  // Every field in form order
+  async list() {
+    const rows = await this.executor.all(
+      `SELECT ${FIELD_COLUMNS} FROM application_fields ORDER BY position ASC, id ASC`,
+      []
+    );
+    return rows.map(toField);
+  }
+
+  async findById(id) {
+    return toField(await this.executor.get(`SELECT ${FIELD_COLUMNS} FROM application_fields WHERE id = $1`, [id]));
+  }
+
+  // Insert a field; a name in use throws ConflictError with code FIELD_NAME_TAKEN
+  async create({ name, ...fields }) {
+    const entries = [['name', name], ...writableEntries(fields)];
+    const placeholders = entries.map((_, index) => `$${index + 1}`);
+    try {
+      const result = await this.executor.run(
+        `INSERT INTO application_fields (${entries.map(([column]) => column).join(', ')}) ` +
+          `VALUES (${placeholders.join(', ')}) RETURNING id`,
+        entries.map(([, value]) => value)
+      );
+      return toInt(result.lastID);
+    } catch (error) {
+      throw error.code === UNIQUE_VIOLATION ? nameTaken(name) : error;
+    }
+  }
+
+  async update(id, changes) {
+    const entries = writableEntries(changes);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    const result = await this.executor.run(
+      `UPDATE application_fields SET ${assignments.concat('updated_at = CURRENT_TIMESTAMP').join(', ')} ` +
+        `WHERE id = $${entries.length + 1}`,
+      [...entries.map(([, value]) => value), id]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  // Submissions keep their answers to a removed field
+  async remove(id) {
+    const result = await this.executor.run('DELETE FROM application_fields WHERE id = $1', [id]);
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+}
+
+module.exports = ApplicationFieldRepository;
@@ -0,0 +1,115 @@
+const { withTransaction } = require('./executor');
+const { NotFoundError } = require('./errors');
+
+// Integer columns can come back as strings (COUNT, BIGINT, mock rows); missing values stay missing
+function toInt(value) {
+  return value === null || value === undefined ? value : parseInt(value, 10);
+}
+
+// pg folds unquoted identifiers to lower case, so an unaliased imageUrl column arrives as imageurl
+function withImageUrl(row) {
+  const { imageurl, ...rest } = row;
+  return imageurl === undefined ? rest : { imageUrl: imageurl, ...rest };
+}
+
+/**
+ * Shared behaviour of the content repositories (players, managers, trophies): lookups by id,
+ * image changes and the trash. Every repository works on an executor (see executor.js), either the
+ * shared pool or a transaction, so the same methods can run inside and outside transactions.
+ */
+class BaseRepository {
+  constructor(executor, table, entity) {
+    this.executor = executor;
+    this.table = table;
+    this.entity = entity;
+  }
+
+  /**
+   * Run `work` with a copy of this repository bound to one transaction. When this repository is
+   * already part of a transaction, `work` joins it.
+   */
+  transaction(work) {
+    if (this.executor.inTransaction) {
+      return work(this);
+    }
+    return withTransaction(executor => work(new this.constructor(executor)));
+  }
+
+  /**
+   * Row that is not in the trash; throws NotFoundError otherwise
+   */
+  async getActive(id) {
+    const row = await this.findById(id);
+    if (!row || row.deleted_at) {
+      throw new NotFoundError(this.entity, id);
+    }
+    return row;
+  }
+
+  // imageVariants is the metadata uploadImage() returns with imageUrl
+  async setImage(id, imageUrl, imageVariants = null) {
+    const result = await this.executor.run(
+      `UPDATE ${this.table} SET imageUrl = $1, image_variants = $2 WHERE id = $3`,
+      [imageUrl, imageVariants, id]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  // Hide a row from public listings while keeping it and its links restorable
+  async moveToTrash(id) {
+    const result = await this.executor.run(
+      `UPDATE ${this.table} SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  async restoreFromTrash(id) {
+    const result = await this.executor.run(
+      `UPDATE ${this.table} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND deleted_at IS NOT NULL`,
+      [id]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  // Trashed rows, most recently deleted first
+  async listTrashed() {
+    const rows = await this.executor.all(
+      `SELECT id, name, imageUrl AS "imageUrl", deleted_at FROM ${this.table}
+       WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC`,
+      []
+    );
+    return rows.map(row => ({ ...withImageUrl(row), id: toInt(row.id) }));
+  }
+
+  // Trashed rows deleted before `cutoff`
+  async listTrashedBefore(cutoff) {
+    const rows = await this.executor.all(
+      `SELECT id, imageUrl AS "imageUrl", image_variants FROM ${this.table}
+       WHERE deleted_at IS NOT NULL AND deleted_at < $1`,
+      [cutoff]
+    );
+    return rows.map(row => ({ ...withImageUrl(row), id: toInt(row.id) }));
+  }
+
+  /**
+   * Permanently delete a trashed row. Returns false when it is no longer in the trash, e.g. because
+   * it was restored in the meantime.
+   */
+  async purge(id) {
+    const result = await this.executor.run(`DELETE FROM ${this.table} WHERE id = $1 AND deleted_at IS NOT NULL`, [id]);
+    return Boolean(result && result.changes > 0);
+  }
+}
+
+module.exports = {
+  BaseRepository,
+  toInt,
+  withImageUrl
+};
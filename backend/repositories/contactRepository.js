@@ -0,0 +1,185 @@
+const db = require('../db');
+const { toInt } = require('./baseRepository');
+const { withTransaction } = require('./executor');
+const { NotFoundError } = require('./errors');
+
+const SUBMISSION_COLUMNS = 'cs.id, cs.name, cs.email, cs.whatsapp, cs.submission_date, cs.status, cs.assignee_id, ' +
+  'a.username AS assignee_username, cs.notes, cs.updated_at, cs.application';
+
+const SUBMISSION_SOURCE = 'contact_submissions cs LEFT JOIN admins a ON a.id = cs.assignee_id';
+
+// Columns update() may write
+const WRITABLE_COLUMNS = new Set(['status', 'assignee_id', 'notes']);
+
+// Admin roles that handle submissions
+const ASSIGNEE_ROLES = ['owner', 'recruiter'];
+
+// Inbox filters and the condition each one adds for the placeholder number `n`
+const LIST_FILTERS = [
+  ['status', n => `cs.status = $${n}`],
+  ['assigneeId', n => `cs.assignee_id = $${n}`],
+  ['tag', n => `cs.id IN (SELECT submission_id FROM contact_submission_tags WHERE tag = $${n})`],
+  ['q', n => `(${['cs.name', 'cs.email', 'cs.whatsapp', 'cs.notes']
+    .map(column => `${column} ILIKE $${n} ESCAPE '\\'`).join(' OR ')})`]
+];
+
+function toSubmission(row) {
+  return row ? { ...row, id: toInt(row.id), assignee_id: toInt(row.assignee_id) } : null;
+}
+
+// The search text matches anywhere in a column, and literally: its LIKE wildcards are escaped
+function filterValue(name, value) {
+  return name === 'q' ? `%${value.replace(/[\\%_]/g, '\\$&')}%` : value;
+}
+
+// Known columns of `changes`, in the order given
+function writableEntries(changes) {
+  return Object.entries(changes).filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined);
+}
+
+class ContactRepository {
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  // Run `work` with a copy of this repository bound to one transaction, or join the current one
+  transaction(work) {
+    if (this.executor.inTransaction) {
+      return work(this);
+    }
+    return withTransaction(executor => work(new ContactRepository(executor)));
+  }
+
+  /**
+   * Filtered, newest-first page of submissions with their tags and the total number of matches.
+   * Filters: status, assigneeId ('unassigned' for submissions nobody handles), tag and q, a search
+   * over the contact details and notes.
+   */
+  async list(filters = {}, { limit, offset }) {
+    const provided = new Map(Object.entries(filters));
+    const conditions = [];
+    const params = [];
+
+    for (const [name, condition] of LIST_FILTERS) {
+      const value = provided.get(name);
+      if (name === 'assigneeId' && value === 'unassigned') {
+        conditions.push('cs.assignee_id IS NULL');
+      } else if (value !== undefined && value !== '') {
+        params.push(filterValue(name, value));
+        conditions.push(condition(params.length));
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows, countRow] = await Promise.all([
+      this.executor.all(
+        `SELECT ${SUBMISSION_COLUMNS} FROM ${SUBMISSION_SOURCE} ${where}
+         ORDER BY cs.submission_date DESC, cs.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.executor.get(`SELECT COUNT(*) AS total FROM contact_submissions cs ${where}`, params)
+    ]);
+
+    return {
+      rows: await this.attachTags(rows.map(toSubmission)),
+      total: parseInt(countRow && countRow.total, 10) || 0
+    };
+  }
+
+  // Submission with its assignee and tags, or null
+  async findById(id) {
+    // SQLite has no ARRAY(); read the tags separately
+    if (db.dialect === 'sqlite') {
+      const row = await this.executor.get(`SELECT ${SUBMISSION_COLUMNS} FROM ${SUBMISSION_SOURCE} WHERE cs.id = $1`, [id]);
+      if (!row) {
+        return null;
+      }
+      const [submission] = await this.attachTags([toSubmission(row)]);
+      return submission;
+    }
+
+    return toSubmission(await this.executor.get(
+      `SELECT ${SUBMISSION_COLUMNS}, ` +
+        'ARRAY(SELECT tag FROM contact_submission_tags WHERE submission_id = cs.id ORDER BY tag) AS tags ' +
+        `FROM ${SUBMISSION_SOURCE} WHERE cs.id = $1`,
+      [id]
+    ));
+  }
+
+  // Attach the tags of each submission, alphabetically
+  async attachTags(submissions) {
+    if (submissions.length === 0) {
+      return submissions;
+    }
+
+    const rows = await this.executor.all(
+      'SELECT submission_id, tag FROM contact_submission_tags WHERE submission_id = ANY($1) ORDER BY tag ASC',
+      [submissions.map(submission => submission.id)]
+    );
+
+    return submissions.map(submission => ({
+      ...submission,
+      tags: rows.filter(row => toInt(row.submission_id) === submission.id).map(row => row.tag)
+    }));
+  }
+
+  // Admins a submission can be assigned to, by username
+  async listAssignees() {
+    const rows = await this.executor.all(
+      'SELECT id, username, role FROM admins WHERE role = ANY($1) ORDER BY username ASC',
+      [ASSIGNEE_ROLES]
+    );
+    return rows.map(row => ({ ...row, id: toInt(row.id) }));
+  }
+
+  // `application` holds the answers to the tryout questions, see backend/applicationForm.js
+  async create({ name, email, whatsapp, application = null }) {
+    const result = await this.executor.run(
+      'INSERT INTO contact_submissions (name, email, whatsapp, application) VALUES ($1, $2, $3, $4) RETURNING id',
+      [name, email, whatsapp, application ? JSON.stringify(application) : null]
+    );
+    return toInt(result.lastID);
+  }
+
+  // Replace the tags of a submission
+  async replaceTags(submissionId, tags) {
+    await this.executor.run('DELETE FROM contact_submission_tags WHERE submission_id = $1', [submissionId]);
+    const uniqueTags = [...new Set(tags)];
+    if (uniqueTags.length === 0) {
+      return;
+    }
+
+    const values = uniqueTags.map((_, index) => `($1, $${index + 2})`);
+    await this.executor.run(
+      `INSERT INTO contact_submission_tags (submission_id, tag) VALUES ${values.join(', ')}`,
+      [submissionId, ...uniqueTags]
+    );
+  }
+
+  /**
+   * Change the triage columns (status, assignee_id, notes) and, when `tags` is given, replace the
+   * tags, all in one transaction. An unknown assignee fails with PostgreSQL's foreign key violation
+   * (code 23503).
+   */
+  async update(id, changes, tags) {
+    const entries = writableEntries(changes);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    await this.transaction(async contacts => {
+      const result = await contacts.executor.run(
+        `UPDATE contact_submissions SET ${assignments.concat('updated_at = CURRENT_TIMESTAMP').join(', ')} ` +
+          `WHERE id = $${entries.length + 1}`,
+        [...entries.map(([, value]) => value), id]
+      );
+      if (!result || result.changes === 0) {
+        throw new NotFoundError('Contact submission', id);
+      }
+      if (tags !== undefined) {
+        await contacts.replaceTags(id, tags);
+      }
+    });
+  }
+}
+
+module.exports = ContactRepository;
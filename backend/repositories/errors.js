@@ -0,0 +1,33 @@
+/**
+ * Errors thrown by the repositories. Routers turn them into 404 and 409 responses.
+ */
+
+// The requested row does not exist, or is in the trash
+class NotFoundError extends Error {
+  constructor(entity, id) {
+    super(`${entity} not found`);
+    this.name = 'NotFoundError';
+    this.entity = entity;
+    this.id = id;
+  }
+}
+
+// The write collides with existing data; `code` is the machine-readable reason sent to clients
+class ConflictError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ConflictError';
+    this.code = code;
+  }
+}
+
+// PostgreSQL error codes for unique index and foreign key violations
+const UNIQUE_VIOLATION = '23505';
+const FOREIGN_KEY_VIOLATION = '23503';
+
+module.exports = {
+  NotFoundError,
+  ConflictError,
+  UNIQUE_VIOLATION,
+  FOREIGN_KEY_VIOLATION
+};
@@ -0,0 +1,77 @@
+const db = require('../db');
+
+/**
+ * Promise-based statement runners used by the repositories.
+ * Every executor has the same shape: all() resolves to the rows, get() to the first row or null and
+ * run() to { lastID, changes }, where lastID is the id returned by an INSERT ... RETURNING id.
+ */
+
+// Statements on the shared pool go through db.js, which records query timings and serves mock mode
+const poolExecutor = {
+  inTransaction: false,
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
+  },
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+    });
+  },
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+  }
+};
+
+// Statements inside a transaction must all use the client that opened it
+function clientExecutor(client) {
+  return {
+    inTransaction: true,
+
+    async all(sql, params = []) {
+      const result = await client.query(sql, params);
+      return result.rows;
+    },
+
+    async get(sql, params = []) {
+      const result = await client.query(sql, params);
+      return result.rows[0] || null;
+    },
+
+    async run(sql, params = []) {
+      const result = await client.query(sql, params);
+      const [row] = result.rows;
+      return { lastID: row && row.id !== undefined ? row.id : null, changes: result.rowCount };
+    }
+  };
+}
+
+/**
+ * Run `work` with an executor bound to a single transaction. The transaction commits when `work`
+ * resolves and rolls back when it throws. In mock mode the client comes from the in-memory database.
+ */
+async function withTransaction(work) {
+  const client = global.MOCK_MODE ? db.memory.connect() : await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(clientExecutor(client));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  poolExecutor,
+  withTransaction
+};
@@ -0,0 +1,54 @@
+const { poolExecutor, withTransaction: runInTransaction } = require('./executor');
+const { NotFoundError, ConflictError } = require('./errors');
+const PlayerRepository = require('./playerRepository');
+const ManagerRepository = require('./managerRepository');
+const TrophyRepository = require('./trophyRepository');
+const ContactRepository = require('./contactRepository');
+const ApplicationFieldRepository = require('./applicationFieldRepository');
+const MatchRepository = require('./matchRepository');
+const PlayerStatsRepository = require('./playerStatsRepository');
+const AdminRepository = require('./adminRepository');
+const SessionRepository = require('./sessionRepository');
+
+/**
+ * Data access layer. Routers use these repositories instead of calling db.js directly:
+ *
+ *   const { players, NotFoundError } = require('./repositories');
+ *   const player = await players.getActive(id);
+ *
+ * `query` runs plain statements (all/get/run) for the service modules that own their tables, such as
+ * the audit log and login protection. Routers only use repositories.
+ */
+
+function createRepositories(executor) {
+  return {
+    players: new PlayerRepository(executor),
+    managers: new ManagerRepository(executor),
+    trophies: new TrophyRepository(executor),
+    contacts: new ContactRepository(executor),
+    applicationFields: new ApplicationFieldRepository(executor),
+    matches: new MatchRepository(executor),
+    playerStats: new PlayerStatsRepository(executor),
+    admins: new AdminRepository(executor),
+    sessions: new SessionRepository(executor)
+  };
+}
+
+/**
+ * Run `work` with repositories that share one transaction:
+ *
+ *   await withTransaction(async ({ players, trophies }) => { ... });
+ *
+ * The transaction commits when `work` resolves and rolls back when it throws.
+ */
+function withTransaction(work) {
+  return runInTransaction(executor => work(createRepositories(executor)));
+}
+
+module.exports = {
+  ...createRepositories(poolExecutor),
+  query: poolExecutor,
+  withTransaction,
+  NotFoundError,
+  ConflictError
+};
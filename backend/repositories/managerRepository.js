@@ -0,0 +1,43 @@
+const { BaseRepository, toInt, withImageUrl } = require('./baseRepository');
+
+function toManager(row) {
+  if (!row) {
+    return null;
+  }
+  const manager = withImageUrl(row);
+  return { ...manager, id: toInt(manager.id) };
+}
+
+class ManagerRepository extends BaseRepository {
+  constructor(executor) {
+    super(executor, 'managers', 'Manager');
+  }
+
+  // Managers outside the trash
+  async list() {
+    const rows = await this.executor.all(
+      'SELECT id, name, role, imageUrl AS "imageUrl", image_variants FROM managers WHERE deleted_at IS NULL',
+      []
+    );
+    return rows.map(toManager);
+  }
+
+  // Manager including trashed ones, or null
+  async findById(id) {
+    return toManager(await this.executor.get(
+      'SELECT id, name, role, imageUrl AS "imageUrl", image_variants, created_at, updated_at, deleted_at ' +
+        'FROM managers WHERE id = $1',
+      [id]
+    ));
+  }
+
+  async create({ name, role, imageUrl = null, imageVariants = null }) {
+    const result = await this.executor.run(
+      'INSERT INTO managers (name, role, imageUrl, image_variants) VALUES ($1, $2, $3, $4) RETURNING id',
+      [name, role, imageUrl, imageVariants]
+    );
+    return toInt(result.lastID);
+  }
+}
+
+module.exports = ManagerRepository;
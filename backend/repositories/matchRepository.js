@@ -0,0 +1,167 @@
+const { toInt } = require('./baseRepository');
+const { withTransaction } = require('./executor');
+const { NotFoundError } = require('./errors');
+
+const MATCH_COLUMNS = 'id, opponent, competition, scheduled_at, venue, platform, team_score, opponent_score, ' +
+  'status, created_at, updated_at';
+
+// Columns create() and update() may write
+const WRITABLE_COLUMNS = new Set([
+  'opponent', 'competition', 'scheduled_at', 'venue', 'platform', 'team_score', 'opponent_score', 'status'
+]);
+
+// 'upcoming' lists fixtures soonest first, 'past' lists results most recent first
+const STATUS_FILTERS = new Map([
+  ['upcoming', { where: 'status IN (\'scheduled\', \'live\', \'postponed\')', order: 'ASC' }],
+  ['past', { where: 'status = \'finished\'', order: 'DESC' }]
+]);
+
+// Known columns of `changes`, in the order given
+function writableEntries(changes) {
+  return Object.entries(changes).filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined);
+}
+
+/**
+ * Fixtures and results with their lineups. Lineup entries are { playerId, position, isStarter };
+ * an unknown player fails with PostgreSQL's foreign key violation (code 23503), and the match write
+ * it came with is rolled back.
+ */
+class MatchRepository {
+  constructor(executor) {
+    this.executor = executor;
+    this.entity = 'Match';
+  }
+
+  // Newest first; `status` is 'upcoming', 'past' or an exact match status
+  list({ status, limit }) {
+    const params = [limit];
+    let where = '';
+    let order = 'DESC';
+
+    if (STATUS_FILTERS.has(status)) {
+      const filter = STATUS_FILTERS.get(status);
+      where = `WHERE ${filter.where}`;
+      order = filter.order;
+    } else if (status) {
+      params.push(status);
+      where = 'WHERE status = $2';
+    }
+
+    return this.executor.all(
+      `SELECT ${MATCH_COLUMNS} FROM matches ${where} ORDER BY scheduled_at ${order}, id ${order} LIMIT $1`,
+      params
+    );
+  }
+
+  // Match without its lineup, or null
+  findById(id) {
+    return this.executor.get(`SELECT ${MATCH_COLUMNS} FROM matches WHERE id = $1`, [id]);
+  }
+
+  // Attach lineups (with player names and jersey numbers) to a list of matches; players in the trash are left out
+  async attachLineups(matches) {
+    if (matches.length === 0) {
+      return matches;
+    }
+
+    const rows = await this.executor.all(
+      `SELECT ml.match_id, ml.player_id, ml.position, ml.is_starter, p.name, p.jerseyNumber AS "jerseyNumber"
+       FROM match_lineups ml
+       JOIN players p ON p.id = ml.player_id
+       WHERE ml.match_id = ANY($1) AND p.deleted_at IS NULL
+       ORDER BY ml.is_starter DESC, p.jerseyNumber ASC`,
+      [matches.map(match => match.id)]
+    );
+
+    return matches.map(match => ({
+      ...match,
+      lineup: rows
+        .filter(row => row.match_id === match.id)
+        .map(row => ({
+          playerId: row.player_id,
+          name: row.name,
+          jerseyNumber: row.jerseyNumber,
+          position: row.position,
+          isStarter: row.is_starter
+        }))
+    }));
+  }
+
+  // Run `work` with a copy of this repository bound to one transaction, or join the current one
+  transaction(work) {
+    if (this.executor.inTransaction) {
+      return work(this);
+    }
+    return withTransaction(executor => work(new MatchRepository(executor)));
+  }
+
+  // Insert a match and its lineup in one transaction
+  create(fields, lineup = []) {
+    const entries = writableEntries(fields);
+    const placeholders = entries.map((_, index) => `$${index + 1}`);
+
+    return this.transaction(async matches => {
+      const result = await matches.executor.run(
+        `INSERT INTO matches (${entries.map(([column]) => column).join(', ')}) ` +
+          `VALUES (${placeholders.join(', ')}) RETURNING id`,
+        entries.map(([, value]) => value)
+      );
+      const id = toInt(result.lastID);
+      await matches.replaceLineup(id, lineup);
+      return id;
+    });
+  }
+
+  /**
+   * Change the given columns (with none given only updated_at moves) and, when `lineup` is given,
+   * replace the lineup, all in one transaction
+   */
+  async update(id, changes, lineup) {
+    const entries = writableEntries(changes);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    await this.transaction(async matches => {
+      const result = await matches.executor.run(
+        `UPDATE matches SET ${assignments.concat('updated_at = CURRENT_TIMESTAMP').join(', ')} ` +
+          `WHERE id = $${entries.length + 1}`,
+        [...entries.map(([, value]) => value), id]
+      );
+      if (!result || result.changes === 0) {
+        throw new NotFoundError(this.entity, id);
+      }
+      if (lineup !== undefined) {
+        await matches.replaceLineup(id, lineup);
+      }
+    });
+  }
+
+  // Replace the lineup of a match with the given entries
+  async replaceLineup(matchId, lineup) {
+    await this.executor.run('DELETE FROM match_lineups WHERE match_id = $1', [matchId]);
+    if (lineup.length === 0) {
+      return;
+    }
+
+    const params = [];
+    const values = lineup.map(({ playerId, position, isStarter }) => {
+      params.push(matchId, playerId, position, isStarter);
+      const base = params.length - 4;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+    });
+
+    await this.executor.run(
+      `INSERT INTO match_lineups (match_id, player_id, position, is_starter) VALUES ${values.join(', ')}`,
+      params
+    );
+  }
+
+  // The lineup goes with the match, by cascade
+  async remove(id) {
+    const result = await this.executor.run('DELETE FROM matches WHERE id = $1', [id]);
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+}
+
+module.exports = MatchRepository;
@@ -0,0 +1,170 @@
+const db = require('../db');
+const performance = require('../performance');
+const { BaseRepository, toInt, withImageUrl } = require('./baseRepository');
+const { NotFoundError, ConflictError, UNIQUE_VIOLATION } = require('./errors');
+
+const PLAYER_COLUMNS = 'id, name, jerseyNumber AS "jerseyNumber", imageUrl AS "imageUrl", image_variants, stars, ' +
+  'joined_date, updated_at, deleted_at';
+
+// Columns update() may change
+const UPDATABLE_COLUMNS = new Set(['name', 'jerseyNumber', 'stars']);
+
+function toPlayer(row) {
+  if (!row) {
+    return null;
+  }
+  const { jerseynumber, ...rest } = withImageUrl(row);
+  const jerseyNumber = rest.jerseyNumber !== undefined ? rest.jerseyNumber : jerseynumber;
+  return { ...rest, id: toInt(rest.id), jerseyNumber: toInt(jerseyNumber), stars: toInt(rest.stars) };
+}
+
+function jerseyTaken(jerseyNumber) {
+  const message = jerseyNumber === undefined
+    ? 'Jersey number is already taken by another player'
+    : `Jersey number ${jerseyNumber} is already taken by another player`;
+  return new ConflictError(message, 'JERSEY_NUMBER_TAKEN');
+}
+
+// Substring fallback used without PostgreSQL's full-text search: in mock mode and on SQLite
+function matchPlayersBySubstring(players, term, limit) {
+  const needle = term.toLowerCase();
+  return players
+    .filter(player => (player.name || '').toLowerCase().includes(needle) || String(player.jerseyNumber) === needle)
+    .slice(0, limit);
+}
+
+class PlayerRepository extends BaseRepository {
+  constructor(executor) {
+    super(executor, 'players', 'Player');
+  }
+
+  /**
+   * One page of the public listing plus the total number of matching players. Both queries go
+   * through the performance manager's cache, which writes clear.
+   */
+  async list({ limit, offset, ...options }) {
+    const queries = performance.getOptimizedQueries();
+    const listQuery = queries.getPlayers(limit, offset, options);
+    const countQuery = queries.getPlayersCount(options);
+
+    const [rows, countRows] = await Promise.all([
+      performance.executeQuery(listQuery.query, listQuery.params, listQuery),
+      performance.executeQuery(countQuery.query, countQuery.params, countQuery)
+    ]);
+
+    return {
+      rows: (rows || []).map(toPlayer),
+      total: parseInt(countRows && countRows[0] && countRows[0].total, 10) || 0
+    };
+  }
+
+  // Ranked full-text search over names and jersey numbers
+  async search(term, limit) {
+    if (global.MOCK_MODE || db.dialect === 'sqlite') {
+      const players = await performance.executeQuery(
+        'SELECT id, name, jerseyNumber AS "jerseyNumber", imageUrl AS "imageUrl", image_variants, stars, joined_date ' +
+          'FROM players ' +
+          'WHERE deleted_at IS NULL',
+        []
+      );
+      return matchPlayersBySubstring((players || []).map(toPlayer), term, limit);
+    }
+
+    const searchQuery = performance.getOptimizedQueries().searchPlayers(term, limit);
+    const rows = await performance.executeQuery(searchQuery.query, searchQuery.params, searchQuery);
+    return (rows || []).map(toPlayer);
+  }
+
+  // Player including trashed ones, or null
+  async findById(id) {
+    return toPlayer(await this.executor.get(`SELECT ${PLAYER_COLUMNS} FROM players WHERE id = $1`, [id]));
+  }
+
+  // Every player outside the trash by jersey number, e.g. for roster exports
+  async listActive() {
+    const rows = await this.executor.all(
+      `SELECT ${PLAYER_COLUMNS} FROM players WHERE deleted_at IS NULL ORDER BY jerseyNumber ASC`,
+      []
+    );
+    return rows.map(toPlayer);
+  }
+
+  // The given ids that belong to players outside the trash
+  async findActiveIds(ids) {
+    const rows = await this.executor.all('SELECT id FROM players WHERE id = ANY($1) AND deleted_at IS NULL', [ids]);
+    return rows.map(row => toInt(row.id));
+  }
+
+  async create({ name, jerseyNumber, imageUrl = null, imageVariants = null, stars }) {
+    try {
+      const result = await this.executor.run(
+        'INSERT INTO players (name, jerseyNumber, imageUrl, image_variants, stars) VALUES ($1, $2, $3, $4, $5) ' +
+          'RETURNING id',
+        [name, jerseyNumber, imageUrl, imageVariants, stars]
+      );
+      performance.clearQueryCache();
+      return toInt(result.lastID);
+    } catch (error) {
+      throw error.code === UNIQUE_VIOLATION ? jerseyTaken(jerseyNumber) : error;
+    }
+  }
+
+  /**
+   * Change the given fields (name, jerseyNumber, stars). Jersey numbers only have to be unique among
+   * players outside the trash; a clash throws ConflictError with code JERSEY_NUMBER_TAKEN.
+   */
+  async update(id, changes) {
+    const entries = Object.entries(changes).filter(([column]) => UPDATABLE_COLUMNS.has(column));
+
+    if (changes.jerseyNumber !== undefined) {
+      const conflict = await this.executor.get(
+        'SELECT id FROM players WHERE jerseyNumber = $1 AND id <> $2 AND deleted_at IS NULL',
+        [changes.jerseyNumber, id]
+      );
+      if (conflict) {
+        throw jerseyTaken(changes.jerseyNumber);
+      }
+    }
+
+    // Column names come from UPDATABLE_COLUMNS, values are always bound as parameters
+    const assignments = [];
+    const params = [];
+    for (const [column, value] of entries) {
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    }
+    params.push(id);
+
+    let result;
+    try {
+      result = await this.executor.run(
+        `UPDATE players SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`,
+        params
+      );
+    } catch (error) {
+      // A concurrent update took the same jersey number between the check and the write
+      throw error.code === UNIQUE_VIOLATION ? jerseyTaken() : error;
+    }
+
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+    performance.clearQueryCache();
+  }
+
+  async setImage(id, imageUrl, imageVariants = null) {
+    await super.setImage(id, imageUrl, imageVariants);
+    performance.clearQueryCache();
+  }
+
+  // A player's jersey number may have been given to someone else while they were in the trash
+  async restoreFromTrash(id) {
+    try {
+      await super.restoreFromTrash(id);
+    } catch (error) {
+      throw error.code === UNIQUE_VIOLATION ? jerseyTaken() : error;
+    }
+  }
+}
+
+module.exports = PlayerRepository;
@@ -0,0 +1,78 @@
+const { toInt } = require('./baseRepository');
+const { NotFoundError, FOREIGN_KEY_VIOLATION } = require('./errors');
+
+const STAT_COLUMNS = 'id, match_id, match_date, opponent, minutes_played, goals, assists, clean_sheet, mvp, rating';
+
+// Columns create() and update() may write
+const WRITABLE_COLUMNS = new Set([
+  'match_id', 'match_date', 'opponent', 'minutes_played', 'goals', 'assists', 'clean_sheet', 'mvp', 'rating'
+]);
+
+// Known columns of `changes`, in the order given
+function writableEntries(changes) {
+  return Object.entries(changes).filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined);
+}
+
+/**
+ * A player's performance in individual matches. Entries are addressed by player and entry id, so an
+ * entry of one player cannot be changed through another. An unknown match_id fails with PostgreSQL's
+ * foreign key violation (code 23503).
+ */
+class PlayerStatsRepository {
+  constructor(executor) {
+    this.executor = executor;
+    this.entity = 'Stats entry';
+  }
+
+  // Every entry of a player, newest match first
+  listForPlayer(playerId) {
+    return this.executor.all(
+      `SELECT ${STAT_COLUMNS} FROM player_match_stats WHERE player_id = $1 ORDER BY match_date DESC, id DESC`,
+      [playerId]
+    );
+  }
+
+  // Record an entry; an unknown player throws NotFoundError
+  async create(playerId, fields) {
+    // Without a match the only reference that can be missing is the player
+    const linksMatch = fields.match_id !== undefined && fields.match_id !== null;
+    const entries = [['player_id', playerId], ...writableEntries(fields)];
+    const placeholders = entries.map((_, index) => `$${index + 1}`);
+    try {
+      const result = await this.executor.run(
+        `INSERT INTO player_match_stats (${entries.map(([column]) => column).join(', ')}) ` +
+          `VALUES (${placeholders.join(', ')}) RETURNING id`,
+        entries.map(([, value]) => value)
+      );
+      return toInt(result.lastID);
+    } catch (error) {
+      throw error.code === FOREIGN_KEY_VIOLATION && !linksMatch ? new NotFoundError('Player', playerId) : error;
+    }
+  }
+
+  async update(playerId, id, changes) {
+    const entries = writableEntries(changes);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    const result = await this.executor.run(
+      `UPDATE player_match_stats SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP ` +
+        `WHERE id = $${entries.length + 1} AND player_id = $${entries.length + 2}`,
+      [...entries.map(([, value]) => value), id, playerId]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+
+  async remove(playerId, id) {
+    const result = await this.executor.run(
+      'DELETE FROM player_match_stats WHERE id = $1 AND player_id = $2',
+      [id, playerId]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, id);
+    }
+  }
+}
+
+module.exports = PlayerStatsRepository;
@@ -0,0 +1,42 @@
+const { NotFoundError } = require('./errors');
+
+/**
+ * Admin sessions in the connect-pg-simple store. A session belongs to the admin whose adminId is in
+ * its JSON, so every statement is scoped to one admin.
+ */
+class SessionRepository {
+  constructor(executor) {
+    this.executor = executor;
+    this.entity = 'Session';
+  }
+
+  // Unexpired sessions of an admin as { sid, sess, expire }, with sess parsed
+  async listForAdmin(adminId) {
+    const rows = await this.executor.all(
+      'SELECT sid, sess, expire FROM sessions WHERE sess->>\'adminId\' = $1 AND expire > CURRENT_TIMESTAMP',
+      [String(adminId)]
+    );
+    return rows.map(row => ({ ...row, sess: typeof row.sess === 'string' ? JSON.parse(row.sess) : row.sess }));
+  }
+
+  // End one session of an admin; throws NotFoundError when the admin has no session with this sid
+  async removeForAdmin(adminId, sid) {
+    const result = await this.executor.run(
+      'DELETE FROM sessions WHERE sid = $1 AND sess->>\'adminId\' = $2',
+      [sid, String(adminId)]
+    );
+    if (!result || result.changes === 0) {
+      throw new NotFoundError(this.entity, sid);
+    }
+  }
+
+  // End every session of an admin except `keepSid`
+  removeAllForAdmin(adminId, keepSid = '') {
+    return this.executor.run(
+      'DELETE FROM sessions WHERE sess->>\'adminId\' = $1 AND sid <> $2',
+      [String(adminId), keepSid]
+    );
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,185 @@
+const db = require('../db');
+const performance = require('../performance');
+const { BaseRepository, toInt, withImageUrl } = require('./baseRepository');
+const { NotFoundError } = require('./errors');
+
+const TROPHY_COLUMNS = 'id, name, year, imageUrl AS "imageUrl", image_variants, competition, final_result, ' +
+  'description, match_id';
+
+// Columns create() and update() may write
+const WRITABLE_COLUMNS = new Set([
+  'name', 'year', 'imageUrl', 'image_variants', 'competition', 'final_result', 'description', 'match_id'
+]);
+
+const PUBLIC_LIST_SIZE = 20;
+
+function toTrophy(row) {
+  if (!row) {
+    return null;
+  }
+  const trophy = withImageUrl(row);
+  return {
+    ...trophy,
+    id: toInt(trophy.id),
+    year: toInt(trophy.year),
+    match_id: toInt(trophy.match_id),
+    ...(trophy.player_ids ? { player_ids: trophy.player_ids.map(toInt) } : {})
+  };
+}
+
+// Known columns of `fields`, in the order given
+function writableEntries(fields) {
+  return Object.entries(fields).filter(([column, value]) => WRITABLE_COLUMNS.has(column) && value !== undefined);
+}
+
+class TrophyRepository extends BaseRepository {
+  constructor(executor) {
+    super(executor, 'trophies', 'Trophy');
+  }
+
+  // Latest trophies outside the trash, each with its winning roster
+  async list({ limit = PUBLIC_LIST_SIZE } = {}) {
+    const rows = await this.executor.all(
+      `SELECT ${TROPHY_COLUMNS} FROM trophies WHERE deleted_at IS NULL ORDER BY year DESC LIMIT $1`,
+      [limit]
+    );
+    return this.attachWinners(rows.map(toTrophy));
+  }
+
+  // Every trophy outside the trash with its winning roster, e.g. for roster exports
+  async listAll() {
+    const rows = await this.executor.all(
+      `SELECT ${TROPHY_COLUMNS} FROM trophies WHERE deleted_at IS NULL ORDER BY year DESC, id ASC`,
+      []
+    );
+    return this.attachWinners(rows.map(toTrophy));
+  }
+
+  // Trophy outside the trash with its winning roster; throws NotFoundError otherwise
+  async getWithWinners(id) {
+    const row = await this.executor.get(
+      `SELECT ${TROPHY_COLUMNS} FROM trophies WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    if (!row) {
+      throw new NotFoundError(this.entity, id);
+    }
+    const [trophy] = await this.attachWinners([toTrophy(row)]);
+    return trophy;
+  }
+
+  // Trophy including trashed ones with the ids of its winners, or null
+  async findById(id) {
+    // SQLite has no ARRAY(); read the winners separately
+    if (db.dialect === 'sqlite') {
+      const row = await this.executor.get(`SELECT ${TROPHY_COLUMNS}, updated_at, deleted_at FROM trophies WHERE id = $1`, [id]);
+      if (!row) {
+        return null;
+      }
+      const winners = await this.executor.all(
+        'SELECT player_id FROM trophy_winners WHERE trophy_id = $1 ORDER BY player_id',
+        [id]
+      );
+      return toTrophy({ ...row, player_ids: winners.map(winner => winner.player_id) });
+    }
+
+    return toTrophy(await this.executor.get(
+      `SELECT ${TROPHY_COLUMNS}, ` +
+        'ARRAY(SELECT player_id FROM trophy_winners WHERE trophy_id = trophies.id ORDER BY player_id) AS player_ids, ' +
+        'updated_at, deleted_at FROM trophies WHERE id = $1',
+      [id]
+    ));
+  }
+
+  // Attach the winning roster to each trophy; players in the trash are left out until restored
+  async attachWinners(trophies) {
+    if (trophies.length === 0) {
+      return trophies;
+    }
+
+    const rows = await this.executor.all(
+      `SELECT tw.trophy_id, p.id, p.name, p.jerseyNumber AS "jerseyNumber"
+       FROM trophy_winners tw
+       JOIN players p ON p.id = tw.player_id
+       WHERE tw.trophy_id = ANY($1) AND p.deleted_at IS NULL
+       ORDER BY p.jerseyNumber ASC`,
+      [trophies.map(trophy => trophy.id)]
+    );
+
+    return trophies.map(trophy => ({
+      ...trophy,
+      winners: rows
+        .filter(row => toInt(row.trophy_id) === trophy.id)
+        .map(row => ({
+          id: toInt(row.id),
+          name: row.name,
+          jerseyNumber: toInt(row.jerseyNumber !== undefined ? row.jerseyNumber : row.jerseynumber)
+        }))
+    }));
+  }
+
+  // Replace the winning roster of a trophy
+  async replaceWinners(trophyId, playerIds) {
+    await this.executor.run('DELETE FROM trophy_winners WHERE trophy_id = $1', [trophyId]);
+    const uniqueIds = [...new Set(playerIds)];
+    if (uniqueIds.length === 0) {
+      return;
+    }
+
+    const values = uniqueIds.map((_, index) => `($1, $${index + 2})`);
+    await this.executor.run(
+      `INSERT INTO trophy_winners (trophy_id, player_id) VALUES ${values.join(', ')}`,
+      [trophyId, ...uniqueIds]
+    );
+  }
+
+  /**
+   * Insert a trophy and its winning roster in one transaction. `fields` maps column names to values.
+   * Unknown match or player ids fail with PostgreSQL's foreign key violation (code 23503).
+   */
+  async create(fields, playerIds = []) {
+    const entries = writableEntries(fields);
+    const placeholders = entries.map((_, index) => `$${index + 1}`);
+
+    const id = await this.transaction(async trophies => {
+      const result = await trophies.executor.run(
+        `INSERT INTO trophies (${entries.map(([column]) => column).join(', ')}) ` +
+          `VALUES (${placeholders.join(', ')}) RETURNING id`,
+        entries.map(([, value]) => value)
+      );
+      const trophyId = toInt(result.lastID);
+      await trophies.replaceWinners(trophyId, playerIds);
+      return trophyId;
+    });
+
+    performance.clearQueryCache();
+    return id;
+  }
+
+  /**
+   * Change the given columns and, when `playerIds` is given, replace the winning roster, all in one
+   * transaction
+   */
+  async update(id, changes, playerIds) {
+    const entries = writableEntries(changes);
+    const assignments = entries.map(([column], index) => `${column} = $${index + 1}`);
+
+    await this.transaction(async trophies => {
+      const result = await trophies.executor.run(
+        `UPDATE trophies SET ${assignments.concat('updated_at = CURRENT_TIMESTAMP').join(', ')} ` +
+          `WHERE id = $${entries.length + 1}`,
+        [...entries.map(([, value]) => value), id]
+      );
+      if (!result || result.changes === 0) {
+        throw new NotFoundError(this.entity, id);
+      }
+      if (playerIds !== undefined) {
+        await trophies.replaceWinners(id, playerIds);
+      }
+    });
+
+    performance.clearQueryCache();
+  }
+}
+
+module.exports = TrophyRepository;
@@ -0,0 +1,339 @@
+const { schemas } = require('./validators');
+const { players, managers, trophies, withTransaction } = require('./repositories');
+
+/**
+ * Roster import and export: players, managers and trophies as JSON or CSV.
+ *
+ * JSON is an object with a list per type, the shape exportRoster() produces:
+ *   { players: [{ name, jerseyNumber, stars }], managers: [{ name, role }],
+ *     trophies: [{ name, year, competition, finalResult, description, winners: [jerseyNumber] }] }
+ * CSV has a header row naming the columns in CSV_COLUMNS, in any order; the `type` column says what
+ * each row is and may be left out when every row has the same type. Winners are jersey numbers
+ * separated by semicolons. Images are not part of the roster.
+ */
+
+const ROSTER_TYPES = ['players', 'managers', 'trophies'];
+
+// Fields each type is imported and exported with; anything else in a row is ignored
+const ROSTER_FIELDS = new Map([
+  ['players', ['name', 'jerseyNumber', 'stars']],
+  ['managers', ['name', 'role']],
+  ['trophies', ['name', 'year', 'competition', 'finalResult', 'description', 'winners']]
+]);
+
+// The existing validators, applied to every row
+const ROW_SCHEMAS = new Map([
+  ['players', schemas.player],
+  ['managers', schemas.manager],
+  ['trophies', schemas.trophyImport]
+]);
+
+// CSV `type` values, singular or plural
+const TYPE_NAMES = new Map([
+  ['player', 'players'],
+  ['players', 'players'],
+  ['manager', 'managers'],
+  ['managers', 'managers'],
+  ['trophy', 'trophies'],
+  ['trophies', 'trophies']
+]);
+
+const CSV_COLUMNS = ['type', ...new Set([...ROSTER_FIELDS.values()].flat())];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// The upload cannot be imported; `details` lists the rows that failed validation, if that was the reason
+class RosterImportError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'RosterImportError';
+    this.details = details;
+  }
+}
+
+// Thrown inside the transaction of a dry run so that nothing it wrote is kept
+class DryRunRollback extends Error {
+  constructor(created) {
+    super('Dry run');
+    this.created = created;
+  }
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may contain commas, line breaks and doubled
+ * quotes; blank lines are skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  while (index < text.length) {
+    const char = text.charAt(index);
+    if (quoted) {
+      if (char === '"' && text.charAt(index + 1) === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text.charAt(index + 1) === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+
+  if (quoted) {
+    throw new RosterImportError('The CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+// Rows of an uploaded CSV as { type, row, fields }; `defaultType` applies to rows without a type
+function recordsFromCsv(text, defaultType) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new RosterImportError('The CSV is empty');
+  }
+  const columns = header.map(column => column.trim());
+  if (!columns.includes('type') && !defaultType) {
+    throw new RosterImportError('The CSV needs a type column or a type query parameter');
+  }
+
+  return rows.map((cells, index) => {
+    const fields = Object.fromEntries(columns
+      .map((column, position) => [column, (cells.at(position) || '').trim()])
+      .filter(([, value]) => value !== ''));
+    const { type, ...values } = fields;
+    if (values.winners !== undefined) {
+      values.winners = values.winners.split(/[;\s]+/).filter(Boolean);
+    }
+    return { type: type ? TYPE_NAMES.get(type.toLowerCase()) || type : defaultType, row: index + 1, fields: values };
+  });
+}
+
+// Rows of an uploaded JSON roster as { type, row, fields }
+function recordsFromJson(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RosterImportError(`The JSON must be an object with a list of ${ROSTER_TYPES.join(', ')}`);
+  }
+
+  return ROSTER_TYPES.flatMap(type => {
+    const list = Object.entries(body).find(([key]) => key === type);
+    if (!list) {
+      return [];
+    }
+    if (!Array.isArray(list[1])) {
+      throw new RosterImportError(`${type} must be a list`);
+    }
+    return list[1].map((fields, index) => ({ type, row: index + 1, fields }));
+  });
+}
+
+// The type's fields of a row that have a value
+function pickFields(type, fields) {
+  const names = ROSTER_FIELDS.get(type);
+  return Object.fromEntries(Object.entries(fields && typeof fields === 'object' ? fields : {})
+    .filter(([name, value]) => names.includes(name) && value !== null && value !== undefined && value !== ''));
+}
+
+// Text of a row without HTML tags, as the player, manager and trophy forms store it. CSV bodies are
+// parsed after the app-wide request sanitizer has run, so this is the only place their markup is removed.
+function withoutTags(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [
+    name,
+    typeof value === 'string' ? value.replace(/<[^>]*>/g, '').trim() : value
+  ]));
+}
+
+/**
+ * Strip HTML tags from every record and validate it with the row schemas, then across rows: jersey
+ * numbers must be free and appear once, trophy winners must be existing or imported players.
+ * Resolves to the validated values; throws RosterImportError listing every problem as { type, row, field, message }.
+ */
+function validateRecords(records, activePlayers) {
+  const details = [];
+  const rows = [];
+  const takenJerseys = new Set(activePlayers.map(player => player.jerseyNumber));
+  const importedJerseys = new Set();
+
+  for (const { type, row, fields } of records) {
+    const schema = ROW_SCHEMAS.get(type);
+    if (!schema) {
+      details.push({ type, row, field: 'type', message: `Type must be one of: ${ROSTER_TYPES.join(', ')}` });
+      continue;
+    }
+
+    const { value, error } = schema.validate(withoutTags(pickFields(type, fields)), { abortEarly: false });
+    if (error) {
+      error.details.forEach(detail => {
+        details.push({ type, row, field: detail.path.join('.'), message: detail.message });
+      });
+      continue;
+    }
+
+    if (type === 'players') {
+      if (takenJerseys.has(value.jerseyNumber)) {
+        const message = `Jersey number ${value.jerseyNumber} is already taken by another player`;
+        details.push({ type, row, field: 'jerseyNumber', message });
+        continue;
+      }
+      if (importedJerseys.has(value.jerseyNumber)) {
+        const message = `Jersey number ${value.jerseyNumber} appears more than once in the import`;
+        details.push({ type, row, field: 'jerseyNumber', message });
+        continue;
+      }
+      importedJerseys.add(value.jerseyNumber);
+    }
+    rows.push({ type, row, value });
+  }
+
+  for (const { type, row, value } of rows.filter(entry => entry.type === 'trophies')) {
+    const unknown = (value.winners || []).filter(jersey => !takenJerseys.has(jersey) && !importedJerseys.has(jersey));
+    if (unknown.length > 0) {
+      details.push({ type, row, field: 'winners', message: `No player has jersey number ${unknown.join(', ')}` });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new RosterImportError('Validation Error', details);
+  }
+  return rows;
+}
+
+/**
+ * Import a roster upload: CSV text or a parsed JSON body. Every row is validated before anything is
+ * written, then all rows are created in one transaction. A dry run goes through the same transaction
+ * and rolls it back, so database constraints are checked too. Resolves to the ids created (none are
+ * kept in a dry run) per type; throws RosterImportError when the upload cannot be imported.
+ *
+ * @param {string|Object} body
+ * @param {Object} [options]
+ * @param {string} [options.type] - Type of CSV rows without a type column
+ * @param {boolean} [options.dryRun]
+ */
+async function importRoster(body, { type, dryRun = false } = {}) {
+  const records = typeof body === 'string' ? recordsFromCsv(body, type) : recordsFromJson(body);
+  if (records.length === 0) {
+    throw new RosterImportError('The import has no rows');
+  }
+
+  const activePlayers = await players.listActive();
+  const rows = validateRecords(records, activePlayers);
+  const valuesOf = rowType => rows.filter(entry => entry.type === rowType).map(entry => entry.value);
+
+  try {
+    return await withTransaction(async repositories => {
+      const created = { players: [], managers: [], trophies: [] };
+      const playerIds = new Map(activePlayers.map(player => [player.jerseyNumber, player.id]));
+
+      for (const player of valuesOf('players')) {
+        const id = await repositories.players.create(player);
+        playerIds.set(player.jerseyNumber, id);
+        created.players.push(id);
+      }
+      for (const manager of valuesOf('managers')) {
+        created.managers.push(await repositories.managers.create(manager));
+      }
+      for (const { name, year, competition, finalResult, description, winners = [] } of valuesOf('trophies')) {
+        created.trophies.push(await repositories.trophies.create(
+          { name, year, competition, final_result: finalResult, description },
+          winners.map(jersey => playerIds.get(jersey))
+        ));
+      }
+
+      if (dryRun) {
+        throw new DryRunRollback(created);
+      }
+      return created;
+    });
+  } catch (error) {
+    if (error instanceof DryRunRollback) {
+      return { players: [], managers: [], trophies: [] };
+    }
+    throw error;
+  }
+}
+
+// Every player, manager and trophy outside the trash, in the JSON import shape
+async function exportRoster() {
+  const [playerRows, managerRows, trophyRows] = await Promise.all([
+    players.listActive(),
+    managers.list(),
+    trophies.listAll()
+  ]);
+
+  return {
+    players: playerRows.map(({ name, jerseyNumber, stars }) => ({ name, jerseyNumber, stars })),
+    managers: managerRows.map(({ name, role }) => ({ name, role })),
+    trophies: trophyRows.map(trophy => ({
+      name: trophy.name,
+      year: trophy.year,
+      competition: trophy.competition,
+      finalResult: trophy.final_result,
+      description: trophy.description,
+      winners: trophy.winners.map(winner => winner.jerseyNumber)
+    }))
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// An exported roster as one CSV with a row per player, manager and trophy
+function rosterToCsv(roster) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const type of ROSTER_TYPES) {
+    const list = Object.entries(roster).find(([key]) => key === type)[1];
+    for (const item of list) {
+      const values = new Map([['type', type], ...Object.entries(item)]);
+      lines.push(CSV_COLUMNS.map(column => csvCell(values.get(column))).join(','));
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  ROSTER_TYPES,
+  RosterImportError,
+  exportRoster,
+  importRoster,
+  parseCsv,
+  rosterToCsv
+};
@@ -0,0 +1,85 @@
+const express = require('express');
+const logger = require('./logger');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { importRoster, exportRoster, rosterToCsv, RosterImportError } = require('./roster');
+const { ConflictError } = require('./repositories');
+
+// Mounted at /api/admin next to the other admin routers, so each route checks the role itself
+const router = express.Router();
+
+const canEditRoster = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
+// CSV uploads arrive as text; JSON ones are parsed by the app-wide JSON parser
+const importBody = [
+  canEditRoster,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  validationRules.importRoster,
+  handleValidationErrors
+];
+
+const AUDIT_ENTITY_TYPES = new Map([
+  ['players', 'player'],
+  ['managers', 'manager'],
+  ['trophies', 'trophy']
+]);
+
+const countsOf = created => Object.fromEntries(Object.entries(created).map(([type, ids]) => [type, ids.length]));
+
+// POST /api/admin/import - Create players, managers and trophies from a CSV or JSON roster
+// Query: type (players|managers|trophies, for CSVs without a type column), dryRun (true|false)
+router.post('/import', importBody, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+
+  try {
+    const created = await importRoster(req.body, { type: req.query.type, dryRun });
+
+    if (dryRun) {
+      return res.json({ message: 'Dry run passed, nothing was imported', dryRun: true });
+    }
+
+    for (const [type, ids] of Object.entries(created)) {
+      for (const id of ids) {
+        const entityType = AUDIT_ENTITY_TYPES.get(type);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType, entityId: id });
+      }
+    }
+    logger.info('Roster imported', { ...countsOf(created), by: req.session.adminId });
+    return res.status(201).json({ message: 'Roster imported successfully', imported: countsOf(created), ids: created });
+  } catch (error) {
+    if (error instanceof RosterImportError) {
+      return error.details.length > 0
+        ? res.status(400).json({ error: 'Validation Error', details: error.details })
+        : res.status(400).json({ error: error.message });
+    }
+    // A row conflicted with data written since it was validated
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error importing roster:', error);
+    return res.status(500).json({ error: 'Error importing roster' });
+  }
+});
+
+// GET /api/admin/export - Every player, manager and trophy outside the trash, in the import format
+// Query: format (json|csv, default json)
+router.get('/export', canEditRoster, validationRules.exportRoster, handleValidationErrors, async (req, res) => {
+  const format = req.query.format || 'json';
+
+  try {
+    const roster = await exportRoster();
+    const filename = `roster-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      return res.type('text/csv').send(rosterToCsv(roster));
+    }
+    return res.json(roster);
+  } catch (error) {
+    console.error('Database error exporting roster:', error);
+    return res.status(500).json({ error: 'Failed to export roster. Please try again later.' });
+  }
+});
+
+module.exports = router;
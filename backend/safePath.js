@@ -0,0 +1,28 @@
+const path = require('path');
+
+/**
+ * File paths built from data, such as image keys or command line arguments, are resolved with
+ * resolveInside before they reach fs, so they cannot leave the directory they belong to.
+ */
+
+class PathOutsideRootError extends Error {
+  constructor(target, root) {
+    super(`${target} is outside ${root}`);
+    this.name = 'PathOutsideRootError';
+  }
+}
+
+// Absolute path of `target` resolved against `root`; throws PathOutsideRootError when it is not in `root`
+function resolveInside(root, target) {
+  const base = path.resolve(root);
+  const resolved = path.resolve(base, target);
+  if (resolved !== base && !resolved.startsWith(`${base}${path.sep}`)) {
+    throw new PathOutsideRootError(target, base);
+  }
+  return resolved;
+}
+
+module.exports = {
+  PathOutsideRootError,
+  resolveInside
+};
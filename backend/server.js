@@ -9,6 +9,7 @@ const express = require('express');
 const path = require('path');
 const session = require('express-session');
 const connectPgSimple = require('connect-pg-simple');
+const { SqliteSessionStore } = require('./sqlite/sessionStore');
 const helmet = require('helmet');
 const compression = require('compression');
 const cors = require('cors');
@@ -21,11 +22,24 @@ const client = require('prom-client');
 // Import modularized components
 const { pool } = require('./db');
 const db = require('./db');
-const { router: authRoutes, isAuthenticated } = require('./auth');
+const { router: authRoutes, requireRole, ROLES } = require('./auth');
 const playerRoutes = require('./playerRoutes');
+const playerStatsRoutes = require('./playerStatsRoutes');
 const managerRoutes = require('./managerRoutes');
 const trophyRoutes = require('./trophyRoutes');
+const matchRoutes = require('./matchRoutes');
 const { contactRouter, registeredUsersRouter } = require('./contactRoutes');
+const adminRoutes = require('./adminRoutes');
+const loginAttemptRoutes = require('./loginAttemptRoutes');
+const auditRoutes = require('./auditRoutes');
+const trashRoutes = require('./trashRoutes');
+const rosterRoutes = require('./rosterRoutes');
+const backupRoutes = require('./backupRoutes');
+const applicationFieldRoutes = require('./applicationFieldRoutes');
+const trash = require('./trash');
+const loginProtection = require('./loginProtection');
+const sessionRoutes = require('./sessionRoutes');
+const { IMAGE_FOLDERS } = require('./storage');
 
 const app = express();
 const PORT = config.PORT;
@@ -246,6 +260,8 @@ const speedLimiter = slowDown({
 app.use('/api/', generalLimiter);
 app.use('/api/', speedLimiter);
 app.use('/api/admin/login', authLimiter);
+app.use('/api/admin/password', authLimiter);
+app.use('/api/admin/2fa', authLimiter);
 
 // Body parsing middleware
 app.use(express.json({ 
@@ -266,19 +282,23 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Session configuration with enhanced security
 let sessionConfig = config.sessionConfig;
 
-// Try to use PostgreSQL session store, fallback to memory store if DB unavailable
+// Keep sessions in the database, fallback to memory store if DB unavailable
 try {
-  const pgSession = connectPgSimple(session);
-  sessionConfig.store = new pgSession({
+  const storeOptions = {
     pool: pool,
-    tableName: 'sessions',
-    createTableIfMissing: true,
     pruneSessionInterval: 60 * 15, // Prune expired sessions every 15 minutes
     errorLog: (err) => {
       logger.error('Session store error', { error: err.message });
     }
-  });
-  logger.info('PostgreSQL session store initialized');
+  };
+  if (config.usesSqlite) {
+    sessionConfig.store = new SqliteSessionStore(storeOptions);
+    logger.info('SQLite session store initialized');
+  } else {
+    const pgSession = connectPgSimple(session);
+    sessionConfig.store = new pgSession({ ...storeOptions, tableName: 'sessions', createTableIfMissing: true });
+    logger.info('PostgreSQL session store initialized');
+  }
 } catch (err) {
   logger.warn('Could not initialize PostgreSQL session store. Using memory store', {
     error: err.message,
@@ -345,16 +365,35 @@ const staticOptions = {
   }
 };
 
+// Images saved by the local storage driver. A stored file never changes, so it may be cached for good.
+for (const folder of IMAGE_FOLDERS) {
+  app.use(`/uploads/${folder}`, express.static(path.join(config.LOCAL_UPLOAD_DIR, folder), {
+    index: false,
+    maxAge: '365d',
+    immutable: true
+  }));
+}
+
 app.use(express.static(path.join(__dirname, '../'), staticOptions));
 app.use(express.static(path.join(__dirname, '../public'), staticOptions));
 
 // API Routes with enhanced error handling
 app.use('/api', authRoutes);
+app.use('/api/players/:id/stats', playerStatsRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/managers', managerRoutes);
 app.use('/api/trophies', trophyRoutes);
+app.use('/api/matches', matchRoutes);
 app.use('/api/contact', contactRouter);
 app.use('/api/registered-users', registeredUsersRouter);
+app.use('/api/admin/users', adminRoutes);
+app.use('/api/admin/login-attempts', loginAttemptRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/trash', trashRoutes);
+app.use('/api/admin/sessions', sessionRoutes);
+app.use('/api/admin/backup', backupRoutes);
+app.use('/api/admin/application-fields', applicationFieldRoutes);
+app.use('/api/admin', rosterRoutes);
 
 // Advanced health check and monitoring routes
 app.use('/api/health', healthCheckRoutes);
@@ -465,7 +504,7 @@ app.get('/health', async (req, res) => {
 });
 
 // Error statistics endpoint
-app.get('/api/admin/errors', isAuthenticated, (req, res) => {
+app.get('/api/admin/errors', requireRole(ROLES.OWNER), (req, res) => {
   const stats = errorTracker.getErrorStats();
   res.json({
     ...stats,
@@ -474,7 +513,7 @@ app.get('/api/admin/errors', isAuthenticated, (req, res) => {
 });
 
 // Performance report endpoint
-app.get('/api/admin/performance', isAuthenticated, (req, res) => {
+app.get('/api/admin/performance', requireRole(ROLES.OWNER), (req, res) => {
   const report = performance.getPerformanceReport();
   res.json(report);
 });
@@ -604,6 +643,12 @@ const server = app.listen(PORT, config.HOST, () => {
   });
 });
 
+// Permanently remove players, managers and trophies that have outlived the trash retention period
+trash.startPurgeSchedule();
+
+// Delete login attempts older than the lockout window
+loginProtection.startPruneSchedule();
+
 // Enhanced graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`, {
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+const logger = require('./logger');
+const { isAuthenticated, endAdminSessions } = require('./auth');
+const { sessions, NotFoundError } = require('./repositories');
+
+// Mounted at /api/admin/sessions; every admin manages only their own sessions
+const router = express.Router();
+
+router.use(isAuthenticated);
+
+// Sessions are identified to the client by a hash of their sid, as the sid itself is what the cookie carries
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+// Public shape of a session; sessions from before client info was recorded have nulls
+function toSessionSummary(sid, sess, expiresAt, currentSid) {
+  return {
+    id: sessionHandle(sid),
+    current: sid === currentSid,
+    ip: sess.ip || null,
+    userAgent: sess.userAgent || null,
+    loginTime: sess.loginTime || null,
+    lastActivity: sess.lastActivity || sess.loginTime || null,
+    expiresAt
+  };
+}
+
+// End the current session and drop its cookie
+function destroyCurrentSession(req, res, message) {
+  req.session.destroy(err => {
+    if (err) {
+      logger.error('Session destruction error', { error: err.message });
+      return res.status(500).json({ error: 'Could not log out', code: 'LOGOUT_ERROR' });
+    }
+    res.clearCookie(config.sessionConfig.name);
+    return res.json({ message });
+  });
+}
+
+// GET /api/admin/sessions - The logged-in admin's active sessions, most recently used first
+router.get('/', async (req, res) => {
+  // Without PostgreSQL sessions live in the memory store and only the current one is known
+  if (global.MOCK_MODE) {
+    const expiresAt = req.session.cookie && req.session.cookie.expires;
+    return res.json([toSessionSummary(req.sessionID, req.session, expiresAt || null, req.sessionID)]);
+  }
+
+  try {
+    const rows = await sessions.listForAdmin(req.session.adminId);
+
+    return res.json(rows
+      .map(row => toSessionSummary(row.sid, row.sess, row.expire, req.sessionID))
+      .sort((a, b) => String(b.lastActivity).localeCompare(String(a.lastActivity))));
+  } catch (error) {
+    console.error('Database error fetching sessions:', error);
+    return res.status(500).json({ error: 'Failed to fetch sessions. Please try again later.' });
+  }
+});
+
+// DELETE /api/admin/sessions - Log out everywhere; ?keepCurrent=true keeps this session signed in
+router.delete('/', async (req, res) => {
+  const adminId = req.session.adminId;
+  const keepCurrent = req.query.keepCurrent === 'true';
+
+  try {
+    await endAdminSessions(adminId, req.sessionID);
+    logger.info('Admin logged out of other sessions', { adminId, keepCurrent, ip: req.ip });
+
+    if (keepCurrent) {
+      return res.json({ message: 'All other sessions have been logged out' });
+    }
+    return destroyCurrentSession(req, res, 'Logged out of all sessions');
+  } catch (error) {
+    console.error('Error ending sessions:', error);
+    return res.status(500).json({ error: 'Error ending sessions' });
+  }
+});
+
+// DELETE /api/admin/sessions/:id - Revoke one session, e.g. on a lost or stolen device
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+  const adminId = req.session.adminId;
+
+  if (id === sessionHandle(req.sessionID)) {
+    logger.info('Admin revoked current session', { adminId, ip: req.ip });
+    return destroyCurrentSession(req, res, 'Session revoked');
+  }
+
+  try {
+    // Only the admin's own sessions are searched, so admins cannot revoke sessions that are not theirs
+    const target = (await sessions.listForAdmin(adminId)).find(row => sessionHandle(row.sid) === id);
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessions.removeForAdmin(adminId, target.sid);
+
+    logger.info('Admin revoked session', { adminId, ip: req.ip });
+    return res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    console.error('Error revoking session:', error);
+    return res.status(500).json({ error: 'Error revoking session' });
+  }
+});
+
+module.exports = router;
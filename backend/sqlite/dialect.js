@@ -0,0 +1,112 @@
+/**
+ * Translation between the PostgreSQL dialect the application writes and SQLite.
+ *
+ * Statements are rewritten rather than duplicated: $n placeholders become positional ?, casts are
+ * dropped, ILIKE becomes LIKE (case-insensitive in SQLite) and `= ANY($n)` reads the array parameter
+ * through json_each. Timestamps are stored as ISO 8601 UTC text, which compares chronologically and
+ * parses back with new Date(). Queries PostgreSQL alone can run (LATERAL, ARRAY(...), full-text
+ * search) have to be avoided or branched on db.dialect by the caller.
+ */
+
+// CURRENT_TIMESTAMP in the same format Date#toISOString() produces for parameters
+const SQLITE_NOW = '(strftime(\'%Y-%m-%dT%H:%M:%fZ\', \'now\'))';
+
+// PostgreSQL's ->> always yields text, SQLite's the JSON value's own type, so '1' would not equal 1
+const JSON_TEXT_PATTERN = /([\w.]+)\s*->>\s*('\w+')/g;
+
+// Quoted strings and identifiers are copied untouched; only the code between them is rewritten
+const QUOTED_PATTERN = /('(?:[^']|'')*'|"[^"]*")/;
+
+// SQLite's extended result codes of constraint failures and the matching PostgreSQL SQLSTATE
+const SQLSTATE_BY_SQLITE_CODE = new Map([
+  ['SQLITE_CONSTRAINT_NOTNULL', '23502'],
+  ['SQLITE_CONSTRAINT_FOREIGNKEY', '23503'],
+  ['SQLITE_CONSTRAINT_UNIQUE', '23505'],
+  ['SQLITE_CONSTRAINT_PRIMARYKEY', '23505'],
+  ['SQLITE_CONSTRAINT_CHECK', '23514']
+]);
+
+function rewriteCode(code, order) {
+  return code
+    .replace(/::\w+(?:\[\])?/g, '')
+    .replace(/=\s*ANY\s*\(\s*\$(\d+)\s*\)/gi, 'IN (SELECT value FROM json_each($$$1))')
+    .replace(/\bILIKE\b/gi, 'LIKE')
+    .replace(/\bNOW\(\)|\bCURRENT_TIMESTAMP\b/gi, SQLITE_NOW)
+    .replace(/\$(\d+)/g, (placeholder, index) => {
+      order.push(parseInt(index, 10));
+      return '?';
+    });
+}
+
+/**
+ * Rewrite a PostgreSQL statement for SQLite. Returns the SQL and, for each ? in it, the 1-based
+ * index of the parameter it binds, since one $n may be used several times.
+ */
+function translate(sql) {
+  const order = [];
+  const translated = sql
+    .replace(JSON_TEXT_PATTERN, 'CAST($1 ->> $2 AS TEXT)')
+    .split(QUOTED_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : rewriteCode(part, order)))
+    .join('');
+  return { sql: translated, order };
+}
+
+// Parameter value as SQLite can bind it: booleans as 0/1, dates as ISO text, arrays and objects as JSON
+function toSqliteValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// Column value typed by its declared column type, as node-postgres returns it
+function fromSqliteValue(value, declaredType) {
+  if (value === null || !declaredType) {
+    return value;
+  }
+  switch (declaredType.toUpperCase()) {
+    case 'BOOLEAN':
+      return Boolean(value);
+    case 'DATE':
+    case 'TIMESTAMP':
+      return new Date(value);
+    case 'JSON':
+    case 'JSONB':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    default:
+      return value;
+  }
+}
+
+// Convert a result row; `columns` comes from Statement#columns()
+function convertRow(row, columns) {
+  const types = new Map(columns.map(({ name, type }) => [name, type]));
+  return Object.fromEntries(Object.entries(row).map(([name, value]) => [name, fromSqliteValue(value, types.get(name))]));
+}
+
+// Give constraint failures the SQLSTATE code callers check for, e.g. 23505 for unique violations
+function toDatabaseError(error) {
+  const code = SQLSTATE_BY_SQLITE_CODE.get(error.code);
+  if (code) {
+    error.sqliteCode = error.code;
+    error.code = code;
+  }
+  return error;
+}
+
+module.exports = {
+  convertRow,
+  toDatabaseError,
+  toSqliteValue,
+  translate
+};
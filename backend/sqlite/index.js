@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { convertRow, toDatabaseError, toSqliteValue, translate } = require('./dialect');
+
+/**
+ * Embedded SQLite storage, used when DB_DRIVER=sqlite. SqlitePool has the parts of pg's Pool the
+ * application uses: query() with a promise or a callback, connect() for transactions and end().
+ * Statements are written in the PostgreSQL dialect and translated, see ./dialect.js.
+ *
+ * There is a single connection. A client from connect() holds it until release(), and statements
+ * issued on the pool meanwhile wait their turn, so transactions never interleave.
+ */
+
+// Prepared statements by SQL text; the application builds a bounded set of distinct statements
+const STATEMENT_CACHE_SIZE = 500;
+
+// better-sqlite3 is an optional dependency, only needed when this driver is selected
+function openDatabase(filename) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('DB_DRIVER=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const database = new Database(filename);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+  database.pragma('busy_timeout = 5000');
+  return database;
+}
+
+class SqlitePool {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.database = openDatabase(filename);
+    this.statements = new Map();
+    // Settles when the current holder of the connection is done with it
+    this.turn = Promise.resolve();
+  }
+
+  // Wait for the connection; resolves to the function that hands it to the next caller
+  acquire() {
+    const previous = this.turn;
+    let release;
+    this.turn = new Promise(resolve => {
+      release = resolve;
+    });
+    return previous.then(() => release);
+  }
+
+  prepare(sql) {
+    let prepared = this.statements.get(sql);
+    if (!prepared) {
+      const { sql: translated, order } = translate(sql);
+      const statement = this.database.prepare(translated);
+      prepared = { statement, order, columns: statement.reader ? statement.columns() : null };
+
+      if (this.statements.size >= STATEMENT_CACHE_SIZE) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+      this.statements.set(sql, prepared);
+    }
+    return prepared;
+  }
+
+  // Run one statement on the connection, returning node-postgres' { rows, rowCount }
+  execute(sql, params = []) {
+    try {
+      const { statement, order, columns } = this.prepare(sql);
+      const values = order.map(index => toSqliteValue(params[index - 1]));
+
+      if (columns) {
+        const rows = statement.all(values).map(row => convertRow(row, columns));
+        return { rows, rowCount: rows.length };
+      }
+      return { rows: [], rowCount: statement.run(values).changes };
+    } catch (error) {
+      throw toDatabaseError(error);
+    }
+  }
+
+  query(sql, params, callback) {
+    const done = typeof params === 'function' ? params : callback;
+    const values = Array.isArray(params) ? params : [];
+
+    const result = this.acquire().then(release => {
+      try {
+        return this.execute(sql, values);
+      } finally {
+        release();
+      }
+    });
+
+    if (!done) {
+      return result;
+    }
+    result.then(res => done(null, res), error => done(error));
+    return undefined;
+  }
+
+  // A client holding the connection; release() ends an unfinished transaction by rolling it back
+  async connect() {
+    const release = await this.acquire();
+    return {
+      query: (sql, params = []) => new Promise(resolve => resolve(this.execute(sql, params))),
+      release: () => {
+        if (this.database.inTransaction) {
+          this.database.exec('ROLLBACK');
+        }
+        release();
+      }
+    };
+  }
+
+  async end(callback) {
+    const release = await this.acquire();
+    this.database.close();
+    release();
+    if (callback) {
+      callback(null);
+    }
+  }
+}
+
+module.exports = {
+  SqlitePool
+};
@@ -0,0 +1,74 @@
+const session = require('express-session');
+
+// Lifetime of sessions whose cookie has no expiry, as connect-pg-simple uses
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// express-session leaves out the callback of set, touch and destroy at times
+const ignoreResult = () => undefined;
+
+/**
+ * express-session store for the SQLite driver. Sessions live in the sessions table in the same
+ * shape connect-pg-simple gives them (sid, sess as JSON, expire), so the admin session list and
+ * "log out everywhere" work the same with either database.
+ */
+class SqliteSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {SqlitePool} options.pool
+   * @param {number} [options.pruneSessionInterval] - Seconds between removals of expired sessions, 0 to disable
+   * @param {Function} [options.errorLog] - Receives errors of the periodic pruning
+   */
+  constructor({ pool, pruneSessionInterval = 15 * 60, errorLog = console.error }) {
+    super();
+    this.pool = pool;
+    this.errorLog = errorLog;
+
+    if (pruneSessionInterval > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.pruneSessions().catch(this.errorLog);
+      }, pruneSessionInterval * 1000);
+      this.pruneTimer.unref();
+    }
+  }
+
+  get(sid, callback) {
+    this.pool.query('SELECT sess FROM sessions WHERE sid = $1 AND expire >= CURRENT_TIMESTAMP', [sid])
+      .then(result => callback(null, result.rows.length > 0 ? result.rows[0].sess : null), callback);
+  }
+
+  set(sid, sess, callback = ignoreResult) {
+    this.pool.query(
+      `INSERT INTO sessions (sid, sess, expire) VALUES ($1, $2, $3)
+       ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expire = excluded.expire`,
+      [sid, sess, expiration(sess)]
+    ).then(() => callback(null), callback);
+  }
+
+  touch(sid, sess, callback = ignoreResult) {
+    this.pool.query('UPDATE sessions SET expire = $1 WHERE sid = $2', [expiration(sess), sid])
+      .then(() => callback(null), callback);
+  }
+
+  destroy(sid, callback = ignoreResult) {
+    this.pool.query('DELETE FROM sessions WHERE sid = $1', [sid]).then(() => callback(null), callback);
+  }
+
+  // Remove expired sessions; resolves to the number removed
+  async pruneSessions() {
+    const result = await this.pool.query('DELETE FROM sessions WHERE expire < CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+function expiration(sess) {
+  const expires = sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_SESSION_TTL_MS);
+}
+
+module.exports = {
+  SqliteSessionStore
+};
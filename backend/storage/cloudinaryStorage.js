@@ -0,0 +1,111 @@
+const { objectKey } = require('./keys');
+
+const CLOUDINARY_HOST = 'res.cloudinary.com';
+const UPLOAD_TIMEOUT_MS = 30000;
+// Largest page the Admin API returns
+const LIST_PAGE_SIZE = 500;
+
+/**
+ * Images on Cloudinary, which converts and optimises them on delivery. The uploader and Admin API
+ * are passed in so that requiring this module never configures the SDK.
+ */
+class CloudinaryStorage {
+  constructor({ uploader, api }) {
+    this.name = 'cloudinary';
+    this.uploader = uploader;
+    this.api = api;
+  }
+
+  owns(url) {
+    try {
+      return new URL(url).hostname === CLOUDINARY_HOST;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Public ID of a delivery URL: the path after /upload/ (or after the cloud name), without the
+   * version segment and the extension, e.g. players/abc for .../image/upload/v17/players/abc.webp
+   */
+  publicIdOf(url) {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const uploadIndex = segments.indexOf('upload');
+    const rest = uploadIndex === -1 ? segments.slice(1) : segments.slice(uploadIndex + 1);
+    const withoutVersion = /^v\d+$/.test(rest[0] || '') ? rest.slice(1) : rest;
+    return withoutVersion.join('/').replace(/\.[^./]+$/, '');
+  }
+
+  // Public IDs identify Cloudinary assets; the URL also carries a version and a format
+  keyOf(url) {
+    return this.owns(url) ? this.publicIdOf(url) : null;
+  }
+
+  save(buffer, { folder, extension }) {
+    const key = objectKey(folder, buffer, '');
+    // Images arrive already encoded, one upload per format, so Cloudinary keeps the format as is
+    const uploadOptions = {
+      public_id: key,
+      format: extension ? extension.slice(1) : 'webp',
+      resource_type: 'image',
+      timeout: UPLOAD_TIMEOUT_MS,
+      use_filename: false,
+      unique_filename: false
+    };
+
+    return new Promise((resolve, reject) => {
+      const uploadStream = this.uploader.upload_stream(uploadOptions, (error, result) => {
+        if (error) {
+          reject(new Error(`Cloudinary upload failed: ${error.message || 'Unknown error'}`));
+        } else if (!result || !result.secure_url) {
+          reject(new Error('Upload succeeded but no URL returned'));
+        } else {
+          resolve(result.secure_url);
+        }
+      });
+      uploadStream.end(buffer);
+    });
+  }
+
+  async read(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not download ${url}: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async list(folder) {
+    const images = [];
+    let cursor;
+    do {
+      const page = await this.api.resources({
+        type: 'upload',
+        resource_type: 'image',
+        prefix: `${folder}/`,
+        max_results: LIST_PAGE_SIZE,
+        ...(cursor ? { next_cursor: cursor } : {})
+      });
+      for (const resource of page.resources) {
+        images.push({ key: resource.public_id, url: resource.secure_url, createdAt: new Date(resource.created_at) });
+      }
+      cursor = page.next_cursor;
+    } while (cursor);
+    return images;
+  }
+
+  async remove(url) {
+    const publicId = this.publicIdOf(url);
+    const result = await new Promise((resolve, reject) => {
+      this.uploader.destroy(publicId, (error, response) => (error ? reject(error) : resolve(response)));
+    });
+    // "not found" means it is already gone
+    if (result.result !== 'ok' && result.result !== 'not found') {
+      throw new Error(`Cloudinary could not delete ${publicId}: ${result.result}`);
+    }
+  }
+}
+
+module.exports = {
+  CloudinaryStorage
+};
@@ -0,0 +1,119 @@
+const { IMAGE_FOLDERS } = require('./keys');
+const { IMAGE_TABLES } = require('./migrate');
+
+// Images younger than this are left alone: an upload is stored before the row pointing at it is saved
+const DEFAULT_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Every URL a row uses: imageUrl and, for uploads with variants, each variant and the original
+function urlsOf({ imageUrl, image_variants: variants }) {
+  const sources = variants && Array.isArray(variants.sources) ? variants.sources.map(source => source.url) : [];
+  const original = variants && variants.original ? [variants.original.url] : [];
+  return [...new Set([imageUrl, ...sources, ...original].filter(Boolean))];
+}
+
+// Whether a key lies in one of the folders this job lists, so its absence from them means something
+function inImageFolder(key) {
+  return IMAGE_FOLDERS.some(folder => key.startsWith(`${folder}/`));
+}
+
+/**
+ * Reconcile the images kept by `storage` with the rows that use them, trashed rows included.
+ *
+ * - Orphans are objects in the players/, managers/ and trophies/ folders no row refers to, e.g. left
+ *   behind by a failed upload or a deletion that did not reach the storage. Those older than `minAge`
+ *   are deleted.
+ * - Broken references are rows pointing at objects that no longer exist. Their image is cleared, so
+ *   the site falls back to the default image, and whatever is left of it is deleted. A row is only
+ *   cleared while it still has the image the check saw.
+ *
+ * With `dryRun` both are only reported. Failures are reported per image and the rest carry on.
+ *
+ * @param {Object} pool - pg Pool or SqlitePool
+ * @param {Object} options
+ * @param {Object} options.storage - Storage driver to reconcile
+ * @param {boolean} [options.dryRun] - Only report what would be deleted or cleared
+ * @param {number} [options.minAge] - Milliseconds an unreferenced object must have existed to be deleted
+ * @param {Date} [options.now]
+ * @returns {Promise<{orphans: Object[], broken: Object[], failed: Object[]}>}
+ */
+async function collectGarbage(pool, { storage, dryRun = false, minAge = DEFAULT_MIN_AGE_MS, now = new Date() }) {
+  // Rows are read before storage is listed: an image saved for a row read here is then always in the
+  // listing, while an upload that finishes in between is at worst a young orphan, which minAge spares
+  const referencing = [];
+  for (const table of IMAGE_TABLES) {
+    const { rows } = await pool.query(
+      `SELECT id, imageUrl AS "imageUrl", image_variants FROM ${table} WHERE imageUrl IS NOT NULL ORDER BY id`
+    );
+    for (const row of rows) {
+      referencing.push({ table, row, keys: urlsOf(row).map(url => storage.keyOf(url)).filter(Boolean) });
+    }
+  }
+
+  const stored = new Map();
+  for (const folder of IMAGE_FOLDERS) {
+    for (const image of await storage.list(folder)) {
+      stored.set(image.key, { folder, ...image });
+    }
+  }
+
+  const referenced = new Set(referencing.flatMap(({ keys }) => keys));
+  const broken = referencing
+    .map(({ table, row, keys }) => ({
+      table,
+      id: row.id,
+      imageUrl: row.imageUrl,
+      missing: keys.filter(key => inImageFolder(key) && !stored.has(key)),
+      row
+    }))
+    .filter(({ missing }) => missing.length > 0);
+
+  const orphans = [...stored.values()]
+    .filter(image => !referenced.has(image.key))
+    .filter(image => now - new Date(image.createdAt) >= minAge)
+    .map(({ folder, key, url, createdAt }) => ({ folder, key, url, createdAt }));
+
+  const failed = [];
+  if (!dryRun) {
+    for (const orphan of orphans) {
+      try {
+        await storage.remove(orphan.url);
+      } catch (error) {
+        failed.push({ url: orphan.url, error: error.message });
+      }
+    }
+    for (const { table, id, imageUrl, missing, row } of broken) {
+      try {
+        await clearImage(pool, storage, table, row, missing);
+      } catch (error) {
+        failed.push({ table, id, url: imageUrl, error: error.message });
+      }
+    }
+  }
+
+  return {
+    orphans,
+    broken: broken.map(({ table, id, imageUrl, missing }) => ({ table, id, imageUrl, missing })),
+    failed
+  };
+}
+
+// Point the row at no image and delete the parts of its image that still exist
+async function clearImage(pool, storage, table, row, missing) {
+  const remaining = urlsOf(row).filter(url => storage.owns(url) && !missing.includes(storage.keyOf(url)));
+  const result = await pool.query(
+    `UPDATE ${table} SET imageUrl = NULL, image_variants = NULL WHERE id = $1 AND imageUrl = $2`,
+    [row.id, row.imageUrl]
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Image changed during the check');
+  }
+
+  for (const url of remaining) {
+    await storage.remove(url);
+  }
+}
+
+module.exports = {
+  DEFAULT_MIN_AGE_MS,
+  collectGarbage
+};
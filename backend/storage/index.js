@@ -0,0 +1,79 @@
+const config = require('../config');
+const { CloudinaryStorage } = require('./cloudinaryStorage');
+const { IMAGE_FOLDERS } = require('./keys');
+const { LocalDiskStorage } = require('./localDiskStorage');
+const { S3Storage } = require('./s3Storage');
+
+/**
+ * Image storage. Uploads go to the driver selected by STORAGE_DRIVER; existing images are read and
+ * deleted through whichever driver stored them, recognised by their URL, so switching drivers
+ * leaves earlier uploads working. scripts/migrate-images.js moves them over.
+ *
+ * A driver has a `name` and these methods:
+ *   save(buffer, { folder, extension }) - store a new image, resolves to its public URL
+ *   read(url)   - resolves to the stored bytes
+ *   remove(url) - delete the stored image
+ *   owns(url)   - whether the URL points at an image this driver stored
+ *   keyOf(url)  - the stored object's key (folder/name) for a URL it owns, otherwise null
+ *   list(folder) - resolves to [{ key, url, createdAt }] for every object stored in the folder
+ */
+
+const DRIVER_NAMES = ['cloudinary', 'local', 's3'];
+
+// Drivers are built on first use, since the Cloudinary and S3 SDKs are only loaded when needed
+const drivers = new Map();
+
+function createDriver(name) {
+  switch (name) {
+    case 'cloudinary':
+      return new CloudinaryStorage(require('../cloudinaryConfig'));
+    case 'local':
+      return new LocalDiskStorage({ directory: config.LOCAL_UPLOAD_DIR });
+    case 's3':
+      return new S3Storage(config.s3Config);
+    default:
+      throw new Error(`Unknown storage driver "${name}", expected ${DRIVER_NAMES.join(', ')}`);
+  }
+}
+
+function getDriver(name) {
+  if (!drivers.has(name)) {
+    drivers.set(name, createDriver(name));
+  }
+  return drivers.get(name);
+}
+
+// Driver new uploads go to
+function getStorage() {
+  return getDriver(config.STORAGE_DRIVER);
+}
+
+// S3 can only recognise its URLs when it is configured
+function configuredDriverNames() {
+  return DRIVER_NAMES.filter(name => name !== 's3' || config.s3Config.bucket);
+}
+
+// Driver that stored the image at `url`, or null, e.g. for the default images
+function storageForUrl(url) {
+  if (!url) {
+    return null;
+  }
+  return configuredDriverNames().map(getDriver).find(driver => driver.owns(url)) || null;
+}
+
+// Replace the cached drivers, e.g. with fakes in tests; call without arguments to reset
+function setDrivers(entries = []) {
+  drivers.clear();
+  for (const [name, driver] of entries) {
+    drivers.set(name, driver);
+  }
+}
+
+module.exports = {
+  DRIVER_NAMES,
+  IMAGE_FOLDERS,
+  getDriver,
+  getStorage,
+  setDrivers,
+  storageForUrl
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Folders images are stored in, one per kind of content
+const IMAGE_FOLDERS = ['players', 'managers', 'trophies'];
+
+const MIME_TYPE_BY_EXTENSION = new Map([
+  ['.webp', 'image/webp'],
+  ['.jpg', 'image/jpeg'],
+  ['.jpeg', 'image/jpeg'],
+  ['.png', 'image/png'],
+  ['.gif', 'image/gif']
+]);
+
+// folder/name.ext as objectKey() builds it
+const OBJECT_KEY_PATTERN = /^[a-z]+\/[a-f0-9]+-[a-f0-9]+\.[a-z]+$/;
+
+/**
+ * Key of a newly stored image: `<folder>/<content hash>-<random>.<ext>`. Names never reveal the
+ * uploaded filename and a stored object never changes, so it can be cached indefinitely. The random
+ * part keeps two uploads of the same file apart, so deleting one never removes the other.
+ */
+function objectKey(folder, buffer, extension) {
+  if (!IMAGE_FOLDERS.includes(folder)) {
+    throw new Error(`Unknown image folder "${folder}"`);
+  }
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  return `${folder}/${hash}-${crypto.randomBytes(4).toString('hex')}${extension}`;
+}
+
+function isObjectKey(key) {
+  return OBJECT_KEY_PATTERN.test(key);
+}
+
+function mimeTypeOf(key) {
+  const extension = key.slice(key.lastIndexOf('.')).toLowerCase();
+  return MIME_TYPE_BY_EXTENSION.get(extension) || 'application/octet-stream';
+}
+
+module.exports = {
+  IMAGE_FOLDERS,
+  isObjectKey,
+  mimeTypeOf,
+  objectKey
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { isObjectKey, objectKey } = require('./keys');
+const { resolveInside } = require('../safePath');
+
+/**
+ * Images as files on the server's disk, served by express from `publicPath` (/uploads). Only files
+ * this driver wrote are ever read or deleted: the default images shipped in public/uploads live
+ * outside the per-folder directories and are never matched.
+ */
+class LocalDiskStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory files are written to
+   * @param {string} [options.publicPath] - URL path the directory is served from
+   */
+  constructor({ directory, publicPath = '/uploads' }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+    this.publicPath = publicPath;
+  }
+
+  // Key of a URL this driver created, or null
+  keyOf(url) {
+    const prefix = `${this.publicPath}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) {
+      return null;
+    }
+    const key = url.slice(prefix.length);
+    return isObjectKey(key) ? key : null;
+  }
+
+  owns(url) {
+    return this.keyOf(url) !== null;
+  }
+
+  filePath(url) {
+    const key = this.keyOf(url);
+    if (!key) {
+      throw new Error(`Not a locally stored image: ${url}`);
+    }
+    return this.resolve(key);
+  }
+
+  // Absolute path of a key or folder, which may not leave the upload directory
+  resolve(relativePath) {
+    return resolveInside(this.directory, relativePath);
+  }
+
+  async save(buffer, { folder, extension }) {
+    const key = objectKey(folder, buffer, extension);
+    await fs.promises.mkdir(this.resolve(folder), { recursive: true });
+    await fs.promises.writeFile(this.resolve(key), buffer);
+    return `${this.publicPath}/${key}`;
+  }
+
+  async read(url) {
+    const contents = await fs.promises.readFile(this.filePath(url));
+    return contents;
+  }
+
+  async list(folder) {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.resolve(folder));
+    } catch (error) {
+      // Nothing has been uploaded to the folder yet
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const images = [];
+    for (const key of names.map(name => `${folder}/${name}`).filter(isObjectKey)) {
+      const { mtime } = await fs.promises.stat(this.resolve(key));
+      images.push({ key, url: `${this.publicPath}/${key}`, createdAt: mtime });
+    }
+    return images;
+  }
+
+  async remove(url) {
+    try {
+      await fs.promises.unlink(this.filePath(url));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  LocalDiskStorage
+};
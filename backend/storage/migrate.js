@@ -0,0 +1,79 @@
+const path = require('path');
+const { IMAGE_FOLDERS } = require('./keys');
+
+// Tables with an imageUrl column; each table's images live in the folder of the same name
+const IMAGE_TABLES = IMAGE_FOLDERS;
+
+const DEFAULT_EXTENSION = '.webp';
+
+// Extension of the file a URL points at, as images are saved with it
+function extensionOf(url) {
+  const extension = path.extname(new URL(url, 'http://localhost').pathname).toLowerCase();
+  return extension || DEFAULT_EXTENSION;
+}
+
+/**
+ * Copy every image stored by `from` to `to` and point its row at the copy, trashed rows included.
+ * A row is only repointed while it still has the old URL, so an image replaced during the run is
+ * not overwritten. Originals are kept unless `deleteSource` is set. Failures are reported per image
+ * and the rest carry on.
+ *
+ * @param {Object} pool - pg Pool or SqlitePool
+ * @param {Object} options
+ * @param {Object} options.from - Storage driver images are moved from
+ * @param {Object} options.to - Storage driver images are moved to
+ * @param {boolean} [options.dryRun] - Only list the images that would move
+ * @param {boolean} [options.deleteSource] - Delete each original once its row points at the copy
+ * @returns {Promise<{moved: Object[], failed: Object[]}>}
+ */
+async function migrateImages(pool, { from, to, dryRun = false, deleteSource = false }) {
+  if (from.name === to.name) {
+    throw new Error('Source and target storage are the same');
+  }
+
+  const moved = [];
+  const failed = [];
+
+  for (const table of IMAGE_TABLES) {
+    const { rows } = await pool.query(
+      `SELECT id, imageUrl AS "imageUrl" FROM ${table} WHERE imageUrl IS NOT NULL ORDER BY id`
+    );
+
+    for (const { id, imageUrl } of rows.filter(row => from.owns(row.imageUrl))) {
+      if (dryRun) {
+        moved.push({ table, id, from: imageUrl, to: null });
+        continue;
+      }
+
+      try {
+        const buffer = await from.read(imageUrl);
+        const newUrl = await to.save(buffer, { folder: table, extension: extensionOf(imageUrl) });
+        const result = await pool.query(
+          `UPDATE ${table} SET imageUrl = $1 WHERE id = $2 AND imageUrl = $3`,
+          [newUrl, id, imageUrl]
+        );
+
+        if (result.rowCount === 0) {
+          // Changed or deleted meanwhile; the copy is not referenced by anything
+          await to.remove(newUrl);
+          failed.push({ table, id, from: imageUrl, error: 'Image changed during the migration' });
+          continue;
+        }
+        if (deleteSource) {
+          await from.remove(imageUrl);
+        }
+        moved.push({ table, id, from: imageUrl, to: newUrl });
+      } catch (error) {
+        failed.push({ table, id, from: imageUrl, error: error.message });
+      }
+    }
+  }
+
+  return { moved, failed };
+}
+
+module.exports = {
+  IMAGE_TABLES,
+  extensionOf,
+  migrateImages
+};
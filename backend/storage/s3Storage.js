@@ -0,0 +1,111 @@
+const { mimeTypeOf, isObjectKey, objectKey } = require('./keys');
+
+// Stored objects never change (see keys.js), so browsers and CDNs may keep them for good
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// @aws-sdk/client-s3 is an optional dependency, only needed when this driver is selected
+function loadSdk() {
+  try {
+    return require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package: npm install @aws-sdk/client-s3');
+  }
+}
+
+/**
+ * Images in an S3 bucket or any S3-compatible service (MinIO, Cloudflare R2, ...). The bucket must
+ * be readable at `publicUrl`, which defaults to the bucket's own address.
+ */
+class S3Storage {
+  /**
+   * @param {Object} options - config.s3Config
+   * @param {Object} [options.client] - S3Client to use instead of one built from the options
+   */
+  constructor({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl, client }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+    this.name = 's3';
+    this.sdk = loadSdk();
+    this.bucket = bucket;
+    this.client = client || new this.sdk.S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+
+    let defaultUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+    if (endpoint) {
+      defaultUrl = `${endpoint.replace(/\/$/, '')}/${bucket}`;
+    }
+    this.publicUrl = (publicUrl || defaultUrl).replace(/\/$/, '');
+  }
+
+  // Key of a URL this driver created, or null
+  keyOf(url) {
+    const prefix = `${this.publicUrl}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) {
+      return null;
+    }
+    const key = url.slice(prefix.length);
+    return isObjectKey(key) ? key : null;
+  }
+
+  owns(url) {
+    return this.keyOf(url) !== null;
+  }
+
+  requireKey(url) {
+    const key = this.keyOf(url);
+    if (!key) {
+      throw new Error(`Not an image in bucket ${this.bucket}: ${url}`);
+    }
+    return key;
+  }
+
+  async save(buffer, { folder, extension }) {
+    const key = objectKey(folder, buffer, extension);
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimeTypeOf(key),
+      CacheControl: CACHE_CONTROL
+    }));
+    return `${this.publicUrl}/${key}`;
+  }
+
+  async read(url) {
+    const response = await this.client.send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.requireKey(url)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async list(folder) {
+    const images = [];
+    let token;
+    do {
+      const page = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${folder}/`,
+        ...(token ? { ContinuationToken: token } : {})
+      }));
+      for (const { Key, LastModified } of page.Contents || []) {
+        images.push({ key: Key, url: `${this.publicUrl}/${Key}`, createdAt: LastModified });
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return images;
+  }
+
+  async remove(url) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: this.requireKey(url) }));
+  }
+}
+
+module.exports = {
+  S3Storage
+};
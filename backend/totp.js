@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, the encoding used for otpauth secrets
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET.charAt((value >>> (bits - 5)) & 31);
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET.charAt((value << (5 - bits)) & 31);
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226 for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step counter for a timestamp in milliseconds
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+// RFC 4226 HOTP value for a counter, zero-padded to `digits`
+const hotp = (key, counter, digits = TOTP_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * Generate the code for a base32 secret at time `now` (milliseconds).
+ * The clock is a parameter so callers and tests can pin it.
+ */
+const generateCode = (secret, now = Date.now(), digits = TOTP_DIGITS) =>
+  hotp(base32Decode(secret), timeStep(now), digits);
+
+/**
+ * Check a code against the secret, accepting `window` steps of clock drift either way.
+ * Returns the matching time step (so callers can refuse replays) or null.
+ */
+const verifyCode = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; this is the payload of the enrolment QR code
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes look like "1a2b3-c4d5e"; case, spaces and dashes are ignored when checking them
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
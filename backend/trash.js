@@ -0,0 +1,119 @@
+const config = require('./config');
+const logger = require('./logger');
+const performance = require('./performance');
+const { players, managers, trophies } = require('./repositories');
+const { deleteImage } = require('./utils');
+
+// Entity types that go to the trash instead of being deleted, with their repository
+const TRASH_ENTITIES = new Map([
+  ['player', { repository: players }],
+  ['manager', { repository: managers }],
+  ['trophy', { repository: trophies }]
+]);
+
+const TRASH_ENTITY_TYPES = Object.freeze([...TRASH_ENTITIES.keys()]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_FIRST_RUN_DELAY_MS = 60 * 1000;
+
+// Moment before which trashed rows are due for purging
+function purgeCutoff(now) {
+  return new Date(now - config.trashConfig.retentionDays * DAY_MS);
+}
+
+/**
+ * Move a row to the trash. It disappears from public listings but keeps its image and links
+ * (trophy winners, lineups, stats) so it can be restored. Throws NotFoundError if there was nothing to trash.
+ */
+async function moveToTrash(entityType, id) {
+  await TRASH_ENTITIES.get(entityType).repository.moveToTrash(id);
+  performance.clearQueryCache();
+}
+
+/**
+ * Take a row out of the trash. Throws NotFoundError if it is not in the trash, and ConflictError
+ * for a player whose jersey number was given to someone else meanwhile.
+ */
+async function restoreFromTrash(entityType, id) {
+  await TRASH_ENTITIES.get(entityType).repository.restoreFromTrash(id);
+  performance.clearQueryCache();
+}
+
+// Trashed rows, most recently deleted first, with the date each one will be purged
+async function listTrash(entityType, now = Date.now()) {
+  const types = entityType ? [entityType] : TRASH_ENTITY_TYPES;
+  const retentionMs = config.trashConfig.retentionDays * DAY_MS;
+
+  const groups = await Promise.all(types.map(async type => {
+    const rows = await TRASH_ENTITIES.get(type).repository.listTrashed();
+    return rows.map(row => ({
+      entityType: type,
+      id: row.id,
+      name: row.name,
+      imageUrl: row.imageUrl,
+      deletedAt: row.deleted_at,
+      purgeAt: new Date(Math.max(new Date(row.deleted_at).getTime() + retentionMs, now))
+    }));
+  }));
+
+  return groups.flat().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Permanently delete rows that have been in the trash longer than the retention period.
+ * This is the only place images are removed from storage, and only once their row is gone.
+ * A row that fails to purge is logged and left in the trash, image included, for the next run.
+ * Returns the purged rows.
+ */
+async function purgeExpired(now = Date.now()) {
+  const cutoff = purgeCutoff(now);
+  const purged = [];
+
+  for (const [entityType, { repository }] of TRASH_ENTITIES) {
+    const rows = await repository.listTrashedBefore(cutoff);
+
+    for (const row of rows) {
+      try {
+        // A row restored in the meantime is left alone, and so is its image
+        if (!(await repository.purge(row.id))) {
+          continue;
+        }
+        purged.push({ entityType, id: row.id });
+        if (row.imageUrl) {
+          await deleteImage(row.imageUrl, row.image_variants);
+        }
+      } catch (error) {
+        logger.error('Failed to purge trashed item', { entityType, id: row.id, error: error.message });
+      }
+    }
+  }
+
+  if (purged.length > 0) {
+    performance.clearQueryCache();
+    logger.info('Purged expired trash', { count: purged.length, cutoff: cutoff.toISOString() });
+  }
+  return purged;
+}
+
+// Run purgeExpired periodically. Each run is scheduled when the previous one finishes, so runs never
+// overlap.
+function startPurgeSchedule() {
+  const schedule = delay => {
+    setTimeout(async () => {
+      await purgeExpired().catch(error => logger.error('Trash purge failed', { error: error.message }));
+      schedule(config.trashConfig.purgeIntervalMs);
+    }, delay).unref();
+  };
+
+  // The first run waits a minute so the database has finished initializing
+  schedule(PURGE_FIRST_RUN_DELAY_MS);
+}
+
+module.exports = {
+  TRASH_ENTITY_TYPES,
+  moveToTrash,
+  restoreFromTrash,
+  listTrash,
+  purgeExpired,
+  startPurgeSchedule
+};
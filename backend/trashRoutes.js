@@ -0,0 +1,49 @@
+const express = require('express');
+const logger = require('./logger');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { AUDIT_ACTIONS, snapshot, recordAudit } = require('./audit');
+const { listTrash, restoreFromTrash } = require('./trash');
+const { NotFoundError, ConflictError } = require('./repositories');
+
+// Mounted at /api/admin/trash; whoever may delete content may also bring it back
+const router = express.Router();
+
+router.use(requireRole(ROLES.OWNER, ROLES.EDITOR));
+
+// GET /api/admin/trash - Deleted players, managers and trophies with their purge dates
+// Query: type (player|manager|trophy)
+router.get('/', validationRules.listTrash, handleValidationErrors, async (req, res) => {
+  try {
+    res.json(await listTrash(req.query.type));
+  } catch (error) {
+    console.error('Database error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash. Please try again later.' });
+  }
+});
+
+// POST /api/admin/trash/:type/:id/restore - Put a deleted item back in the public listings
+router.post('/:type/:id/restore', validationRules.restoreFromTrash, handleValidationErrors, async (req, res) => {
+  const { type, id } = req.params;
+
+  try {
+    const before = await snapshot(type, id);
+    await restoreFromTrash(type, id);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: type, entityId: id, before });
+    logger.info('Item restored from trash', { entityType: type, id, by: req.session.adminId });
+    return res.json({ message: 'Item restored successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    // Another player took the jersey number while this one was in the trash
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error restoring item from trash:', error);
+    return res.status(500).json({ error: 'Error restoring item' });
+  }
+});
+
+module.exports = router;
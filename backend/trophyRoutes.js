@@ -1,24 +1,78 @@
 const express = require('express');
 const path = require('path');
-const sharp = require('sharp');
-const db = require('./db');
-const { isAuthenticated } = require('./auth');
-const { configureMulter, uploadImageToCloudinary, deleteImageFromCloudinary } = require('./utils');
+const { requireRole, ROLES } = require('./auth');
+const { validationRules, handleValidationErrors } = require('./validators');
+const { trophies, players, NotFoundError } = require('./repositories');
+const { AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { moveToTrash } = require('./trash');
+const {
+  configureMulter,
+  uploadImage,
+  recropImage,
+  imageFraming,
+  deleteImage,
+  ImageFramingError,
+  MissingOriginalError
+} = require('./utils');
 
 const router = express.Router();
 
+// Content changes are limited to owners and editors
+const requireEditor = requireRole(ROLES.OWNER, ROLES.EDITOR);
+
 // Configure multer for memory storage
 const upload = configureMulter();
 
-// GET /api/trophies - Fetch all trophies with better error handling
-router.get('/', (req, res) => {
-  db.all("SELECT id, name, year, imageUrl AS \"imageUrl\" FROM trophies ORDER BY year DESC LIMIT 20", [], (err, rows) => {
-    if (err) {
-      console.error('Database error fetching trophies:', err);
-      return res.status(500).json({ error: 'Failed to fetch trophies. Please try again later.' });
+// The image file plus its optional crop and focal point; multer has to run before they can be validated
+const uploadImageFile = [upload.single('image'), validationRules.imageFraming, handleValidationErrors];
+
+// Request body fields (besides name/year/playerIds) and the trophies columns they map to
+const DETAIL_FIELDS = new Map([
+  ['competition', 'competition'],
+  ['finalResult', 'final_result'],
+  ['description', 'description'],
+  ['matchId', 'match_id']
+]);
+
+// Normalise optional detail values; empty form fields clear the column
+function toDetailValue(field, value) {
+  if (field === 'matchId') {
+    return value ? parseInt(value, 10) : null;
+  }
+  return String(value).replace(/<[^>]*>/g, '').trim() || null;
+}
+
+// Returns an error message when any player ID is unknown or in the trash, otherwise null
+async function checkWinners(playerIds) {
+  if (playerIds.length === 0) {
+    return null;
+  }
+  const uniqueIds = [...new Set(playerIds)];
+  const activeIds = await players.findActiveIds(uniqueIds);
+  return activeIds.length === uniqueIds.length ? null : 'Winning roster contains unknown players';
+}
+
+// GET /api/trophies - Fetch all trophies with their winning rosters (trophies in the trash are left out)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await trophies.list());
+  } catch (err) {
+    console.error('Database error fetching trophies:', err);
+    res.status(500).json({ error: 'Failed to fetch trophies. Please try again later.' });
+  }
+});
+
+// GET /api/trophies/:id - Single trophy with its winning roster
+router.get('/:id', validationRules.validateId, handleValidationErrors, async (req, res) => {
+  try {
+    return res.json(await trophies.getWithWinners(req.params.id));
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Trophy not found' });
     }
-    res.json(rows || []);
-  });
+    console.error('Database error fetching trophy:', err);
+    return res.status(500).json({ error: 'Failed to fetch trophy. Please try again later.' });
+  }
 });
 
 // Input validation middleware for trophy data
@@ -49,78 +103,144 @@ function validateTrophyData(req, res, next) {
 }
 
 // POST /api/trophies - Add new trophy
-router.post('/', isAuthenticated, validateTrophyData, upload.single('image'), async (req, res) => {
-  const { name, year } = req.body;
-  let imageUrl = null;
+// Multipart body: multer has to run first so the text fields are available to the validators
+router.post('/', requireEditor, upload.single('image'), validationRules.createTrophy, validationRules.imageFraming,
+  handleValidationErrors, validateTrophyData, async (req, res) => {
+    const { name, year } = req.body;
+    const playerIds = req.body.playerIds || [];
+    let imageUrl = null;
+    let imageVariants = null;
 
-  if (req.file) {
-    // Validate file type
-    if (!req.file.mimetype.startsWith('image/')) {
-      return res.status(400).json({ error: 'Only image files are allowed' });
+    try {
+      const rosterError = await checkWinners(playerIds);
+      if (rosterError) {
+        return res.status(400).json({ error: rosterError });
+      }
+    } catch (error) {
+      console.error('Error checking trophy roster:', error);
+      return res.status(500).json({ error: 'Error adding trophy' });
     }
-    
-    // Validate file size
-    if (req.file.size > 5 * 1024 * 1024) {
-      return res.status(400).json({ error: 'File size must be less than 5MB' });
+
+    if (req.file) {
+      // Validate file type
+      if (!req.file.mimetype.startsWith('image/')) {
+        return res.status(400).json({ error: 'Only image files are allowed' });
+      }
+
+      // Validate file size
+      if (req.file.size > 5 * 1024 * 1024) {
+        return res.status(400).json({ error: 'File size must be less than 5MB' });
+      }
+
+      try {
+        ({ imageUrl, imageVariants } = await uploadImage(
+          req.file.buffer, req.file.originalname, 'trophies', imageFraming(req.body)
+        ));
+      } catch (error) {
+        if (error instanceof ImageFramingError) {
+          return res.status(400).json({ error: error.message });
+        }
+        console.error('Error processing or uploading trophy image:', error);
+        return res.status(500).json({ error: 'Error processing or uploading image' });
+      }
     }
-    
+
+    const fields = { name, year, imageUrl, ...(imageVariants ? { image_variants: imageVariants } : {}) };
+    for (const [field, value] of Object.entries(req.body)) {
+      if (DETAIL_FIELDS.has(field)) {
+        fields[DETAIL_FIELDS.get(field)] = toDetailValue(field, value);
+      }
+    }
+
     try {
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(400, 300, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
-
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'trophies');
+      const id = await trophies.create(fields, playerIds);
+      await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, entityType: 'trophy', entityId: id });
+      return res.status(201).json({ id, message: 'Trophy added successfully' });
     } catch (error) {
-      console.error('Error processing or uploading trophy image:', error);
-      return res.status(500).json({ error: 'Error processing or uploading image' });
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Unknown match or player referenced' });
+      }
+      console.error(error.message);
+      return res.status(500).json({ error: error.message });
+    }
+  });
+
+// Shared by PUT and PATCH: only the supplied fields change; a supplied playerIds list replaces the roster
+async function updateTrophy(req, res) {
+  const { id } = req.params;
+  const { playerIds } = req.body;
+  const changes = {};
+
+  for (const [field, value] of Object.entries(req.body)) {
+    if (field === 'name') {
+      changes.name = value.replace(/<[^>]*>/g, '').trim();
+    } else if (field === 'year') {
+      changes.year = parseInt(value, 10);
+    } else if (DETAIL_FIELDS.has(field)) {
+      changes[DETAIL_FIELDS.get(field)] = toDetailValue(field, value);
     }
   }
 
-  const sql = `INSERT INTO trophies (name, year, imageUrl) VALUES ($1, $2, $3)`;
-  const params = [name, year, imageUrl];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
+  if (Object.keys(changes).length === 0 && playerIds === undefined) {
+    return res.status(400).json({ error: 'No trophy fields provided' });
+  }
+
+  try {
+    // Trophies in the trash have to be restored before they can be edited
+    const existing = await trophies.getActive(id);
+
+    if (playerIds !== undefined) {
+      const rosterError = await checkWinners(playerIds);
+      if (rosterError) {
+        return res.status(400).json({ error: rosterError });
+      }
     }
-    res.status(201).json({ id: this.lastID, message: 'Trophy added successfully' });
-  });
-});
+
+    await trophies.update(id, changes, playerIds);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'trophy', entityId: id, before: existing });
+    return res.json({ message: 'Trophy updated successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Trophy not found' });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Unknown match or player referenced' });
+    }
+    console.error('Error updating trophy:', error);
+    return res.status(500).json({ error: 'Error updating trophy' });
+  }
+}
+
+// PUT /api/trophies/:id - Update trophy details and winning roster
+router.put('/:id', requireEditor, validationRules.updateTrophy, handleValidationErrors, updateTrophy);
+
+// PATCH /api/trophies/:id - Update individual trophy fields
+router.patch('/:id', requireEditor, validationRules.updateTrophy, handleValidationErrors, updateTrophy);
 
 // PUT /api/trophies/:id/image - Update trophy image
-router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, res) => {
+router.put('/:id/image', requireEditor, uploadImageFile, async (req, res) => {
   const { id } = req.params;
   let imageUrl = null;
+  let imageVariants = null;
+
+  let oldTrophy = null;
 
   if (req.file) {
     try {
-      // Get old image URL to delete from Cloudinary
-      const oldTrophy = await new Promise((resolve, reject) => {
-        db.get("SELECT imageUrl FROM trophies WHERE id = $1", [id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
-
-      if (oldTrophy && oldTrophy.imageUrl) {
-        await deleteImageFromCloudinary(oldTrophy.imageUrl, 'trophies');
-      }
-
-      const processedImageBuffer = await sharp(req.file.buffer)
-        .resize(400, 300, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
+      // The old image is deleted once the new one is in place
+      oldTrophy = await trophies.getActive(id);
 
-      imageUrl = await uploadImageToCloudinary(processedImageBuffer, req.file.originalname, 'trophies');
+      ({ imageUrl, imageVariants } = await uploadImage(
+        req.file.buffer, req.file.originalname, 'trophies', imageFraming(req.body)
+      ));
     } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ error: 'Trophy not found' });
+      }
+      if (error instanceof ImageFramingError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error processing or uploading trophy image:', error);
       return res.status(500).json({ error: 'Error processing or uploading image' });
     }
@@ -128,51 +248,66 @@ router.put('/:id/image', isAuthenticated, upload.single('image'), async (req, re
     return res.status(400).json({ error: 'No image file provided' });
   }
 
-  const sql = 'UPDATE trophies SET imageUrl = $1 WHERE id = $2';
-  const params = [imageUrl, id];
-  
-  db.run(sql, params, function(err) {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return console.error(err.message);
-    }
-    if (this.changes === 0) {
+  try {
+    await trophies.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldTrophy.imageUrl, oldTrophy.image_variants);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'trophy', entityId: id, before: oldTrophy });
+    return res.json({ message: 'Trophy image updated successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
       return res.status(404).json({ error: 'Trophy not found' });
     }
-    res.json({ message: 'Trophy image updated successfully', imageUrl: imageUrl });
-  });
+    console.error(err.message);
+    return res.status(500).json({ error: err.message });
+  }
 });
 
-// DELETE /api/trophies/:id - Delete trophy
-router.delete('/:id', isAuthenticated, async (req, res) => {
+// PATCH /api/trophies/:id/image - Re-crop the current image from the original kept at upload
+// JSON body: crop and/or focalPoint; a field left out keeps its current value, null removes it.
+router.patch('/:id/image', requireEditor, validationRules.recropImage, handleValidationErrors, async (req, res) => {
   const { id } = req.params;
 
   try {
-      // Get image URL to delete from Cloudinary
-    const trophy = await new Promise((resolve, reject) => {
-      db.get("SELECT imageUrl FROM trophies WHERE id = $1", [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-
-    if (trophy && trophy.imageUrl) {
-      await deleteImageFromCloudinary(trophy.imageUrl, 'trophies');
+    const oldTrophy = await trophies.getActive(id);
+    const { imageUrl, imageVariants } = await recropImage(
+      oldTrophy.image_variants, 'trophies', imageFraming(req.body, oldTrophy.image_variants)
+    );
+
+    await trophies.setImage(id, imageUrl, imageVariants);
+    await deleteImage(oldTrophy.imageUrl, oldTrophy.image_variants, [imageVariants.original.url]);
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, entityType: 'trophy', entityId: id, before: oldTrophy });
+    return res.json({ message: 'Trophy image cropped successfully', imageUrl, imageVariants });
+  } catch (err) {
+    if (err instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Trophy not found' });
+    }
+    if (err instanceof MissingOriginalError) {
+      return res.status(409).json({ error: err.message, code: 'NO_ORIGINAL_IMAGE' });
     }
+    if (err instanceof ImageFramingError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error cropping trophy image:', err);
+    return res.status(500).json({ error: 'Error cropping image' });
+  }
+});
 
-    db.run("DELETE FROM trophies WHERE id = $1", [id], function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return console.error(err.message);
-      }
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Trophy not found' });
-      }
-      res.json({ message: 'Trophy deleted successfully' });
-    });
+// DELETE /api/trophies/:id - Move a trophy to the trash; the image is kept until the trash is purged
+router.delete('/:id', requireEditor, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const trophy = await trophies.getActive(id);
+    await moveToTrash('trophy', id);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, entityType: 'trophy', entityId: id, before: trophy });
+    return res.json({ message: 'Trophy moved to trash' });
   } catch (error) {
-    console.error('Error deleting trophy or image:', error);
-    res.status(500).json({ error: 'Error deleting trophy or image' });
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Trophy not found' });
+    }
+    console.error('Error deleting trophy:', error);
+    return res.status(500).json({ error: 'Error deleting trophy' });
   }
 });
 
@@ -1,10 +1,10 @@
 const multer = require('multer');
-const sharp = require('sharp');
-const { uploader } = require('./cloudinaryConfig');
 const config = require('./config');
 const logger = require('./logger');
 const path = require('path');
 const crypto = require('crypto');
+const { ImageFramingError, defaultSource, processImage } = require('./imagePipeline');
+const { getStorage, storageForUrl } = require('./storage');
 
 // Enhanced multer configuration with security and validation
 const configureMulter = () => {
@@ -54,9 +54,26 @@ const configureMulter = () => {
   });
 };
 
-// Enhanced image processing and upload to Cloudinary
-async function uploadImageToCloudinary(fileBuffer, originalFilename, folder) {
+// Save the pipeline's variants, pushing each stored source onto `sources` so a failure can clean up
+async function saveVariants(storage, folder, variants, sources) {
+  for (const { format, type, extension, width, height, buffer } of variants) {
+    const url = await storage.save(buffer, { folder, extension });
+    sources.push({ format, type, width, height, url });
+  }
+}
+
+/**
+ * Run an upload through the image pipeline and store every variant, and the untouched upload
+ * itself, with the configured storage driver. Resolves to { imageUrl, imageVariants }: imageUrl is
+ * a single WebP for clients that need one URL, imageVariants the metadata and sources cards build
+ * their srcset from, plus the original, crop and focal point recropImage() starts from.
+ *
+ * @param {Object} [framing] - Optional crop and focalPoint, see processImage()
+ */
+async function uploadImage(fileBuffer, originalFilename, folder, framing = {}) {
   const startTime = Date.now();
+  const storage = getStorage();
+  const sources = [];
   
   try {
     // Validate inputs
@@ -68,171 +85,131 @@ async function uploadImageToCloudinary(fileBuffer, originalFilename, folder) {
       throw new Error(`File too large: ${Math.round(fileBuffer.length / 1024 / 1024)}MB`);
     }
     
-    // Generate secure filename
-    const timestamp = Date.now();
-    const randomBytes = crypto.randomBytes(8).toString('hex');
-    const sanitizedName = originalFilename.replace(/[^a-zA-Z0-9.-]/g, '_');
-    const publicId = `${folder}/${timestamp}-${randomBytes}-${sanitizedName}`;
-    
-    // Process image with Sharp for optimization
-    let processedBuffer;
-    try {
-      const metadata = await sharp(fileBuffer).metadata();
-      logger.debug('Processing image', {
-        originalSize: fileBuffer.length,
-        dimensions: `${metadata.width}x${metadata.height}`,
-        format: metadata.format
-      });
-      
-      // Determine optimal dimensions based on folder
-      let width, height;
-      switch (folder) {
-        case 'players':
-          width = 300;
-          height = 400;
-          break;
-        case 'managers':
-          width = 300;
-          height = 400;
-          break;
-        case 'trophies':
-          width = 400;
-          height = 300;
-          break;
-        default:
-          width = 800;
-          height = 600;
-      }
-      
-      processedBuffer = await sharp(fileBuffer)
-        .resize(width, height, {
-          fit: sharp.fit.cover,
-          position: sharp.strategy.entropy
-        })
-        .webp({ 
-          quality: 85,
-          effort: 6
-        })
-        .toBuffer();
-        
-      logger.debug('Image processed', {
-        newSize: processedBuffer.length,
-        compression: `${Math.round((1 - processedBuffer.length / fileBuffer.length) * 100)}%`
-      });
-      
-    } catch (sharpError) {
-      logger.warn('Image processing failed, using original', { error: sharpError.message });
-      processedBuffer = fileBuffer;
-    }
+    const { variants, ...metadata } = await processImage(fileBuffer, folder, framing);
 
-    // Upload to Cloudinary with optimized settings
-    const uploadOptions = {
-      public_id: publicId,
-      format: 'webp',
-      quality: 'auto:good',
-      resource_type: 'image',
-      transformation: [
-        {
-          fetch_format: 'auto',
-          quality: 'auto:good'
-        }
-      ],
-      timeout: 30000, // 30 second timeout
-      use_filename: false,
-      unique_filename: true
+    await saveVariants(storage, folder, variants, sources);
+    const original = {
+      url: await storage.save(fileBuffer, { folder, extension: metadata.original.extension }),
+      type: metadata.original.type,
+      width: metadata.original.width,
+      height: metadata.original.height
     };
     
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = uploader.upload_stream(uploadOptions, (error, result) => {
-        if (error) {
-          logger.error('Cloudinary upload error', {
-            error: error.message,
-            publicId,
-            folder
-          });
-          reject(new Error(`Cloudinary upload failed: ${error.message || 'Unknown error'}`));
-        } else {
-          resolve(result);
-        }
-      });
-      
-      uploadStream.end(processedBuffer);
-    });
-    
-    // Validate result
-    if (!result || !result.secure_url) {
-      throw new Error('Upload succeeded but no URL returned');
-    }
-    
+    const imageUrl = defaultSource(sources, folder).url;
     const duration = Date.now() - startTime;
     logger.info('Image uploaded successfully', {
-      publicId: result.public_id,
-      url: result.secure_url,
+      storage: storage.name,
+      url: imageUrl,
+      variants: sources.length,
       duration: `${duration}ms`,
       originalSize: fileBuffer.length,
-      finalSize: result.bytes
+      finalSize: variants.reduce((total, variant) => total + variant.buffer.length, 0)
     });
     
-    return result.secure_url;
+    return { imageUrl, imageVariants: { ...metadata, original, sources } };
     
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Image upload failed', {
       error: error.message,
+      storage: storage.name,
       duration: `${duration}ms`,
       folder,
       originalFilename
     });
+    // Don't leave the variants stored so far behind
+    await Promise.all(sources.map(source => deleteImage(source.url)));
+    if (error instanceof ImageFramingError) {
+      throw error;
+    }
     throw new Error(`Failed to upload image: ${error.message || 'Upload service unavailable'}`);
   }
 }
 
-// Enhanced image deletion from Cloudinary
-async function deleteImageFromCloudinary(imageUrl, folder) {
-  if (!imageUrl) {
+// The image has no stored original to regenerate its variants from
+class MissingOriginalError extends Error {
+  constructor() {
+    super('The image was uploaded without keeping its original; upload it again to crop it');
+    this.name = 'MissingOriginalError';
+  }
+}
+
+/**
+ * Regenerate the variants of an uploaded image with new framing, starting from the original stored
+ * by uploadImage(). Resolves to { imageUrl, imageVariants } like uploadImage(); the original is kept
+ * and the previous sources are left for the caller to delete once the new ones are in use. Throws
+ * ImageFramingError for a crop outside the image and MissingOriginalError for images uploaded before
+ * originals were kept.
+ */
+async function recropImage(imageVariants, folder, framing) {
+  const original = imageVariants && imageVariants.original;
+  const originalStorage = original ? storageForUrl(original.url) : null;
+  if (!originalStorage) {
+    throw new MissingOriginalError();
+  }
+
+  const storage = getStorage();
+  const sources = [];
+  try {
+    const buffer = await originalStorage.read(original.url);
+    const { variants, ...metadata } = await processImage(buffer, folder, framing);
+    await saveVariants(storage, folder, variants, sources);
+
+    const imageUrl = defaultSource(sources, folder).url;
+    logger.info('Image re-cropped successfully', { storage: storage.name, url: imageUrl, variants: sources.length });
+    return { imageUrl, imageVariants: { ...metadata, original, sources } };
+  } catch (error) {
+    logger.error('Image re-crop failed', { error: error.message, storage: storage.name, folder });
+    await Promise.all(sources.map(source => deleteImage(source.url)));
+    throw error;
+  }
+}
+
+// Framing for uploadImage()/recropImage() from a validated request body. Fields left out keep the
+// image's current framing, empty ones remove it.
+function imageFraming(body, currentVariants = null) {
+  const current = currentVariants || {};
+  return {
+    crop: body.crop !== undefined ? body.crop || null : current.crop || null,
+    focalPoint: body.focalPoint !== undefined ? body.focalPoint || null : current.focalPoint || null
+  };
+}
+
+// URLs of an image: imageUrl and, for uploads with variants, every variant and the original
+function imageUrlsOf(imageUrl, imageVariants) {
+  const sources = imageVariants && Array.isArray(imageVariants.sources) ? imageVariants.sources : [];
+  const original = imageVariants && imageVariants.original ? imageVariants.original.url : null;
+  return [...new Set([imageUrl, ...sources.map(source => source.url), original].filter(Boolean))];
+}
+
+// Delete an uploaded image and its variants from the storage that holds them. Default images,
+// URLs no driver recognises and URLs in `keep` (still used by the image that replaced this one)
+// are left alone.
+async function deleteImage(imageUrl, imageVariants = null, keep = []) {
+  const urls = imageUrlsOf(imageUrl, imageVariants).filter(url => !keep.includes(url));
+  if (urls.length === 0) {
     logger.debug('No image URL provided for deletion');
     return;
   }
 
-  try {
-    // Extract public ID from URL
-    const urlParts = new URL(imageUrl).pathname.split('/');
-    const filenameWithExt = urlParts.pop();
-    const filename = filenameWithExt.split('.')[0];
-    
-    // Reconstruct public ID
-    let publicId;
-    if (filename.includes(`${folder}/`)) {
-      publicId = filename;
-    } else {
-      publicId = `${folder}/${filename}`;
+  for (const url of urls) {
+    const storage = storageForUrl(url);
+    if (!storage) {
+      logger.debug('Image is not in any storage, nothing to delete', { imageUrl: url });
+      continue;
     }
-    
-    logger.debug('Deleting image from Cloudinary', { publicId, imageUrl });
-    
-    const result = await new Promise((resolve, reject) => {
-      uploader.destroy(publicId, (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(result);
-        }
+
+    try {
+      await storage.remove(url);
+      logger.info('Image deleted successfully', { storage: storage.name, imageUrl: url });
+    } catch (error) {
+      logger.error('Error deleting image', {
+        error: error.message,
+        storage: storage.name,
+        imageUrl: url
       });
-    });
-    
-    if (result.result === 'ok') {
-      logger.info('Image deleted successfully', { publicId });
-    } else {
-      logger.warn('Image deletion result unclear', { publicId, result });
+      // Don't throw error as this is cleanup operation
     }
-    
-  } catch (error) {
-    logger.error('Error deleting image from Cloudinary', {
-      error: error.message,
-      imageUrl,
-      folder
-    });
-    // Don't throw error as this is cleanup operation
   }
 }
 
@@ -304,11 +281,39 @@ function getFileTypeFromBuffer(buffer) {
   return 'unknown';
 }
 
+// Build an RFC 8288 Link header (first/prev/next/last) for offset-paginated listings
+function buildPaginationLinks(req, { page, limit, total }) {
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const basePath = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+
+  const pageUrl = (targetPage) => {
+    const params = new URLSearchParams({ ...req.query, page: String(targetPage), limit: String(limit) });
+    return `<${basePath}?${params.toString()}>`;
+  };
+
+  const links = [`${pageUrl(1)}; rel="first"`];
+  if (page > 1) {
+    links.push(`${pageUrl(Math.min(page - 1, lastPage))}; rel="prev"`);
+  }
+  if (page < lastPage) {
+    links.push(`${pageUrl(page + 1)}; rel="next"`);
+  }
+  links.push(`${pageUrl(lastPage)}; rel="last"`);
+
+  return links.join(', ');
+}
+
 module.exports = {
   configureMulter,
-  uploadImageToCloudinary,
-  deleteImageFromCloudinary,
+  uploadImage,
+  recropImage,
+  imageFraming,
+  deleteImage,
+  imageUrlsOf,
+  ImageFramingError,
+  MissingOriginalError,
   validateImageBuffer,
   generateSecureFilename,
-  getFileTypeFromBuffer
+  getFileTypeFromBuffer,
+  buildPaginationLinks
 };
@@ -1,5 +1,19 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
+const { APPLICATION_FIELD_TYPES } = require('./applicationForm');
+
+const MATCH_STATUSES = ['scheduled', 'live', 'finished', 'postponed'];
+const ADMIN_ROLES = ['owner', 'editor', 'recruiter'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_ENTITY_TYPES = ['player', 'manager', 'trophy', 'contact_submission', 'application_field'];
+const TRASH_ENTITY_TYPES = ['player', 'manager', 'trophy'];
+const ROSTER_TYPES = ['players', 'managers', 'trophies'];
+const ROSTER_FORMATS = ['json', 'csv'];
+const CONTACT_STATUSES = ['new', 'contacted', 'trialist', 'signed', 'rejected'];
+const CONTACT_TAG_PATTERN = /^[a-z0-9][a-z0-9 -]{0,29}$/;
+const ADMIN_PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
+const ADMIN_PASSWORD_MESSAGE = 'Password must be at least 8 characters and contain a lowercase letter, ' +
+  'an uppercase letter, a digit and a special character';
 
 /**
  * Comprehensive validation schemas and middleware
@@ -131,7 +145,7 @@ const schemas = {
       }),
     password: Joi.string()
       .min(8)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .pattern(ADMIN_PASSWORD_PATTERN)
       .required()
       .messages({
         'string.min': 'Password must be at least 8 characters',
@@ -148,6 +162,119 @@ const schemas = {
     })
 };
 
+// A trophy in a roster import: the trophy fields plus its winners, by jersey number since imported
+// players have no ids yet
+schemas.trophyImport = schemas.trophy.keys({
+  competition: Joi.string().trim().max(255).allow('')
+    .messages({ 'string.max': 'Competition must be less than 255 characters' }),
+  finalResult: Joi.string().trim().max(100).allow('')
+    .messages({ 'string.max': 'Final result must be less than 100 characters' }),
+  description: Joi.string().trim().max(2000).allow('')
+    .messages({ 'string.max': 'Description must be less than 2000 characters' }),
+  winners: Joi.array()
+    .items(Joi.number().integer().min(1).max(99))
+    .max(50)
+    .unique()
+    .messages({
+      'array.max': 'A trophy can have at most 50 winners',
+      'array.unique': 'Winners must not repeat a jersey number',
+      'number.min': 'Winners must be jersey numbers between 1 and 99',
+      'number.max': 'Winners must be jersey numbers between 1 and 99'
+    })
+});
+
+// Accepts an array or a comma-separated string (multipart forms) and returns numeric IDs
+function toIdList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items
+    .map(item => String(item).trim())
+    .filter(item => item !== '')
+    .map(item => (/^\d+$/.test(item) ? parseInt(item, 10) : NaN));
+}
+
+// Multipart forms send structured fields as JSON text; anything unparseable fails the field's check
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Crop rectangle in pixels of the upright image, as the admin cropper's getData() reports it
+function isCropRectangle(crop) {
+  if (!crop || typeof crop !== 'object') {
+    return false;
+  }
+  const { x, y, width, height } = crop;
+  return [x, y, width, height].every(Number.isFinite) && x >= 0 && y >= 0 && width >= 1 && height >= 1;
+}
+
+// Focal point as fractions of the image's width and height
+function isFocalPoint(point) {
+  if (!point || typeof point !== 'object') {
+    return false;
+  }
+  const { x, y } = point;
+  return [x, y].every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+}
+
+// Optional framing sent with an image upload or re-crop; null or an empty field means none
+const imageFramingRules = [
+  body('crop')
+    .optional({ values: 'falsy' })
+    .customSanitizer(parseJsonField)
+    .custom(isCropRectangle)
+    .withMessage('Crop must be an object with x and y of at least 0 and width and height of at least 1'),
+  body('focalPoint')
+    .optional({ values: 'falsy' })
+    .customSanitizer(parseJsonField)
+    .custom(isFocalPoint)
+    .withMessage('Focal point must be an object with x and y between 0 and 1')
+];
+
+// Settings an application field may have; label and type are required when creating one
+const applicationFieldRules = [
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be true or false')
+    .toBoolean(),
+  body('options')
+    .optional({ values: 'null' })
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Options must be a list of 1 to 30 choices'),
+  body('options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each option must be 1-100 characters'),
+  body('maxLength')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('maxLength must be between 1 and 5000')
+    .toInt(),
+  body(['minValue', 'maxValue'])
+    .optional({ values: 'null' })
+    .isInt()
+    .withMessage('minValue and maxValue must be whole numbers')
+    .toInt(),
+  body('helpText')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Help text must be at most 200 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Position must be between 0 and 1000')
+    .toInt()
+];
+
 // Express-validator middleware chains
 const validationRules = {
   // Player validation
@@ -183,6 +310,248 @@ const validationRules = {
       .withMessage('Stars rating must be between 1 and 5')
   ],
 
+  listPlayers: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('sort')
+      .optional()
+      .isIn(['name', 'jerseyNumber', 'stars', 'joined_date'])
+      .withMessage('Sort must be one of name, jerseyNumber, stars, joined_date'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc'),
+    query('minStars')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('minStars must be between 1 and 5'),
+    query('maxStars')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('maxStars must be between 1 and 5')
+  ],
+
+  searchPlayers: [
+    query('q')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search query must be between 1 and 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+
+  // Player match statistics validation
+  recordPlayerStats: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid player ID'),
+    body('matchId')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 })
+      .withMessage('Invalid match ID'),
+    body('matchDate')
+      .isISO8601()
+      .withMessage('Match date must be a valid date (YYYY-MM-DD)'),
+    body('opponent')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Opponent must be less than 255 characters'),
+    body('minutesPlayed')
+      .optional()
+      .isInt({ min: 0, max: 130 })
+      .withMessage('Minutes played must be between 0 and 130'),
+    body('goals')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Goals must be between 0 and 50'),
+    body('assists')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Assists must be between 0 and 50'),
+    body('cleanSheet')
+      .optional()
+      .isBoolean()
+      .withMessage('Clean sheet must be true or false'),
+    body('mvp')
+      .optional()
+      .isBoolean()
+      .withMessage('MVP must be true or false'),
+    body('rating')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 10 })
+      .withMessage('Rating must be between 0 and 10')
+  ],
+
+  updatePlayerStats: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid player ID'),
+    param('statId').isInt({ min: 1 }).withMessage('Invalid stats ID'),
+    body('matchId')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 })
+      .withMessage('Invalid match ID'),
+    body('matchDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Match date must be a valid date (YYYY-MM-DD)'),
+    body('opponent')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Opponent must be less than 255 characters'),
+    body('minutesPlayed')
+      .optional()
+      .isInt({ min: 0, max: 130 })
+      .withMessage('Minutes played must be between 0 and 130'),
+    body('goals')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Goals must be between 0 and 50'),
+    body('assists')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Assists must be between 0 and 50'),
+    body('cleanSheet')
+      .optional()
+      .isBoolean()
+      .withMessage('Clean sheet must be true or false'),
+    body('mvp')
+      .optional()
+      .isBoolean()
+      .withMessage('MVP must be true or false'),
+    body('rating')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0, max: 10 })
+      .withMessage('Rating must be between 0 and 10')
+  ],
+
+  // Match validation
+  listMatches: [
+    query('status')
+      .optional()
+      .isIn(['upcoming', 'past', ...MATCH_STATUSES])
+      .withMessage(`Status must be upcoming, past or one of ${MATCH_STATUSES.join(', ')}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  createMatch: [
+    body('opponent')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Opponent must be between 1 and 255 characters'),
+    body('competition')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Competition must be less than 255 characters'),
+    body('scheduledAt')
+      .isISO8601()
+      .withMessage('Scheduled time must be a valid ISO 8601 date'),
+    body('venue')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Venue must be less than 255 characters'),
+    body('platform')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Platform must be less than 100 characters'),
+    body('teamScore')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 99 })
+      .withMessage('Team score must be between 0 and 99'),
+    body('opponentScore')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 99 })
+      .withMessage('Opponent score must be between 0 and 99'),
+    body('status')
+      .optional()
+      .isIn(MATCH_STATUSES)
+      .withMessage(`Status must be one of ${MATCH_STATUSES.join(', ')}`),
+    body('lineup')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('Lineup must be a list of at most 30 players'),
+    body('lineup.*.playerId')
+      .isInt({ min: 1 })
+      .withMessage('Lineup entries need a valid player ID'),
+    body('lineup.*.position')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Lineup position must be less than 50 characters'),
+    body('lineup.*.isStarter')
+      .optional()
+      .isBoolean()
+      .withMessage('Lineup starter flag must be true or false')
+  ],
+
+  updateMatch: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid match ID'),
+    body('opponent')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Opponent must be between 1 and 255 characters'),
+    body('competition')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Competition must be less than 255 characters'),
+    body('scheduledAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Scheduled time must be a valid ISO 8601 date'),
+    body('venue')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Venue must be less than 255 characters'),
+    body('platform')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Platform must be less than 100 characters'),
+    body('teamScore')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 99 })
+      .withMessage('Team score must be between 0 and 99'),
+    body('opponentScore')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 99 })
+      .withMessage('Opponent score must be between 0 and 99'),
+    body('status')
+      .optional()
+      .isIn(MATCH_STATUSES)
+      .withMessage(`Status must be one of ${MATCH_STATUSES.join(', ')}`),
+    body('lineup')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('Lineup must be a list of at most 30 players'),
+    body('lineup.*.playerId')
+      .isInt({ min: 1 })
+      .withMessage('Lineup entries need a valid player ID'),
+    body('lineup.*.position')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Lineup position must be less than 50 characters'),
+    body('lineup.*.isStarter')
+      .optional()
+      .isBoolean()
+      .withMessage('Lineup starter flag must be true or false')
+  ],
+
   // Manager validation
   createManager: [
     body('name')
@@ -221,7 +590,31 @@ const validationRules = {
       .withMessage('Trophy name must be between 1 and 200 characters'),
     body('year')
       .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
-      .withMessage(`Year must be between 1900 and ${new Date().getFullYear() + 1}`)
+      .withMessage(`Year must be between 1900 and ${new Date().getFullYear() + 1}`),
+    body('competition')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Competition must be less than 255 characters'),
+    body('finalResult')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Final result must be less than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description must be less than 2000 characters'),
+    body('matchId')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 })
+      .withMessage('Invalid match ID'),
+    body('playerIds')
+      .optional()
+      .customSanitizer(toIdList)
+      .custom(ids => ids.length <= 50 && ids.every(id => Number.isInteger(id) && id > 0))
+      .withMessage('Player IDs must be a list of at most 50 valid player IDs')
   ],
 
   updateTrophy: [
@@ -234,7 +627,31 @@ const validationRules = {
     body('year')
       .optional()
       .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
-      .withMessage(`Year must be between 1900 and ${new Date().getFullYear() + 1}`)
+      .withMessage(`Year must be between 1900 and ${new Date().getFullYear() + 1}`),
+    body('competition')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Competition must be less than 255 characters'),
+    body('finalResult')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Final result must be less than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description must be less than 2000 characters'),
+    body('matchId')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 })
+      .withMessage('Invalid match ID'),
+    body('playerIds')
+      .optional()
+      .customSanitizer(toIdList)
+      .custom(ids => ids.length <= 50 && ids.every(id => Number.isInteger(id) && id > 0))
+      .withMessage('Player IDs must be a list of at most 50 valid player IDs')
   ],
 
   // Contact validation
@@ -255,6 +672,95 @@ const validationRules = {
       .withMessage('Please enter a valid WhatsApp number (10-15 digits)')
   ],
 
+  // Contact inbox
+  listContacts: [
+    query('status')
+      .optional()
+      .isIn(CONTACT_STATUSES)
+      .withMessage(`Status must be one of: ${CONTACT_STATUSES.join(', ')}`),
+    query('assigneeId')
+      .optional()
+      .custom(value => value === 'unassigned' || /^[1-9]\d*$/.test(value))
+      .withMessage('assigneeId must be a positive integer or unassigned'),
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(CONTACT_TAG_PATTERN)
+      .withMessage('Tags are 1-30 letters, digits, spaces or hyphens'),
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search query must be at most 100 characters'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  updateContact: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('status')
+      .optional()
+      .isIn(CONTACT_STATUSES)
+      .withMessage(`Status must be one of: ${CONTACT_STATUSES.join(', ')}`),
+    body('assigneeId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('assigneeId must be a positive integer or null'),
+    body('notes')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Notes must be at most 5000 characters'),
+    body('tags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Tags must be a list of at most 10 tags'),
+    body('tags.*')
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(CONTACT_TAG_PATTERN)
+      .withMessage('Tags are 1-30 letters, digits, spaces or hyphens')
+  ],
+
+  // Application form
+  createApplicationField: [
+    body('name')
+      .matches(/^[a-z][a-z0-9_]{0,39}$/)
+      .withMessage('Name must start with a letter and use at most 40 lower-case letters, digits and underscores'),
+    body('label')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Label must be 1-100 characters'),
+    body('type')
+      .isIn(APPLICATION_FIELD_TYPES)
+      .withMessage(`Type must be one of: ${APPLICATION_FIELD_TYPES.join(', ')}`),
+    ...applicationFieldRules
+  ],
+
+  updateApplicationField: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body('label')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Label must be 1-100 characters'),
+    body('type')
+      .optional()
+      .isIn(APPLICATION_FIELD_TYPES)
+      .withMessage(`Type must be one of: ${APPLICATION_FIELD_TYPES.join(', ')}`),
+    ...applicationFieldRules
+  ],
+
   // Admin validation
   adminLogin: [
     body('username')
@@ -267,6 +773,212 @@ const validationRules = {
       .withMessage('Password must be at least 8 characters')
   ],
 
+  createAdmin: [
+    body('username')
+      .trim()
+      .isLength({ min: 3, max: 30 })
+      .isAlphanumeric()
+      .withMessage('Username must be 3-30 characters and contain only letters and numbers'),
+    body('password')
+      .isLength({ min: 8 })
+      .matches(ADMIN_PASSWORD_PATTERN)
+      .withMessage(ADMIN_PASSWORD_MESSAGE),
+    body('role')
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+  ],
+
+  updateAdmin: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid admin ID'),
+    body('password')
+      .optional()
+      .isLength({ min: 8 })
+      .matches(ADMIN_PASSWORD_PATTERN)
+      .withMessage(ADMIN_PASSWORD_MESSAGE),
+    body('role')
+      .optional()
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+  ],
+
+  changeAdminPassword: [
+    body('currentPassword')
+      .isLength({ min: 1 })
+      .withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 8 })
+      .matches(ADMIN_PASSWORD_PATTERN)
+      .withMessage(ADMIN_PASSWORD_MESSAGE)
+      .custom((value, { req }) => value !== req.body.currentPassword)
+      .withMessage('New password must be different from the current password')
+  ],
+
+  resetAdminPassword: [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid reset token'),
+    body('newPassword')
+      .isLength({ min: 8 })
+      .matches(ADMIN_PASSWORD_PATTERN)
+      .withMessage(ADMIN_PASSWORD_MESSAGE)
+  ],
+
+  // Second login step and 2FA management: a current authenticator code or, where allowed, a recovery code
+  verifyTwoFactor: [
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits'),
+    body('recoveryCode')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 20 })
+      .withMessage('Invalid recovery code'),
+    body()
+      .custom(value => Boolean(value.code) !== Boolean(value.recoveryCode))
+      .withMessage('Provide either an authentication code or a recovery code')
+  ],
+
+  confirmTwoFactor: [
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits')
+  ],
+
+  // Combined with verifyTwoFactor when turning 2FA off
+  disableTwoFactor: [
+    body('password')
+      .isLength({ min: 1 })
+      .withMessage('Password is required')
+  ],
+
+  listLoginAttempts: [
+    query('username')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Username must be at most 255 characters'),
+    query('ip')
+      .optional()
+      .isIP()
+      .withMessage('ip must be a valid IP address'),
+    query('outcome')
+      .optional()
+      .isIn(['failed', 'succeeded'])
+      .withMessage('Outcome must be failed or succeeded'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  unlockAccount: [
+    param('username')
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Invalid username')
+  ],
+
+  listTrash: [
+    query('type')
+      .optional()
+      .isIn(TRASH_ENTITY_TYPES)
+      .withMessage(`Type must be one of: ${TRASH_ENTITY_TYPES.join(', ')}`)
+  ],
+
+  restoreFromTrash: [
+    param('type')
+      .isIn(TRASH_ENTITY_TYPES)
+      .withMessage(`Type must be one of: ${TRASH_ENTITY_TYPES.join(', ')}`),
+    param('id')
+      .isInt({ min: 1 })
+      .withMessage('ID must be a positive integer')
+  ],
+
+  listAuditLog: [
+    query('actorId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('actorId must be a positive integer'),
+    query('action')
+      .optional()
+      .isIn(AUDIT_ACTIONS)
+      .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+    query('entityType')
+      .optional()
+      .isIn(AUDIT_ENTITY_TYPES)
+      .withMessage(`Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`),
+    query('entityId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('entityId must be a positive integer'),
+    query('correlationId')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('correlationId must be at most 100 characters'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be a valid ISO 8601 date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Roster import and export
+  importRoster: [
+    query('type')
+      .optional()
+      .isIn(ROSTER_TYPES)
+      .withMessage(`Type must be one of: ${ROSTER_TYPES.join(', ')}`),
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false')
+  ],
+
+  exportRoster: [
+    query('format')
+      .optional()
+      .isIn(ROSTER_FORMATS)
+      .withMessage(`Format must be one of: ${ROSTER_FORMATS.join(', ')}`)
+  ],
+
+  // Site backups
+  createBackup: [
+    query('images')
+      .optional()
+      .isBoolean()
+      .withMessage('images must be true or false')
+  ],
+
+  // Image framing
+  imageFraming: imageFramingRules,
+
+  recropImage: [
+    param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+    body()
+      .custom(value => Boolean(value) && typeof value === 'object' && ('crop' in value || 'focalPoint' in value))
+      .withMessage('Provide a crop, a focal point or both'),
+    ...imageFramingRules
+  ],
+
   // ID parameter validation
   validateId: [
     param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter')
@@ -361,5 +1073,9 @@ module.exports = {
   validate,
   handleValidationErrors,
   validateFile,
-  sanitizers
+  sanitizers,
+  MATCH_STATUSES,
+  ADMIN_ROLES,
+  ADMIN_PASSWORD_PATTERN,
+  CONTACT_STATUSES
 };
\ No newline at end of file
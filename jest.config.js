@@ -74,6 +74,7 @@ module.exports = {
   // Ignore patterns
   testPathIgnorePatterns: [
     '/node_modules/',
+    '/__tests__/helpers/',
     '/dist/',
     '/build/',
     '/optimized/',
@@ -267,6 +267,87 @@ document.addEventListener('DOMContentLoaded', function() {
         document.body.style.overflow = ''; // Restore scrolling
     }
 
+    // Tryout questions of the contact form; admins manage them, so they are rendered from the API
+    const applicationFieldset = document.getElementById('application-fields');
+
+    function applicationInput(field) {
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            input.add(new Option('Choose...', ''));
+            (field.options || []).forEach(option => input.add(new Option(option, option)));
+        } else if (field.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.className = 'form-textarea';
+        } else {
+            input = document.createElement('input');
+            input.type = field.type;
+            if (field.type === 'number') {
+                input.step = 1;
+                if (field.min_value !== null) {
+                    input.min = field.min_value;
+                }
+                if (field.max_value !== null) {
+                    input.max = field.max_value;
+                }
+            }
+        }
+        if (!input.className) {
+            input.className = 'form-input';
+        }
+        if (field.max_length && field.type !== 'select') {
+            input.maxLength = field.max_length;
+        }
+        input.id = `application-${field.name}`;
+        input.name = field.name;
+        input.required = field.required;
+        input.dataset.applicationField = '';
+        return input;
+    }
+
+    async function loadApplicationForm() {
+        try {
+            const response = await fetch('/api/contact/form');
+            if (!response.ok) {
+                throw new Error('Failed to fetch application form');
+            }
+            const fields = await response.json();
+
+            fields.forEach(field => {
+                const group = document.createElement('div');
+                group.className = 'form-group';
+                const label = document.createElement('label');
+                label.className = 'form-label';
+                label.htmlFor = `application-${field.name}`;
+                label.textContent = field.required ? field.label : `${field.label} (optional)`;
+                group.append(label, applicationInput(field));
+                if (field.help_text) {
+                    const help = document.createElement('small');
+                    help.className = 'form-help';
+                    help.textContent = field.help_text;
+                    group.appendChild(help);
+                }
+                applicationFieldset.appendChild(group);
+            });
+            applicationFieldset.hidden = fields.length === 0;
+        } catch (error) {
+            console.error('Error loading application form:', error);
+        }
+    }
+
+    if (applicationFieldset) {
+        loadApplicationForm();
+    }
+
+    // Answers to the tryout questions by field name, or undefined when the form has none
+    function applicationAnswers() {
+        const inputs = applicationFieldset ? applicationFieldset.querySelectorAll('[data-application-field]') : [];
+        if (inputs.length === 0) {
+            return undefined;
+        }
+        return Object.fromEntries(Array.from(inputs, input => [input.name, input.value.trim()]));
+    }
+
     // Handle contact form submission with enhanced validation and feedback
     const contactForm = document.getElementById('contact-form');
     if (contactForm) {
@@ -304,7 +385,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 submitButton.textContent = 'Submitting...';
                 submitButton.disabled = true;
             }
-            showLoading('Submitting your message...');
+            showLoading('Submitting your application...');
 
             try {
                 const response = await fetch('/api/contact', {
@@ -312,17 +393,18 @@ document.addEventListener('DOMContentLoaded', function() {
                     headers: {
                         'Content-Type': 'application/json',
                     },
-                    body: JSON.stringify({ name, email, whatsapp }),
+                    body: JSON.stringify({ name, email, whatsapp, application: applicationAnswers() }),
                     timeout: 10000 // 10 second timeout
                 });
 
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({}));
-                    throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+                    const details = errorData.details ? errorData.details.map(detail => detail.message).join(', ') : '';
+                    throw new Error(details || errorData.error || `HTTP error! status: ${response.status}`);
                 }
 
                 const result = await response.json();
-                showAlert('Thank you for contacting us, ' + name + '! Your message has been submitted.', 'success');
+                showAlert('Thank you for applying, ' + name + '! Your application has been submitted.', 'success');
                 contactForm.reset();
             } catch (error) {
                 console.error('Error submitting contact form:', error);
@@ -345,7 +427,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Fetch and display registered users ONLY on the registered-users.html page
     const userDataBody = document.getElementById('user-data');
     if (userDataBody && window.location.pathname.includes('registered-users.html')) {
-        fetchRegisteredUsers();
+        initializeInbox();
     }
 
     async function checkAdminStatus() {
@@ -393,20 +475,73 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // Recruiting inbox: contact submissions with a triage status, assignee, tags and notes
+    const INBOX_PAGE_SIZE = 25;
+    const CONTACT_STATUSES = ['new', 'contacted', 'trialist', 'signed', 'rejected'];
+    let inboxPage = 1;
+    let inboxAssignees = null;
+
+    function initializeInbox() {
+        document.getElementById('inbox-filter-form').addEventListener('submit', function(event) {
+            event.preventDefault();
+            inboxPage = 1;
+            fetchRegisteredUsers();
+        });
+        document.getElementById('inbox-prev').addEventListener('click', function() {
+            inboxPage--;
+            fetchRegisteredUsers();
+        });
+        document.getElementById('inbox-next').addEventListener('click', function() {
+            inboxPage++;
+            fetchRegisteredUsers();
+        });
+        fetchRegisteredUsers();
+    }
+
+    // Owners and recruiters a submission can be assigned to, also offered as a filter
+    async function loadInboxAssignees() {
+        const response = await fetch('/api/registered-users/assignees', { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        inboxAssignees = await response.json();
+
+        const filter = document.getElementById('inboxAssignee');
+        inboxAssignees.forEach(assignee => {
+            filter.add(new Option(assignee.username, assignee.id));
+        });
+    }
+
+    function inboxQuery() {
+        const params = new URLSearchParams();
+        new FormData(document.getElementById('inbox-filter-form')).forEach((value, name) => {
+            if (value.trim() !== '') {
+                params.set(name, value.trim());
+            }
+        });
+        params.set('page', inboxPage);
+        params.set('limit', INBOX_PAGE_SIZE);
+        return params;
+    }
+
     async function fetchRegisteredUsers() {
         showLoading('Loading registered users...');
         const isLoggedIn = await checkAdminStatus();
         if (!isLoggedIn) {
             hideLoading();
             showAlert('You must be logged in to view registered users.', 'error');
-            userDataBody.innerHTML = '<tr><td colspan="3">You must be logged in to view registered users.</td></tr>';
+            userDataBody.innerHTML = '<tr><td colspan="10">You must be logged in to view registered users.</td></tr>';
             return;
         }
         try {
+            if (!inboxAssignees) {
+                await loadInboxAssignees();
+            }
+
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
             
-            const response = await fetch('/api/registered-users', {
+            const response = await fetch(`/api/registered-users?${inboxQuery()}`, {
                 credentials: 'include',
                 signal: controller.signal
             });
@@ -419,6 +554,7 @@ document.addEventListener('DOMContentLoaded', function() {
             }
             const users = await response.json();
             displayRegisteredUsers(users);
+            updateInboxPagination(parseInt(response.headers.get('X-Total-Count'), 10) || 0);
         } catch (error) {
             console.error('Error fetching registered users:', error);
             if (error.name === 'AbortError') {
@@ -426,26 +562,132 @@ document.addEventListener('DOMContentLoaded', function() {
             } else {
                 showAlert('Error loading registered users: ' + error.message, 'error');
             }
-            userDataBody.innerHTML = '<tr><td colspan="3">Error loading registered users.</td></tr>';
+            userDataBody.innerHTML = '<tr><td colspan="10">Error loading registered users.</td></tr>';
         } finally {
             hideLoading();
         }
     }
 
+    function updateInboxPagination(total) {
+        const pages = Math.max(1, Math.ceil(total / INBOX_PAGE_SIZE));
+        document.getElementById('inbox-page-info').textContent =
+            `Page ${inboxPage} of ${pages} (${total} submission${total === 1 ? '' : 's'})`;
+        document.getElementById('inbox-prev').disabled = inboxPage <= 1;
+        document.getElementById('inbox-next').disabled = inboxPage >= pages;
+    }
+
+    function inboxSelect(label, options, value) {
+        const select = document.createElement('select');
+        select.className = 'form-input';
+        select.setAttribute('aria-label', label);
+        options.forEach(([optionValue, text]) => select.add(new Option(text, optionValue)));
+        select.value = value;
+        return select;
+    }
+
+    // Tryout answers of a submission, with the questions as they were asked
+    function applicationDetails(application) {
+        const details = document.createElement('details');
+        details.className = 'inbox-application';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Application';
+        const list = document.createElement('dl');
+        application.forEach(answer => {
+            const term = document.createElement('dt');
+            term.textContent = answer.label;
+            const value = document.createElement('dd');
+            if (/^https?:\/\//.test(String(answer.value))) {
+                const link = document.createElement('a');
+                link.href = answer.value;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = answer.value;
+                value.appendChild(link);
+            } else {
+                value.textContent = answer.value;
+            }
+            list.append(term, value);
+        });
+        details.append(summary, list);
+        return details;
+    }
+
     function displayRegisteredUsers(users) {
         userDataBody.innerHTML = ''; // Clear existing data
         if (users.length === 0) {
-            userDataBody.innerHTML = '<tr><td colspan="3">No registered users yet.</td></tr>';
+            userDataBody.innerHTML = '<tr><td colspan="10">No registered users match these filters.</td></tr>';
             return;
         }
         users.forEach(user => {
             const row = userDataBody.insertRow();
-            row.insertCell().textContent = user.name;
+            row.insertCell().textContent = user.id;
+            row.insertCell().textContent = new Date(user.submission_date).toLocaleDateString();
+            const nameCell = row.insertCell();
+            nameCell.textContent = user.name;
+            if (user.application && user.application.length > 0) {
+                nameCell.appendChild(applicationDetails(user.application));
+            }
             row.insertCell().textContent = user.email;
             row.insertCell().textContent = user.whatsapp;
+
+            const status = inboxSelect(`Status of submission ${user.id}`,
+                CONTACT_STATUSES.map(value => [value, value.charAt(0).toUpperCase() + value.slice(1)]), user.status);
+            row.insertCell().appendChild(status);
+
+            const assignee = inboxSelect(`Assignee of submission ${user.id}`,
+                [['', 'Unassigned'], ...inboxAssignees.map(admin => [String(admin.id), admin.username])],
+                user.assignee_id ? String(user.assignee_id) : '');
+            row.insertCell().appendChild(assignee);
+
+            const tags = document.createElement('input');
+            tags.type = 'text';
+            tags.className = 'form-input';
+            tags.placeholder = 'e.g. goalkeeper, u18';
+            tags.value = user.tags.join(', ');
+            tags.setAttribute('aria-label', `Tags of submission ${user.id}, separated by commas`);
+            row.insertCell().appendChild(tags);
+
+            const notes = document.createElement('textarea');
+            notes.className = 'form-textarea inbox-notes';
+            notes.maxLength = 5000;
+            notes.value = user.notes || '';
+            notes.setAttribute('aria-label', `Notes on submission ${user.id}`);
+            row.insertCell().appendChild(notes);
+
+            const save = document.createElement('button');
+            save.type = 'button';
+            save.className = 'btn btn-primary';
+            save.textContent = 'Save';
+            save.addEventListener('click', () => saveSubmission(user.id, {
+                status: status.value,
+                assigneeId: assignee.value ? parseInt(assignee.value, 10) : null,
+                notes: notes.value,
+                tags: tags.value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+            }));
+            row.insertCell().appendChild(save);
         });
     }
 
+    async function saveSubmission(id, changes) {
+        try {
+            const response = await fetch(`/api/registered-users/${id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const details = data.details ? ': ' + data.details.map(detail => detail.message).join(', ') : '';
+                throw new Error((data.error || `HTTP error! status: ${response.status}`) + details);
+            }
+            showAlert(`Submission #${id} updated.`, 'success');
+        } catch (error) {
+            console.error('Error updating submission:', error);
+            showAlert('Error updating submission: ' + error.message, 'error');
+        }
+    }
+
     // Enhanced alert function with better styling and accessibility
     function showAlert(message, type) {
         // Remove any existing alerts
@@ -495,18 +737,50 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     // API Functions for fetching data
-    async function fetchPlayers(limit = null) {
+    // Without a limit every page is requested, so callers get the full roster.
+    // `options` is passed through as query parameters (sort, order, minStars, maxStars).
+    async function fetchPlayers(limit = null, options = {}) {
         try {
-            const url = limit ? `/api/players?limit=${limit}` : '/api/players';
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Failed to fetch players');
-            return await response.json();
+            const params = new URLSearchParams(options);
+            if (limit) {
+                params.set('limit', limit);
+                const response = await fetch(`/api/players?${params}`);
+                if (!response.ok) throw new Error('Failed to fetch players');
+                return await response.json();
+            }
+
+            params.set('limit', 100);
+            let players = [];
+            let total = Infinity;
+            let page = 1;
+            while (players.length < total) {
+                params.set('page', page);
+                const response = await fetch(`/api/players?${params}`);
+                if (!response.ok) throw new Error('Failed to fetch players');
+                const batch = await response.json();
+                players = players.concat(batch);
+                total = parseInt(response.headers.get('X-Total-Count'), 10) || players.length;
+                if (batch.length === 0) break;
+                page++;
+            }
+            return players;
         } catch (error) {
             console.error('Error fetching players:', error);
             return [];
         }
     }
 
+    async function searchPlayers(term) {
+        try {
+            const response = await fetch(`/api/players/search?q=${encodeURIComponent(term)}`);
+            if (!response.ok) throw new Error('Failed to search players');
+            return await response.json();
+        } catch (error) {
+            console.error('Error searching players:', error);
+            return [];
+        }
+    }
+
     async function fetchManagers(limit = null) {
         try {
             const url = limit ? `/api/managers?limit=${limit}` : '/api/managers';
@@ -531,6 +805,61 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // status: 'upcoming' for fixtures, 'past' for results
+    async function fetchMatches(status, limit = null) {
+        try {
+            const params = new URLSearchParams({ status });
+            if (limit) params.set('limit', limit);
+            const response = await fetch(`/api/matches?${params}`);
+            if (!response.ok) throw new Error('Failed to fetch matches');
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching matches:', error);
+            return [];
+        }
+    }
+
+    // Text and attribute values put into card templates. Server-side tag stripping leaves quotes and
+    // ampersands alone, so every value interpolated into innerHTML goes through here.
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Card sizes in the grids, so the browser can pick the smallest variant that stays sharp
+    const CARD_IMAGE_SIZES = '(max-width: 480px) 100vw, (max-width: 900px) 50vw, 320px';
+
+    // Front image of a card. Uploads with variants get AVIF/WebP/JPEG srcsets and paint their
+    // dominant colour and blurred placeholder until the image arrives; other images load as they are.
+    function cardImageHTML(item, defaultImageUrl) {
+        const variants = item.image_variants;
+        if (!variants || !Array.isArray(variants.sources) || variants.sources.length === 0) {
+            return `<img class="card-image" src="${escapeHtml(item.imageUrl || defaultImageUrl)}" alt="${escapeHtml(item.name)}" loading="lazy">`;
+        }
+
+        const srcset = type => variants.sources
+            .filter(source => source.type === type)
+            .map(source => `${escapeHtml(source.url)} ${escapeHtml(source.width)}w`)
+            .join(', ');
+        const sources = ['image/avif', 'image/webp']
+            .filter(type => srcset(type))
+            .map(type => `<source type="${type}" srcset="${srcset(type)}" sizes="${CARD_IMAGE_SIZES}">`)
+            .join('');
+        const placeholder = escapeHtml(`background-color: ${variants.dominantColor}; background-image: url('${variants.placeholder}')`);
+
+        return `
+            <picture class="card-picture" style="${placeholder}">
+                ${sources}
+                <img class="card-image" src="${escapeHtml(item.imageUrl)}" srcset="${srcset('image/jpeg')}" sizes="${CARD_IMAGE_SIZES}"
+                    width="${escapeHtml(variants.width)}" height="${escapeHtml(variants.height)}" alt="${escapeHtml(item.name)}" loading="lazy" decoding="async">
+            </picture>
+        `;
+    }
+
     // Display functions for cards
     function displayPlayers(players, containerId, isHomePage = true) {
         const container = document.getElementById(containerId);
@@ -564,15 +893,16 @@ document.addEventListener('DOMContentLoaded', function() {
             
             card.innerHTML = `
                 <div class="player-card-inner">
-                    <div class="player-card-front" style="background-image: url('${player.imageUrl || '/uploads/default-player.jpg'}')">
+                    <div class="player-card-front">
+                        ${cardImageHTML(player, '/uploads/default-player.jpg')}
                     </div>
                     <div class="player-card-back">
                         <div class="card-back-content">
-                            <h3 class="card-back-name">${player.name}</h3>
+                            <h3 class="card-back-name">${escapeHtml(player.name)}</h3>
                             <div class="card-back-stats">
                                 <div class="stat-item">
                                     <span class="stat-label">Jersey Number:</span>
-                                    <span class="stat-value">${player.jerseyNumber || '?'}</span>
+                                    <span class="stat-value">${escapeHtml(player.jerseyNumber || '?')}</span>
                                 </div>
                                 <div class="stat-item">
                                     <span class="stat-label">Rating:</span>
@@ -582,6 +912,28 @@ document.addEventListener('DOMContentLoaded', function() {
                                     <span class="stat-label">Joined:</span>
                                     <span class="stat-value">${joinedDate}</span>
                                 </div>
+                                ${player.appearances ? `
+                                <div class="stat-item">
+                                    <span class="stat-label">Apps / Goals / Assists:</span>
+                                    <span class="stat-value">${player.appearances} / ${player.goals} / ${player.assists}</span>
+                                </div>
+                                <div class="stat-item">
+                                    <span class="stat-label">Clean Sheets:</span>
+                                    <span class="stat-value">${player.clean_sheets}</span>
+                                </div>
+                                <div class="stat-item">
+                                    <span class="stat-label">MVP Awards:</span>
+                                    <span class="stat-value">${player.mvp_awards}</span>
+                                </div>
+                                <div class="stat-item">
+                                    <span class="stat-label">Avg Rating:</span>
+                                    <span class="stat-value">${player.average_rating !== null ? player.average_rating : '-'}</span>
+                                </div>` : ''}
+                                ${player.trophy_count ? `
+                                <div class="stat-item">
+                                    <span class="stat-label">Trophies:</span>
+                                    <span class="stat-value">${player.trophy_count}</span>
+                                </div>` : ''}
                             </div>
                         </div>
                     </div>
@@ -607,12 +959,13 @@ document.addEventListener('DOMContentLoaded', function() {
             
             card.innerHTML = `
                 <div class="manager-card-inner">
-                    <div class="manager-card-front" style="background-image: url('${manager.imageUrl || '/uploads/default-manager.jpg'}')">
+                    <div class="manager-card-front">
+                        ${cardImageHTML(manager, '/uploads/default-manager.jpg')}
                     </div>
                     <div class="manager-card-back">
                         <div class="card-back-content">
-                            <h3 class="card-back-name">${manager.name}</h3>
-                            <p class="card-back-details">${manager.role}</p>
+                            <h3 class="card-back-name">${escapeHtml(manager.name)}</h3>
+                            <p class="card-back-details">${escapeHtml(manager.role)}</p>
                         </div>
                     </div>
                 </div>
@@ -634,19 +987,78 @@ document.addEventListener('DOMContentLoaded', function() {
         trophies.forEach(trophy => {
             const card = document.createElement('div');
             card.className = 'trophy-card';
+            const winners = trophy.winners || [];
             
             card.innerHTML = `
                 <div class="trophy-card-inner">
-                    <div class="trophy-card-front" style="background-image: url('${trophy.imageUrl || '/uploads/default-trophy.jpg'}')">
+                    <div class="trophy-card-front">
+                        ${cardImageHTML(trophy, '/uploads/default-trophy.jpg')}
                     </div>
                     <div class="trophy-card-back">
                         <div class="card-back-content">
-                            <h3 class="card-back-name">${trophy.name}</h3>
-                            <p class="card-back-details">Awarded in ${trophy.year}</p>
+                            <h3 class="card-back-name">${escapeHtml(trophy.name)}</h3>
+                            <p class="card-back-details">Awarded in ${escapeHtml(trophy.year)}</p>
+                            ${trophy.competition ? `<p class="card-back-details">${escapeHtml(trophy.competition)}</p>` : ''}
+                            ${trophy.final_result ? `<p class="card-back-details">Final: ${escapeHtml(trophy.final_result)}</p>` : ''}
+                            ${trophy.description ? `<p class="trophy-description">${escapeHtml(trophy.description)}</p>` : ''}
+                            ${winners.length > 0 ? `
+                            <button type="button" class="trophy-roster-toggle" aria-expanded="false">Winning squad (${winners.length})</button>
+                            <ul class="trophy-roster" hidden>
+                                ${winners.map(player => `<li>#${escapeHtml(player.jerseyNumber)} ${escapeHtml(player.name)}</li>`).join('')}
+                            </ul>` : ''}
                         </div>
                     </div>
                 </div>
             `;
+
+            // Expanding the roster keeps the card flipped until it is collapsed again
+            const toggle = card.querySelector('.trophy-roster-toggle');
+            if (toggle) {
+                toggle.addEventListener('click', () => {
+                    const expanded = card.classList.toggle('expanded');
+                    card.querySelector('.trophy-roster').hidden = !expanded;
+                    toggle.setAttribute('aria-expanded', String(expanded));
+                });
+            }
+            container.appendChild(card);
+        });
+    }
+
+    function displayMatches(matches, containerId, emptyMessage = 'No matches found.') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (matches.length === 0) {
+            container.innerHTML = `<p class="text-center">${emptyMessage}</p>`;
+            return;
+        }
+
+        container.innerHTML = '';
+        matches.forEach(match => {
+            const card = document.createElement('div');
+            card.className = `match-card match-${String(match.status).replace(/[^a-z_]/g, '')}`;
+
+            const kickOff = new Date(match.scheduled_at).toLocaleString(undefined, {
+                weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+            });
+            const hasScore = match.team_score !== null && match.opponent_score !== null;
+            const score = hasScore ? `${escapeHtml(match.team_score)} - ${escapeHtml(match.opponent_score)}` : 'vs';
+            const details = [match.competition, match.venue, match.platform].filter(Boolean).map(escapeHtml).join(' • ');
+            const lineup = (match.lineup || [])
+                .filter(player => player.isStarter)
+                .map(player => `#${escapeHtml(player.jerseyNumber)} ${escapeHtml(player.name)}`)
+                .join(', ');
+
+            card.innerHTML = `
+                <div class="match-teams">
+                    <span class="match-team">Revengers</span>
+                    <span class="match-score">${score}</span>
+                    <span class="match-team">${escapeHtml(match.opponent)}</span>
+                </div>
+                <p class="match-meta">${escapeHtml(kickOff)}${match.status !== 'scheduled' && match.status !== 'finished' ? ` • ${escapeHtml(match.status.toUpperCase())}` : ''}</p>
+                ${details ? `<p class="match-meta">${details}</p>` : ''}
+                ${lineup ? `<p class="match-lineup">Lineup: ${lineup}</p>` : ''}
+            `;
             container.appendChild(card);
         });
     }
@@ -692,11 +1104,14 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Export functions to global scope for use in inline scripts
     window.fetchPlayers = fetchPlayers;
+    window.searchPlayers = searchPlayers;
     window.fetchManagers = fetchManagers;
     window.fetchTrophies = fetchTrophies;
     window.displayPlayers = displayPlayers;
     window.displayManagers = displayManagers;
     window.displayTrophies = displayTrophies;
+    window.fetchMatches = fetchMatches;
+    window.displayMatches = displayMatches;
     window.checkAdminStatus = checkAdminStatus;
     window.ensureAdminLinkVisible = ensureAdminLinkVisible;
 });
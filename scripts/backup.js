@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const config = require('../backend/config');
+const { SqlitePool } = require('../backend/sqlite');
+const { DRIVER_NAMES, getDriver } = require('../backend/storage');
+const { createBackup, readBackup, restoreBackup } = require('../backend/backup');
+const { PathOutsideRootError, resolveInside } = require('../backend/safePath');
+
+/**
+ * Backup Script
+ * Writes the content tables and uploaded images to a .tar.gz with a checksummed manifest, checks
+ * such an archive, or restores one into a database without content, e.g. a fresh one in another
+ * environment. Restored images go to the configured STORAGE_DRIVER unless --driver is given; with
+ * --no-images the rows keep their image URLs. Admin accounts are not backed up.
+ *
+ * Backup files live in BACKUP_DIR (default: backups/); file names are resolved against it and
+ * paths that lead outside it are refused.
+ *
+ * Usage: npm run backup -- [--output <file>] [--no-images]
+ *        npm run backup:verify -- <file>
+ *        npm run backup:restore -- <file> [--driver <driver>] [--no-images]
+ */
+
+const USAGE = 'Usage: backup.js create [--output <file>] [--no-images]\n' +
+  '       backup.js verify <file>\n' +
+  '       backup.js restore <file> [--driver <driver>] [--no-images]';
+
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+// Flags followed by a value
+const VALUE_FLAGS = ['--output', '--driver'];
+
+// First argument that is neither a flag nor a flag's value
+function fileArgument(args) {
+  const file = args.find((arg, index) =>
+    !arg.startsWith('--') && (index === 0 || !VALUE_FLAGS.includes(args.at(index - 1))));
+  if (!file) {
+    throw new Error(`A backup file is required\n${USAGE}`);
+  }
+  return file;
+}
+
+function driverOption(args) {
+  const name = optionValue(args, '--driver') || config.STORAGE_DRIVER;
+  if (!DRIVER_NAMES.includes(name)) {
+    throw new Error(`--driver needs one of ${DRIVER_NAMES.join(', ')}\n${USAGE}`);
+  }
+  return name;
+}
+
+function defaultOutput(now) {
+  return `backup-${now.toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+}
+
+// Absolute path of a backup file named on the command line
+function backupPath(file) {
+  try {
+    return resolveInside(config.BACKUP_DIR, file);
+  } catch (error) {
+    if (error instanceof PathOutsideRootError) {
+      throw new Error(`Backup files must be inside ${path.resolve(config.BACKUP_DIR)}: ${file}`);
+    }
+    throw error;
+  }
+}
+
+function printManifest(manifest) {
+  manifest.tables.forEach(table => console.log(`${table.name}: ${table.rows} row(s)`));
+  console.log(`images: ${manifest.images.length}`);
+  manifest.missingImages.forEach(image => console.error(`❌ ${image.url} (${image.error})`));
+}
+
+async function withPool(task) {
+  const pool = config.usesSqlite
+    ? new SqlitePool(config.SQLITE_PATH)
+    : new Pool({ connectionString: config.DATABASE_URL, ...config.dbPoolConfig });
+  try {
+    return await task(pool);
+  } finally {
+    await pool.end();
+  }
+}
+
+async function run(command, args) {
+  switch (command) {
+    case 'create': {
+      const now = new Date();
+      const output = backupPath(optionValue(args, '--output') || defaultOutput(now));
+      const images = !args.includes('--no-images');
+      const { archive, manifest } = await withPool(pool => createBackup(pool, { images, now }));
+
+      await fs.promises.mkdir(path.dirname(output), { recursive: true });
+      await fs.promises.writeFile(output, archive);
+      printManifest(manifest);
+      console.log(`✅ Backup written to ${output} (schema version ${manifest.schemaVersion})`);
+      if (manifest.missingImages.length > 0) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+    case 'verify': {
+      const { manifest } = await readBackup(await fs.promises.readFile(backupPath(fileArgument(args))));
+      printManifest(manifest);
+      console.log(`✅ Backup from ${manifest.createdAt} is intact (schema version ${manifest.schemaVersion})`);
+      break;
+    }
+    case 'restore': {
+      const archive = await fs.promises.readFile(backupPath(fileArgument(args)));
+      const images = !args.includes('--no-images');
+      const storage = images ? getDriver(driverOption(args)) : null;
+      const restored = await withPool(pool => restoreBackup(pool, archive, { storage, images }));
+
+      restored.tables.forEach(table => console.log(`${table.name}: ${table.rows} row(s)`));
+      console.log(`✅ Restored ${restored.images} image(s)${storage ? ` to ${storage.name}` : ''}`);
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  const [command = 'create', ...args] = process.argv.slice(2);
+  run(command, args).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run };
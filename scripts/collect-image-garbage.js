@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+const { Pool } = require('pg');
+const config = require('../backend/config');
+const { SqlitePool } = require('../backend/sqlite');
+const { DRIVER_NAMES, getDriver } = require('../backend/storage');
+const { DEFAULT_MIN_AGE_MS, collectGarbage } = require('../backend/storage/garbageCollector');
+
+/**
+ * Collect Image Garbage Script
+ * Compares the images in a storage driver's players/, managers/ and trophies/ folders with the rows
+ * using them. Deletes images no row refers to and clears rows whose image no longer exists, or with
+ * --dry-run only reports them. Checks the configured STORAGE_DRIVER unless --driver is given.
+ *
+ * Usage: npm run images:gc -- [--driver <driver>] [--dry-run] [--min-age-hours <hours>]
+ */
+
+const USAGE = 'Usage: images:gc [--driver <driver>] [--dry-run] [--min-age-hours <hours>]';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function driverOption(args) {
+  const name = optionValue(args, '--driver') || config.STORAGE_DRIVER;
+  if (!DRIVER_NAMES.includes(name)) {
+    throw new Error(`--driver needs one of ${DRIVER_NAMES.join(', ')}\n${USAGE}`);
+  }
+  return name;
+}
+
+function minAgeOption(args) {
+  const value = optionValue(args, '--min-age-hours');
+  if (value === undefined) {
+    return DEFAULT_MIN_AGE_MS;
+  }
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    throw new Error(`--min-age-hours needs a number of hours\n${USAGE}`);
+  }
+  return hours * HOUR_MS;
+}
+
+async function run(args) {
+  const storage = getDriver(driverOption(args));
+  const minAge = minAgeOption(args);
+  const dryRun = args.includes('--dry-run');
+
+  const pool = config.usesSqlite
+    ? new SqlitePool(config.SQLITE_PATH)
+    : new Pool({ connectionString: config.DATABASE_URL, ...config.dbPoolConfig });
+  try {
+    const { orphans, broken, failed } = await collectGarbage(pool, { storage, dryRun, minAge });
+
+    orphans.forEach(image => {
+      console.log(`orphan: ${image.url} (stored ${new Date(image.createdAt).toISOString()})`);
+    });
+    broken.forEach(row => {
+      console.log(`broken: ${row.table} #${row.id}: ${row.imageUrl} (${row.missing.length} missing)`);
+    });
+    failed.forEach(item => {
+      console.error(`❌ ${item.table ? `${item.table} #${item.id}: ` : ''}${item.url} (${item.error})`);
+    });
+    console.log(dryRun
+      ? `✅ ${orphans.length} orphaned image(s) and ${broken.length} broken reference(s) in ${storage.name}`
+      : `✅ Deleted ${orphans.length} orphaned image(s) and cleared ${broken.length} broken reference(s) ` +
+        `in ${storage.name}, ${failed.length} failed`);
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+const config = require('../backend/config');
+const { SqlitePool } = require('../backend/sqlite');
+const { ADMIN_ROLES, ADMIN_PASSWORD_PATTERN } = require('../backend/validators');
+
+/**
+ * Create Admin Script
+ * Bootstraps an admin account (typically the first owner) outside development, where the
+ * default admin seed is disabled. The password is read from ADMIN_PASSWORD.
+ *
+ * Usage: ADMIN_PASSWORD='...' npm run admin:create -- <username> [owner|editor|recruiter]
+ */
+
+async function createAdmin(username, role, password) {
+  if (!/^[a-zA-Z0-9]{3,30}$/.test(username || '')) {
+    throw new Error('Username must be 3-30 characters and contain only letters and numbers');
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ADMIN_ROLES.join(', ')}`);
+  }
+  if (!password || password.length < 8 || !ADMIN_PASSWORD_PATTERN.test(password)) {
+    throw new Error('ADMIN_PASSWORD must be at least 8 characters and contain a lowercase letter, ' +
+      'an uppercase letter, a digit and a special character');
+  }
+
+  const pool = config.usesSqlite
+    ? new SqlitePool(config.SQLITE_PATH)
+    : new Pool({ connectionString: config.DATABASE_URL, ...config.dbPoolConfig });
+  try {
+    const hash = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
+    const result = await pool.query(
+      'INSERT INTO admins (username, password, role) VALUES ($1, $2, $3) RETURNING id',
+      [username, hash, role]
+    );
+    return result.rows[0].id;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const [username, role = 'owner'] = process.argv.slice(2);
+
+  createAdmin(username, role, process.env.ADMIN_PASSWORD)
+    .then(id => {
+      console.log(`✅ Created ${role} "${username}" (id ${id})`);
+    })
+    .catch(error => {
+      console.error(`❌ Could not create admin: ${error.code === '23505' ? 'username already exists' : error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+const { Pool } = require('pg');
+const config = require('../backend/config');
+const { SqlitePool } = require('../backend/sqlite');
+const { DRIVER_NAMES, getDriver } = require('../backend/storage');
+const { migrateImages } = require('../backend/storage/migrate');
+
+/**
+ * Migrate Images Script
+ * Moves uploaded player, manager and trophy images from one storage driver to another, e.g. after
+ * switching STORAGE_DRIVER. Both drivers need their usual configuration. Originals are kept unless
+ * --delete-source is given.
+ *
+ * Usage: npm run images:migrate -- --from <driver> --to <driver> [--dry-run] [--delete-source]
+ */
+
+const USAGE = 'Usage: images:migrate --from <driver> --to <driver> [--dry-run] [--delete-source]';
+
+// Value following `flag` in args as a driver name
+function driverOption(args, flag) {
+  const index = args.indexOf(flag);
+  const name = index === -1 ? undefined : args[index + 1];
+  if (!DRIVER_NAMES.includes(name)) {
+    throw new Error(`${flag} needs one of ${DRIVER_NAMES.join(', ')}\n${USAGE}`);
+  }
+  return name;
+}
+
+async function run(args) {
+  const from = getDriver(driverOption(args, '--from'));
+  const to = getDriver(driverOption(args, '--to'));
+  const dryRun = args.includes('--dry-run');
+
+  const pool = config.usesSqlite
+    ? new SqlitePool(config.SQLITE_PATH)
+    : new Pool({ connectionString: config.DATABASE_URL, ...config.dbPoolConfig });
+  try {
+    const { moved, failed } = await migrateImages(pool, {
+      from,
+      to,
+      dryRun,
+      deleteSource: args.includes('--delete-source')
+    });
+
+    moved.forEach(image => {
+      console.log(`${image.table} #${image.id}: ${image.from}${image.to ? ` -> ${image.to}` : ''}`);
+    });
+    failed.forEach(image => {
+      console.error(`❌ ${image.table} #${image.id}: ${image.from} (${image.error})`);
+    });
+    console.log(dryRun
+      ? `✅ ${moved.length} image(s) would move from ${from.name} to ${to.name}`
+      : `✅ Moved ${moved.length} image(s) from ${from.name} to ${to.name}, ${failed.length} failed`);
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run };
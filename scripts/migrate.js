@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+const { Pool } = require('pg');
+const config = require('../backend/config');
+const { SqlitePool } = require('../backend/sqlite');
+const migrator = require('../backend/migrator');
+
+/**
+ * Migrate Script
+ * Shows, applies or reverts the versioned schema migrations in backend/migrations.
+ * The server applies pending migrations itself on boot; this is for inspecting and rolling back.
+ *
+ * Usage: npm run migrate -- status
+ *        npm run migrate -- up [--to <version>]
+ *        npm run migrate -- down [--steps <count> | --to <version>]
+ */
+
+// Value following `flag` in args as an integer, or undefined when the flag is absent
+function intOption(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} needs a non-negative integer`);
+  }
+  return value;
+}
+
+async function migrate(command, args) {
+  const pool = config.usesSqlite
+    ? new SqlitePool(config.SQLITE_PATH)
+    : new Pool({ connectionString: config.DATABASE_URL, ...config.dbPoolConfig });
+  try {
+    switch (command) {
+      case 'status': {
+        const migrations = await migrator.status(pool);
+        migrations.forEach(({ version, name, appliedAt, missing }) => {
+          let state = appliedAt ? `applied ${new Date(appliedAt).toISOString()}` : 'pending';
+          if (missing) {
+            state += ', file missing';
+          }
+          console.log(`${String(version).padStart(3, '0')}_${name}  ${state}`);
+        });
+        break;
+      }
+      case 'up': {
+        const applied = await migrator.migrateUp(pool, { to: intOption(args, '--to') });
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`
+          : '✅ Schema is up to date');
+        break;
+      }
+      case 'down': {
+        const to = intOption(args, '--to');
+        const steps = intOption(args, '--steps');
+        const reverted = await migrator.migrateDown(pool, { to, steps });
+        console.log(reverted.length > 0
+          ? `✅ Reverted ${reverted.map(m => `${m.version}_${m.name}`).join(', ')}`
+          : '✅ Nothing to revert');
+        break;
+      }
+      default:
+        throw new Error('Usage: migrate status | up [--to <version>] | down [--steps <count> | --to <version>]');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  migrate(command, args).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { migrate };